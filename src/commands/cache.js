@@ -0,0 +1,84 @@
+/**
+ * PDM-AI cache command
+ * Inspects and purges the on-disk embedding cache
+ */
+import logger from '../utils/logger.js';
+import { getCacheStats, clearCache } from '../utils/embedding/embedding-cache.js';
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Print statistics about the embedding cache
+ * @returns {Promise<Object>} Cache statistics
+ */
+async function showStats() {
+  const stats = await getCacheStats();
+
+  logger.info(`Embedding cache: ${stats.cacheDir}`);
+  if (stats.models.length === 0) {
+    logger.info('  (empty)');
+  } else {
+    stats.models.forEach(entry => {
+      const endpoint = entry.endpoint ? ` (${entry.endpoint})` : '';
+      logger.info(`  ${entry.model}${endpoint}: ${entry.entries} embeddings, ${entry.dimensions} dimensions, ${formatBytes(entry.bytes)}`);
+    });
+    logger.info(`  Total: ${stats.totalEntries} embeddings, ${formatBytes(stats.totalBytes)}`);
+  }
+
+  return { success: true, ...stats };
+}
+
+/**
+ * Remove cached embeddings
+ * @param {Object} options - Command options
+ * @param {string} [options.model] - Only clear this embedding model's cache
+ * @returns {Promise<Object>} Number of cache files removed
+ */
+async function clear(options) {
+  const removed = await clearCache(options.model);
+
+  if (removed === 0) {
+    logger.info(options.model ? `No cached embeddings for ${options.model}` : 'Embedding cache is already empty');
+  } else {
+    logger.info(options.model ? `Cleared cached embeddings for ${options.model}` : `Cleared ${removed} embedding cache file(s)`);
+  }
+
+  return { success: true, removed };
+}
+
+/**
+ * Execute the cache command
+ * @param {string} action - Cache action: 'stats' or 'clear'
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} Result of the action
+ */
+async function execute(action, options = {}) {
+  try {
+    switch (action) {
+      case 'stats':
+        return await showStats();
+      case 'clear':
+        return await clear(options);
+      default:
+        throw new Error(`Unknown cache action '${action}'. Supported actions: stats, clear`);
+    }
+  } catch (error) {
+    logger.error(`Cache command failed: ${error.message}`);
+    return { success: false, message: error.message };
+  }
+}
+
+export { execute };
@@ -0,0 +1,179 @@
+/**
+ * PDM-AI diff command
+ * Reports what changed between two JTBD or scenario output files as text, JSON or Markdown
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import logger from '../utils/logger.js';
+import { diffOutputs } from '../utils/output-diff.js';
+
+const FORMATS = ['text', 'json', 'markdown'];
+
+/**
+ * Format the scenario and customer count changes of a JTBD
+ * @param {Object} entry - Recounted JTBD
+ * @returns {string} e.g. "scenarios 3 → 5, customers 1 → 2"
+ */
+function formatCounts(entry) {
+  const parts = [];
+  if (entry.scenarios.before !== entry.scenarios.after) {
+    parts.push(`scenarios ${entry.scenarios.before} → ${entry.scenarios.after}`);
+  }
+  if (entry.customers.before !== entry.customers.after) {
+    parts.push(`customers ${entry.customers.before} → ${entry.customers.after}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Format the ID of a JTBD, with its previous ID if it changed
+ * @param {Object} entry - JTBD entry of the diff
+ * @returns {string} ID
+ */
+function formatId(entry) {
+  return entry.previousId ? `${entry.id} (was ${entry.previousId})` : entry.id;
+}
+
+/**
+ * Render the diff as plain text
+ * @param {Object} diff - Result of diffOutputs
+ * @param {string} oldFile - Old output file
+ * @param {string} newFile - New output file
+ * @returns {string} Text report
+ */
+function formatText(diff, oldFile, newFile) {
+  const lines = [`Comparing ${oldFile} → ${newFile}`];
+  const { jtbds, scenarios, summary } = diff;
+
+  if (jtbds) {
+    lines.push(`JTBDs: ${summary.jtbds.added} added, ${summary.jtbds.removed} removed, ${summary.jtbds.merged} merged, ` +
+      `${summary.jtbds.reworded} reworded, ${summary.jtbds.recounted} with changed counts, ${summary.jtbds.unchanged} unchanged`);
+  }
+  lines.push(`Scenarios: ${summary.scenarios.added} added, ${summary.scenarios.removed} removed, ${summary.scenarios.reworded} reworded` +
+    (scenarios.moved ? `, ${summary.scenarios.moved} moved` : ''));
+
+  const section = (title, entries, render) => {
+    if (entries && entries.length > 0) {
+      lines.push('', `${title}:`);
+      entries.forEach(entry => lines.push(...render(entry)));
+    }
+  };
+
+  if (jtbds) {
+    section('Added JTBDs', jtbds.added, entry => [`  + ${entry.id} [L${entry.level}] ${entry.statement} (${entry.scenarioCount} scenarios)`]);
+    section('Removed JTBDs', jtbds.removed, entry => [`  - ${entry.id} [L${entry.level}] ${entry.statement} (${entry.scenarioCount} scenarios)`]);
+    section('Merged JTBDs', jtbds.merged, entry => [`  * ${entry.id} ← ${entry.mergedFrom.join(', ')}`, `    ${entry.statement}`]);
+    section('Reworded JTBDs', jtbds.reworded, entry => [`  ~ ${formatId(entry)}`, `    before: ${entry.before}`, `    after:  ${entry.after}`]);
+    section('Changed counts', jtbds.recounted, entry => [`  # ${formatId(entry)}: ${formatCounts(entry)}`]);
+  }
+  section('Added scenarios', scenarios.added, entry => [`  + ${entry.id} ${entry.statement}`]);
+  section('Removed scenarios', scenarios.removed, entry => [`  - ${entry.id} ${entry.statement}`]);
+  section('Reworded scenarios', scenarios.reworded, entry => [`  ~ ${entry.id}`, `    before: ${entry.before}`, `    after:  ${entry.after}`]);
+  section('Moved scenarios', scenarios.moved, entry => [`  > ${entry.id}: ${entry.from.join(', ')} → ${entry.to.join(', ')}`]);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell text
+ */
+function escapeCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render the diff as a Markdown document
+ * @param {Object} diff - Result of diffOutputs
+ * @param {string} oldFile - Old output file
+ * @param {string} newFile - New output file
+ * @returns {string} Markdown report
+ */
+function formatMarkdown(diff, oldFile, newFile) {
+  const lines = [`# Changes from \`${oldFile}\` to \`${newFile}\``, ''];
+  const { jtbds, scenarios, summary } = diff;
+
+  lines.push('| | Added | Removed | Merged | Reworded | Changed counts | Moved | Unchanged |');
+  lines.push('|---|---|---|---|---|---|---|---|');
+  if (jtbds) {
+    const counts = summary.jtbds;
+    lines.push(`| JTBDs | ${counts.added} | ${counts.removed} | ${counts.merged} | ${counts.reworded} | ${counts.recounted} | | ${counts.unchanged} |`);
+  }
+  const scenarioCounts = summary.scenarios;
+  lines.push(`| Scenarios | ${scenarioCounts.added} | ${scenarioCounts.removed} | | ${scenarioCounts.reworded} | | ${scenarioCounts.moved ?? ''} | |`);
+
+  const table = (title, headers, entries, render) => {
+    if (entries && entries.length > 0) {
+      lines.push('', `## ${title}`, '', `| ${headers.join(' | ')} |`, `|${headers.map(() => '---').join('|')}|`);
+      entries.forEach(entry => lines.push(`| ${render(entry).map(escapeCell).join(' | ')} |`));
+    }
+  };
+
+  if (jtbds) {
+    table('Added JTBDs', ['ID', 'Layer', 'Statement', 'Scenarios'], jtbds.added,
+      entry => [entry.id, entry.level, entry.statement, entry.scenarioCount]);
+    table('Removed JTBDs', ['ID', 'Layer', 'Statement', 'Scenarios'], jtbds.removed,
+      entry => [entry.id, entry.level, entry.statement, entry.scenarioCount]);
+    table('Merged JTBDs', ['ID', 'Merged from', 'Statement'], jtbds.merged,
+      entry => [entry.id, entry.mergedFrom.join(', '), entry.statement]);
+    table('Reworded JTBDs', ['ID', 'Before', 'After'], jtbds.reworded,
+      entry => [formatId(entry), entry.before, entry.after]);
+    table('Changed Counts', ['ID', 'Statement', 'Scenarios', 'Customers'], jtbds.recounted,
+      entry => [formatId(entry), entry.statement, `${entry.scenarios.before} → ${entry.scenarios.after}`,
+        `${entry.customers.before} → ${entry.customers.after}`]);
+  }
+  table('Added Scenarios', ['ID', 'Statement'], scenarios.added, entry => [entry.id, entry.statement]);
+  table('Removed Scenarios', ['ID', 'Statement'], scenarios.removed, entry => [entry.id, entry.statement]);
+  table('Reworded Scenarios', ['ID', 'Before', 'After'], scenarios.reworded, entry => [entry.id, entry.before, entry.after]);
+  table('Moved Scenarios', ['ID', 'Statement', 'From', 'To'], scenarios.moved,
+    entry => [entry.id, entry.statement, entry.from.join(', '), entry.to.join(', ')]);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Execute the diff command
+ * @param {string} oldFile - Earlier JTBD or scenario output
+ * @param {string} newFile - Later output of the same kind
+ * @param {Object} options - Command options
+ * @param {string} [options.format] - 'text' (default), 'json' or 'markdown'
+ * @param {string} [options.output] - Write the report to this file instead of the console
+ * @returns {Promise<Object>} Result of diffOutputs
+ */
+async function execute(oldFile, newFile, options = {}) {
+  try {
+    const format = options.format || 'text';
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown diff format '${format}'. Supported formats: ${FORMATS.join(', ')}`);
+    }
+
+    const oldData = await fs.readJson(oldFile);
+    const newData = await fs.readJson(newFile);
+    const diff = diffOutputs(oldData, newData);
+
+    let report;
+    if (format === 'json') {
+      report = JSON.stringify({ old: oldFile, new: newFile, ...diff }, null, 2) + '\n';
+    } else if (format === 'markdown') {
+      report = formatMarkdown(diff, oldFile, newFile);
+    } else {
+      report = formatText(diff, oldFile, newFile);
+    }
+
+    if (options.output) {
+      await fs.ensureDir(path.dirname(options.output));
+      await fs.writeFile(options.output, report);
+      logger.info(`Diff written to ${options.output}`);
+    } else {
+      process.stdout.write(report);
+    }
+
+    return diff;
+  } catch (error) {
+    logger.error(`Error comparing outputs: ${error.message}`);
+    throw error;
+  }
+}
+
+export { execute };
@@ -4,6 +4,19 @@ import path from 'path';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 import * as jtbdGenerator from '../utils/jtbd/jtbd-generator.js';
+import { assignStableIds, logIdentitySummary } from '../utils/jtbd/jtbd-identity.js';
+import { applyRecordingOptions } from '../utils/recorder.js';
+import { recordVersion } from '../utils/version-tracker.js';
+import {
+  budgetGuard,
+  createBudgetError,
+  createEstimate,
+  createUsage,
+  isBudgetExceeded,
+  logEstimate,
+  logUsage,
+  mergeEstimate
+} from '../utils/llm/usage-tracker.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -37,12 +50,37 @@ async function execute(input, options = {}) {
     const layer1Threshold = options.threshold1 || null;
     const layer2Threshold = options.threshold2 || null;
     const useMock = options.mock || false;
+    const incremental = options.incremental || false;
+    
+    if (options.preserveClusters && !incremental) {
+      throw new Error('--preserve-clusters requires --incremental');
+    }
     
     if (verbose) {
       logger.setLevel('debug');
       logger.debug('Verbose mode enabled');
     }
     
+    // Apply a custom model for this run so the LLM provider picks it up
+    if (options.model) {
+      config.getConfig().llm.model = options.model;
+      logger.debug(`Using custom model: ${options.model}`);
+    }
+    
+    // Placeholder JTBDs and embeddings for failed LLM calls must be requested explicitly
+    if (options.allowFallback) {
+      config.getConfig().allowFallback = true;
+      logger.warn('Fallback mode enabled: placeholder JTBDs may be written for failed clusters');
+    }
+    
+    if (options.concurrency) {
+      config.getConfig().requests.concurrency = options.concurrency;
+      logger.debug(`Running up to ${options.concurrency} API requests in parallel`);
+    }
+    
+    applyRecordingOptions(options);
+    budgetGuard.applyOptions(options);
+    
     if (useMock) {
       logger.info('Using mock mode for JTBD generation (no API calls will be made)');
     }
@@ -51,6 +89,7 @@ async function execute(input, options = {}) {
     let allScenarios = [];
     let sourceFiles = [];
     const scenarioMap = new Map();
+    const sourceMap = new Map();
     
     for (const file of inputFiles) {
       logger.info(`Loading scenarios from ${file}...`);
@@ -67,20 +106,60 @@ async function execute(input, options = {}) {
         }
       });
       
+      // Keep the descriptions of the input files the scenarios were extracted from
+      (Array.isArray(scenariosData.sources) ? scenariosData.sources : []).forEach(source => {
+        if (source && source.id && !sourceMap.has(source.id)) {
+          sourceMap.set(source.id, source);
+        }
+      });
+      
       sourceFiles.push(file);
       logger.info(`Loaded ${scenariosData.scenarios.length} scenarios from ${file}`);
     }
     
+    // Earlier JTBDs, by default those in the output file itself, provide the IDs to keep;
+    // incremental runs also build on them and fail without them
+    const previousFile = options.previous || outputFile;
+    let previousResults = null;
+    if (incremental || options.previous) {
+      previousResults = await loadPreviousResults(previousFile);
+    } else if (await fs.pathExists(previousFile)) {
+      previousResults = await loadPreviousResults(previousFile).catch(error => {
+        logger.warn(`Not reusing JTBD IDs: ${error.message}`);
+        return null;
+      });
+    }
+    
+    // Previous scenarios are clustered again, so new scenarios can join the JTBDs they formed
+    if (incremental) {
+      const previousScenarios = (previousResults.scenarios || []).filter(scenario => !scenarioMap.has(scenario.id));
+      previousScenarios.forEach(scenario => scenarioMap.set(scenario.id, scenario));
+      (previousResults.sources || []).filter(source => source && source.id && !sourceMap.has(source.id))
+        .forEach(source => sourceMap.set(source.id, source));
+      logger.info(`Included ${previousScenarios.length} scenarios from the previous results`);
+    }
+    
     // Convert map back to array
     allScenarios = Array.from(scenarioMap.values());
     logger.info(`Combined ${allScenarios.length} unique scenarios from ${inputFiles.length} files`);
     
+    if (options.dryRun) {
+      // With preserved clusters only the scenarios not covered by a previous JTBD can need new ones
+      const coveredIds = new Set((previousResults?.jtbds || []).flatMap(jtbd => jtbd.scenarioIds || []));
+      const pending = options.preserveClusters ? allScenarios.filter(scenario => !coveredIds.has(scenario.id)) : allScenarios;
+      const estimate = estimateGeneration(allScenarios, layers, pending);
+      return { success: true, dryRun: true, estimate };
+    }
+    
     // Set generation options
     const generationOptions = {
       layers,
       verbose,
       layer1Threshold,
-      layer2Threshold
+      layer2Threshold,
+      incremental,
+      previousResults: incremental ? previousResults : null,
+      preserveExistingClusters: options.preserveClusters || false
     };
     
     // Generate JTBDs using our new adaptive clustering implementation
@@ -88,6 +167,9 @@ async function execute(input, options = {}) {
     let result;
     
     if (useMock) {
+      if (incremental) {
+        logger.warn('Mock mode ignores --incremental; all mock JTBDs are generated from scratch');
+      }
       // Generate mock JTBDs without making API calls
       result = generateMockJTBDs(allScenarios, layers);
       logger.info(`Generated ${result.jtbds.length} mock JTBDs for testing`);
@@ -101,14 +183,37 @@ async function execute(input, options = {}) {
     
     // Include all scenarios in the result for better integration with visualization
     result.scenarios = allScenarios;
+    result.sources = Array.from(sourceMap.values());
+    
+    // JTBDs that continue previous ones keep their IDs, so links to them survive regeneration
+    let identity = null;
+    if (previousResults) {
+      const { summary, idMap } = assignStableIds(result.jtbds, previousResults.jtbds);
+      identity = { previousFile, ...summary };
+      ['joined', 'formed'].forEach(field => {
+        (result.metadata?.incremental?.[field] || []).forEach(entry => {
+          entry.jtbdId = idMap[entry.jtbdId] || entry.jtbdId;
+        });
+      });
+    }
     
     // Add metadata to track the source of the scenarios
+    const { byModel, ...usageTotals } = result.metadata?.usage || createUsage();
     result.metadata = {
       ...result.metadata || {},
       sourceFiles: sourceFiles,
       combinedOutput: inputFiles.length > 1,
       generatedAt: new Date().toISOString(),
-      totalScenariosCount: allScenarios.length
+      totalScenariosCount: allScenarios.length,
+      errors: result.metadata?.errors || [],
+      repairAttempts: result.metadata?.repairAttempts || 0,
+      ...(result.metadata?.incremental && { incremental: { previousFile, ...result.metadata.incremental } }),
+      ...(identity && { identity }),
+      usage: {
+        ...usageTotals,
+        byStage: { jtbd: usageTotals },
+        byModel: byModel || {}
+      }
     };
     
     // Ensure output directory exists
@@ -118,6 +223,25 @@ async function execute(input, options = {}) {
     // Write output file
     logger.info(`Writing ${result.jtbds.length} JTBDs and ${result.scenarios.length} scenarios to ${outputFile}`);
     await fs.writeJson(outputFile, result, { spaces: 2 });
+    logUsage('JTBD generation usage', result.metadata.usage);
+    if (result.metadata.identity) {
+      logIdentitySummary(result.metadata.identity);
+    }
+    if (result.metadata.incremental) {
+      logIncrementalReport(result.metadata.incremental);
+    }
+    
+    // Clusters skipped because of the budget fail the command even when fallbacks are allowed
+    const errors = result.metadata.errors;
+    const skippedClusters = errors.filter(error => isBudgetExceeded(error)).length;
+    if (skippedClusters > 0) {
+      throw createBudgetError(`Budget reached: ${skippedClusters} cluster(s) were not processed; partial results saved to ${outputFile}`);
+    }
+    
+    // In strict mode any failed cluster fails the command once the partial results are saved
+    if (errors.length > 0 && !config.allowFallback) {
+      throw new Error(`JTBD generation failed for ${errors.length} cluster(s); see metadata.errors in ${outputFile}`);
+    }
     
     // Generate summary
     if (verbose) {
@@ -132,6 +256,20 @@ async function execute(input, options = {}) {
       }
     }
     
+    await recordVersion({
+      command: 'jtbd',
+      options: { input, ...options },
+      // A previous file other than the output shaped the IDs, so it counts as an input
+      inputs: previousResults && previousFile !== outputFile ? [...inputFiles, previousFile] : inputFiles,
+      outputs: [outputFile],
+      model: useMock ? 'mock' : config.getConfig().llm.model,
+      summary: {
+        scenarioCount: result.scenarios.length,
+        jtbdCount: result.jtbds.length,
+        jtbdLayers: layers
+      }
+    });
+    
     logger.info(`JTBD generation complete. Results saved to ${outputFile}`);
     return result;
     
@@ -141,6 +279,58 @@ async function execute(input, options = {}) {
   }
 }
 
+/**
+ * Load the JTBDs an incremental run builds on
+ * @param {string} file - Previous JTBDs file
+ * @returns {Promise<Object>} Previous results with their JTBDs and scenarios
+ */
+async function loadPreviousResults(file) {
+  if (!(await fs.pathExists(file))) {
+    throw new Error(`Previous JTBDs file not found: ${file}; pass it with --previous <file>`);
+  }
+  const previousResults = await fs.readJson(file);
+  if (!Array.isArray(previousResults.jtbds)) {
+    throw new Error(`Invalid JTBDs file ${file}: missing or invalid "jtbds" array`);
+  }
+  logger.info(`Loaded ${previousResults.jtbds.length} previous JTBDs from ${file}`);
+  return previousResults;
+}
+
+/**
+ * Log which new scenarios joined existing JTBDs and which formed new ones
+ * @param {Object} report - Incremental report from the JTBD generator
+ */
+function logIncrementalReport(report) {
+  const joinedCount = report.joined.reduce((sum, entry) => sum + entry.scenarioIds.length, 0);
+  const formedCount = report.formed.reduce((sum, entry) => sum + entry.scenarioIds.length, 0);
+  logger.info(`Incremental update: ${report.newScenarios} new scenario(s); ${joinedCount} joined ${report.joined.length} existing JTBD(s), ${formedCount} formed ${report.formed.length} new JTBD(s)`);
+  report.joined.forEach(entry => {
+    logger.info(`  joined  ${entry.jtbdId} (+${entry.scenarioIds.length}): ${entry.statement}`);
+  });
+  report.formed.forEach(entry => {
+    logger.info(`  new     ${entry.jtbdId} (${entry.scenarioIds.length}): ${entry.statement}`);
+  });
+  if (report.unassigned.length > 0) {
+    logger.warn(`${report.unassigned.length} new scenario(s) are not covered by any JTBD; see metadata.errors`);
+  }
+}
+
+/**
+ * Estimate the tokens and cost of generating JTBDs without calling any API
+ * @param {Array} scenarios - Scenarios to process
+ * @param {number} layers - Number of layers for JTBD generation
+ * @param {Array} [pending] - Scenarios that still need JTBDs (defaults to all)
+ * @returns {Object} Dry-run estimate with the embedding and JTBD requests broken out
+ */
+function estimateGeneration(scenarios, layers, pending = scenarios) {
+  const { jtbd, embedding } = jtbdGenerator.estimateJTBDGeneration(scenarios, { layers, pending });
+  logEstimate('Embedding estimate (without cached embeddings)', embedding);
+  logEstimate('JTBD generation estimate (one cluster per scenario)', jtbd);
+  
+  const estimate = mergeEstimate(mergeEstimate(createEstimate(), jtbd), embedding);
+  return { ...estimate, embedding, jtbd };
+}
+
 /**
  * Generate mock JTBDs for testing purposes
  * @param {Array} scenarios - Scenarios to process
@@ -0,0 +1,74 @@
+/**
+ * PDM-AI report command
+ * Writes a Markdown research report for a JTBD output from a template
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import { buildReportModel } from '../utils/report/report-model.js';
+import { renderTemplate } from '../utils/report/template.js';
+import { recordVersion } from '../utils/version-tracker.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_TEMPLATE = path.join(__dirname, '..', 'utils', 'report', 'templates', 'default.md');
+
+/**
+ * Execute the report command
+ * @param {string} input - JTBD output file
+ * @param {Object} options - Command options
+ * @param {string} [options.output] - Report file (default: .pdm/outputs/reports/<input>-report.md)
+ * @param {string} [options.template] - Markdown template (default: REPORT_TEMPLATE or the built-in template)
+ * @param {string} [options.title] - Report title
+ * @param {number} [options.quotes] - Quotes per job
+ * @param {number} [options.topCustomers] - Customers listed per job
+ * @returns {Promise<string>} Path of the written report
+ */
+async function execute(input, options = {}) {
+  try {
+    const inputPath = path.resolve(process.cwd(), input);
+    const data = await fs.readJson(inputPath);
+    if (!Array.isArray(data.jtbds) || data.jtbds.length === 0) {
+      throw new Error(`${input} does not contain any JTBDs; run pdm jtbd first`);
+    }
+
+    const customTemplate = options.template || config.getConfig().report.template;
+    const templatePath = customTemplate ? path.resolve(process.cwd(), customTemplate) : DEFAULT_TEMPLATE;
+    if (!await fs.pathExists(templatePath)) {
+      throw new Error(`Report template not found: ${templatePath}`);
+    }
+    const template = await fs.readFile(templatePath, 'utf8');
+
+    const model = buildReportModel(data, {
+      title: options.title,
+      inputFile: inputPath,
+      quotes: options.quotes,
+      topCustomers: options.topCustomers
+    });
+    // Empty optional sections leave runs of blank lines behind
+    const report = renderTemplate(template, model).replace(/\n{3,}/g, '\n\n');
+
+    const outputPath = options.output
+      ? path.resolve(process.cwd(), options.output)
+      : path.join(process.cwd(), '.pdm', 'outputs', 'reports', `${path.basename(inputPath, path.extname(inputPath))}-report.md`);
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, report);
+    logger.info(`Report on ${model.summary.jtbdCount} JTBDs written to ${outputPath}`);
+
+    await recordVersion({
+      command: 'report',
+      options: { input, ...options },
+      inputs: customTemplate ? [inputPath, templatePath] : [inputPath],
+      outputs: [outputPath],
+      summary: { jtbdCount: model.summary.jtbdCount, sourceCount: model.summary.sourceCount }
+    });
+
+    return outputPath;
+  } catch (error) {
+    logger.error(`Error generating report: ${error.message}`);
+    throw error;
+  }
+}
+
+export { execute };
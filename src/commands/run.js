@@ -0,0 +1,328 @@
+/**
+ * PDM-AI Run Command
+ * Executes the scenario → jtbd → visualize pipeline in one go, skipping stages whose inputs have not changed
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import fileHandler from '../utils/parsers/file-handler.js';
+import projectManager from '../utils/project-manager.js';
+import logger from '../utils/logger.js';
+import { hashContent, hashFile } from '../utils/hash.js';
+import { execute as extractScenarios } from './scenario.js';
+import { execute as generateJtbds } from './jtbd.js';
+import { visualizeFiles } from './visualize.js';
+import { estimateJTBDGeneration } from '../utils/jtbd/jtbd-generator.js';
+import { budgetGuard, createEstimate, logEstimate, mergeEstimate } from '../utils/llm/usage-tracker.js';
+
+const RUN_STATE_FILE = 'run-state.json';
+
+// Scenario counts are unknown before extraction; dry runs assume this many per chunk
+const ESTIMATED_SCENARIOS_PER_CHUNK = 3;
+
+// Stand-in for scenarios that have not been extracted yet, of typical length
+const ESTIMATE_SCENARIO = {
+  statement: 'As a product manager, I want to see all customer feedback about a feature in one place, so that I can decide what to build next',
+  persona: 'product manager',
+  action: 'see all customer feedback about a feature in one place',
+  value: 'decide what to build next'
+};
+
+/**
+ * Derive the base name used for all pipeline artifacts
+ * @param {Array<string>} sources - Source paths
+ * @returns {string} Base name
+ */
+function getBaseName(sources) {
+  if (sources.length > 1) {
+    return 'multiple_sources';
+  }
+  return path.basename(sources[0], path.extname(sources[0]));
+}
+
+/**
+ * Resolve the output paths for every pipeline stage
+ * @param {string} projectRoot - Project root directory
+ * @param {string} baseName - Base name for artifacts
+ * @param {string} format - Visualization format
+ * @returns {Object} Output paths keyed by stage
+ */
+function getStageOutputs(projectRoot, baseName, format) {
+  const outputsDir = path.join(projectRoot, '.pdm', 'outputs');
+  const extension = format === 'mermaid' ? 'md' : format;
+  return {
+    scenario: path.join(outputsDir, 'scenarios', `${baseName}-scenarios.json`),
+    jtbd: path.join(outputsDir, 'jtbds', `${baseName}-jtbds.json`),
+    visualize: path.join(outputsDir, 'visualizations', `${baseName}-viz.${extension}`)
+  };
+}
+
+/**
+ * Hash the contents of every source file so unchanged inputs can be detected
+ * @param {Array<string>} sources - Source paths
+ * @param {boolean} recursive - Whether directories are processed recursively
+ * @returns {Promise<string>} Combined hash of all source files
+ */
+async function hashSources(sources, recursive) {
+  const entries = [];
+  for (const source of sources) {
+    const files = await fileHandler.processSource(path.resolve(source), recursive);
+    files.forEach(file => entries.push([file.path, hashContent(file.content)]));
+  }
+  entries.sort((a, b) => a[0].localeCompare(b[0]));
+  return hashContent(entries);
+}
+
+/**
+ * Load the state recorded by previous runs
+ * @param {string} statePath - Path to the run state file
+ * @returns {Promise<Object>} Run state keyed by stage output path
+ */
+async function loadRunState(statePath) {
+  try {
+    if (await fs.pathExists(statePath)) {
+      return await fs.readJson(statePath);
+    }
+  } catch (error) {
+    logger.warn(`Ignoring unreadable run state ${statePath}: ${error.message}`);
+  }
+  return {};
+}
+
+/**
+ * Persist the run state
+ * @param {string} statePath - Path to the run state file
+ * @param {Object} state - Run state keyed by stage output path
+ * @returns {Promise<void>}
+ */
+async function saveRunState(statePath, state) {
+  await fs.ensureDir(path.dirname(statePath));
+  await fs.writeJson(statePath, state, { spaces: 2 });
+}
+
+/**
+ * Check whether a stage's inputs are unchanged since the last run and its artifacts still exist
+ * @param {Object} stage - Stage definition
+ * @param {Object} state - Run state
+ * @returns {Promise<boolean>} True if the stage can be skipped
+ */
+async function isStageUnchanged(stage, state) {
+  const previous = state[stage.output];
+  if (!previous || previous.inputHash !== stage.inputHash) {
+    return false;
+  }
+  const artifacts = previous.artifacts || [stage.output];
+  return (await Promise.all(artifacts.map(artifact => fs.pathExists(artifact)))).every(Boolean);
+}
+
+/**
+ * Run a single pipeline stage unless its inputs are unchanged since the last run
+ * Stage run functions may return the list of files they produced; by default the stage output is assumed.
+ * The state is saved as soon as the stage completes, so a later stage failing does not cost a rerun.
+ * @param {Object} stage - Stage definition
+ * @param {Object} state - Run state (updated in place)
+ * @param {boolean} force - Run the stage even if its inputs are unchanged
+ * @param {string} statePath - Path to the run state file
+ * @returns {Promise<Object>} Stage summary
+ */
+async function runStage(stage, state, force, statePath) {
+  const previous = state[stage.output];
+  const artifacts = previous ? previous.artifacts || [stage.output] : [];
+
+  if (await isStageUnchanged(stage, state) && !force) {
+    logger.info(`[${stage.name}] Inputs unchanged, reusing ${stage.output}`);
+    return { stage: stage.name, status: 'skipped', output: stage.output, artifacts };
+  }
+
+  logger.info(`[${stage.name}] Running...`);
+  const produced = (await stage.run()) || [stage.output];
+
+  state[stage.output] = {
+    stage: stage.name,
+    inputHash: stage.inputHash,
+    artifacts: produced,
+    completedAt: new Date().toISOString()
+  };
+  await saveRunState(statePath, state);
+  return { stage: stage.name, status: 'generated', output: stage.output, artifacts: produced };
+}
+
+/**
+ * Estimate the tokens and cost of a pipeline run without calling any API
+ * Stages whose inputs are unchanged are skipped and cost nothing. When scenarios still have to be
+ * extracted, the JTBD stage is estimated for a typical number of scenarios per chunk
+ * @param {Object} plan - Stages that would run
+ * @param {Function|null} plan.scenario - Dry run of the scenario stage, or null if it is skipped
+ * @param {Function|null} plan.jtbd - Dry run of the JTBD stage, or null if it is skipped
+ * @param {number} plan.layers - Number of JTBD layers
+ * @param {boolean} plan.scenarioSkipped - Whether the existing scenarios file is reused
+ * @returns {Promise<Object>} { success, dryRun, estimate } with per-stage estimates
+ */
+async function estimateRun({ scenario, jtbd, layers, scenarioSkipped }) {
+  const stages = {};
+
+  if (scenario) {
+    stages.scenario = (await scenario())?.estimate || createEstimate();
+  } else {
+    logger.info('[scenario] Inputs unchanged, no API calls needed');
+  }
+
+  if (!jtbd) {
+    logger.info('[jtbd] Inputs unchanged, no API calls needed');
+  } else if (scenarioSkipped) {
+    stages.jtbd = (await jtbd()).estimate;
+  } else {
+    const scenarioCount = (stages.scenario.chunks || 0) * ESTIMATED_SCENARIOS_PER_CHUNK;
+    const standIns = Array.from({ length: scenarioCount }, () => ESTIMATE_SCENARIO);
+    const { jtbd: jtbdEstimate, embedding } = estimateJTBDGeneration(standIns, { layers });
+    stages.jtbd = mergeEstimate(mergeEstimate(createEstimate(), jtbdEstimate), embedding);
+    logEstimate(`JTBD generation estimate (assuming ${scenarioCount} scenarios)`, stages.jtbd);
+  }
+
+  const estimate = Object.values(stages).reduce((total, stage) => mergeEstimate(total, stage), createEstimate());
+  logEstimate('Pipeline estimate', estimate);
+  return { success: true, dryRun: true, estimate: { ...estimate, stages } };
+}
+
+/**
+ * Execute the run command
+ * @param {string|Array<string>} inputs - Source file(s) or directory(ies)
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} Summary of the artifacts produced by each stage
+ */
+async function execute(inputs, options = {}) {
+  try {
+    if (options.verbose) {
+      logger.setLevel('debug');
+    }
+
+    const sources = Array.isArray(inputs) ? inputs : [inputs];
+    const format = options.format || 'mermaid';
+    const perspective = options.perspective || 'jtbd';
+    const projectRoot = projectManager.findProjectRoot(process.cwd()) || process.cwd();
+    const outputs = getStageOutputs(projectRoot, getBaseName(sources), format);
+
+    const statePath = path.join(projectRoot, '.pdm', RUN_STATE_FILE);
+    const state = await loadRunState(statePath);
+    const force = options.force || false;
+
+    logger.info(`Running pipeline for ${sources.join(', ')}`);
+
+    // The budget covers the whole pipeline, so it is applied here rather than by each stage
+    budgetGuard.applyOptions(options);
+
+    const sharedOptions = {
+      model: options.model,
+      concurrency: options.concurrency,
+      record: options.record,
+      replay: options.replay,
+      fixtures: options.fixtures,
+      allowFallback: options.allowFallback,
+      mock: options.mock,
+      verbose: options.verbose
+    };
+    const scenarioInput = sources.length === 1 ? sources[0] : sources;
+    const scenarioOptions = {
+      ...sharedOptions,
+      output: outputs.scenario,
+      recursive: options.recursive,
+      chunkSize: options.chunkSize,
+      chunkOverlap: options.chunkOverlap,
+      force
+    };
+    const jtbdOptions = {
+      ...sharedOptions,
+      output: outputs.jtbd,
+      layers: options.layers,
+      threshold1: options.threshold1,
+      threshold2: options.threshold2
+    };
+
+    // Stage 1: scenarios from raw sources
+    const scenarioStage = {
+      name: 'scenario',
+      output: outputs.scenario,
+      inputHash: hashContent(
+        await hashSources(sources, options.recursive),
+        {
+          model: options.model || null,
+          mock: options.mock || false,
+          allowFallback: options.allowFallback || false,
+          chunkSize: options.chunkSize || null,
+          chunkOverlap: options.chunkOverlap ?? null
+        }
+      ),
+      run: async () => {
+        const outputFile = await extractScenarios(scenarioInput, scenarioOptions);
+        if (!outputFile) {
+          throw new Error('Scenario extraction produced no output');
+        }
+      }
+    };
+
+    // Stage 2: JTBDs from the scenarios file, whose hash is only known once stage 1 has run
+    const createJtbdStage = async () => ({
+      name: 'jtbd',
+      output: outputs.jtbd,
+      inputHash: hashContent(await hashFile(outputs.scenario), {
+        model: options.model || null,
+        mock: options.mock || false,
+        allowFallback: options.allowFallback || false,
+        layers: options.layers || 1,
+        threshold1: options.threshold1 || null,
+        threshold2: options.threshold2 || null
+      }),
+      run: async () => {
+        await generateJtbds(outputs.scenario, jtbdOptions);
+      }
+    });
+
+    if (options.dryRun) {
+      const scenarioSkipped = !force && await isStageUnchanged(scenarioStage, state);
+      const jtbdStage = scenarioSkipped ? await createJtbdStage() : null;
+      return await estimateRun({
+        scenario: scenarioSkipped ? null : () => extractScenarios(scenarioInput, { ...scenarioOptions, dryRun: true }),
+        jtbd: jtbdStage && !force && await isStageUnchanged(jtbdStage, state)
+          ? null
+          : () => generateJtbds(outputs.scenario, { ...jtbdOptions, dryRun: true }),
+        layers: options.layers || 1,
+        scenarioSkipped
+      });
+    }
+
+    const summary = [];
+    summary.push(await runStage(scenarioStage, state, force, statePath));
+    summary.push(await runStage(await createJtbdStage(), state, force, statePath));
+
+    // Stage 3: visualization of the JTBDs file
+    summary.push(await runStage({
+      name: 'visualize',
+      output: outputs.visualize,
+      inputHash: hashContent(await hashFile(outputs.jtbd), { format, perspective }),
+      run: async () => {
+        // CSV output may be one file per JTBD or a single file, depending on the perspective
+        const { files } = await visualizeFiles(outputs.jtbd, {
+          output: outputs.visualize,
+          format,
+          perspective,
+          verbose: options.verbose
+        });
+        return files;
+      }
+    }, state, force, statePath));
+
+    logger.info('');
+    logger.info('Pipeline complete:');
+    summary.forEach(entry => {
+      entry.artifacts.forEach(artifact => {
+        logger.info(`  ${entry.stage.padEnd(10)} ${entry.status.padEnd(10)} ${artifact}`);
+      });
+    });
+
+    return { success: true, stages: summary };
+  } catch (error) {
+    logger.error(`Pipeline failed: ${error.message}`);
+    throw error;
+  }
+}
+
+export { execute };
@@ -9,6 +9,23 @@ import scenarioParser from '../utils/parsers/scenario-parser.js';
 import mockScenarioParser from '../utils/parsers/mock-scenario-parser.js';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
+import { chunkText, estimateTokens } from '../utils/parsers/chunker.js';
+import { carryOverScenarioIds, deduplicateScenarios } from '../utils/parsers/scenario-deduplicator.js';
+import { applyRecordingOptions, isFixtureMissing } from '../utils/recorder.js';
+import { loadRegistry, lookupSource, recordSource, saveRegistry } from '../utils/source-registry.js';
+import { hashContent } from '../utils/hash.js';
+import { recordVersion } from '../utils/version-tracker.js';
+import {
+  addEstimate,
+  budgetGuard,
+  createBudgetError,
+  createEstimate,
+  createUsage,
+  isBudgetExceeded,
+  logEstimate,
+  logUsage,
+  mergeUsage
+} from '../utils/llm/usage-tracker.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -22,16 +39,26 @@ async function extractScenarios(source, options) {
     logger.info(`Starting scenario extraction from ${source}`);
     logger.debug(`Options: ${JSON.stringify(options)}`);
 
-    // Set custom model if provided
+    // Apply a custom model for this run so the LLM provider picks it up
     if (options.model) {
-      // Just set the model directly in the environment variable
-      // This avoids using config.updateConfig which doesn't exist
-      if (options.model) {
-        process.env.LLM_MODEL = options.model;
-        logger.debug(`Using custom model: ${options.model}`);
-      }
+      config.getConfig().llm.model = options.model;
+      logger.debug(`Using custom model: ${options.model}`);
+    }
+    
+    // Placeholder scenarios for unparseable responses must be requested explicitly
+    if (options.allowFallback) {
+      config.getConfig().allowFallback = true;
+      logger.warn('Fallback mode enabled: placeholder scenarios may be written for failed sources');
     }
     
+    if (options.concurrency) {
+      config.getConfig().requests.concurrency = options.concurrency;
+      logger.debug(`Running up to ${options.concurrency} API requests in parallel`);
+    }
+    
+    applyRecordingOptions(options);
+    budgetGuard.applyOptions(options);
+    
     // Use mock parser for testing if specified
     const parser = options.mock ? mockScenarioParser : scenarioParser;
     logger.debug(`Using ${options.mock ? 'mock' : 'real'} scenario parser`);
@@ -55,57 +82,129 @@ async function extractScenarios(source, options) {
       return;
     }
     
+    const chunkSize = options.chunkSize || config.chunking.size;
+    const chunkOverlap = options.chunkOverlap ?? config.chunking.overlap;
+    
+    // Results are merged into the existing output file; sources whose content and extraction
+    // settings are unchanged since they were written there are reused instead of extracted again
+    const outputFile = options.output || generateOutputFilename(source);
+    const previous = await loadPreviousOutput(outputFile);
+    const registry = await loadRegistry();
+    const settingsHash = hashContent({
+      model: config.model,
+      language: config.language,
+      chunkSize,
+      chunkOverlap,
+      mock: options.mock || false
+    });
+    const plan = planExtraction(allSources, registry, previous, settingsHash, options.force);
+    
+    if (options.dryRun) {
+      const estimate = estimateExtraction(plan.extract, { chunkSize, chunkOverlap });
+      logEstimate('Scenario extraction estimate', estimate);
+      return { success: true, dryRun: true, estimate };
+    }
+    
     // Process each source and extract scenarios
-    const results = {
-      sources: [],
-      scenarios: []
-    };
+    const runErrors = [];
+    let repairAttempts = 0;
+    let unverifiedQuotes = 0;
+    const usage = createUsage();
+    const usageBySource = {};
     
-    for (let i = 0; i < allSources.length; i++) {
-      const source = allSources[i];
-      logger.info(`Processing ${i + 1}/${allSources.length}: ${source.name}`);
-      
-      try {
-        const extractedScenarios = await parser.extractScenarios(source.content, source);
-        
-        // Add source info and scenarios to results
-        // Remove content field from source to reduce output size
-        const { content, ...sourceWithoutContent } = source;
-        results.sources.push(sourceWithoutContent);
-        results.scenarios = results.scenarios.concat(extractedScenarios);
-        
-        logger.info(`Extracted ${extractedScenarios.length} scenarios from ${source.name}`);
-      } catch (error) {
-        logger.error(`Error processing ${source.name}: ${error.message}`);
-        if (options.verbose) {
-          logger.debug(error.stack);
+    // Sources and chunks are processed in parallel; the request queue bounds the API calls in flight
+    const outcomes = await Promise.all(plan.extract.map((source, i) => {
+      logger.info(`Processing ${i + 1}/${plan.extract.length}: ${source.name}`);
+      return processSource(source, parser, { chunkSize, chunkOverlap, verbose: options.verbose });
+    }));
+    
+    // Collect results in source order so the output does not depend on completion order
+    const extracted = new Map();
+    outcomes.forEach(outcome => {
+      runErrors.push(...outcome.errors);
+      repairAttempts += outcome.repairAttempts;
+      unverifiedQuotes += outcome.unverifiedQuotes;
+      if (outcome.usage.requests > 0) {
+        mergeUsage(usage, outcome.usage);
+        usageBySource[outcome.sourceId] = { name: outcome.sourceName, ...outcome.usage };
+      }
+      if (outcome.source) {
+        // Scenarios that were already extracted from an earlier version of the source keep their IDs
+        const carried = carryOverScenarioIds(outcome.scenarios, getSourceScenarios(previous, outcome.source.id));
+        if (carried > 0) {
+          logger.info(`Kept the IDs of ${carried} scenario(s) already extracted from ${outcome.source.name}`);
         }
+        extracted.set(outcome.source.id, outcome);
+        recordSource(registry, outcome.source);
       }
-    }
+    });
     
-    // Save results to output file
-    const outputFile = options.output || generateOutputFilename(source);
-    const outputDir = path.dirname(outputFile);
+    const results = mergeResults(previous, allSources, extracted);
+    const runSourceIds = new Set(allSources.map(item => item.id));
+    const errors = [
+      ...previous.metadata.errors.filter(error => !runSourceIds.has(error.sourceId) && results.sourceIds.has(error.sourceId)),
+      ...runErrors
+    ];
     
     // Create output directory if it doesn't exist
-    await fs.ensureDir(outputDir);
+    await fs.ensureDir(path.dirname(outputFile));
     
     // Add version metadata
+    const { byModel, ...usageTotals } = usage;
     const metadata = {
       version: '1.0',
       timestamp: new Date().toISOString(),
       sourceCount: results.sources.length,
-      scenarioCount: results.scenarios.length
+      scenarioCount: results.scenarios.length,
+      chunking: { size: chunkSize, overlap: chunkOverlap },
+      incremental: {
+        extracted: extracted.size,
+        reused: plan.reuse.length,
+        removed: results.removed
+      },
+      repairAttempts,
+      unverifiedQuotes,
+      usage: {
+        ...usageTotals,
+        byStage: { scenario: usageTotals },
+        byModel: byModel || {},
+        bySource: usageBySource
+      },
+      errors
     };
     
     const outputData = {
       metadata,
-      ...results
+      sources: results.sources,
+      scenarios: results.scenarios
     };
     
     // Write output file
     await fs.writeJSON(outputFile, outputData, { spaces: 2 });
+    await saveRegistry(registry);
     logger.info(`Saved ${results.scenarios.length} scenarios to ${outputFile}`);
+    logUsage('Scenario extraction usage', usage);
+    
+    // Chunks skipped because of the budget fail the command even when fallbacks are allowed
+    const skippedChunks = runErrors.filter(error => isBudgetExceeded(error)).length;
+    if (skippedChunks > 0) {
+      throw createBudgetError(`Budget reached: ${skippedChunks} chunk(s) were not processed; partial results saved to ${outputFile}`);
+    }
+    
+    // In strict mode any failed source fails the command once the partial results are saved
+    if (runErrors.length > 0 && !config.allowFallback) {
+      const failedSources = new Set(runErrors.map(error => error.sourceId)).size;
+      throw new Error(`Scenario extraction failed for ${failedSources} of ${plan.extract.length} source(s); see metadata.errors in ${outputFile}`);
+    }
+    
+    await recordVersion({
+      command: 'scenario',
+      options: { source, ...options },
+      inputs: allSources.map(item => item.path),
+      outputs: [outputFile],
+      model: options.mock ? 'mock' : config.getConfig().llm.model,
+      summary: { sourceCount: metadata.sourceCount, scenarioCount: metadata.scenarioCount }
+    });
     
     return outputFile;
   } catch (error) {
@@ -117,6 +216,250 @@ async function extractScenarios(source, options) {
   }
 }
 
+/**
+ * Load the scenarios file a run merges into
+ * @param {string} outputFile - Output file path
+ * @returns {Promise<Object>} { sources, scenarios, metadata: { errors } }, empty if the file does not exist
+ */
+async function loadPreviousOutput(outputFile) {
+  const empty = { sources: [], scenarios: [], metadata: { errors: [] } };
+  if (!(await fs.pathExists(outputFile))) {
+    return empty;
+  }
+  try {
+    const data = await fs.readJson(outputFile);
+    return {
+      sources: Array.isArray(data.sources) ? data.sources : [],
+      scenarios: Array.isArray(data.scenarios) ? data.scenarios : [],
+      metadata: { errors: Array.isArray(data.metadata?.errors) ? data.metadata.errors : [] }
+    };
+  } catch (error) {
+    logger.warn(`Ignoring unreadable scenarios file ${outputFile}: ${error.message}`);
+    return empty;
+  }
+}
+
+/**
+ * Get the scenarios of a source from an output file
+ * @param {Object} output - Scenarios file data
+ * @param {string} sourceId - Source ID
+ * @returns {Array<Object>} Scenarios citing the source
+ */
+function getSourceScenarios(output, sourceId) {
+  return output.scenarios.filter(scenario => (scenario.sources || []).includes(sourceId));
+}
+
+/**
+ * Decide which sources need to be extracted
+ * Every source gets its stable ID from the registry (or, for files written before the registry existed,
+ * from the previous output by path). A source is reused when the previous output holds it with the same
+ * content and extraction settings and it did not fail there.
+ * @param {Array<Object>} sources - Sources of this run (IDs and hashes are set in place)
+ * @param {Object} registry - Source registry
+ * @param {Object} previous - Previous scenarios file data
+ * @param {string} settingsHash - Hash of the settings that affect extraction
+ * @param {boolean} [force] - Extract every source again
+ * @returns {Object} { extract, reuse } source lists
+ */
+function planExtraction(sources, registry, previous, settingsHash, force = false) {
+  const previousById = new Map(previous.sources.map(item => [item.id, item]));
+  const previousByPath = new Map(previous.sources.map(item => [path.resolve(item.path || ''), item]));
+  const failedIds = new Set(previous.metadata.errors.map(error => error.sourceId));
+  const plan = { extract: [], reuse: [] };
+  const counts = { new: 0, changed: 0 };
+  
+  sources.forEach(source => {
+    const { hash, entry } = lookupSource(registry, source);
+    source.id = entry?.id || previousByPath.get(path.resolve(source.path))?.id || source.id;
+    source.contentHash = hash;
+    source.settingsHash = settingsHash;
+    
+    const previousSource = previousById.get(source.id);
+    // Without a registry entry (outside a project) the previous output's hash decides alone
+    const unchanged = (!entry || entry.hash === hash) &&
+      previousSource?.contentHash === hash &&
+      previousSource.settingsHash === settingsHash &&
+      !failedIds.has(source.id);
+    
+    if (unchanged && !force) {
+      plan.reuse.push(source);
+    } else {
+      plan.extract.push(source);
+      counts[entry || previousSource ? 'changed' : 'new']++;
+    }
+  });
+  
+  if (plan.reuse.length > 0 || force) {
+    logger.info(`Sources: ${counts.new} new, ${counts.changed} ${force ? 'forced' : 'changed'}, ${plan.reuse.length} unchanged (reused)`);
+  }
+  return plan;
+}
+
+/**
+ * Merge the sources and scenarios of a run into the previous output
+ * Sources keep their previous position and new sources are appended. Sources that were not part of this run
+ * stay unless their file was deleted; a source whose extraction failed completely keeps its previous results.
+ * @param {Object} previous - Previous scenarios file data
+ * @param {Array<Object>} runSources - Sources of this run
+ * @param {Map<string, Object>} extracted - Extraction outcomes of this run by source ID
+ * @returns {Object} { sources, scenarios, sourceIds, removed }
+ */
+function mergeResults(previous, runSources, extracted) {
+  const runIds = new Set(runSources.map(item => item.id));
+  const order = [];
+  let removed = 0;
+  
+  previous.sources.forEach(item => {
+    if (runIds.has(item.id) || (item.path && fs.pathExistsSync(item.path))) {
+      order.push(item.id);
+    } else {
+      logger.info(`Removing scenarios of deleted source ${item.name || item.path}`);
+      removed++;
+    }
+  });
+  runSources.forEach(item => {
+    if (!order.includes(item.id)) {
+      order.push(item.id);
+    }
+  });
+  
+  const previousById = new Map(previous.sources.map(item => [item.id, item]));
+  const results = { sources: [], scenarios: [], sourceIds: new Set(), removed };
+  order.forEach(id => {
+    const outcome = extracted.get(id);
+    const sourceEntry = outcome ? outcome.source : previousById.get(id);
+    if (!sourceEntry) {
+      return;
+    }
+    results.sources.push(sourceEntry);
+    results.sourceIds.add(id);
+    results.scenarios.push(...(outcome ? outcome.scenarios : getSourceScenarios(previous, id)));
+  });
+  return results;
+}
+
+/**
+ * Extract scenarios from one source, chunk by chunk
+ * @param {Object} source - Source file info including its content
+ * @param {Object} parser - Scenario parser (real or mock)
+ * @param {Object} options - Chunking and logging options
+ * @returns {Promise<Object>} { source, scenarios, errors, repairAttempts, unverifiedQuotes, usage }; source is null if every chunk failed
+ */
+async function processSource(source, parser, { chunkSize, chunkOverlap, verbose }) {
+  // Split long sources so each prompt fits the context window
+  const chunks = chunkText(source.content, { chunkSize, overlap: chunkOverlap });
+  if (chunks.length > 1) {
+    logger.info(`Split ${source.name} into ${chunks.length} chunks of up to ${chunkSize} tokens`);
+  }
+  
+  const stats = { repairAttempts: 0, usage: createUsage() };
+  const errors = [];
+  
+  const chunkResults = await Promise.all(chunks.map(async chunk => {
+    try {
+      const extractedScenarios = await parser.extractScenarios(chunk.text, source, stats);
+      
+      // Record where in the source each scenario came from; evidence offsets are chunk-relative
+      extractedScenarios.forEach(scenario => {
+        scenario.chunk = { index: chunk.index, count: chunks.length, start: chunk.start, end: chunk.end };
+        (scenario.evidence || []).forEach(item => {
+          if (item.verified) {
+            item.start += chunk.start;
+            item.end += chunk.start;
+          }
+        });
+      });
+      return extractedScenarios;
+    } catch (error) {
+      // A replay miss means the fixtures do not match this run, so stop instead of recording a partial result
+      if (isFixtureMissing(error)) {
+        throw error;
+      }
+      const location = chunks.length > 1 ? ` (chunk ${chunk.index + 1}/${chunks.length})` : '';
+      logger.error(`Error processing ${source.name}${location}: ${error.message}`);
+      if (verbose) {
+        logger.debug(error.stack);
+      }
+      errors.push({
+        stage: 'scenario',
+        sourceId: source.id,
+        source: source.path,
+        chunk: chunk.index,
+        ...(isBudgetExceeded(error) && { code: error.code }),
+        message: error.message
+      });
+      return null;
+    }
+  }));
+  
+  errors.sort((a, b) => a.chunk - b.chunk);
+  const outcome = {
+    source: null,
+    sourceId: source.id,
+    sourceName: source.name,
+    scenarios: [],
+    errors,
+    repairAttempts: stats.repairAttempts,
+    unverifiedQuotes: 0,
+    usage: stats.usage
+  };
+  if (chunkResults.every(result => result === null)) {
+    return outcome;
+  }
+  
+  // Overlapping chunks repeat passages, so drop scenarios already found in an earlier chunk
+  const sourceScenarios = chunkResults.filter(Boolean).flat();
+  const uniqueScenarios = deduplicateScenarios(sourceScenarios);
+  if (uniqueScenarios.length < sourceScenarios.length) {
+    logger.info(`Removed ${sourceScenarios.length - uniqueScenarios.length} duplicate scenarios across chunks of ${source.name}`);
+  }
+  
+  const unverified = uniqueScenarios.reduce(
+    (count, scenario) => count + (scenario.evidence || []).filter(item => !item.verified).length, 0);
+  if (unverified > 0) {
+    logger.warn(`${unverified} quote(s) from ${source.name} could not be found in the source text`);
+  }
+  
+  logger.info(`Extracted ${uniqueScenarios.length} scenarios from ${source.name}`);
+  
+  // Remove content field from source to reduce output size
+  const { content, ...sourceWithoutContent } = source;
+  return {
+    ...outcome,
+    source: {
+      ...sourceWithoutContent,
+      chunkCount: chunks.length,
+      repairAttempts: stats.repairAttempts
+    },
+    scenarios: uniqueScenarios,
+    unverifiedQuotes: unverified
+  };
+}
+
+/**
+ * Estimate the tokens and cost of extracting scenarios without calling any API
+ * Every chunk is one request; its completion is bounded by the configured token limit
+ * @param {Array<Object>} sources - Source files including their content
+ * @param {Object} options - Chunking options
+ * @returns {Object} Dry-run estimate, including the number of chunks
+ */
+function estimateExtraction(sources, { chunkSize, chunkOverlap }) {
+  const model = config.model || 'gpt-4o';
+  const maxTokens = config.maxTokens || 4000;
+  const estimate = { ...createEstimate(), chunks: 0 };
+  
+  sources.forEach(source => {
+    chunkText(source.content, { chunkSize, overlap: chunkOverlap }).forEach(chunk => {
+      const messages = scenarioParser.createMessages(chunk.text, model);
+      const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+      addEstimate(estimate, model, promptTokens, maxTokens);
+      estimate.chunks++;
+    });
+  });
+  
+  return estimate;
+}
+
 /**
  * Generate an output filename based on source path
  * @param {string} source - Source path
@@ -152,7 +495,7 @@ async function execute(source, options = {}) {
     return await extractScenarios(source, options);
   } catch (error) {
     logger.error(`Failed to execute scenario command: ${error.message}`);
-    process.exit(1);
+    throw error;
   }
 }
 
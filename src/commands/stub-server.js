@@ -0,0 +1,30 @@
+/**
+ * PDM-AI stub-server command
+ * Serves deterministic OpenAI-compatible chat and embedding responses for offline testing
+ */
+import logger from '../utils/logger.js';
+import { startStubServer } from '../utils/llm/stub-server.js';
+
+/**
+ * Start the stub server and print the settings that point PDM-AI at it
+ * The server keeps running until the process is stopped
+ * @param {Object} options - Command options
+ * @param {number} [options.port] - Port to listen on
+ * @param {string} [options.host] - Host to bind
+ * @returns {Promise<Object>} { success, baseUrl, server }
+ */
+async function execute(options = {}) {
+  const { server, baseUrl } = await startStubServer({ port: options.port, host: options.host });
+
+  logger.info(`Stub LLM server listening on ${baseUrl}`);
+  logger.info('Point PDM-AI at it with these settings (for example in .env):');
+  logger.info('  LLM_PROVIDER=openai-compatible');
+  logger.info(`  LLM_BASE_URL=${baseUrl}`);
+  logger.info('  EMBEDDING_PROVIDER=openai');
+  logger.info(`  EMBEDDING_BASE_URL=${baseUrl}`);
+  logger.info('Press Ctrl+C to stop');
+
+  return { success: true, baseUrl, server };
+}
+
+export { execute };
@@ -0,0 +1,120 @@
+/**
+ * PDM-AI versions command
+ * Lists, inspects and restores the project versions recorded by every run
+ */
+import logger from '../utils/logger.js';
+import { getVersion, listVersions, restoreVersion } from '../utils/version-tracker.js';
+
+/**
+ * Describe what a version produced in a few words
+ * @param {Object} entry - Version entry
+ * @returns {string} Short description
+ */
+function describeVersion(entry) {
+  const parts = [];
+  if (entry.command === 'restore') {
+    parts.push(`restored version ${entry.options.version}`);
+  }
+  const summary = entry.summary || {};
+  if (summary.sourceCount !== undefined) {
+    parts.push(`${summary.sourceCount} sources`);
+  }
+  if (summary.scenarioCount !== undefined) {
+    parts.push(`${summary.scenarioCount} scenarios`);
+  }
+  if (summary.jtbdCount !== undefined) {
+    parts.push(`${summary.jtbdCount} JTBDs`);
+  }
+  parts.push(`${entry.outputs.length} file(s)`);
+  return parts.join(', ');
+}
+
+/**
+ * Print the recorded versions, oldest first
+ * @returns {Promise<Object>} Recorded versions
+ */
+async function list() {
+  const versions = await listVersions();
+
+  if (versions.length === 0) {
+    logger.info('No versions recorded yet');
+  } else {
+    logger.info(`Project versions (${versions.length}):`);
+    versions.forEach(entry => {
+      logger.info(`  ${String(entry.version).padStart(3)}  ${entry.timestamp}  ${entry.command.padEnd(9)}  ${describeVersion(entry)}`);
+    });
+  }
+
+  return { success: true, versions };
+}
+
+/**
+ * Print the details of one version
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Version entry
+ */
+async function show(version) {
+  const entry = await getVersion(version);
+
+  logger.info(`Version ${entry.version}${entry.parent ? ` (parent ${entry.parent})` : ''}`);
+  logger.info(`  Command:   ${entry.command}`);
+  logger.info(`  Timestamp: ${entry.timestamp}`);
+  logger.info(`  Model:     ${entry.model || '-'}`);
+  logger.info(`  Options:   ${JSON.stringify(entry.options)}`);
+  if (entry.summary) {
+    logger.info(`  Summary:   ${JSON.stringify(entry.summary)}`);
+  }
+  logger.info('  Inputs:');
+  entry.inputs.forEach(input => {
+    logger.info(`    ${input.path}  ${input.hash ? input.hash.slice(0, 12) : '(missing)'}`);
+  });
+  logger.info('  Outputs:');
+  entry.outputs.forEach(output => {
+    logger.info(`    ${output.path}  ${output.hash.slice(0, 12)}  -> ${output.snapshot}`);
+  });
+
+  return { success: true, version: entry };
+}
+
+/**
+ * Restore the files of a version
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Restored files and the version recording the restore
+ */
+async function restore(version) {
+  const { restored, files, recorded } = await restoreVersion(version);
+
+  logger.info(`Restored ${files.length} file(s) from version ${restored.version} (${restored.command}, ${restored.timestamp}):`);
+  files.forEach(file => logger.info(`  ${file}`));
+  if (recorded) {
+    logger.info(`The restore was recorded as version ${recorded.version}`);
+  }
+
+  return { success: true, files, version: recorded };
+}
+
+/**
+ * Execute the versions command
+ * @param {string} action - Versions action: 'list', 'show' or 'restore'
+ * @param {number} [version] - Version number for 'show' and 'restore'
+ * @returns {Promise<Object>} Result of the action
+ */
+async function execute(action, version) {
+  try {
+    switch (action) {
+      case 'list':
+        return await list();
+      case 'show':
+        return await show(version);
+      case 'restore':
+        return await restore(version);
+      default:
+        throw new Error(`Unknown versions action '${action}'. Supported actions: list, show, restore`);
+    }
+  } catch (error) {
+    logger.error(`Versions command failed: ${error.message}`);
+    return { success: false, message: error.message };
+  }
+}
+
+export { execute };
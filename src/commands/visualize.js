@@ -7,11 +7,14 @@ import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
 import * as visualization from '../utils/visualization/index.js';
+import { recordVersion } from '../utils/version-tracker.js';
+import { diffOutputs, getJTBDChanges } from '../utils/output-diff.js';
+import { parseWeights } from '../utils/jtbd/jtbd-priority.js';
 
 /**
  * Generate a default output filename based on the input file and format
  * @param {string} inputFile - Path to input file
- * @param {string} format - Output format (mermaid, csv)
+ * @param {string} format - Output format (mermaid, csv, html, dot, graphml)
  * @returns {string} Default output filename
  */
 function generateDefaultOutputFilename(inputFile, format) {
@@ -21,17 +24,26 @@ function generateDefaultOutputFilename(inputFile, format) {
 }
 
 /**
- * Execute the visualize command
+ * Write a visualization and report every file written
+ * CSV output of the jtbd, persona and diff perspectives is split over several files next to the
+ * output path; all other outputs are the output path itself.
  * @param {string} input - Input JSON file with JTBDs and scenarios
  * @param {Object} options - Command options
+ * @returns {Promise<Object>} { outputPath, files } with the paths of the written files
+ * @throws {Error} When the input or the option combination cannot be visualized
  */
-async function execute(input, options = {}) {
+async function visualizeFiles(input, options = {}) {
   try {
     // Set default options
     options.format = options.format || 'mermaid';
     options.perspective = options.perspective || 'jtbd';
     options.maxNodes = options.maxNodes || 100;
     
+    // Comparing with a previous output selects the diff perspective
+    if (options.compare && options.perspective === 'jtbd') {
+      options.perspective = 'diff';
+    }
+    
     const verbose = options.verbose;
     if (verbose) {
       console.log(chalk.blue(`Generating visualization from: ${input}`));
@@ -41,8 +53,7 @@ async function execute(input, options = {}) {
     // Validate input file exists
     const inputPath = path.resolve(process.cwd(), input);
     if (!fs.existsSync(inputPath)) {
-      console.error(chalk.red(`Error: Input file does not exist: ${inputPath}`));
-      process.exit(1);
+      throw new Error(`Input file does not exist: ${inputPath}`);
     }
     
     // Determine output path
@@ -63,21 +74,83 @@ async function execute(input, options = {}) {
     if (options.perspective === 'jtbd') {
       // Check if we have JTBD data
       if (!inputData.jtbds || !Array.isArray(inputData.jtbds) || inputData.jtbds.length === 0) {
-        console.error(chalk.red(`Error: Input file doesn't contain valid JTBD data for JTBD perspective`));
-        process.exit(1);
+        throw new Error(`Input file doesn't contain valid JTBD data for JTBD perspective`);
       }
       
       // Check if we already have scenario data in the same file (new format)
       if (!inputData.scenarios || !Array.isArray(inputData.scenarios) || inputData.scenarios.length === 0) {
-        console.error(chalk.red(`Error: Input file doesn't contain scenario data, which is required for JTBD perspective`));
-        console.error(chalk.red(`Use the updated 'pdm jtbd' command to generate files that include both JTBDs and scenarios`));
-        process.exit(1);
+        throw new Error(`Input file doesn't contain scenario data, which is required for JTBD perspective. Use the updated 'pdm jtbd' command to generate files that include both JTBDs and scenarios`);
+      }
+    } else if (options.perspective === 'diff') {
+      if (!options.compare) {
+        throw new Error(`The diff perspective needs a previous JTBD file to compare with (--compare <previous.json>)`);
+      }
+      if (!Array.isArray(inputData.jtbds)) {
+        throw new Error(`Input file doesn't contain JTBD data, which is required for the diff perspective`);
+      }
+    } else if (options.perspective === 'priority') {
+      if (!Array.isArray(inputData.jtbds) || inputData.jtbds.length === 0) {
+        throw new Error(`Input file doesn't contain valid JTBD data for the priority perspective`);
+      }
+    } else if (options.perspective === 'source') {
+      // Attribution follows the scenarios of each JTBD back to their sources
+      if (!Array.isArray(inputData.jtbds) || inputData.jtbds.length === 0 || !Array.isArray(inputData.scenarios)) {
+        throw new Error(`Input file doesn't contain the JTBDs and scenarios required for the source perspective`);
       }
     } else if (options.perspective === 'persona') {
       // For persona perspective, we only need scenarios
       if (!inputData.scenarios || !Array.isArray(inputData.scenarios) || inputData.scenarios.length === 0) {
-        console.error(chalk.red(`Error: Input file doesn't contain valid scenario data required for persona perspective`));
-        process.exit(1);
+        throw new Error(`Input file doesn't contain valid scenario data required for persona perspective`);
+      }
+    }
+    
+    // The HTML report has its own filters and always shows the JTBD hierarchy
+    if (options.format === 'html' && options.perspective !== 'jtbd') {
+      throw new Error(`The HTML report shows the JTBD hierarchy; use the jtbd perspective with --format html`);
+    }
+    
+    // Graph exports contain the whole JTBD graph and leave the layout to Graphviz or Gephi
+    const graphFormat = options.format === 'dot' || options.format === 'graphml';
+    if (graphFormat && options.perspective !== 'jtbd') {
+      throw new Error(`${options.format} exports the full JTBD graph; use the jtbd perspective with --format ${options.format}`);
+    }
+    
+    // Mermaid JTBD and persona diagrams over --max-nodes are split anyway; --split forces it
+    if (options.split && (options.format !== 'mermaid' || !['jtbd', 'persona'].includes(options.perspective))) {
+      throw new Error(`--split works with the mermaid format and the jtbd or persona perspective`);
+    }
+    
+    if (options.compare && options.perspective !== 'diff') {
+      throw new Error(`--compare can only be used with the diff perspective`);
+    }
+    
+    // Work out what changed since the previous output
+    let comparison = null;
+    let comparePath = null;
+    if (options.perspective === 'diff') {
+      comparePath = path.resolve(process.cwd(), options.compare);
+      if (!fs.existsSync(comparePath)) {
+        throw new Error(`Previous file does not exist: ${comparePath}`);
+      }
+      const previousData = await fs.readJson(comparePath);
+      if (!Array.isArray(previousData.jtbds)) {
+        throw new Error(`Previous file doesn't contain JTBD data: ${comparePath}`);
+      }
+      comparison = { previous: previousData, diff: diffOutputs(previousData, inputData) };
+      
+      if (verbose) {
+        const statuses = [...getJTBDChanges(comparison.diff).values()].map(change => change.status);
+        const count = status => statuses.filter(item => item === status).length;
+        console.log(chalk.blue(`Compared with ${comparePath}: ${count('new')} new, ${count('changed')} changed, ${count('removed')} removed JTBDs`));
+      }
+    }
+    
+    // Weights of the evidence behind priority scores, from --weights or PRIORITY_WEIGHTS
+    let weights;
+    if (options.perspective === 'priority') {
+      weights = options.weights === undefined ? parseWeights() : parseWeights(options.weights);
+      if (verbose) {
+        console.log(chalk.blue(`Priority weights: ${Object.entries(weights).map(([name, weight]) => `${name}=${weight}`).join(', ')}`));
       }
     }
     
@@ -87,7 +160,12 @@ async function execute(input, options = {}) {
       view: options.perspective, // Map perspective to view for backward compatibility
       filter: options.filter,
       maxNodes: parseInt(options.maxNodes, 10),
+      split: Boolean(options.split),
       includeFullStatements: true,  // Always include full statements for better context
+      comparison,
+      weights,
+      title: `PDM-AI Report: ${path.basename(inputPath, path.extname(inputPath))}`,
+      fileName: path.basename(inputPath),
       outputPath: outputPath // Pass the output path for CSV generation
     };
     
@@ -100,20 +178,35 @@ async function execute(input, options = {}) {
     await fs.ensureDir(path.dirname(outputPath));
     
     // Handle result based on format
-    if (options.format === 'mermaid') {
-      // For Mermaid format, write a single file
+    if (options.format === 'mermaid' || options.format === 'html' || graphFormat) {
+      // For Mermaid, HTML and graph formats, write a single file
       await fs.writeFile(outputPath, result.content);
       
       console.log(chalk.green(`✓ Visualization generated successfully!`));
       console.log(chalk.green(`  - Output file: ${outputPath}`));
+      if (result.stats.diagramCount && !options.split) {
+        console.log(chalk.yellow(`  - Split into ${result.stats.diagramCount} diagrams to stay within ${visualizationOptions.maxNodes} nodes each`));
+      }
       
-      if (verbose) {
+      if (verbose && options.format === 'html') {
+        console.log(chalk.green(`  - Format: ${options.format}`));
+        console.log(chalk.green(`  - JTBDs included: ${result.stats.jtbdCount}`));
+        console.log(chalk.green(`  - Scenarios included: ${result.stats.scenarioCount}`));
+        console.log(chalk.yellow(`\nThe report works offline; open it in any browser or attach it as a single file.`));
+      } else if (verbose) {
         console.log(chalk.green(`  - Format: ${options.format}`));
         console.log(chalk.green(`  - Perspective: ${options.perspective}`));
         console.log(chalk.green(`  - Nodes rendered: ${result.stats.nodeCount}`));
         console.log(chalk.green(`  - Edges rendered: ${result.stats.edgeCount}`));
-        console.log(chalk.yellow(`\nTo view the Mermaid diagram, paste the contents of the output file`));
-        console.log(chalk.yellow(`into a Markdown viewer that supports Mermaid syntax.`));
+        if (result.stats.diagramCount) {
+          console.log(chalk.green(`  - Diagrams: ${result.stats.diagramCount}, linked from the index diagram`));
+        }
+        if (graphFormat) {
+          console.log(chalk.yellow(`\nRender the graph with Graphviz (e.g. sfdp -Tsvg) or import it into Gephi.`));
+        } else {
+          console.log(chalk.yellow(`\nTo view the Mermaid diagram, paste the contents of the output file`));
+          console.log(chalk.yellow(`into a Markdown viewer that supports Mermaid syntax.`));
+        }
       }
     } 
     else if (options.format === 'csv') {
@@ -137,15 +230,34 @@ async function execute(input, options = {}) {
       }
     }
     
-    return outputPath;
+    const files = options.format === 'csv' ? result.files.map(file => file.path) : [outputPath];
+    await recordVersion({
+      command: 'visualize',
+      options: { input, ...options },
+      inputs: comparePath ? [inputPath, comparePath] : [inputPath],
+      outputs: files
+    });
+    
+    return { outputPath, files };
     
   } catch (error) {
     console.error(chalk.red(`Error: ${error.message}`));
     if (options.verbose) {
       console.error(error.stack);
     }
-    process.exit(1);
+    throw error;
   }
 }
 
-export { execute };
\ No newline at end of file
+/**
+ * Execute the visualize command
+ * @param {string} input - Input JSON file with JTBDs and scenarios
+ * @param {Object} options - Command options
+ * @returns {Promise<string>} Path of the written visualization
+ * @throws {Error} When the input or the option combination cannot be visualized
+ */
+async function execute(input, options = {}) {
+  return (await visualizeFiles(input, options)).outputPath;
+}
+
+export { execute, visualizeFiles };
\ No newline at end of file
@@ -1,24 +1,278 @@
 #!/usr/bin/env node
-import { start as startMcp } from "./mcp/server.js";
-
-const [sub = "help", ...rest] = process.argv.slice(2);
-
-switch (sub) {
-  case "mcp":
-    startMcp();        // FastMCP server – blocks
-    break;
-
-  case "init":
-  case "scenario":
-  case "jtbd":
-  case "visualize": {
-    const mod = await import(`./commands/${sub}.js`);
-    await mod.execute(...rest);
-    break;
+/**
+ * PDM-AI command-line entry point
+ * Builds the command tree, parses and validates options, and dispatches to the command modules
+ */
+import { Command, InvalidArgumentError, Option } from 'commander';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import logger from './utils/logger.js';
+
+const packageJson = fs.readJsonSync(fileURLToPath(new URL('../package.json', import.meta.url)));
+
+/**
+ * Parse a positive integer option value
+ * @param {string} value - Raw option value
+ * @returns {number} Parsed integer
+ */
+function parsePositiveInteger(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new InvalidArgumentError('Must be a positive integer.');
+  }
+  return parsed;
+}
+
+/**
+ * Parse a non-negative integer option value
+ * @param {string} value - Raw option value
+ * @returns {number} Parsed integer
+ */
+function parseNonNegativeInteger(value) {
+  const parsed = Number(value);
+  if (value.trim() === '' || !Number.isInteger(parsed) || parsed < 0) {
+    throw new InvalidArgumentError('Must be a non-negative integer.');
+  }
+  return parsed;
+}
+
+/**
+ * Parse a positive amount option value
+ * @param {string} value - Raw option value
+ * @returns {number} Parsed number
+ */
+function parsePositiveNumber(value) {
+  const parsed = Number(value);
+  if (value.trim() === '' || !Number.isFinite(parsed) || parsed <= 0) {
+    throw new InvalidArgumentError('Must be a positive number.');
+  }
+  return parsed;
+}
+
+/**
+ * Parse the number of JTBD abstraction layers
+ * @param {string} value - Raw option value
+ * @returns {number} Layer count (1 or 2)
+ */
+function parseLayers(value) {
+  const parsed = Number(value);
+  if (parsed !== 1 && parsed !== 2) {
+    throw new InvalidArgumentError('Must be 1 or 2.');
   }
+  return parsed;
+}
+
+/**
+ * Parse a clustering similarity threshold
+ * @param {string} value - Raw option value
+ * @returns {number} Threshold between 0.0 and 1.0
+ */
+function parseThreshold(value) {
+  const parsed = Number(value);
+  if (value.trim() === '' || Number.isNaN(parsed) || parsed < 0 || parsed > 1) {
+    throw new InvalidArgumentError('Must be a number between 0.0 and 1.0.');
+  }
+  return parsed;
+}
+
+/**
+ * Load a command module and run its execute function, mapping failures to a non-zero exit code
+ * @param {string} name - Command module name under ./commands
+ * @param {Array} args - Arguments passed to execute()
+ * @returns {Promise<void>}
+ */
+async function runCommand(name, ...args) {
+  try {
+    const mod = await import(`./commands/${name}.js`);
+    const result = await mod.execute(...args);
+
+    // Commands that report failure through their return value instead of throwing
+    if (result && result.success === false) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    // Command modules log their own errors before rethrowing
+    logger.debug(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Build the pdm command tree
+ * @returns {Command} Configured commander program
+ */
+function createProgram() {
+  const program = new Command();
+
+  program
+    .name('pdm')
+    .description(packageJson.description)
+    .version(packageJson.version)
+    .showHelpAfterError('(add --help for additional information)');
+
+  program
+    .command('init')
+    .description('Initialize a PDM project with proper directory structure')
+    .option('-n, --name <name>', 'project name (defaults to directory name)')
+    .option('-d, --dir <directory>', 'project directory (defaults to current directory)')
+    .action(options => runCommand('init', options.name, options.dir));
+
+  program
+    .command('scenario')
+    .description('Extract user scenarios from source files or directories')
+    .argument('<source...>', 'source file(s) or directory(ies) to process')
+    .option('-o, --output <path>', 'output file path')
+    .option('-r, --recursive', 'process directories recursively', false)
+    .option('-m, --model <model>', 'LLM model to use')
+    .option('--chunk-size <tokens>', 'maximum estimated tokens per source chunk (default: CHUNK_SIZE or 3000)', parsePositiveInteger)
+    .option('--chunk-overlap <tokens>', 'estimated tokens shared by consecutive chunks (default: CHUNK_OVERLAP or 200)', parseNonNegativeInteger)
+    .option('-c, --concurrency <number>', 'maximum parallel API requests (default: LLM_CONCURRENCY or 4)', parsePositiveInteger)
+    .option('--allow-fallback', 'substitute placeholder scenarios for unparseable LLM responses instead of failing', false)
+    .option('--record', 'record API responses as fixtures for later replay', false)
+    .option('--replay', 'answer API requests from recorded fixtures without network access', false)
+    .option('--fixtures <dir>', 'fixture directory (default: LLM_FIXTURES_DIR or .pdm/fixtures)')
+    .option('--budget <usd>', 'stop before estimated API spending exceeds this amount in USD (default: LLM_BUDGET)', parsePositiveNumber)
+    .option('--dry-run', 'estimate tokens and cost without calling any API', false)
+    .option('--force', 're-extract every source even if it is unchanged since the last run', false)
+    .option('--mock', 'use the mock parser instead of calling the LLM', false)
+    .option('-v, --verbose', 'enable verbose output', false)
+    .action((sources, options) => runCommand('scenario', sources.length === 1 ? sources[0] : sources, options));
+
+  program
+    .command('jtbd')
+    .description('Generate JTBDs from scenarios using adaptive clustering')
+    .argument('<input>', 'input file(s) containing scenarios (comma-separated for multiple files)')
+    .option('-o, --output <path>', 'output file path')
+    .option('-m, --model <model>', 'LLM model to use')
+    .addOption(new Option('-l, --layers <number>', 'number of abstraction layers (1 or 2)').argParser(parseLayers).default(1))
+    .option('-t1, --threshold1 <number>', 'force layer 1 clustering threshold (0.0-1.0)', parseThreshold)
+    .option('-t2, --threshold2 <number>', 'force layer 2 clustering threshold (0.0-1.0)', parseThreshold)
+    .option('-c, --concurrency <number>', 'maximum parallel API requests (default: LLM_CONCURRENCY or 4)', parsePositiveInteger)
+    .option('--allow-fallback', 'substitute placeholder JTBDs and embeddings for failed LLM calls instead of failing', false)
+    .option('--record', 'record API responses as fixtures for later replay', false)
+    .option('--replay', 'answer API requests from recorded fixtures without network access', false)
+    .option('--fixtures <dir>', 'fixture directory (default: LLM_FIXTURES_DIR or .pdm/fixtures)')
+    .option('--budget <usd>', 'stop before estimated API spending exceeds this amount in USD (default: LLM_BUDGET)', parsePositiveNumber)
+    .option('--dry-run', 'estimate tokens and cost without calling any API', false)
+    .option('--incremental', 'add new scenarios to the JTBDs of a previous run', false)
+    .option('--previous <path>', 'previous JTBDs file whose IDs are kept and which --incremental builds on (default: the output file)')
+    .option('--preserve-clusters', 'keep the previous clusters and JTBDs and only assign new scenarios to them (with --incremental)', false)
+    .option('--mock', 'generate mock JTBDs without calling the LLM', false)
+    .option('-v, --verbose', 'enable verbose output', false)
+    .action((input, options) => runCommand('jtbd', input, options));
+
+  program
+    .command('visualize')
+    .description('Create visualizations of JTBDs and scenarios')
+    .argument('<input>', 'input JSON file with JTBDs and scenarios')
+    .addOption(new Option('-f, --format <format>', 'output format').choices(['mermaid', 'csv', 'html', 'dot', 'graphml']).default('mermaid'))
+    .addOption(new Option('-p, --perspective <perspective>', 'visualization perspective').choices(['jtbd', 'persona', 'priority', 'source', 'diff']).default('jtbd'))
+    .option('--compare <path>', 'previous JTBD file to compare with; highlights new, changed and removed JTBDs (selects the diff perspective)')
+    .option('--weights <spec>', 'priority weights, e.g. scenarios=0.4,customers=0.3,sources=0.2,recency=0.1 (default: PRIORITY_WEIGHTS)')
+    .option('-o, --output <path>', 'output file path')
+    .option('-q, --filter <query>', 'filter entities by text match')
+    .option('-m, --max-nodes <number>', 'maximum number of nodes to display', parsePositiveInteger, 100)
+    .option('--split', 'split mermaid diagrams into one per layer-2 JTBD or persona, with an index diagram, even within --max-nodes', false)
+    .option('-v, --verbose', 'show detailed processing output', false)
+    .action((input, options) => runCommand('visualize', input, options));
+
+  program
+    .command('diff')
+    .description('Report what changed between two JTBD or scenario output files')
+    .argument('<old>', 'earlier output file')
+    .argument('<new>', 'later output file of the same kind')
+    .addOption(new Option('-f, --format <format>', 'report format').choices(['text', 'json', 'markdown']).default('text'))
+    .option('-o, --output <path>', 'write the report to a file instead of the console')
+    .action((oldFile, newFile, options) => runCommand('diff', oldFile, newFile, options));
+
+  program
+    .command('report')
+    .description('Write a Markdown research report for a JTBD output')
+    .argument('<input>', 'JTBD output file')
+    .option('-o, --output <path>', 'report file path (default: .pdm/outputs/reports/<input>-report.md)')
+    .option('-t, --template <path>', 'Markdown report template (default: REPORT_TEMPLATE or the built-in template)')
+    .option('--title <title>', 'report title', 'Research Synthesis')
+    .option('--quotes <number>', 'representative quotes per job', parsePositiveInteger, 3)
+    .option('--top-customers <number>', 'customers listed per job', parsePositiveInteger, 5)
+    .action((input, options) => runCommand('report', input, options));
+
+  program
+    .command('run')
+    .description('Run the scenario → jtbd → visualize pipeline, skipping stages whose inputs have not changed')
+    .argument('<inputs...>', 'source file(s) or directory(ies) to process')
+    .option('-r, --recursive', 'process directories recursively', false)
+    .option('-m, --model <model>', 'LLM model to use')
+    .option('--chunk-size <tokens>', 'maximum estimated tokens per source chunk', parsePositiveInteger)
+    .option('--chunk-overlap <tokens>', 'estimated tokens shared by consecutive chunks', parseNonNegativeInteger)
+    .addOption(new Option('-l, --layers <number>', 'number of abstraction layers (1 or 2)').argParser(parseLayers).default(1))
+    .option('-t1, --threshold1 <number>', 'force layer 1 clustering threshold (0.0-1.0)', parseThreshold)
+    .option('-t2, --threshold2 <number>', 'force layer 2 clustering threshold (0.0-1.0)', parseThreshold)
+    .addOption(new Option('-f, --format <format>', 'visualization format').choices(['mermaid', 'csv', 'html', 'dot', 'graphml']).default('mermaid'))
+    .addOption(new Option('-p, --perspective <perspective>', 'visualization perspective').choices(['jtbd', 'persona', 'priority', 'source']).default('jtbd'))
+    .option('--force', 'run every stage even if its inputs are unchanged', false)
+    .option('-c, --concurrency <number>', 'maximum parallel API requests', parsePositiveInteger)
+    .option('--allow-fallback', 'substitute placeholder data for failed LLM calls instead of failing', false)
+    .option('--record', 'record API responses as fixtures for later replay', false)
+    .option('--replay', 'answer API requests from recorded fixtures without network access', false)
+    .option('--fixtures <dir>', 'fixture directory (default: LLM_FIXTURES_DIR or .pdm/fixtures)')
+    .option('--budget <usd>', 'stop before estimated API spending exceeds this amount in USD (default: LLM_BUDGET)', parsePositiveNumber)
+    .option('--dry-run', 'estimate tokens and cost without calling any API', false)
+    .option('--mock', 'use mock scenario and JTBD generation instead of calling the LLM', false)
+    .option('-v, --verbose', 'enable verbose output', false)
+    .action((inputs, options) => runCommand('run', inputs, options));
+
+  const cache = program
+    .command('cache')
+    .description('Inspect and purge the embedding cache');
+
+  cache
+    .command('stats')
+    .description('Show the number and size of cached embeddings per model')
+    .action(options => runCommand('cache', 'stats', options));
+
+  cache
+    .command('clear')
+    .description('Remove cached embeddings')
+    .option('-m, --model <model>', 'only clear embeddings of this model')
+    .action(options => runCommand('cache', 'clear', options));
+
+  const versions = program
+    .command('versions')
+    .description('List, inspect and restore the project versions recorded by every run');
+
+  versions
+    .command('list')
+    .description('List the recorded versions with their command and outputs')
+    .action(() => runCommand('versions', 'list'));
+
+  versions
+    .command('show')
+    .description('Show the command, options, input hashes and snapshotted outputs of a version')
+    .argument('<version>', 'version number', parsePositiveInteger)
+    .action(version => runCommand('versions', 'show', version));
+
+  versions
+    .command('restore')
+    .description('Restore the output files of a version (recorded as a new version)')
+    .argument('<version>', 'version number', parsePositiveInteger)
+    .action(version => runCommand('versions', 'restore', version));
+
+  program
+    .command('stub-server')
+    .description('Start a local OpenAI-compatible server with deterministic responses for offline testing')
+    .option('-p, --port <number>', 'port to listen on', parsePositiveInteger, 8787)
+    .option('--host <host>', 'host to bind', '127.0.0.1')
+    .action(options => runCommand('stub-server', options));
+
+  program
+    .command('mcp')
+    .description('Start the Model Context Protocol server over stdio')
+    .action(async () => {
+      const { start } = await import('./mcp/server.js');
+      start(); // FastMCP server – blocks
+    });
+
+  return program;
+}
 
-  default:
-    console.error(`Unknown sub-command: ${sub}`);
-    console.error(`Available commands: init, scenario, jtbd, visualize, mcp`);
-    process.exit(1);
-}
\ No newline at end of file
+await createProgram().parseAsync(process.argv);
@@ -46,6 +46,13 @@ mcp.addTool({
   parameters: z.object({ 
     source: z.string(), 
     recursive: z.boolean().default(false),
+    chunkSize: z.number().int().positive().optional().describe("Maximum estimated tokens per source chunk"),
+    chunkOverlap: z.number().int().nonnegative().optional().describe("Estimated tokens shared by consecutive chunks"),
+    concurrency: z.number().int().positive().optional().describe("Maximum parallel API requests"),
+    allowFallback: z.boolean().default(false).describe("Write placeholder scenarios for unparseable LLM responses instead of failing"),
+    budget: z.number().positive().optional().describe("Stop before estimated API spending exceeds this amount in USD"),
+    dryRun: z.boolean().default(false).describe("Estimate tokens and cost without calling any API"),
+    force: z.boolean().default(false).describe("Re-extract every source even if it is unchanged since the last run"),
     output: z.string().optional()
   }),
   execute: async ({ source, output, ...opts }) => {
@@ -71,6 +78,14 @@ mcp.addTool({
       }
       
       const outputFile = await extractScenarios(source, outputOptions);
+      
+      // Dry runs return the estimate instead of an output file
+      if (opts.dryRun) {
+        return {
+          content: [{ type: "text", text: JSON.stringify(outputFile) }]
+        };
+      }
+      
       const outputData = await fs.readJSON(outputFile);
       
       // Format response according to FastMCP expectations - using "text" type
@@ -99,6 +114,13 @@ mcp.addTool({
   parameters: z.object({ 
     source: z.string().describe("Input file(s) containing scenarios (comma-separated for multiple files)"), 
     layers: z.number().default(1),
+    concurrency: z.number().int().positive().optional().describe("Maximum parallel API requests"),
+    allowFallback: z.boolean().default(false).describe("Write placeholder JTBDs for failed LLM calls instead of failing"),
+    incremental: z.boolean().default(false).describe("Add new scenarios to the JTBDs of a previous run"),
+    previous: z.string().optional().describe("Previous JTBDs file whose IDs are kept and which incremental generation builds on (defaults to the output file)"),
+    preserveClusters: z.boolean().default(false).describe("Keep the previous clusters and JTBDs and only assign new scenarios to them"),
+    budget: z.number().positive().optional().describe("Stop before estimated API spending exceeds this amount in USD"),
+    dryRun: z.boolean().default(false).describe("Estimate tokens and cost without calling any API"),
     output: z.string().optional()
   }),
   execute: async ({ source, output, ...opts }) => {
@@ -154,7 +176,7 @@ mcp.addTool({
   description: "Visualise JTBD or scenarios",
   parameters: z.object({ 
     source: z.string(), 
-    format: z.enum(["mermaid","csv"]).default("mermaid"),
+    format: z.enum(["mermaid","csv","html","dot","graphml"]).default("mermaid"),
     output: z.string().optional()
   }),
   execute: async ({ source, output, ...opts }) => {
@@ -176,7 +198,7 @@ mcp.addTool({
         const outputDir = path.join(currentDir, '.pdm', 'outputs', 'visualizations');
         fs.ensureDirSync(outputDir);
         const format = opts.format || 'mermaid';
-        const extension = format === 'csv' ? '.csv' : '.md';
+        const extension = format === 'mermaid' ? '.md' : `.${format}`;
         const filename = path.basename(source, path.extname(source)) + '-visualization' + extension;
         visualOptions.output = path.join(outputDir, filename);
       }
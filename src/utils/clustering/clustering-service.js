@@ -28,7 +28,7 @@ async function generateHierarchicalClusters(items, options = {}) {
     
     // Generate embeddings for items
     const texts = items.map(item => item.statement);
-    const embeddings = await embeddingService.getEmbeddings(texts);
+    const embeddings = await embeddingService.getEmbeddings(texts, options.stats);
     
     // Calculate similarity matrix
     const similarityMatrix = calculateSimilarityMatrix(embeddings);
@@ -59,7 +59,7 @@ async function generateHierarchicalClusters(items, options = {}) {
         similarityMatrix,
         items,
         (matrix, items, threshold) => clusterItems(matrix, items, threshold),
-        { targetLayer: 1, verbose }
+        { targetLayer: 1, verbose, threshold: options.layer1Threshold }
       );
       
       firstLayerClusters = firstLayerResult.clusters;
@@ -129,7 +129,7 @@ async function generateHierarchicalClusters(items, options = {}) {
           clusterSimilarityMatrix,
           firstLayerClusters,
           (matrix, clusters, threshold) => clusterItems(matrix, clusters, threshold),
-          { targetLayer: 2, verbose }
+          { targetLayer: 2, verbose, threshold: options.layer2Threshold }
         );
         
         secondLayerClusters = secondLayerResult.clusters;
@@ -407,7 +407,7 @@ async function preserveAndExtendLayerTwoClusters(firstLayerClusters, clusterEmbe
       
       const similarity = cosineSimilarity(clusterEmbeddings[unassignedIdx], secondLayerEmbeddings[i]);
       
-      if (similarity > threshold && similarity > bestSimilarity) {
+      if (similarity > (threshold || 0.5) && similarity > bestSimilarity) {
         bestSimilarity = similarity;
         bestClusterIdx = i;
       }
@@ -23,10 +23,44 @@ class Config {
       },
       llm: {
         apiKey: process.env.LLM_API_KEY || '',
+        provider: process.env.LLM_PROVIDER || '',
+        baseUrl: process.env.LLM_BASE_URL || '',
         model: process.env.LLM_MODEL || 'gpt-4o',
         maxTokens: parseInt(process.env.LLM_MAX_TOKENS || process.env.MAX_TOKENS || '4000'),
         temperature: parseFloat(process.env.LLM_TEMPERATURE || process.env.TEMPERATURE || '0.7'),
+        maxRepairAttempts: parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || '2'),
       },
+      embedding: {
+        provider: process.env.EMBEDDING_PROVIDER || 'openai',
+        model: process.env.EMBEDDING_MODEL || '',
+        baseUrl: process.env.EMBEDDING_BASE_URL || '',
+        dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || '512'),
+        cache: process.env.EMBEDDING_CACHE !== 'false',
+      },
+      chunking: {
+        size: parseInt(process.env.CHUNK_SIZE || '3000'),
+        overlap: parseInt(process.env.CHUNK_OVERLAP || '200'),
+      },
+      requests: {
+        concurrency: parseInt(process.env.LLM_CONCURRENCY || '4'),
+        maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '5'),
+        retryBaseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000'),
+      },
+      recording: {
+        mode: process.env.LLM_RECORDING || 'off',
+        dir: process.env.LLM_FIXTURES_DIR || '',
+      },
+      pricing: {
+        file: process.env.PRICE_TABLE || '',
+        budget: process.env.LLM_BUDGET ? parseFloat(process.env.LLM_BUDGET) : null,
+      },
+      priority: {
+        weights: process.env.PRIORITY_WEIGHTS || '',
+      },
+      report: {
+        template: process.env.REPORT_TEMPLATE || '',
+      },
+      allowFallback: process.env.ALLOW_FALLBACK === 'true',
       language: process.env.LANGUAGE || 'en',
       logLevel: process.env.LOG_LEVEL || 'info',
     };
@@ -58,6 +92,46 @@ class Config {
     return this.config.llm.apiKey;
   }
 
+  get llmProvider() {
+    return this.config.llm.provider;
+  }
+
+  get llmBaseUrl() {
+    return this.config.llm.baseUrl;
+  }
+
+  get embedding() {
+    return this.config.embedding;
+  }
+
+  get chunking() {
+    return this.config.chunking;
+  }
+
+  get requests() {
+    return this.config.requests;
+  }
+
+  get recording() {
+    return this.config.recording;
+  }
+
+  get pricing() {
+    return this.config.pricing;
+  }
+
+  get priority() {
+    return this.config.priority;
+  }
+
+  get report() {
+    return this.config.report;
+  }
+
+  get allowFallback() {
+    return this.config.allowFallback;
+  }
+
   /**
    * Load configuration from .env files in the following order:
    * 1. Project-specific .env (if provided)
@@ -106,9 +180,33 @@ class Config {
         }
         // Update config with new env values
         this.config.llm.apiKey = process.env.LLM_API_KEY || this.config.llm.apiKey;
+        this.config.llm.provider = process.env.LLM_PROVIDER || this.config.llm.provider;
+        this.config.llm.baseUrl = process.env.LLM_BASE_URL || this.config.llm.baseUrl;
         this.config.llm.model = process.env.LLM_MODEL || this.config.llm.model;
         this.config.llm.maxTokens = parseInt(process.env.LLM_MAX_TOKENS || process.env.MAX_TOKENS || this.config.llm.maxTokens);
         this.config.llm.temperature = parseFloat(process.env.LLM_TEMPERATURE || process.env.TEMPERATURE || this.config.llm.temperature);
+        this.config.llm.maxRepairAttempts = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || this.config.llm.maxRepairAttempts);
+        this.config.embedding.provider = process.env.EMBEDDING_PROVIDER || this.config.embedding.provider;
+        this.config.embedding.model = process.env.EMBEDDING_MODEL || this.config.embedding.model;
+        this.config.embedding.baseUrl = process.env.EMBEDDING_BASE_URL || this.config.embedding.baseUrl;
+        this.config.embedding.dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS || this.config.embedding.dimensions);
+        if (process.env.EMBEDDING_CACHE) {
+          this.config.embedding.cache = process.env.EMBEDDING_CACHE !== 'false';
+        }
+        this.config.chunking.size = parseInt(process.env.CHUNK_SIZE || this.config.chunking.size);
+        this.config.chunking.overlap = parseInt(process.env.CHUNK_OVERLAP || this.config.chunking.overlap);
+        this.config.requests.concurrency = parseInt(process.env.LLM_CONCURRENCY || this.config.requests.concurrency);
+        this.config.requests.maxRetries = parseInt(process.env.LLM_MAX_RETRIES || this.config.requests.maxRetries);
+        this.config.requests.retryBaseDelayMs = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || this.config.requests.retryBaseDelayMs);
+        this.config.recording.mode = process.env.LLM_RECORDING || this.config.recording.mode;
+        this.config.recording.dir = process.env.LLM_FIXTURES_DIR || this.config.recording.dir;
+        this.config.pricing.file = process.env.PRICE_TABLE || this.config.pricing.file;
+        if (process.env.LLM_BUDGET) {
+          this.config.pricing.budget = parseFloat(process.env.LLM_BUDGET);
+        }
+        if (process.env.ALLOW_FALLBACK) {
+          this.config.allowFallback = process.env.ALLOW_FALLBACK === 'true';
+        }
         this.config.language = process.env.LANGUAGE || this.config.language;
         this.config.logLevel = process.env.LOG_LEVEL || this.config.logLevel;
         return true;
@@ -208,9 +306,19 @@ LLM_API_KEY=
 # Model to use for text generation 
 LLM_MODEL=gpt-4o
 
+# LLM provider: openai, anthropic, gemini or openai-compatible
+# (inferred from the model name when empty)
+LLM_PROVIDER=
+
+# Base URL for an OpenAI-compatible server such as Ollama or vLLM
+# LLM_BASE_URL=http://localhost:11434/v1
+
 # Maximum tokens for LLM responses
 LLM_MAX_TOKENS=4000
 
+# Embedding backend for clustering: openai or local (offline, reproducible)
+EMBEDDING_PROVIDER=openai
+
 # Randomness parameter (0.0-1.0)
 LLM_TEMPERATURE=0.7
 
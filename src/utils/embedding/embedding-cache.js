@@ -0,0 +1,173 @@
+// src/utils/embedding/embedding-cache.js
+import path from 'path';
+import fs from 'fs-extra';
+import projectManager from '../project-manager.js';
+import logger from '../logger.js';
+import { hashContent } from '../hash.js';
+
+// Pending save of each cache file; saves within a process run one after another
+const pendingSaves = new Map();
+
+/**
+ * Get the directory holding the embedding cache for the current project
+ * @returns {string} Cache directory (.pdm/cache/embeddings under the project root)
+ */
+function getCacheDir() {
+  const projectRoot = projectManager.findProjectRoot(process.cwd()) || process.cwd();
+  return path.join(projectRoot, '.pdm', 'cache', 'embeddings');
+}
+
+/**
+ * Get the cache file for an embedding model served by an endpoint
+ * Models of the same name behind different endpoints (a stub server, a local OpenAI-compatible
+ * server) produce unrelated vectors, so each endpoint has its own file.
+ * @param {string} model - Embedding model name
+ * @param {string} endpoint - Base URL of the embedding API
+ * @returns {string} Path to the model's cache file
+ */
+function getCacheFile(model, endpoint) {
+  const safeName = model.replace(/[^a-zA-Z0-9._-]/g, '_');
+  return path.join(getCacheDir(), `${safeName}-${hashContent(endpoint).slice(0, 12)}.json`);
+}
+
+/**
+ * Compute the cache key of a text
+ * @param {string} text - Embedded text
+ * @returns {string} Cache key
+ */
+function getCacheKey(text) {
+  return hashContent(text);
+}
+
+/**
+ * Load the cached embeddings of a model
+ * @param {string} model - Embedding model name
+ * @param {string} endpoint - Base URL of the embedding API
+ * @returns {Promise<Map<string, Array<number>>>} Embeddings keyed by text hash
+ */
+async function loadCache(model, endpoint) {
+  const cacheFile = getCacheFile(model, endpoint);
+  try {
+    if (await fs.pathExists(cacheFile)) {
+      const data = await fs.readJson(cacheFile);
+      return new Map(Object.entries(data.entries || {}));
+    }
+  } catch (error) {
+    logger.warn(`Ignoring unreadable embedding cache ${cacheFile}: ${error.message}`);
+  }
+  return new Map();
+}
+
+/**
+ * Persist the cached embeddings of a model
+ * Entries saved by other runs since this one loaded the cache are merged in rather than overwritten.
+ * @param {string} model - Embedding model name
+ * @param {Map<string, Array<number>>} entries - Embeddings keyed by text hash
+ * @param {string} endpoint - Base URL of the embedding API
+ * @returns {Promise<void>}
+ */
+async function saveCache(model, entries, endpoint) {
+  const cacheFile = getCacheFile(model, endpoint);
+  const previous = pendingSaves.get(cacheFile) || Promise.resolve();
+  const save = previous.catch(() => {}).then(async () => {
+    await fs.ensureDir(path.dirname(cacheFile));
+    const merged = await loadCache(model, endpoint);
+    entries.forEach((embedding, key) => merged.set(key, embedding));
+
+    // Write to a temporary file of this process first so an interrupted or parallel run
+    // cannot leave a partial cache behind
+    const tempFile = `${cacheFile}.${process.pid}.tmp`;
+    await fs.writeJson(tempFile, {
+      model,
+      endpoint,
+      updatedAt: new Date().toISOString(),
+      entries: Object.fromEntries(merged)
+    });
+    await fs.move(tempFile, cacheFile, { overwrite: true });
+  });
+
+  pendingSaves.set(cacheFile, save);
+  try {
+    await save;
+  } finally {
+    if (pendingSaves.get(cacheFile) === save) {
+      pendingSaves.delete(cacheFile);
+    }
+  }
+}
+
+/**
+ * Collect statistics about the embedding cache
+ * @returns {Promise<Object>} Cache directory, entry counts and sizes per model and endpoint, and totals
+ */
+async function getCacheStats() {
+  const cacheDir = getCacheDir();
+  const models = [];
+
+  if (await fs.pathExists(cacheDir)) {
+    const files = (await fs.readdir(cacheDir)).filter(file => file.endsWith('.json')).sort();
+    for (const file of files) {
+      const filePath = path.join(cacheDir, file);
+      const { size } = await fs.stat(filePath);
+      try {
+        const data = await fs.readJson(filePath);
+        const vectors = Object.values(data.entries || {});
+        models.push({
+          model: data.model || path.basename(file, '.json'),
+          endpoint: data.endpoint || null,
+          entries: vectors.length,
+          dimensions: vectors.length > 0 ? vectors[0].length : 0,
+          bytes: size,
+          updatedAt: data.updatedAt || null
+        });
+      } catch (error) {
+        logger.warn(`Skipping unreadable cache file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    cacheDir,
+    models,
+    totalEntries: models.reduce((sum, m) => sum + m.entries, 0),
+    totalBytes: models.reduce((sum, m) => sum + m.bytes, 0)
+  };
+}
+
+/**
+ * Remove cached embeddings
+ * @param {string} [model] - Only clear this model's cache, for every endpoint (default: all models)
+ * @returns {Promise<number>} Number of cache files removed
+ */
+async function clearCache(model) {
+  const cacheDir = getCacheDir();
+  if (!(await fs.pathExists(cacheDir))) {
+    return 0;
+  }
+
+  const files = (await fs.readdir(cacheDir)).filter(file => file.endsWith('.json'));
+  if (model) {
+    let removed = 0;
+    for (const file of files) {
+      const filePath = path.join(cacheDir, file);
+      const data = await fs.readJson(filePath).catch(() => ({}));
+      if (data.model === model) {
+        await fs.remove(filePath);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  await fs.remove(cacheDir);
+  return files.length;
+}
+
+export {
+  getCacheDir,
+  getCacheKey,
+  loadCache,
+  saveCache,
+  getCacheStats,
+  clearCache
+};
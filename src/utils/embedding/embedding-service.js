@@ -1,41 +1,120 @@
 // src/utils/embedding/embedding-service.js
-import https from 'https';
 import config from '../config.js';
 import logger from '../logger.js';
+import requestQueue from '../request-queue.js';
+import { getRecordingMode, isFixtureMissing, withRecording } from '../recorder.js';
+import { getLocalEmbeddings } from './local-embedding.js';
+import { postJson } from '../llm/http-client.js';
+import * as embeddingCache from './embedding-cache.js';
+import { estimateTokens } from '../parsers/chunker.js';
+import { addUsage, budgetGuard, createUsage, isBudgetExceeded } from '../llm/usage-tracker.js';
+
+const LOCAL_EMBEDDING_MODEL = 'local-tfidf';
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
 
 /**
  * Get embeddings for a list of texts
  * @param {Array<string>} texts - Texts to generate embeddings for
+ * @param {Object} [stats] - Statistics collector; the token usage of embedding requests is added to its usage summary
  * @returns {Promise<Array>} Array of embedding vectors
  */
-async function getEmbeddings(texts) {
+async function getEmbeddings(texts, stats = {}) {
+  const provider = (config.embedding?.provider || 'openai').toLowerCase();
+  
+  if (provider === 'local') {
+    const dimensions = config.embedding?.dimensions || 512;
+    logger.info(`Generating embeddings using ${LOCAL_EMBEDDING_MODEL} (${dimensions} dimensions, offline)...`);
+    return getLocalEmbeddings(texts, { dimensions });
+  }
+  
+  if (provider !== 'openai') {
+    throw new Error(`Unknown embedding provider '${provider}'. Supported providers: openai, local`);
+  }
+  
   try {
     // Get the embedding model from config
     const embeddingModel = config.embedding?.model || 'text-embedding-3-large';
     
     logger.info(`Generating embeddings using ${embeddingModel}...`);
     
-    // Use OpenAI's embedding API
-    const embeddings = await getOpenAIEmbeddings(texts, embeddingModel);
+    // Recorded batches must not depend on what the recording machine had cached, or replaying
+    // elsewhere asks for fixtures that were never written
+    if (config.embedding?.cache === false || getRecordingMode() !== 'off') {
+      const embeddings = await getOpenAIEmbeddings(texts, embeddingModel, stats);
+      return embeddings.map((embedding, i) => embedding || resolveFallbackEmbedding(texts[i]));
+    }
     
-    return embeddings;
+    return await getCachedEmbeddings(texts, embeddingModel, stats);
   } catch (error) {
     logger.error(`Error getting embeddings: ${error.message}`);
+    if (!config.allowFallback || isFixtureMissing(error) || isBudgetExceeded(error)) {
+      throw error;
+    }
     // Return dummy embeddings as fallback (very basic, just for graceful degradation)
     return texts.map(text => createDummyEmbedding(text));
   }
 }
 
 /**
- * Call OpenAI's embedding API to get embeddings for texts
+ * Get embeddings through the on-disk cache, only calling the API for texts not embedded before
+ * Local embeddings are never cached because their IDF weights depend on the whole batch
  * @param {Array<string>} texts - Texts to generate embeddings for
  * @param {string} model - OpenAI embedding model to use
+ * @param {Object} stats - Statistics collector
  * @returns {Promise<Array>} Array of embedding vectors
  */
-async function getOpenAIEmbeddings(texts, model) {
+async function getCachedEmbeddings(texts, model, stats) {
+  const endpoint = getEmbeddingBaseUrl();
+  const cache = await embeddingCache.loadCache(model, endpoint);
+  const keys = texts.map(text => embeddingCache.getCacheKey(text));
+  
+  // Embed each uncached text once, even if it appears several times
+  const missing = new Map();
+  keys.forEach((key, i) => {
+    if (!cache.has(key) && !missing.has(key)) {
+      missing.set(key, texts[i]);
+    }
+  });
+  
+  logger.info(`Embedding cache: ${texts.length - missing.size}/${texts.length} texts reused, ${missing.size} to embed`);
+  
+  if (missing.size > 0) {
+    const missingKeys = Array.from(missing.keys());
+    const embeddings = await getOpenAIEmbeddings(Array.from(missing.values()), model, stats);
+    
+    let stored = 0;
+    embeddings.forEach((embedding, i) => {
+      // Failed batches come back empty and must not be cached
+      if (embedding) {
+        cache.set(missingKeys[i], embedding);
+        stored++;
+      }
+    });
+    
+    if (stored > 0) {
+      try {
+        await embeddingCache.saveCache(model, cache, endpoint);
+      } catch (error) {
+        logger.warn(`Could not write embedding cache: ${error.message}`);
+      }
+    }
+  }
+  
+  return keys.map((key, i) => cache.get(key) || resolveFallbackEmbedding(texts[i]));
+}
+
+/**
+ * Call OpenAI's embedding API to get embeddings for texts
+ * @param {Array<string>} texts - Texts to generate embeddings for
+ * @param {string} model - OpenAI embedding model to use
+ * @param {Object} stats - Statistics collector
+ * @returns {Promise<Array>} Array of embedding vectors (null for texts in failed batches)
+ */
+async function getOpenAIEmbeddings(texts, model, stats) {
   // Use LLM_API_KEY as specified in the PRD
   const apiKey = config.llmApiKey || process.env.LLM_API_KEY;
-  if (!apiKey) {
+  // Local servers configured through EMBEDDING_BASE_URL do not need a key
+  if (!apiKey && !config.embedding?.baseUrl && getRecordingMode() !== 'replay') {
     throw new Error("No API key available. Set LLM_API_KEY in your .env file");
   }
   
@@ -48,107 +127,83 @@ async function getOpenAIEmbeddings(texts, model) {
     batches.push(texts.slice(i, i + BATCH_SIZE));
   }
   
-  // Process each batch
-  const allEmbeddings = [];
-  
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i];
-    
-    logger.debug(`Processing batch ${i + 1}/${batches.length} (${batch.length} texts)...`);
-    
+  // Process batches in parallel; the request queue limits concurrency and retries rate limits
+  const batchResults = await Promise.all(batches.map(async (batch, i) => {
     try {
-      const batchEmbeddings = await makeOpenAIEmbeddingRequest(apiKey, batch, model);
-      allEmbeddings.push(...batchEmbeddings);
-      
-      // Add a small delay between batches to avoid rate limits
-      if (i < batches.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
+      const result = await withRecording('embeddings', model, batch, () => requestQueue.schedule(async () => {
+        logger.debug(`Processing batch ${i + 1}/${batches.length} (${batch.length} texts)...`);
+        const reservation = budgetGuard.reserve(model, batch.reduce((sum, text) => sum + estimateTokens(text), 0), 0);
+        try {
+          const response = await makeOpenAIEmbeddingRequest(apiKey, batch, model);
+          budgetGuard.settle(reservation, model, response.usage);
+          return response;
+        } catch (error) {
+          budgetGuard.settle(reservation, model);
+          throw error;
+        }
+      }, `Embedding batch ${i + 1}`));
+      stats.usage = addUsage(stats.usage || createUsage(), model, result.usage);
+      return result.embeddings;
     } catch (error) {
+      if (isFixtureMissing(error) || isBudgetExceeded(error)) {
+        throw error;
+      }
       logger.error(`Error processing batch ${i + 1}: ${error.message}`);
-      // Create dummy embeddings for the failed batch
-      const dummyBatchEmbeddings = batch.map(text => createDummyEmbedding(text));
-      allEmbeddings.push(...dummyBatchEmbeddings);
+      // Leave the failed batch empty so callers can fall back without caching it
+      return batch.map(() => null);
     }
-  }
+  }));
   
-  return allEmbeddings;
+  return batchResults.flat();
 }
 
 /**
- * Make a request to OpenAI's embedding API
- * @param {string} apiKey - OpenAI API key
+ * Make a request to an OpenAI-compatible embedding API
+ * @param {string} apiKey - API key (optional for local servers)
  * @param {Array<string>} texts - Texts to embed
  * @param {string} model - Embedding model to use
- * @returns {Promise<Array>} Array of embedding vectors
+ * @returns {Promise<Object>} { embeddings, usage: { promptTokens, completionTokens } }
  */
-function makeOpenAIEmbeddingRequest(apiKey, texts, model) {
-  return new Promise((resolve, reject) => {
-    // Set a 30-second timeout for the API call
-    const TIMEOUT_MS = 30000;
-    
-    const requestData = {
-      model: model,
-      input: texts
-    };
-    
-    const options = {
-      hostname: 'api.openai.com',
-      port: 443,
-      path: '/v1/embeddings',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      timeout: TIMEOUT_MS
-    };
-    
-    let timer = setTimeout(() => {
-      req.destroy();
-      reject(new Error(`Request timed out after ${TIMEOUT_MS/1000} seconds`));
-    }, TIMEOUT_MS);
-    
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        clearTimeout(timer);
-        try {
-          if (res.statusCode !== 200) {
-            reject(new Error(`API returned status code ${res.statusCode}: ${data}`));
-            return;
-          }
-          
-          const response = JSON.parse(data);
-          
-          // Extract the embedding vectors from the response
-          const embeddings = response.data.map(item => item.embedding);
-          resolve(embeddings);
-        } catch (e) {
-          reject(new Error(`Failed to parse API response: ${e.message}`));
-        }
-      });
-    });
-    
-    req.on('error', (e) => {
-      clearTimeout(timer);
-      reject(e);
-    });
-    
-    req.on('timeout', () => {
-      req.destroy();
-      clearTimeout(timer);
-      reject(new Error('Request timed out'));
-    });
-    
-    req.write(JSON.stringify(requestData));
-    req.end();
+async function makeOpenAIEmbeddingRequest(apiKey, texts, model) {
+  const baseUrl = getEmbeddingBaseUrl();
+  const response = await postJson(`${baseUrl}/embeddings`, {
+    body: { model, input: texts },
+    headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+    timeoutMs: 30000
   });
+  
+  // Extract the embedding vectors from the response, in input order
+  const embeddings = response.data
+    .slice()
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map(item => item.embedding);
+  
+  return {
+    embeddings,
+    usage: { promptTokens: response.usage?.prompt_tokens || 0, completionTokens: 0 }
+  };
+}
+
+/**
+ * Get the embedding API base URL
+ * @returns {string} EMBEDDING_BASE_URL without trailing slashes, or the OpenAI API
+ */
+function getEmbeddingBaseUrl() {
+  return (config.embedding?.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Handle a text whose embedding request failed
+ * Strict mode (the default) raises the failure; dummy embeddings are only used when explicitly allowed
+ * @param {string} text - Text that could not be embedded
+ * @returns {Array} Dummy embedding vector
+ * @throws {Error} When fallbacks are not allowed
+ */
+function resolveFallbackEmbedding(text) {
+  if (!config.allowFallback) {
+    throw new Error(`Failed to embed "${text.substring(0, 50)}"; see the batch errors above`);
+  }
+  return createDummyEmbedding(text);
 }
 
 /**
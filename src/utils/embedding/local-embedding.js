@@ -0,0 +1,126 @@
+// src/utils/embedding/local-embedding.js
+import { ENGLISH_STOP_WORDS, JAPANESE_STOP_WORDS } from './stop-words.js';
+
+const DEFAULT_DIMENSIONS = 512;
+
+// Latin words, and runs of kanji, katakana or hiragana
+const TOKEN_PATTERN = /[a-z0-9]+(?:'[a-z]+)?|[\u3400-\u9FFF\u3005]+|[\u30A0-\u30FF]+|[\u3040-\u309F]+/g;
+const HIRAGANA_PATTERN = /^[\u3040-\u309F]+$/;
+const LATIN_PATTERN = /^[a-z0-9]/;
+
+/**
+ * Reduce simple English plural forms so "model" and "models" share a feature
+ * @param {string} word - Lowercase word
+ * @returns {string} Stemmed word
+ */
+function stemEnglish(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Extract the features of a text: word unigrams and bigrams for English,
+ * and whole runs plus character bigrams for Japanese kanji/katakana runs
+ * @param {string} text - Text to featurize
+ * @returns {Array<string>} Feature strings (with repetitions)
+ */
+function extractFeatures(text) {
+  const normalized = (text || '').normalize('NFKC').toLowerCase();
+  const tokens = normalized.match(TOKEN_PATTERN) || [];
+  const features = [];
+  let previousWord = null;
+
+  for (const token of tokens) {
+    if (LATIN_PATTERN.test(token)) {
+      if (ENGLISH_STOP_WORDS.has(token) || token.length < 2) {
+        previousWord = null;
+        continue;
+      }
+      const word = stemEnglish(token);
+      features.push(`w:${word}`);
+      if (previousWord) {
+        features.push(`b:${previousWord}_${word}`);
+      }
+      previousWord = word;
+      continue;
+    }
+
+    previousWord = null;
+    if (JAPANESE_STOP_WORDS.has(token)) {
+      continue;
+    }
+    if (HIRAGANA_PATTERN.test(token)) {
+      // Hiragana runs are mostly particles and inflections; keep only longer content words
+      if (token.length >= 3) {
+        features.push(`j:${token}`);
+      }
+      continue;
+    }
+
+    features.push(`j:${token}`);
+    for (let i = 0; i < token.length - 1; i++) {
+      features.push(`c:${token.slice(i, i + 2)}`);
+    }
+  }
+
+  return features;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - Value to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Generate local TF-IDF embeddings using the hashing trick
+ * IDF weights are computed over the given batch, so all texts that will be compared
+ * should be embedded in a single call. Results are fully deterministic.
+ * @param {Array<string>} texts - Texts to generate embeddings for
+ * @param {Object} options - Embedding options
+ * @param {number} [options.dimensions] - Vector size (default: 512)
+ * @returns {Array<Array<number>>} L2-normalized embedding vectors
+ */
+function getLocalEmbeddings(texts, options = {}) {
+  const dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+  const featureCounts = texts.map(text => {
+    const counts = new Map();
+    extractFeatures(text).forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+    return counts;
+  });
+
+  // Document frequency of each feature across the batch
+  const documentFrequency = new Map();
+  featureCounts.forEach(counts => {
+    counts.forEach((_, feature) => documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1));
+  });
+
+  const documentCount = texts.length;
+
+  return featureCounts.map(counts => {
+    const vector = new Array(dimensions).fill(0);
+
+    counts.forEach((count, feature) => {
+      const tf = 1 + Math.log(count);
+      const idf = Math.log((1 + documentCount) / (1 + documentFrequency.get(feature))) + 1;
+      const hash = fnv1a(feature);
+      // Signed hashing keeps collisions from systematically inflating similarity
+      const sign = (hash & 0x80000000) ? -1 : 1;
+      vector[hash % dimensions] += sign * tf * idf;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  });
+}
+
+export { getLocalEmbeddings, extractFeatures };
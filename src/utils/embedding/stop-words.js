@@ -0,0 +1,39 @@
+// src/utils/embedding/stop-words.js
+
+/**
+ * English stop words, including the fixed words of the scenario and JTBD statement templates
+ * ("As a ..., I want to ..., so that I can ...", "When ..., I want to ..., so I can ...")
+ * which appear in every statement and would otherwise dominate similarity
+ */
+const ENGLISH_STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during',
+  'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers',
+  'herself', 'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself',
+  'just', 'me', 'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'now',
+  'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves',
+  // Statement template words
+  'want', 'wants', 'able', 'need', 'needs', 'user', 'users'
+]);
+
+/**
+ * Japanese stop words: particles, auxiliaries and the fixed parts of the statement templates
+ * ("〜として、私は〜したい、それによって〜できる", "〜のとき、〜したい、そうすれば〜できる")
+ */
+const JAPANESE_STOP_WORDS = new Set([
+  'の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'と', 'し', 'れ', 'さ', 'ある', 'いる', 'も', 'する',
+  'から', 'な', 'こと', 'として', 'い', 'や', 'れる', 'など', 'なっ', 'ない', 'この', 'ため', 'その',
+  'あっ', 'よう', 'また', 'もの', 'あり', 'まで', 'られ', 'なる', 'へ', 'か', 'だ', 'これ', 'によって',
+  'により', 'おり', 'より', 'による', 'ず', 'なり', 'られる', 'において', 'ば', 'なかっ', 'なく',
+  'しかし', 'について', 'せ', 'だっ', 'できる', 'それ', 'う', 'ので', 'なお', 'のみ', 'でき', 'き',
+  'つ', 'における', 'および', 'いう', 'さらに', 'でも', 'ら', 'たり', 'その他', 'に関する', 'たち',
+  'ます', 'ん', 'なら', 'に対して', 'とき', 'のとき', 'したい', 'たい', 'そうすれば', 'それによって',
+  '私', '私は', 'ユーザー'
+]);
+
+export { ENGLISH_STOP_WORDS, JAPANESE_STOP_WORDS };
@@ -0,0 +1,37 @@
+/**
+ * Hashing utility for PDM-AI
+ * Produces stable content hashes used to detect changed inputs and key cached data
+ */
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+/**
+ * Hash one or more values into a single hex digest
+ * Non-string values are serialized as JSON so option objects can be hashed alongside content
+ * @param {...*} values - Values to hash
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(...values) {
+  const hash = crypto.createHash('sha256');
+  values.forEach(value => {
+    hash.update(typeof value === 'string' ? value : JSON.stringify(value ?? null));
+    // Separator so that ('ab', 'c') and ('a', 'bc') produce different hashes
+    hash.update('\u0000');
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Hash the contents of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} SHA-256 hex digest, or null if the file does not exist
+ */
+async function hashFile(filePath) {
+  if (!filePath || !(await fs.pathExists(filePath))) {
+    return null;
+  }
+  const content = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+export { hashContent, hashFile };
@@ -0,0 +1,63 @@
+// src/utils/jtbd/jtbd-attribution.js
+
+// Scenarios that do not name a source are attributed to this pseudo-source
+const UNATTRIBUTED_ID = 'unattributed';
+
+/**
+ * Attribute scenarios and JTBDs to the input files they were extracted from
+ * Sources are described by the `sources` list of the output when it has one; sources that are only
+ * referenced by scenarios are named by their ID. JTBD counts are per source: the number of the JTBD's
+ * scenarios that came from it.
+ * @param {Object} data - JTBD output with jtbds, scenarios and optionally sources
+ * @returns {Object} { sources, jtbds } where sources are { id, name, type, scenarioIds } in order of
+ *   first appearance and jtbds are { id, level, statement, scenarioCount, counts } with counts by source ID
+ */
+function attributeSources(data) {
+  const described = new Map((data.sources || []).filter(source => source && source.id).map(source => [source.id, source]));
+  const sources = new Map();
+  const addSource = sourceId => {
+    if (!sources.has(sourceId)) {
+      const source = described.get(sourceId);
+      sources.set(sourceId, {
+        id: sourceId,
+        name: sourceId === UNATTRIBUTED_ID ? 'Unknown source' : (source?.name || sourceId),
+        type: source?.type || null,
+        scenarioIds: []
+      });
+    }
+    return sources.get(sourceId);
+  };
+
+  described.forEach((source, sourceId) => addSource(sourceId));
+  const scenarioSources = new Map();
+  (data.scenarios || []).filter(scenario => scenario && scenario.id).forEach(scenario => {
+    const sourceIds = (scenario.sources || []).length > 0 ? [...new Set(scenario.sources)] : [UNATTRIBUTED_ID];
+    sourceIds.forEach(sourceId => addSource(sourceId).scenarioIds.push(scenario.id));
+    scenarioSources.set(scenario.id, sourceIds);
+  });
+
+  const jtbds = (data.jtbds || []).filter(jtbd => jtbd && jtbd.id).map(jtbd => {
+    const scenarioIds = jtbd.scenarioIds || jtbd.relatedScenarios || [];
+    const counts = {};
+    scenarioIds.forEach(scenarioId => {
+      (scenarioSources.get(scenarioId) || []).forEach(sourceId => {
+        counts[sourceId] = (counts[sourceId] || 0) + 1;
+      });
+    });
+    return {
+      id: jtbd.id,
+      level: jtbd.level || 1,
+      statement: jtbd.statement || jtbd.title || '',
+      scenarioCount: scenarioIds.length,
+      counts
+    };
+  });
+
+  // Described sources that no scenario refers to contributed nothing to this output
+  return {
+    sources: [...sources.values()].filter(source => source.scenarioIds.length > 0),
+    jtbds
+  };
+}
+
+export { UNATTRIBUTED_ID, attributeSources };
@@ -1,8 +1,12 @@
 // src/utils/jtbd/jtbd-generator.js
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../logger.js';
-import config from '../config.js';
 import * as clusteringService from '../clustering/clustering-service.js';
+import * as jtbdProvider from './jtbd-provider.js';
+import { isFixtureMissing } from '../recorder.js';
+import config from '../config.js';
+import { estimateTokens } from '../parsers/chunker.js';
+import { addEstimate, createEstimate, createUsage } from '../llm/usage-tracker.js';
 
 /**
  * Generate JTBDs from scenarios with adaptive clustering
@@ -50,47 +54,66 @@ async function generateJTBDs(scenarios, options = {}) {
       }
     }
     
-    // Filter out scenarios that have already been processed in incremental mode with preserved clusters
-    let scenariosToProcess = scenarios;
-    if (incremental && preserveExistingClusters) {
-      scenariosToProcess = scenarios.filter(scenario => !previousScenarioIds.has(scenario.id));
-      
-      if (verbose) {
-        logger.debug(`Processing ${scenariosToProcess.length} new scenarios (${scenarios.length - scenariosToProcess.length} already processed)`);
-      }
+    // Preserving clusters needs the cluster information recorded with the previous JTBDs
+    const existingClusters = incremental && preserveExistingClusters ? extractClusterInfo(previousJTBDs) : null;
+    const preserving = Boolean(existingClusters && Object.keys(existingClusters.layer1).length > 0);
+    if (preserveExistingClusters && incremental && !preserving) {
+      logger.warn('Previous JTBDs carry no cluster information; clustering all scenarios again');
     }
     
+    // Token usage of the embeddings and the JTBD requests is collected together
+    const stats = { repairAttempts: 0, usage: createUsage() };
+    
     // Step 1: Generate hierarchical clusters from scenarios
+    // Previous scenarios are clustered too, so new scenarios can join the clusters they formed
     const clusterResult = await clusteringService.generateHierarchicalClusters(
-      incremental && preserveExistingClusters ? scenariosToProcess : scenarios, 
+      scenarios, 
       {
         layerCount,
         verbose,
         layer1Threshold: options.layer1Threshold,
         layer2Threshold: options.layer2Threshold,
-        // If incremental and preserving clusters, pass existing cluster information
-        existingClusters: incremental && preserveExistingClusters ? extractClusterInfo(previousJTBDs) : null
+        stats,
+        existingClusters: preserving ? existingClusters : null
       }
     );
     
-    // Step 2: Get the LLM provider for JTBD generation
-    const llmProvider = await getLLMProvider();
+    // Step 2: JTBD prompts are sent through the configured LLM provider
+    const llmProvider = jtbdProvider;
     
     // Step 3: Generate first-layer JTBDs
+    // Clusters that fail are recorded instead of aborting the whole run
     const firstLayerJTBDs = [];
     const clusterToJTBDMap = {};
+    const errors = [];
     
     // Get first layer clusters from the result
     const firstLayerClusters = clusterResult.layers[0].clusters;
     
-    // Process each cluster to generate a JTBD
+    // Generate all first-layer JTBDs in parallel; the request queue bounds the API calls in flight
+    // Preserved clusters keep their previous JTBD and only take in the scenarios that joined them
+    const firstLayerResults = await Promise.all(firstLayerClusters.map(clusterObj => {
+      const previousJTBD = preserving ? findPreviousJTBD(previousJTBDs, 1, clusterObj.items.map(item => item.id)) : null;
+      if (previousJTBD) {
+        return extendJTBD(previousJTBD, clusterObj.items);
+      }
+      return generateJTBDFromCluster(clusterObj.items, llmProvider, stats).catch(error => error);
+    }));
+    
+    // Process each cluster's result in cluster order
     for (let i = 0; i < firstLayerClusters.length; i++) {
       const clusterObj = firstLayerClusters[i];
       const clusterId = clusterObj.id;
       const cluster = clusterObj.items;
       
-      // Generate JTBD for this cluster
-      const jtbd = await generateJTBDFromCluster(cluster, llmProvider);
+      const jtbd = firstLayerResults[i];
+      if (isFixtureMissing(jtbd)) {
+        throw jtbd;
+      }
+      if (jtbd instanceof Error) {
+        errors.push(createClusterError(1, clusterId, cluster.map(scenario => scenario.id), jtbd));
+        continue;
+      }
       
       // Add layer information and cluster ID reference
       jtbd.level = 1;
@@ -107,23 +130,17 @@ async function generateJTBDs(scenarios, options = {}) {
     
     // If only one layer requested, return the results
     if (layerCount === 1) {
-      // In incremental mode, merge with previous JTBDs if not preserving clusters
-      if (incremental && !preserveExistingClusters) {
-        return {
-          jtbds: mergeJTBDs(previousJTBDs, firstLayerJTBDs),
-          hierarchyInfo: null
-        };
-      } else if (incremental && preserveExistingClusters) {
-        return {
-          jtbds: [...previousJTBDs, ...firstLayerJTBDs],
-          hierarchyInfo: null
-        };
-      } else {
-        return {
-          jtbds: firstLayerJTBDs,
-          hierarchyInfo: null
-        };
-      }
+      const jtbds = incremental && !preserving ? mergeJTBDs(previousJTBDs, firstLayerJTBDs) : firstLayerJTBDs;
+      return {
+        jtbds,
+        hierarchyInfo: null,
+        metadata: {
+          errors,
+          repairAttempts: stats.repairAttempts,
+          usage: stats.usage,
+          ...(incremental && { incremental: createIncrementalReport(scenarios, previousJTBDs, jtbds, preserving) })
+        }
+      };
     }
     
     // Step 4: Generate second-layer JTBDs (abstracted from first-layer JTBDs)
@@ -133,67 +150,27 @@ async function generateJTBDs(scenarios, options = {}) {
     if (clusterResult.layers.length >= 2) {
       const secondLayerClusters = clusterResult.layers[1].clusters;
       
-      // Process each second-layer cluster to generate a higher-level JTBD
-      for (let i = 0; i < secondLayerClusters.length; i++) {
-        const superClusterObj = secondLayerClusters[i];
-        const superClusterId = superClusterObj.id;
-        const childIds = superClusterObj.childIds || [];
-        
-        // Collect the first-layer JTBDs that belong to this super-cluster
-        const relatedFirstLayerJTBDs = [];
-        
-        // Find the corresponding JTBDs for those clusters
-        for (const childId of childIds) {
-          const jtbdId = clusterToJTBDMap[childId];
-          const jtbd = firstLayerJTBDs.find(j => j.id === jtbdId);
-          if (jtbd) {
-            relatedFirstLayerJTBDs.push(jtbd);
-          }
-        }
-        
-        // Only generate a second-layer JTBD if we have child JTBDs
-        if (relatedFirstLayerJTBDs.length > 0) {
-          // Generate a second-layer JTBD from the first-layer JTBDs
-          const abstractJTBD = await generateAbstractJTBD(relatedFirstLayerJTBDs, llmProvider);
-          
-          // Add layer information and hierarchy reference
-          abstractJTBD.level = 2;
-          abstractJTBD.clusterId = superClusterId;
-          abstractJTBD.childIds = relatedFirstLayerJTBDs.map(j => j.id);
-          
-          // Store the second-layer JTBD
-          secondLayerJTBDs.push(abstractJTBD);
-        } else if (superClusterObj.items.length > 0) {
-          // If we don't have related first-layer JTBDs but do have items, 
-          // generate JTBD directly from items
-          const abstractJTBD = await generateJTBDFromCluster(superClusterObj.items, llmProvider);
-          
-          // Add layer information
-          abstractJTBD.level = 2;
-          abstractJTBD.clusterId = superClusterId;
-          abstractJTBD.childIds = [];
-          
-          // Store the second-layer JTBD
-          secondLayerJTBDs.push(abstractJTBD);
-        } else {
-          logger.warn(`No child JTBDs or items found for super cluster ${superClusterId}`);
+      // Generate the second-layer JTBDs in parallel, then record them in cluster order
+      const secondLayerResults = await Promise.all(secondLayerClusters.map(superClusterObj =>
+        generateSecondLayerJTBD(superClusterObj, firstLayerJTBDs, clusterToJTBDMap, llmProvider, stats,
+          preserving ? previousJTBDs : [])
+      ));
+      
+      secondLayerResults.forEach(result => {
+        if (result?.error) {
+          errors.push(result.error);
+        } else if (result) {
+          secondLayerJTBDs.push(result.jtbd);
         }
-      }
+      });
     }
     
     // Combine all JTBDs
     let allJTBDs = [...firstLayerJTBDs, ...secondLayerJTBDs];
     
-    // In incremental mode, merge with previous JTBDs if not preserving clusters,
-    // otherwise just add the new JTBDs to previous ones
-    if (incremental) {
-      if (preserveExistingClusters) {
-        // Keep previous JTBDs and add new ones
-        allJTBDs = [...previousJTBDs, ...allJTBDs];
-      } else {
-        // Merge previous and new JTBDs
-        allJTBDs = mergeJTBDs(previousJTBDs, allJTBDs);
-      }
+    // Without preserved clusters, previous JTBDs whose scenarios were all clustered again are replaced
+    if (incremental && !preserving) {
+      allJTBDs = mergeJTBDs(previousJTBDs, allJTBDs);
     }
     
     // Return the results with hierarchy information
@@ -203,6 +180,12 @@ async function generateJTBDs(scenarios, options = {}) {
         layer1Count: firstLayerJTBDs.length,
         layer2Count: secondLayerJTBDs.length,
         previousJTBDsCount: incremental ? previousJTBDs.length : 0
+      },
+      metadata: {
+        errors,
+        repairAttempts: stats.repairAttempts,
+        usage: stats.usage,
+        ...(incremental && { incremental: createIncrementalReport(scenarios, previousJTBDs, allJTBDs, preserving) })
       }
     };
   } catch (error) {
@@ -211,6 +194,96 @@ async function generateJTBDs(scenarios, options = {}) {
   }
 }
 
+/**
+ * Find the previous JTBD of a layer that covers any of the given scenarios
+ * @param {Array} previousJTBDs - JTBDs from the previous run
+ * @param {number} level - JTBD layer
+ * @param {Array<string>} scenarioIds - Scenario IDs of a cluster
+ * @returns {Object|null} Previous JTBD or null
+ */
+function findPreviousJTBD(previousJTBDs, level, scenarioIds) {
+  const ids = new Set(scenarioIds);
+  return previousJTBDs.find(jtbd =>
+    (jtbd.level || 1) === level && (jtbd.scenarioIds || []).some(id => ids.has(id))
+  ) || null;
+}
+
+/**
+ * Carry a previous first-layer JTBD over to its preserved cluster
+ * The statement is kept; scenario references, sources, customers and quotes follow the cluster
+ * @param {Object} previousJTBD - JTBD from the previous run
+ * @param {Array} cluster - Scenarios of the preserved cluster
+ * @returns {Object} JTBD for the cluster
+ */
+function extendJTBD(previousJTBD, cluster) {
+  const previousIds = new Set(previousJTBD.scenarioIds || []);
+  const changed = cluster.length !== previousIds.size || cluster.some(scenario => !previousIds.has(scenario.id));
+  return {
+    ...previousJTBD,
+    ...describeCluster(cluster),
+    ...(changed && { timestamp: new Date().toISOString() })
+  };
+}
+
+/**
+ * Summarize what the new scenarios of an incremental run turned into
+ * A new scenario joined an existing JTBD when its JTBD was preserved or also covers previous scenarios;
+ * otherwise it formed a new JTBD. Scenarios whose cluster failed are listed as unassigned.
+ * @param {Array} scenarios - All scenarios of the run
+ * @param {Array} previousJTBDs - JTBDs from the previous run
+ * @param {Array} jtbds - Resulting JTBDs
+ * @param {boolean} preserved - Whether the previous clusters were preserved
+ * @returns {Object} Incremental report
+ */
+function createIncrementalReport(scenarios, previousJTBDs, jtbds, preserved) {
+  const previousScenarioIds = new Set(previousJTBDs.flatMap(jtbd => jtbd.scenarioIds || []));
+  const previousJTBDIds = new Set(previousJTBDs.map(jtbd => jtbd.id));
+  const newScenarioIds = new Set(scenarios.map(scenario => scenario.id).filter(id => !previousScenarioIds.has(id)));
+  const report = {
+    previousJTBDs: previousJTBDs.length,
+    newScenarios: newScenarioIds.size,
+    preservedClusters: preserved,
+    joined: [],
+    formed: [],
+    unassigned: []
+  };
+  
+  const assigned = new Set();
+  jtbds.filter(jtbd => (jtbd.level || 1) === 1).forEach(jtbd => {
+    const added = (jtbd.scenarioIds || []).filter(id => newScenarioIds.has(id));
+    if (added.length === 0) {
+      return;
+    }
+    added.forEach(id => assigned.add(id));
+    const entry = { jtbdId: jtbd.id, statement: jtbd.statement, scenarioIds: added };
+    const existing = previousJTBDIds.has(jtbd.id) || jtbd.scenarioIds.some(id => previousScenarioIds.has(id));
+    report[existing ? 'joined' : 'formed'].push(entry);
+  });
+  report.unassigned = [...newScenarioIds].filter(id => !assigned.has(id));
+  
+  return report;
+}
+
+/**
+ * Describe a cluster whose JTBD could not be generated
+ * @param {number} level - JTBD layer of the cluster
+ * @param {string} clusterId - Cluster ID
+ * @param {Array<string>} scenarioIds - IDs of the scenarios in the cluster
+ * @param {Error} error - Generation error
+ * @returns {Object} Structured error recorded in the output metadata
+ */
+function createClusterError(level, clusterId, scenarioIds, error) {
+  logger.error(`Failed to generate layer ${level} JTBD for cluster ${clusterId}: ${error.message}`);
+  return {
+    stage: 'jtbd',
+    level,
+    clusterId,
+    scenarioIds,
+    ...(error.code && { code: error.code }),
+    message: error.message
+  };
+}
+
 /**
  * Extract cluster information from existing JTBDs for incremental clustering
  * @param {Array} jtbds - Previous JTBDs with cluster information
@@ -234,11 +307,13 @@ function extractClusterInfo(jtbds) {
         jtbdId: jtbd.id
       };
     } else if (jtbd.level === 2 && jtbd.clusterId && jtbd.childIds) {
+      const childJTBDs = jtbd.childIds.map(childId => jtbds.find(j => j.id === childId)).filter(Boolean);
       clusterInfo.layer2[jtbd.clusterId] = {
-        childClusterIds: jtbd.childIds.map(childId => {
-          const childJTBD = jtbds.find(j => j.id === childId);
-          return childJTBD ? childJTBD.clusterId : null;
-        }).filter(Boolean),
+        childClusterIds: childJTBDs.map(childJTBD => childJTBD.clusterId).filter(Boolean),
+        // Child clusters are renumbered on every run, so they are matched by their scenarios
+        childClusterScenarioIds: Object.fromEntries(
+          childJTBDs.filter(childJTBD => childJTBD.clusterId).map(childJTBD => [childJTBD.clusterId, childJTBD.scenarioIds || []])
+        ),
         jtbdId: jtbd.id
       };
     }
@@ -300,42 +375,155 @@ function mergeJTBDs(previousJTBDs, newJTBDs) {
   return [...preserveJTBDs, ...newJTBDs];
 }
 
+/**
+ * Generate the JTBD for one second-layer cluster
+ * Abstracts the cluster's first-layer JTBDs, or falls back to its scenarios when none of them succeeded.
+ * A cluster that contains the children of a previous second-layer JTBD keeps that JTBD.
+ * @param {Object} superClusterObj - Second-layer cluster
+ * @param {Array} firstLayerJTBDs - Generated first-layer JTBDs
+ * @param {Object} clusterToJTBDMap - First-layer cluster ID to JTBD ID
+ * @param {Object} llmProvider - LLM provider
+ * @param {Object} stats - Statistics collector passed to the provider
+ * @param {Array} [previousJTBDs] - JTBDs of the previous run whose clusters are preserved
+ * @returns {Promise<Object|null>} { jtbd } on success, { error } on failure, or null if the cluster is empty
+ */
+async function generateSecondLayerJTBD(superClusterObj, firstLayerJTBDs, clusterToJTBDMap, llmProvider, stats, previousJTBDs = []) {
+  const superClusterId = superClusterObj.id;
+  const childIds = superClusterObj.childIds || [];
+  
+  // Collect the first-layer JTBDs that belong to this super-cluster
+  const relatedFirstLayerJTBDs = [];
+  
+  // Find the corresponding JTBDs for those clusters
+  for (const childId of childIds) {
+    const jtbdId = clusterToJTBDMap[childId];
+    const jtbd = firstLayerJTBDs.find(j => j.id === jtbdId);
+    if (jtbd) {
+      relatedFirstLayerJTBDs.push(jtbd);
+    }
+  }
+  
+  const childJTBDIds = relatedFirstLayerJTBDs.map(jtbd => jtbd.id);
+  const previousJTBD = previousJTBDs.find(jtbd =>
+    jtbd.level === 2 && (jtbd.childIds || []).some(id => childJTBDIds.includes(id))
+  );
+  if (previousJTBD) {
+    const { scenarioIds, sources, customers, sourceQuotes } = aggregateJTBDs(relatedFirstLayerJTBDs);
+    const changed = childJTBDIds.length !== previousJTBD.childIds.length ||
+      childJTBDIds.some(id => !previousJTBD.childIds.includes(id));
+    return {
+      jtbd: {
+        ...previousJTBD,
+        jtbdIds: childJTBDIds,
+        scenarioIds,
+        sources,
+        customers,
+        sourceQuotes,
+        ...(changed && { timestamp: new Date().toISOString() }),
+        clusterId: superClusterId,
+        childIds: childJTBDIds
+      }
+    };
+  }
+  
+  // Only generate a second-layer JTBD if we have child JTBDs
+  if (relatedFirstLayerJTBDs.length > 0) {
+    // Generate a second-layer JTBD from the first-layer JTBDs
+    let abstractJTBD;
+    try {
+      abstractJTBD = await generateAbstractJTBD(relatedFirstLayerJTBDs, llmProvider, stats);
+    } catch (error) {
+      if (isFixtureMissing(error)) {
+        throw error;
+      }
+      const scenarioIds = relatedFirstLayerJTBDs.flatMap(jtbd => jtbd.scenarioIds || []);
+      return { error: createClusterError(2, superClusterId, scenarioIds, error) };
+    }
+    
+    // Add layer information and hierarchy reference
+    abstractJTBD.level = 2;
+    abstractJTBD.clusterId = superClusterId;
+    abstractJTBD.childIds = relatedFirstLayerJTBDs.map(j => j.id);
+    return { jtbd: abstractJTBD };
+  }
+  
+  if (superClusterObj.items.length > 0) {
+    // If we don't have related first-layer JTBDs but do have items, 
+    // generate JTBD directly from items
+    let abstractJTBD;
+    try {
+      abstractJTBD = await generateJTBDFromCluster(superClusterObj.items, llmProvider, stats);
+    } catch (error) {
+      if (isFixtureMissing(error)) {
+        throw error;
+      }
+      return { error: createClusterError(2, superClusterId, superClusterObj.items.map(item => item.id), error) };
+    }
+    
+    // Add layer information
+    abstractJTBD.level = 2;
+    abstractJTBD.clusterId = superClusterId;
+    abstractJTBD.childIds = [];
+    return { jtbd: abstractJTBD };
+  }
+  
+  logger.warn(`No child JTBDs or items found for super cluster ${superClusterId}`);
+  return null;
+}
+
+/**
+ * Collect the scenario references, sources, customers and verified evidence of a cluster
+ * @param {Array} cluster - Cluster of scenario objects
+ * @returns {Object} { scenarioIds, sources, customers, sourceQuotes }
+ */
+function describeCluster(cluster) {
+  const sourcesSet = new Set();
+  const customersSet = new Set();
+  const sourceQuotes = [];
+  
+  cluster.forEach(scenario => {
+    (Array.isArray(scenario.sources) ? scenario.sources : []).forEach(source => sourcesSet.add(source));
+    if (scenario.customer) {
+      customersSet.add(scenario.customer);
+    }
+    (scenario.evidence || []).filter(item => item.verified).forEach(item => {
+      sourceQuotes.push({
+        quote: item.quote,
+        scenarioId: scenario.id,
+        sourceId: (scenario.sources || [])[0] || null,
+        start: item.start,
+        end: item.end
+      });
+    });
+  });
+  
+  return {
+    scenarioIds: cluster.map(scenario => scenario.id),
+    sources: Array.from(sourcesSet),
+    customers: Array.from(customersSet),
+    sourceQuotes
+  };
+}
+
 /**
  * Generate a JTBD from a cluster of scenarios
  * @param {Array} cluster - Cluster of scenario objects
  * @param {Object} llmProvider - LLM provider
+ * @param {Object} [stats] - Statistics collector passed to the provider
  * @returns {Promise<Object>} Generated JTBD
  */
-async function generateJTBDFromCluster(cluster, llmProvider) {
+async function generateJTBDFromCluster(cluster, llmProvider, stats = {}) {
   try {
     // Generate a JTBD using the LLM provider
-    const jtbd = await llmProvider.generateJTBD(cluster);
+    const jtbd = await llmProvider.generateJTBD(cluster, stats);
     
     // Ensure the JTBD has an ID
     if (!jtbd.id) {
       jtbd.id = `jtbd-${uuidv4()}`;
     }
     
-    // Add scenario references
-    jtbd.scenarioIds = cluster.map(scenario => scenario.id);
-    
-    // Add sources by aggregating from scenarios
-    const sourcesSet = new Set();
-    cluster.forEach(scenario => {
-      if (scenario.sources && Array.isArray(scenario.sources)) {
-        scenario.sources.forEach(source => sourcesSet.add(source));
-      }
-    });
-    jtbd.sources = Array.from(sourcesSet);
-    
-    // Add customers by aggregating from scenarios
-    const customersSet = new Set();
-    cluster.forEach(scenario => {
-      if (scenario.customer) {
-        customersSet.add(scenario.customer);
-      }
-    });
-    jtbd.customers = Array.from(customersSet);
+    // Add scenario references, sources, customers and evidence of the clustered scenarios
+    Object.assign(jtbd, describeCluster(cluster));
     
     // Add version info
     jtbd.version = "1.0";
@@ -348,13 +536,50 @@ async function generateJTBDFromCluster(cluster, llmProvider) {
   }
 }
 
+/**
+ * Aggregate the scenario references, sources, customers and quotes of first-layer JTBDs
+ * @param {Array} relatedJTBDs - First-layer JTBDs
+ * @returns {Object} { scenarioIds, sources, customers, sourceQuotes }
+ */
+function aggregateJTBDs(relatedJTBDs) {
+  const scenarioIdsSet = new Set();
+  const sourcesSet = new Set();
+  const customersSet = new Set();
+  relatedJTBDs.forEach(jtbd => {
+    (Array.isArray(jtbd.scenarioIds) ? jtbd.scenarioIds : []).forEach(id => scenarioIdsSet.add(id));
+    (Array.isArray(jtbd.sources) ? jtbd.sources : []).forEach(source => sourcesSet.add(source));
+    (Array.isArray(jtbd.customers) ? jtbd.customers : []).forEach(customer => customersSet.add(customer));
+  });
+  
+  // Cite each passage of a source once
+  const quoteKeys = new Set();
+  const sourceQuotes = [];
+  relatedJTBDs.forEach(jtbd => {
+    (jtbd.sourceQuotes || []).forEach(item => {
+      const key = `${item.sourceId}:${item.start}:${item.end}`;
+      if (!quoteKeys.has(key)) {
+        quoteKeys.add(key);
+        sourceQuotes.push(item);
+      }
+    });
+  });
+  
+  return {
+    scenarioIds: Array.from(scenarioIdsSet),
+    sources: Array.from(sourcesSet),
+    customers: Array.from(customersSet),
+    sourceQuotes
+  };
+}
+
 /**
  * Generate an abstract JTBD from related first-layer JTBDs
  * @param {Array} relatedJTBDs - Array of related first-layer JTBD objects
  * @param {Object} llmProvider - LLM provider
+ * @param {Object} [stats] - Statistics collector passed to the provider
  * @returns {Promise<Object>} Generated abstract JTBD
  */
-async function generateAbstractJTBD(relatedJTBDs, llmProvider) {
+async function generateAbstractJTBD(relatedJTBDs, llmProvider, stats = {}) {
   try {
     // Check if we have relatedJTBDs
     if (!relatedJTBDs || relatedJTBDs.length === 0) {
@@ -362,7 +587,7 @@ async function generateAbstractJTBD(relatedJTBDs, llmProvider) {
     }
     
     // Generate an abstract JTBD using the LLM provider
-    const abstractJTBD = await llmProvider.generateAbstractJTBD(relatedJTBDs);
+    const abstractJTBD = await llmProvider.generateAbstractJTBD(relatedJTBDs, stats);
     
     // Ensure the JTBD has an ID
     if (!abstractJTBD.id) {
@@ -372,32 +597,8 @@ async function generateAbstractJTBD(relatedJTBDs, llmProvider) {
     // Add JTBD references
     abstractJTBD.jtbdIds = relatedJTBDs.map(jtbd => jtbd.id);
     
-    // Aggregate scenario IDs from first-layer JTBDs
-    const scenarioIdsSet = new Set();
-    relatedJTBDs.forEach(jtbd => {
-      if (jtbd.scenarioIds && Array.isArray(jtbd.scenarioIds)) {
-        jtbd.scenarioIds.forEach(id => scenarioIdsSet.add(id));
-      }
-    });
-    abstractJTBD.scenarioIds = Array.from(scenarioIdsSet);
-    
-    // Aggregate sources from first-layer JTBDs
-    const sourcesSet = new Set();
-    relatedJTBDs.forEach(jtbd => {
-      if (jtbd.sources && Array.isArray(jtbd.sources)) {
-        jtbd.sources.forEach(source => sourcesSet.add(source));
-      }
-    });
-    abstractJTBD.sources = Array.from(sourcesSet);
-    
-    // Aggregate customers from first-layer JTBDs
-    const customersSet = new Set();
-    relatedJTBDs.forEach(jtbd => {
-      if (jtbd.customers && Array.isArray(jtbd.customers)) {
-        jtbd.customers.forEach(customer => customersSet.add(customer));
-      }
-    });
-    abstractJTBD.customers = Array.from(customersSet);
+    // Aggregate scenarios, sources, customers and quotes from first-layer JTBDs
+    Object.assign(abstractJTBD, aggregateJTBDs(relatedJTBDs));
     
     // Add version info
     abstractJTBD.version = "1.0";
@@ -411,25 +612,53 @@ async function generateAbstractJTBD(relatedJTBDs, llmProvider) {
 }
 
 /**
- * Get the appropriate LLM provider based on configuration
- * @returns {Promise<Object>} LLM provider
+ * Estimate the tokens and cost of generating JTBDs without calling any API
+ * Cluster counts are only known after embedding, so the worst case is assumed:
+ * every scenario forms its own first-layer cluster and second-layer clusters pair them up
+ * @param {Array} scenarios - Array of scenario objects, all of which are embedded
+ * @param {Object} options - Generation options
+ * @param {number} [options.layers] - Number of layers
+ * @param {Array} [options.pending] - Scenarios that still need JTBDs, when previous clusters are preserved (defaults to all)
+ * @returns {Object} { jtbd, embedding } dry-run estimates
  */
-async function getLLMProvider() {
-  // Determine which model to use from config
-  const model = config.model?.toLowerCase() || '';
+function estimateJTBDGeneration(scenarios, options = {}) {
+  const model = config.model || 'gpt-4o';
+  const maxTokens = jtbdProvider.getMaxTokens();
+  const jtbdEstimate = createEstimate();
+  const embeddingEstimate = createEstimate();
+  
+  const countTokens = messages => messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
   
-  if (model.includes('claude')) {
-    return await import('./providers/claude-provider.js');
-  } else if (model.includes('gemini') || model.includes('google')) {
-    return await import('./providers/gemini-provider.js');
-  } else {
-    // Default to OpenAI
-    return await import('./providers/openai-provider.js');
+  if ((config.embedding?.provider || 'openai').toLowerCase() === 'openai') {
+    const embeddingModel = config.embedding?.model || 'text-embedding-3-large';
+    const tokens = scenarios.reduce((sum, scenario) => sum + estimateTokens(scenario.statement || ''), 0);
+    addEstimate(embeddingEstimate, embeddingModel, tokens, 0, Math.ceil(scenarios.length / 10));
   }
+  
+  const pending = options.pending || scenarios;
+  pending.forEach(scenario => {
+    addEstimate(jtbdEstimate, model, countTokens(jtbdProvider.createJTBDMessages([scenario])), maxTokens);
+  });
+  
+  if ((options.layers || 1) > 1) {
+    // First-layer JTBDs are not known yet; the scenarios they summarize stand in for them
+    const standIns = pending.map(scenario => ({
+      statement: scenario.statement,
+      situation: scenario.persona,
+      motivation: scenario.action,
+      outcome: scenario.value
+    }));
+    for (let i = 0; i < standIns.length; i += 2) {
+      addEstimate(jtbdEstimate, model, countTokens(jtbdProvider.createAbstractionMessages(standIns.slice(i, i + 2))), maxTokens);
+    }
+  }
+  
+  return { jtbd: jtbdEstimate, embedding: embeddingEstimate };
 }
 
 export {
   generateJTBDs,
   generateJTBDFromCluster,
-  generateAbstractJTBD
+  generateAbstractJTBD,
+  estimateJTBDGeneration
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+// src/utils/jtbd/jtbd-identity.js
+import logger from '../logger.js';
+import { statementSimilarity } from '../parsers/scenario-deduplicator.js';
+
+// A regenerated JTBD keeps a previous ID when it shares at least this share (Jaccard) of scenarios with it
+const MEMBERSHIP_MATCH = 0.5;
+
+// ...or shares some scenarios and a statement at least this similar
+const SUPPORTING_STATEMENT_MATCH = 0.5;
+
+// ...or, when scenario IDs changed, has a near-identical statement
+const STATEMENT_MATCH = 0.8;
+
+/**
+ * Count the scenario IDs two JTBDs have in common
+ * @param {Set<string>} a - Scenario IDs of the first JTBD
+ * @param {Set<string>} b - Scenario IDs of the second JTBD
+ * @returns {number} Number of shared scenario IDs
+ */
+function countShared(a, b) {
+  let shared = 0;
+  a.forEach(id => {
+    if (b.has(id)) {
+      shared++;
+    }
+  });
+  return shared;
+}
+
+/**
+ * Compare a regenerated JTBD with a previous one
+ * @param {Object} current - Regenerated JTBD with its scenario ID set
+ * @param {Object} previous - Previous JTBD with its scenario ID set
+ * @returns {Object} { shared, membership, statement, derived, match, score }
+ */
+function compareJTBDs(current, previous) {
+  const shared = countShared(current.ids, previous.ids);
+  const union = current.ids.size + previous.ids.size - shared;
+  const membership = union > 0 ? shared / union : 0;
+  const statement = current.jtbd.statement && previous.jtbd.statement
+    ? statementSimilarity(current.jtbd.statement, previous.jtbd.statement)
+    : 0;
+
+  // Most of one JTBD's scenarios ended up in the other, so one derives from the other
+  const smaller = Math.min(current.ids.size, previous.ids.size);
+  const derived = smaller > 0 && shared >= smaller * 0.5;
+
+  const match = membership >= MEMBERSHIP_MATCH ||
+    (shared > 0 && statement >= SUPPORTING_STATEMENT_MATCH) ||
+    statement >= STATEMENT_MATCH;
+
+  return { shared, membership, statement, derived, match, score: membership + statement };
+}
+
+/**
+ * Give the JTBDs of one layer the IDs of the previous JTBDs they continue and record their lineage
+ * Pairs are matched greedily from the best score, so every previous ID is reused at most once.
+ * @param {Array<Object>} jtbds - Regenerated JTBDs of the layer (updated in place)
+ * @param {Array<Object>} previousJTBDs - Previous JTBDs of the layer
+ * @returns {Object} { idMap, reused, retired } where idMap maps generated IDs to the IDs kept
+ *   and retired lists the previous IDs no JTBD continues
+ */
+function matchLayer(jtbds, previousJTBDs) {
+  const current = jtbds.map(jtbd => ({ jtbd, ids: new Set(jtbd.scenarioIds || []) }));
+  const previous = previousJTBDs.map(jtbd => ({ jtbd, ids: new Set(jtbd.scenarioIds || []) }));
+  const pairs = [];
+  current.forEach((currentEntry, i) => {
+    previous.forEach((previousEntry, j) => {
+      const comparison = compareJTBDs(currentEntry, previousEntry);
+      if (comparison.match || comparison.derived) {
+        pairs.push({ i, j, ...comparison });
+      }
+    });
+  });
+
+  // Previous IDs are reused for the best matches first
+  const assigned = new Map();
+  const claimed = new Set();
+  pairs
+    .filter(pair => pair.match)
+    .sort((a, b) => b.score - a.score)
+    .forEach(pair => {
+      if (!assigned.has(pair.i) && !claimed.has(pair.j)) {
+        assigned.set(pair.i, pair.j);
+        claimed.add(pair.j);
+      }
+    });
+
+  const idMap = {};
+  current.forEach((entry, i) => {
+    const { jtbd } = entry;
+    const derivedFrom = pairs.filter(pair => pair.i === i && pair.derived).map(pair => pair.j);
+    const lineage = {};
+
+    if (derivedFrom.length > 1) {
+      lineage.mergedFrom = derivedFrom.map(j => previous[j].jtbd.id);
+    }
+
+    // A previous JTBD whose scenarios now spread over several JTBDs was split;
+    // the part that kept its ID continues it, the others record where they came from
+    const splitFrom = derivedFrom.find(j =>
+      assigned.get(i) !== j && pairs.filter(pair => pair.j === j && pair.derived).length > 1
+    );
+    if (splitFrom !== undefined) {
+      lineage.splitFrom = previous[splitFrom].jtbd.id;
+    }
+
+    // A JTBD that replaces a single previous one without matching it closely enough to keep its ID
+    if (!assigned.has(i) && derivedFrom.length === 1 && splitFrom === undefined && !claimed.has(derivedFrom[0])) {
+      lineage.supersedes = previous[derivedFrom[0]].jtbd.id;
+    }
+
+    const generatedId = jtbd.id;
+    if (assigned.has(i)) {
+      jtbd.id = previous[assigned.get(i)].jtbd.id;
+    }
+    idMap[generatedId] = jtbd.id;
+
+    if (Object.keys(lineage).length > 0) {
+      jtbd.lineage = lineage;
+    } else {
+      delete jtbd.lineage;
+    }
+  });
+
+  return {
+    idMap,
+    reused: assigned.size,
+    retired: previous.filter((_, j) => !claimed.has(j)).map(entry => entry.jtbd.id)
+  };
+}
+
+/**
+ * Keep JTBD IDs stable across regenerations
+ * Every layer is matched against the previous JTBDs of the same layer by scenario membership and
+ * statement similarity. Matched JTBDs keep the previous ID; merges, splits and replacements are
+ * recorded in a lineage field ({ mergedFrom, splitFrom, supersedes }). References between layers
+ * are updated to the IDs that were kept.
+ * @param {Array<Object>} jtbds - Regenerated JTBDs (updated in place)
+ * @param {Array<Object>} previousJTBDs - JTBDs of the previous run
+ * @returns {Object} { summary, idMap } with the kept, new and retired IDs and the recorded lineage,
+ *   and a map from the generated IDs to the IDs kept
+ */
+function assignStableIds(jtbds, previousJTBDs) {
+  const summary = { reused: 0, created: 0, retired: [], merged: 0, split: 0, superseded: 0 };
+  const levels = [...new Set(jtbds.map(jtbd => jtbd.level || 1))].sort();
+  const idMap = {};
+
+  levels.forEach(level => {
+    const layer = jtbds.filter(jtbd => (jtbd.level || 1) === level);
+    const previousLayer = previousJTBDs.filter(jtbd => (jtbd.level || 1) === level);
+
+    // Lower layers are matched first, so references to them already use the kept IDs
+    layer.forEach(jtbd => {
+      ['childIds', 'jtbdIds'].forEach(field => {
+        if (Array.isArray(jtbd[field])) {
+          jtbd[field] = jtbd[field].map(id => idMap[id] || id);
+        }
+      });
+    });
+
+    const result = matchLayer(layer, previousLayer);
+    Object.assign(idMap, result.idMap);
+    summary.reused += result.reused;
+    summary.created += layer.length - result.reused;
+    summary.retired.push(...result.retired);
+  });
+
+  // Previous layers that no longer exist are retired entirely
+  const currentLevels = new Set(levels);
+  previousJTBDs
+    .filter(jtbd => !currentLevels.has(jtbd.level || 1))
+    .forEach(jtbd => summary.retired.push(jtbd.id));
+
+  jtbds.forEach(jtbd => {
+    summary.merged += jtbd.lineage?.mergedFrom ? 1 : 0;
+    summary.split += jtbd.lineage?.splitFrom ? 1 : 0;
+    summary.superseded += jtbd.lineage?.supersedes ? 1 : 0;
+  });
+
+  return { summary, idMap };
+}
+
+/**
+ * Log how JTBD IDs carried over from the previous run
+ * @param {Object} summary - Summary returned by assignStableIds
+ */
+function logIdentitySummary(summary) {
+  logger.info(`JTBD IDs: ${summary.reused} kept, ${summary.created} new, ${summary.retired.length} retired` +
+    ` (${summary.merged} merged, ${summary.split} split, ${summary.superseded} superseding)`);
+}
+
+export { assignStableIds, logIdentitySummary };
@@ -0,0 +1,142 @@
+// src/utils/jtbd/jtbd-priority.js
+import config from '../config.js';
+
+// Share of the score each kind of evidence contributes unless configured otherwise
+const DEFAULT_WEIGHTS = {
+  scenarios: 0.4,
+  customers: 0.3,
+  sources: 0.2,
+  recency: 0.1
+};
+
+/**
+ * Parse priority weights such as "scenarios=3,customers=2,recency=0"
+ * Criteria that are not mentioned keep their default weight; weights are relative and need not add up to 1.
+ * @param {string} [spec] - Weight specification, defaults to PRIORITY_WEIGHTS
+ * @returns {Object} Weight per criterion
+ * @throws {Error} With code INVALID_WEIGHTS for unknown criteria, negative weights or all-zero weights
+ */
+function parseWeights(spec = config.getConfig().priority.weights) {
+  const weights = { ...DEFAULT_WEIGHTS };
+  const fail = message => {
+    const error = new Error(`Invalid priority weights "${spec}": ${message}`);
+    error.code = 'INVALID_WEIGHTS';
+    throw error;
+  };
+
+  (spec || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [name, value, ...rest] = part.split('=').map(item => item.trim());
+    if (!(name in DEFAULT_WEIGHTS)) {
+      fail(`unknown criterion '${name}' (use ${Object.keys(DEFAULT_WEIGHTS).join(', ')})`);
+    }
+    const weight = Number(value);
+    if (rest.length > 0 || value === undefined || value === '' || !Number.isFinite(weight) || weight < 0) {
+      fail(`'${part}' needs a non-negative number`);
+    }
+    weights[name] = weight;
+  });
+
+  if (Object.values(weights).every(weight => weight === 0)) {
+    fail('at least one weight must be positive');
+  }
+  return weights;
+}
+
+/**
+ * Collect the evidence behind a JTBD
+ * @param {Object} jtbd - JTBD
+ * @param {Map<string, Object>} scenarioMap - Scenarios by ID
+ * @param {Map<string, Object>} sourceMap - Sources by ID, when the input lists them
+ * @returns {Object} { scenarios, customers, sources, latest } where latest is the newest evidence date or null
+ */
+function collectEvidence(jtbd, scenarioMap, sourceMap) {
+  const scenarioIds = jtbd.scenarioIds || jtbd.relatedScenarios || [];
+  const scenarios = scenarioIds.map(id => scenarioMap.get(id)).filter(Boolean);
+  const customers = new Set(jtbd.customers || []);
+  const sources = new Set(jtbd.sources || []);
+  const dates = [];
+
+  scenarios.forEach(scenario => {
+    if (scenario.customer) {
+      customers.add(scenario.customer);
+    }
+    (scenario.sources || []).forEach(sourceId => sources.add(sourceId));
+    if (scenario.timestamp) {
+      dates.push(scenario.timestamp);
+    }
+  });
+  sources.forEach(sourceId => {
+    const source = sourceMap.get(sourceId);
+    if (source?.date) {
+      dates.push(source.date);
+    }
+  });
+
+  const times = dates.map(date => Date.parse(date)).filter(time => !Number.isNaN(time));
+  return {
+    scenarios: scenarioIds.length,
+    customers: customers.size,
+    sources: sources.size,
+    latest: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null
+  };
+}
+
+/**
+ * Score and rank JTBDs by the evidence behind them
+ * Scenario, customer and source counts are scaled against the best-supported JTBD of the same layer;
+ * recency is scaled between the oldest and newest evidence dates of the layer. The weighted average of
+ * those components is the score from 0 to 100. JTBDs are ranked within their layer.
+ * @param {Object} data - JTBD output with jtbds, scenarios and optionally sources
+ * @param {Object} [weights] - Weight per criterion (see parseWeights)
+ * @returns {Array<Object>} { id, level, statement, rank, score, evidence, components } per JTBD,
+ *   layer by layer from the highest score
+ */
+function scoreJTBDs(data, weights = DEFAULT_WEIGHTS) {
+  const scenarioMap = new Map((data.scenarios || []).map(scenario => [scenario.id, scenario]));
+  const sourceMap = new Map((data.sources || []).map(source => [source.id, source]));
+  const totalWeight = Object.keys(DEFAULT_WEIGHTS).reduce((sum, name) => sum + (weights[name] || 0), 0);
+  const jtbds = (data.jtbds || []).filter(jtbd => jtbd && jtbd.id);
+  const levels = [...new Set(jtbds.map(jtbd => jtbd.level || 1))].sort();
+
+  return levels.flatMap(level => {
+    const entries = jtbds
+      .filter(jtbd => (jtbd.level || 1) === level)
+      .map(jtbd => ({ jtbd, evidence: collectEvidence(jtbd, scenarioMap, sourceMap) }));
+
+    const max = name => Math.max(0, ...entries.map(entry => entry.evidence[name]));
+    const maxima = { scenarios: max('scenarios'), customers: max('customers'), sources: max('sources') };
+    const times = entries.map(entry => entry.evidence.latest).filter(Boolean).map(date => Date.parse(date));
+    const oldest = Math.min(...times);
+    const newest = Math.max(...times);
+
+    const scored = entries.map(({ jtbd, evidence }) => {
+      const components = {};
+      ['scenarios', 'customers', 'sources'].forEach(name => {
+        components[name] = maxima[name] > 0 ? evidence[name] / maxima[name] : 0;
+      });
+      // Without a spread of dates every dated JTBD is equally recent
+      if (!evidence.latest) {
+        components.recency = 0;
+      } else {
+        components.recency = newest > oldest ? (Date.parse(evidence.latest) - oldest) / (newest - oldest) : 1;
+      }
+
+      const weighted = Object.keys(DEFAULT_WEIGHTS).reduce((sum, name) => sum + (weights[name] || 0) * components[name], 0);
+      return {
+        id: jtbd.id,
+        level,
+        statement: jtbd.statement || jtbd.title || '',
+        score: Math.round((weighted / totalWeight) * 1000) / 10,
+        evidence,
+        components
+      };
+    });
+
+    // Ties keep the order of the input
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .map((entry, index) => ({ ...entry, rank: index + 1 }));
+  });
+}
+
+export { DEFAULT_WEIGHTS, parseWeights, scoreJTBDs };
@@ -1,96 +1,105 @@
-// src/utils/jtbd/providers/openai-provider.js
-import https from 'https';
-import config from '../../config.js';
-import logger from '../../logger.js';
+// src/utils/jtbd/jtbd-provider.js
+import config from '../config.js';
+import logger from '../logger.js';
+import { requestStructuredOutput } from '../llm/structured-output.js';
+import { JTBDResponseSchema } from '../llm/schemas.js';
+import { isFixtureMissing } from '../recorder.js';
+import { isBudgetExceeded } from '../llm/usage-tracker.js';
 
 /**
- * Generate a JTBD using OpenAI API
+ * Generate a JTBD using the configured LLM provider
  * @param {Array} scenarios - Array of scenario objects
+ * @param {Object} [stats] - Statistics collector (repairAttempts is incremented for each repair request)
  * @returns {Promise<Object>} Generated JTBD object
  */
-async function generateJTBD(scenarios) {
+async function generateJTBD(scenarios, stats = {}) {
   try {
-    logger.info("Using OpenAI API for JTBD generation...");
-    
-    // Use LLM_API_KEY as specified in the PRD
-    const apiKey = config.llmApiKey || process.env.LLM_API_KEY;
-    if (!apiKey) {
-      throw new Error("No API key available. Set LLM_API_KEY in your .env file");
-    }
-    
-    // Get model configuration
-    const model = config.model || 'gpt-4o';
-    const maxTokens = config.maxTokens || 1000;
-    const temperature = config.temperature || 0.7;
+    logger.info(`Using ${config.model} for JTBD generation...`);
     
     // Log language being used
     logger.debug(`Using language: ${config.language}`);
     
-    // Create prompts
-    const systemPrompt = createSystemPrompt();
-    const userPrompt = createUserPrompt(scenarios);
-    
-    // Call OpenAI API
-    const response = await makeOpenAIAPIRequest(
-      apiKey, 
-      systemPrompt, 
-      userPrompt, 
-      model,
-      maxTokens,
-      temperature
-    );
-    
-    // Extract JSON from response
-    return extractJTBDFromResponse(response, scenarios);
+    // Call the LLM and validate the JTBD it returns
+    return await requestJTBD(createJTBDMessages(scenarios), stats);
   } catch (error) {
-    logger.error(`OpenAI API error: ${error.message}`);
-    return createFallbackJTBD(scenarios);
+    if (!config.allowFallback || isFixtureMissing(error) || isBudgetExceeded(error)) {
+      throw error;
+    }
+    logger.error(`LLM API error: ${error.message}. Using fallback JTBD.`);
+    return { ...createFallbackJTBD(scenarios), fallback: true };
   }
 }
 
 /**
  * Generate an abstract JTBD from multiple lower-level JTBDs
  * @param {Array} jtbds - Array of JTBD objects
+ * @param {Object} [stats] - Statistics collector (repairAttempts is incremented for each repair request)
  * @returns {Promise<Object>} Generated abstract JTBD object
  */
-async function generateAbstractJTBD(jtbds) {
+async function generateAbstractJTBD(jtbds, stats = {}) {
   try {
-    logger.info(`Using OpenAI API to generate abstract JTBD from ${jtbds.length} JTBDs...`);
-    
-    const apiKey = config.llmApiKey || process.env.LLM_API_KEY;
-    if (!apiKey) {
-      throw new Error("No API key available. Set LLM_API_KEY in your .env file");
-    }
+    logger.info(`Using ${config.model} to generate abstract JTBD from ${jtbds.length} JTBDs...`);
     
-    // Get model configuration
-    const model = config.model || 'gpt-4o';
-    const maxTokens = config.maxTokens || 1000;
-    const temperature = config.temperature || 0.7;
-    
-    // Create prompts
-    const systemPrompt = createSystemPromptForAbstraction();
-    const userPrompt = createUserPromptForAbstraction(jtbds);
-    
-    // Call OpenAI API
-    const response = await makeOpenAIAPIRequest(
-      apiKey, 
-      systemPrompt, 
-      userPrompt, 
-      model,
-      maxTokens,
-      temperature
-    );
-    
-    // Extract JSON from response
-    return extractJTBDFromResponse(response, null, jtbds);
+    // Call the LLM and validate the JTBD it returns
+    return await requestJTBD(createAbstractionMessages(jtbds), stats);
   } catch (error) {
-    logger.error(`OpenAI API error for abstract JTBD: ${error.message}`);
-    return createFallbackAbstractJTBD(jtbds);
+    if (!config.allowFallback || isFixtureMissing(error) || isBudgetExceeded(error)) {
+      throw error;
+    }
+    logger.error(`LLM API error for abstract JTBD: ${error.message}. Using fallback JTBD.`);
+    return { ...createFallbackAbstractJTBD(jtbds), fallback: true };
   }
 }
 
 /**
- * Create system prompt for OpenAI
+ * Send chat messages to the configured LLM provider and validate the JTBD it returns
+ * @param {Array<Object>} messages - System and user messages
+ * @param {Object} stats - Statistics collector
+ * @returns {Promise<Object>} Validated JTBD payload
+ */
+async function requestJTBD(messages, stats) {
+  return await requestStructuredOutput({
+    messages,
+    schema: JTBDResponseSchema,
+    maxTokens: getMaxTokens(),
+    stats
+  });
+}
+
+/**
+ * Get the completion token limit of JTBD requests
+ * @returns {number} Maximum tokens to generate
+ */
+function getMaxTokens() {
+  return config.maxTokens || 1000;
+}
+
+/**
+ * Create the chat messages asking for the JTBD of a scenario cluster
+ * @param {Array} scenarios - Array of scenario objects
+ * @returns {Array<Object>} System and user messages
+ */
+function createJTBDMessages(scenarios) {
+  return [
+    { role: 'system', content: createSystemPrompt() },
+    { role: 'user', content: createUserPrompt(scenarios) }
+  ];
+}
+
+/**
+ * Create the chat messages asking for an abstract JTBD of several JTBDs
+ * @param {Array} jtbds - Array of JTBD objects
+ * @returns {Array<Object>} System and user messages
+ */
+function createAbstractionMessages(jtbds) {
+  return [
+    { role: 'system', content: createSystemPromptForAbstraction() },
+    { role: 'user', content: createUserPromptForAbstraction(jtbds) }
+  ];
+}
+
+/**
+ * Create system prompt for JTBD generation
  * @returns {string} System prompt
  */
 function createSystemPrompt() {
@@ -113,7 +122,7 @@ Do not include ANY text outside of the JSON object.`;
 }
 
 /**
- * Create user prompt for OpenAI
+ * Create user prompt for JTBD generation
  * @param {Array} scenarios - Array of scenario objects
  * @returns {string} User prompt
  */
@@ -136,15 +145,13 @@ JTBDは「[状況]のとき、[モチベーション]したい、そうすれば
 ${scenariosText}
 
 優先度（1〜10、10が最高）を割り当て、JTBDをより具体的に説明するために状況、モチベーション、結果の要素を個別に特定してください。
-また、このJTBDをサポートするための重要な引用や証拠を提供してください。
 
 以下の形式で有効なJSONオブジェクトとして回答してください:
 {
   "statement": "[状況]のとき、[モチベーション]したい、そうすれば[期待される結果]できる",
   "situation": "[状況]",
   "motivation": "[モチベーション]",
-  "outcome": "[期待される結果]",
-  "sourceQuotes": ["ユーザーシナリオからの証拠となる引用"]
+  "outcome": "[期待される結果]"
 }
 
 重要: JSONオブジェクトのみを返し、JSON以外のテキストを含めないでください。`;
@@ -158,15 +165,13 @@ User Scenarios:
 ${scenariosText}
 
 Identify the situation, motivation, and outcome elements separately to make the JTBD more specific.
-Also provide key quotes or evidence that support this JTBD.
 
 FORMAT YOUR RESPONSE AS A VALID JSON OBJECT WITH THIS STRUCTURE:
 {
   "statement": "When [situation], I want to [motivation], so I can [expected outcome]",
   "situation": "[situation]",
   "motivation": "[motivation]",
-  "outcome": "[expected outcome]",
-  "sourceQuotes": ["supporting quotes from user scenarios"]
+  "outcome": "[expected outcome]"
 }
 
 IMPORTANT: Respond with ONLY the JSON object. Do not include any text outside the JSON.`;
@@ -195,15 +200,13 @@ JTBDs:
 ${jtbdsText}
 
 優先度（1〜10、10が最高）を割り当て、JTBDをより具体的に説明するために状況、モチベーション、結果の要素を個別に特定してください。
-また、このJTBDをサポートするための重要な引用や証拠を提供してください。
 
 以下の形式で有効なJSONオブジェクトとして回答してください:
 {
   "statement": "[状況]のとき、[モチベーション]したい、そうすれば[期待される結果]できる",
   "situation": "[状況]",
   "motivation": "[モチベーション]",
-  "outcome": "[期待される結果]",
-  "sourceQuotes": ["元のJTBDからの証拠となる引用"]
+  "outcome": "[期待される結果]"
 }
 
 重要: JSONオブジェクトのみを返し、JSON以外のテキストを含めないでください。`;
@@ -218,58 +221,18 @@ JTBDs:
 ${jtbdsText}
 
 Identify the situation, motivation, and outcome elements separately to make the JTBD more specific.
-Also provide key quotes or evidence from the original JTBDs that support this abstract JTBD.
 
 FORMAT YOUR RESPONSE AS A VALID JSON OBJECT WITH THIS STRUCTURE:
 {
   "statement": "When [situation], I want to [motivation], so I can [expected outcome]",
   "situation": "[situation]",
   "motivation": "[motivation]",
-  "outcome": "[expected outcome]",
-  "sourceQuotes": ["supporting quotes from original JTBDs"]
+  "outcome": "[expected outcome]"
 }
 
 IMPORTANT: Respond with ONLY the JSON object. Do not include any text outside the JSON.`;
 }
 
-/**
- * Extract JTBD from OpenAI API response
- * @param {string} response - API response text
- * @param {Array} scenarios - Original scenarios (optional)
- * @param {Array} jtbds - Original JTBDs for abstraction (optional)
- * @returns {Object|null} Parsed JTBD or null if parsing fails
- */
-function extractJTBDFromResponse(response, scenarios = null, jtbds = null) {
-  if (!response) return scenarios ? createFallbackJTBD(scenarios) : createFallbackAbstractJTBD(jtbds);
-  
-  try {
-    // Strategy 1: Try to find a JSON block with ```json markers
-    const jsonBlockMatch = response.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonBlockMatch && jsonBlockMatch[1]) {
-      return JSON.parse(jsonBlockMatch[1].trim());
-    }
-    
-    // Strategy 2: Try to find anything that looks like a JSON object
-    const jsonObjectMatch = response.match(/(\{[\s\S]*\})/);
-    if (jsonObjectMatch && jsonObjectMatch[1]) {
-      // Try to fix common JSON parsing issues
-      let jsonCandidate = jsonObjectMatch[1].trim();
-      
-      // Replace single quotes with double quotes
-      jsonCandidate = jsonCandidate.replace(/(['"])?([a-zA-Z0-9_]+)(['"])?:/g, '"$2":');
-      // Replace single quotes in values with double quotes
-      jsonCandidate = jsonCandidate.replace(/: ?'([^']*)'/g, ': "$1"');
-      
-      return JSON.parse(jsonCandidate);
-    }
-    
-    return scenarios ? createFallbackJTBD(scenarios) : createFallbackAbstractJTBD(jtbds);
-  } catch (e) {
-    logger.error(`Failed to parse API response: ${e.message}. Using fallback JTBD.`);
-    return scenarios ? createFallbackJTBD(scenarios) : createFallbackAbstractJTBD(jtbds);
-  }
-}
-
 /**
  * Create a fallback JTBD when API call or parsing fails
  * @param {Array} scenarios - Original scenarios
@@ -313,8 +276,7 @@ function createFallbackJTBD(scenarios) {
     statement: `When ${situation}, I want to ${motivation}, so I can ${outcome}`,
     situation: situation,
     motivation: motivation,
-    outcome: outcome,
-    sourceQuotes: scenarios.map(s => s.statement).slice(0, 3)
+    outcome: outcome
   };
 }
 
@@ -349,127 +311,14 @@ function createFallbackAbstractJTBD(jtbds) {
     statement: `When ${situation}, I want to ${motivation}, so I can ${outcome}`,
     situation: situation,
     motivation: motivation,
-    outcome: outcome,
-    sourceQuotes: jtbds.map(j => j.statement).slice(0, 3)
+    outcome: outcome
   };
 }
 
-/**
- * Make a request to the OpenAI API
- * @param {string} apiKey - OpenAI API key
- * @param {string} systemMessage - System message
- * @param {string} userMessage - User message
- * @param {string} model - OpenAI model name
- * @param {number} maxTokens - Maximum tokens to generate
- * @param {number} temperature - Temperature setting
- * @returns {Promise<string>} OpenAI API response
- */
-function makeOpenAIAPIRequest(apiKey, systemMessage, userMessage, model, maxTokens, temperature) {
-  return new Promise((resolve, reject) => {
-    // Set a 3-minute timeout for the API call
-    const TIMEOUT_MS = 180000;
-    
-    const requestData = {
-      model: model,
-      messages: [
-        {
-          role: "system",
-          content: systemMessage
-        },
-        {
-          role: "user",
-          content: userMessage
-        }
-      ]
-    };
-    
-    // Check if the model is a reasoning model
-    const reasoningModels = ['o4-mini', 'o3', 'o3-mini', 'o1', 'o1-mini', 'o1-pro'];
-    const isReasoningModel = reasoningModels.some(rm => model.includes(rm));
-    
-    // Handle model-specific parameters
-    if (model.startsWith('o3') || model.startsWith('o4') || model.startsWith('o1')) {
-      // o1, o3 and o4 models use max_completion_tokens instead of max_tokens
-      requestData.max_completion_tokens = maxTokens;
-      
-      // Only add temperature for non-reasoning models
-      if (!isReasoningModel) {
-        requestData.temperature = temperature;
-      } else {
-        // Reasoning models don't support temperature parameter
-        // https://platform.openai.com/docs/guides/reasoning
-        logger.debug(`Using reasoning model ${model}, skipping temperature parameter`);
-      }
-    } else {
-      // Other models use max_tokens and support custom temperature
-      requestData.max_tokens = maxTokens;
-      requestData.temperature = temperature;
-    }
-    
-    const options = {
-      hostname: 'api.openai.com',
-      port: 443,
-      path: '/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      timeout: TIMEOUT_MS
-    };
-    
-    let timer = setTimeout(() => {
-      req.destroy();
-      reject(new Error(`Request timed out after ${TIMEOUT_MS/1000} seconds`));
-    }, TIMEOUT_MS);
-    
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        clearTimeout(timer);
-        try {
-          if (res.statusCode !== 200) {
-            reject(new Error(`API returned status code ${res.statusCode}: ${data}`));
-            return;
-          }
-          
-          const response = JSON.parse(data);
-          const textContent = response.choices && 
-                              response.choices[0] && 
-                              response.choices[0].message && 
-                              response.choices[0].message.content;
-          
-          // Return the text content or empty string
-          resolve(textContent || "");
-        } catch (e) {
-          logger.error(`Failed to parse API response: ${e.message}. Using empty string.`);
-          resolve("");
-        }
-      });
-    });
-    
-    req.on('error', (e) => {
-      clearTimeout(timer);
-      reject(e);
-    });
-    
-    req.on('timeout', () => {
-      req.destroy();
-      clearTimeout(timer);
-      reject(new Error('Request timed out'));
-    });
-    
-    req.write(JSON.stringify(requestData));
-    req.end();
-  });
-}
-
 export {
   generateJTBD,
-  generateAbstractJTBD
+  generateAbstractJTBD,
+  createJTBDMessages,
+  createAbstractionMessages,
+  getMaxTokens
 };
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * HTTP client for LLM provider APIs
+ * Minimal JSON-over-HTTP(S) helper shared by all providers, supporting local http:// base URLs
+ */
+import http from 'http';
+import https from 'https';
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @param {string} url - Absolute request URL
+ * @param {Object} options - Request options
+ * @param {Object} options.body - Request body (serialized as JSON)
+ * @param {Object} [options.headers] - Additional request headers
+ * @param {number} [options.timeoutMs] - Request timeout in milliseconds (default: 3 minutes)
+ * @returns {Promise<Object>} Parsed response body
+ */
+function postJson(url, { body, headers = {}, timeoutMs = 180000 }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    const payload = JSON.stringify(body);
+
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        clearTimeout(timer);
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const error = new Error(`API returned status code ${res.statusCode}: ${data}`);
+          error.status = res.statusCode;
+          error.headers = res.headers;
+          reject(error);
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error(`Failed to parse API response: ${e.message}`));
+        }
+      });
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy();
+      reject(new Error(`Request timed out after ${timeoutMs / 1000} seconds`));
+    }, timeoutMs);
+
+    req.on('error', (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+
+    req.write(payload);
+    req.end();
+  });
+}
+
+export { postJson };
@@ -0,0 +1,109 @@
+// src/utils/llm/llm-service.js
+import config from '../config.js';
+import logger from '../logger.js';
+import requestQueue from '../request-queue.js';
+import { withRecording } from '../recorder.js';
+import { estimateTokens } from '../parsers/chunker.js';
+import { budgetGuard } from './usage-tracker.js';
+
+// Provider modules implementing createChatCompletion(request)
+const PROVIDERS = {
+  'openai': () => import('./providers/openai-provider.js'),
+  'anthropic': () => import('./providers/anthropic-provider.js'),
+  'gemini': () => import('./providers/gemini-provider.js'),
+  'openai-compatible': () => import('./providers/openai-compatible-provider.js')
+};
+
+/**
+ * Determine which provider serves a model
+ * An explicit LLM_PROVIDER wins; otherwise the provider is inferred from the model name and base URL
+ * @param {string} model - Model name
+ * @returns {string} Provider name
+ */
+function resolveProviderName(model) {
+  const configured = (config.llmProvider || '').toLowerCase();
+  if (configured) {
+    if (!PROVIDERS[configured]) {
+      throw new Error(`Unknown LLM provider '${configured}'. Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return configured;
+  }
+
+  const modelName = (model || '').toLowerCase();
+  if (modelName.includes('claude')) {
+    return 'anthropic';
+  }
+  if (modelName.includes('gemini') || modelName.includes('google')) {
+    return 'gemini';
+  }
+  if (config.llmBaseUrl) {
+    return 'openai-compatible';
+  }
+  return 'openai';
+}
+
+/**
+ * Load the provider module for a model
+ * @param {string} model - Model name
+ * @returns {Promise<Object>} Provider module
+ */
+async function getProvider(model) {
+  return await PROVIDERS[resolveProviderName(model)]();
+}
+
+/**
+ * Create a chat completion with the configured LLM provider
+ * @param {Object} request - Chat completion request
+ * @param {Array<Object>} request.messages - Chat messages ({ role: 'system'|'user'|'assistant', content })
+ * @param {string} [request.model] - Model name (defaults to the configured model)
+ * @param {boolean} [request.json] - Ask the provider to return a JSON object
+ * @param {number} [request.maxTokens] - Maximum tokens to generate
+ * @param {number} [request.temperature] - Temperature setting
+ * @returns {Promise<Object>} { content, model, provider, usage: { promptTokens, completionTokens, totalTokens } }
+ */
+async function chatCompletion(request) {
+  const model = request.model || config.model || 'gpt-4o';
+  const providerName = resolveProviderName(model);
+  const provider = await PROVIDERS[providerName]();
+
+  logger.debug(`Sending chat completion to ${providerName} (model: ${model})`);
+
+  const maxTokens = request.maxTokens || config.maxTokens || 4000;
+  const promptTokens = request.messages.reduce((sum, message) => sum + estimateTokens(message.content || ''), 0);
+
+  // Requests share the global queue so parallel callers stay within the concurrency limit;
+  // in replay mode the recorded response is returned without calling the provider
+  const completion = await withRecording('chat', model, request.messages, () => requestQueue.schedule(async () => {
+    // The worst-case cost is reserved when the request is actually sent, not while it waits in the queue
+    const reservation = budgetGuard.reserve(model, promptTokens, maxTokens);
+    try {
+      const result = await provider.createChatCompletion({
+        model,
+        messages: request.messages,
+        json: request.json || false,
+        maxTokens,
+        temperature: request.temperature ?? config.temperature ?? 0.7,
+        apiKey: config.llmApiKey || process.env.LLM_API_KEY,
+        baseUrl: config.llmBaseUrl || undefined
+      });
+      budgetGuard.settle(reservation, model, result.usage);
+      return result;
+    } catch (error) {
+      budgetGuard.settle(reservation, model);
+      throw error;
+    }
+  }, `${providerName} chat completion`));
+
+  logger.debug(`Token usage (${model}): ${completion.usage.promptTokens} prompt + ${completion.usage.completionTokens} completion`);
+
+  return {
+    ...completion,
+    provider: providerName
+  };
+}
+
+export {
+  chatCompletion,
+  getProvider,
+  resolveProviderName
+};
@@ -0,0 +1,64 @@
+// src/utils/llm/providers/anthropic-provider.js
+import { postJson } from '../http-client.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Create a chat completion with the Anthropic Messages API
+ * Anthropic has no JSON response mode, so JSON requests prefill the assistant turn with "{"
+ * @param {Object} request - Normalized chat completion request (see openai-provider.js)
+ * @returns {Promise<Object>} Completion with content and token usage
+ */
+async function createChatCompletion(request) {
+  if (!request.apiKey) {
+    throw new Error('No API key available. Set LLM_API_KEY in your .env file');
+  }
+
+  const system = request.messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+  const messages = request.messages.filter(message => message.role !== 'system');
+
+  if (request.json) {
+    messages.push({ role: 'assistant', content: '{' });
+  }
+
+  const body = {
+    model: request.model,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    messages
+  };
+  if (system) {
+    body.system = system;
+  }
+
+  const baseUrl = (request.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const response = await postJson(`${baseUrl}/messages`, {
+    body,
+    headers: {
+      'x-api-key': request.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    }
+  });
+
+  const text = (response.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+  const usage = response.usage || {};
+
+  return {
+    content: request.json ? `{${text}` : text,
+    model: response.model || request.model,
+    usage: {
+      promptTokens: usage.input_tokens || 0,
+      completionTokens: usage.output_tokens || 0,
+      totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+    }
+  };
+}
+
+export { createChatCompletion };
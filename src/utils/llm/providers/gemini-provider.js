@@ -0,0 +1,64 @@
+// src/utils/llm/providers/gemini-provider.js
+import { postJson } from '../http-client.js';
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * Create a chat completion with the Gemini generateContent API
+ * @param {Object} request - Normalized chat completion request (see openai-provider.js)
+ * @returns {Promise<Object>} Completion with content and token usage
+ */
+async function createChatCompletion(request) {
+  if (!request.apiKey) {
+    throw new Error('No API key available. Set LLM_API_KEY in your .env file');
+  }
+
+  const system = request.messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+
+  const body = {
+    contents: request.messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+    generationConfig: {
+      maxOutputTokens: request.maxTokens,
+      temperature: request.temperature
+    }
+  };
+  if (system) {
+    body.systemInstruction = { parts: [{ text: system }] };
+  }
+  if (request.json) {
+    body.generationConfig.responseMimeType = 'application/json';
+  }
+
+  const baseUrl = (request.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = request.model.replace(/^models\//, '');
+  const response = await postJson(`${baseUrl}/models/${encodeURIComponent(model)}:generateContent`, {
+    body,
+    headers: { 'x-goog-api-key': request.apiKey }
+  });
+
+  const candidate = response.candidates && response.candidates[0];
+  const text = ((candidate && candidate.content && candidate.content.parts) || [])
+    .map(part => part.text || '')
+    .join('');
+  const usage = response.usageMetadata || {};
+
+  return {
+    content: text,
+    model: response.modelVersion || request.model,
+    usage: {
+      promptTokens: usage.promptTokenCount || 0,
+      completionTokens: usage.candidatesTokenCount || 0,
+      totalTokens: usage.totalTokenCount || (usage.promptTokenCount || 0) + (usage.candidatesTokenCount || 0)
+    }
+  };
+}
+
+export { createChatCompletion };
@@ -0,0 +1,18 @@
+// src/utils/llm/providers/openai-compatible-provider.js
+import { createChatCompletion as createOpenAIChatCompletion } from './openai-provider.js';
+
+/**
+ * Create a chat completion against any server implementing the OpenAI chat completions API
+ * (for example Ollama, vLLM or LM Studio). The API key is optional for local servers.
+ * @param {Object} request - Normalized chat completion request (see openai-provider.js)
+ * @returns {Promise<Object>} Completion with content and token usage
+ */
+async function createChatCompletion(request) {
+  if (!request.baseUrl) {
+    throw new Error('No base URL configured. Set LLM_BASE_URL in your .env file (e.g. http://localhost:11434/v1)');
+  }
+
+  return createOpenAIChatCompletion(request);
+}
+
+export { createChatCompletion };
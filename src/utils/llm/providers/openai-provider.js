@@ -0,0 +1,89 @@
+// src/utils/llm/providers/openai-provider.js
+import { postJson } from '../http-client.js';
+import logger from '../../logger.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// OpenAI reasoning models reject the temperature parameter
+const REASONING_MODELS = ['o4-mini', 'o3', 'o3-mini', 'o1', 'o1-mini', 'o1-pro'];
+
+/**
+ * Check whether a model is an OpenAI reasoning model
+ * @param {string} model - Model name
+ * @returns {boolean} True for reasoning models
+ */
+function isReasoningModel(model) {
+  return REASONING_MODELS.some(rm => model.includes(rm));
+}
+
+/**
+ * Build the request body for the chat completions endpoint
+ * @param {Object} request - Normalized chat completion request
+ * @returns {Object} Request body
+ */
+function buildRequestBody(request) {
+  const { model, messages, maxTokens, temperature, json } = request;
+  const body = { model, messages };
+
+  if (model.startsWith('o3') || model.startsWith('o4') || model.startsWith('o1')) {
+    // o1, o3 and o4 models use max_completion_tokens instead of max_tokens
+    body.max_completion_tokens = maxTokens;
+
+    if (!isReasoningModel(model)) {
+      body.temperature = temperature;
+    } else {
+      // https://platform.openai.com/docs/guides/reasoning
+      logger.debug(`Using reasoning model ${model}, skipping temperature parameter`);
+    }
+  } else {
+    body.max_tokens = maxTokens;
+    body.temperature = temperature;
+  }
+
+  if (json) {
+    body.response_format = { type: 'json_object' };
+  }
+
+  return body;
+}
+
+/**
+ * Create a chat completion with the OpenAI chat completions API
+ * @param {Object} request - Normalized chat completion request
+ * @param {string} request.model - Model name
+ * @param {Array<Object>} request.messages - Chat messages ({ role, content })
+ * @param {number} request.maxTokens - Maximum tokens to generate
+ * @param {number} request.temperature - Temperature setting
+ * @param {boolean} [request.json] - Request a JSON object response
+ * @param {string} [request.apiKey] - API key
+ * @param {string} [request.baseUrl] - API base URL (defaults to api.openai.com)
+ * @returns {Promise<Object>} Completion with content and token usage
+ */
+async function createChatCompletion(request) {
+  if (!request.apiKey && !request.baseUrl) {
+    throw new Error('No API key available. Set LLM_API_KEY in your .env file');
+  }
+
+  const baseUrl = (request.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const headers = request.apiKey ? { 'Authorization': `Bearer ${request.apiKey}` } : {};
+
+  const response = await postJson(`${baseUrl}/chat/completions`, {
+    body: buildRequestBody(request),
+    headers
+  });
+
+  const choice = response.choices && response.choices[0];
+  const usage = response.usage || {};
+
+  return {
+    content: (choice && choice.message && choice.message.content) || '',
+    model: response.model || request.model,
+    usage: {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    }
+  };
+}
+
+export { createChatCompletion, isReasoningModel };
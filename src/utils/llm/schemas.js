@@ -0,0 +1,43 @@
+// src/utils/llm/schemas.js
+import { z } from 'zod';
+
+/**
+ * A single user scenario as returned by the scenario extraction prompt
+ * Quotes are verified against the source text after validation
+ */
+const ScenarioSchema = z.object({
+  statement: z.string().min(1),
+  persona: z.string().min(1),
+  action: z.string().min(1),
+  value: z.string().min(1),
+  quotes: z.array(z.string().min(1)).min(1)
+});
+
+/**
+ * Scenario extraction payload
+ * Customer names are sometimes returned as a list; they are joined into one string
+ */
+const ScenarioResponseSchema = z.object({
+  scenarios: z.array(ScenarioSchema),
+  customer: z.union([
+    z.string(),
+    z.array(z.string()).transform(names => names.join(', '))
+  ]).nullable().optional().default(null)
+});
+
+/**
+ * JTBD payload returned by both the generation and the abstraction prompts
+ * Additional fields (e.g. priority) are kept as returned
+ */
+const JTBDResponseSchema = z.object({
+  statement: z.string().min(1),
+  situation: z.string().min(1),
+  motivation: z.string().min(1),
+  outcome: z.string().min(1)
+}).passthrough();
+
+export {
+  ScenarioSchema,
+  ScenarioResponseSchema,
+  JTBDResponseSchema
+};
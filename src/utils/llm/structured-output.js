@@ -0,0 +1,102 @@
+// src/utils/llm/structured-output.js
+import config from '../config.js';
+import logger from '../logger.js';
+import * as llmService from './llm-service.js';
+import { addUsage, createUsage } from './usage-tracker.js';
+
+/**
+ * Parse the JSON object in a model response
+ * Only a surrounding markdown code fence is tolerated; anything else is reported back to the model
+ * @param {string} content - Response text
+ * @returns {*} Parsed value
+ * @throws {Error} When the response is not valid JSON
+ */
+function parseJsonContent(content) {
+  const text = (content || '').trim();
+  if (!text) {
+    throw new Error('The response was empty.');
+  }
+
+  const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  try {
+    return JSON.parse(fenced ? fenced[1] : text);
+  } catch (error) {
+    throw new Error(`The response is not valid JSON (${error.message}).`);
+  }
+}
+
+/**
+ * Describe zod validation issues as one line per issue
+ * @param {import('zod').ZodError} error - Validation error
+ * @returns {string} Issue list
+ */
+function formatIssues(error) {
+  return error.issues
+    .map(issue => `- ${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+    .join('\n');
+}
+
+/**
+ * Request a JSON response and validate it against a schema
+ * Invalid responses are sent back to the model together with the validation errors,
+ * up to the configured number of repair attempts
+ * @param {Object} request - Request options
+ * @param {Array<Object>} request.messages - Chat messages
+ * @param {import('zod').ZodTypeAny} request.schema - Schema the response must satisfy
+ * @param {string} [request.model] - Model name (defaults to the configured model)
+ * @param {number} [request.maxTokens] - Maximum tokens to generate
+ * @param {number} [request.maxRepairAttempts] - Repair attempts before giving up (defaults to LLM_MAX_REPAIR_ATTEMPTS)
+ * @param {Object} [request.stats] - Statistics collector; its repairAttempts count is incremented for each repair
+ *   and the token usage of every request, repairs included, is added to its usage summary
+ * @returns {Promise<*>} Validated response data
+ * @throws {Error} When the response is still invalid after the last repair attempt (error.code 'INVALID_RESPONSE')
+ */
+async function requestStructuredOutput(request) {
+  const maxRepairAttempts = request.maxRepairAttempts ?? config.getConfig().llm.maxRepairAttempts ?? 2;
+  const messages = [...request.messages];
+
+  for (let attempt = 0; ; attempt++) {
+    const completion = await llmService.chatCompletion({
+      model: request.model,
+      messages,
+      json: true,
+      maxTokens: request.maxTokens
+    });
+    if (request.stats) {
+      request.stats.usage = addUsage(request.stats.usage || createUsage(), completion.model, completion.usage);
+    }
+
+    let problem;
+    try {
+      const result = request.schema.safeParse(parseJsonContent(completion.content));
+      if (result.success) {
+        return result.data;
+      }
+      problem = `The JSON does not match the required structure:\n${formatIssues(result.error)}`;
+    } catch (error) {
+      problem = error.message;
+    }
+
+    if (attempt >= maxRepairAttempts) {
+      const error = new Error(`Invalid LLM response after ${attempt} repair attempt(s): ${problem}`);
+      error.code = 'INVALID_RESPONSE';
+      throw error;
+    }
+
+    logger.warn(`Invalid LLM response, requesting repair ${attempt + 1}/${maxRepairAttempts}`);
+    logger.debug(problem);
+    if (request.stats) {
+      request.stats.repairAttempts = (request.stats.repairAttempts || 0) + 1;
+    }
+
+    messages.push(
+      { role: 'assistant', content: completion.content || '(empty response)' },
+      {
+        role: 'user',
+        content: `${problem}\nRespond again with ONLY a corrected JSON object in the structure requested above.`
+      }
+    );
+  }
+}
+
+export { requestStructuredOutput, parseJsonContent };
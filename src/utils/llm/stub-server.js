@@ -0,0 +1,347 @@
+// src/utils/llm/stub-server.js
+import http from 'http';
+import { getLocalEmbeddings } from '../embedding/local-embedding.js';
+import { estimateTokens } from '../parsers/chunker.js';
+
+const DEFAULT_EMBEDDING_DIMENSIONS = 256;
+
+// Markers of the prompts sent by the scenario parser and the JTBD provider
+const SCENARIO_TEXT_MARKERS = ['Text to analyze:\n', '分析するテキスト：\n'];
+const SCENARIO_LIST_MARKERS = ['User Scenarios:\n', 'ユーザーシナリオ:\n'];
+const JTBD_LIST_MARKER = 'JTBDs:\n';
+const PROMPT_FOOTER = /\n\s*(?:EXTREMELY IMPORTANT|IMPORTANT|重要):/;
+
+const NEED_PATTERN = /\b(?:need|needs|want|wants|would like|struggl\w*|difficult|hard to|lack|must|should)\b|必要|したい|欲しい|困|課題/i;
+const PERSONA_PATTERN = /\b(data scientists?|ml engineers?|software engineers?|platform engineers?|developers?|engineers?|product managers?|managers?|analysts?|administrators?|architects?|designers?|researchers?|operators?|executives?)\b/i;
+const COMPANY_PATTERN = /\b([A-Z][A-Za-z0-9]+(?: [A-Z][A-Za-z0-9]+)* (?:Inc|Corp|Corporation|Ltd|LLC|GmbH)\.?)/;
+const LEADING_NEED_PATTERN = /^(?:(?:we|i|our teams?|they|you|the team)\s+)?(?:really\s+)?(?:need|needs|want|wants|would like|must|should|have to)\s+(to\s+)?/i;
+const SENTENCE_START_PATTERN = /^(?:We|Our|The|They|Their|It|This|That|These|Those|Each|Every|Currently|Today|Most|Many|Some|All)\b/;
+
+const VALUES = {
+  en: ['save time on routine work', 'reduce operational risk', 'make better decisions', 'deliver reliable results'],
+  ja: ['作業時間を短縮', '運用リスクを低減', 'より良い判断を', '信頼できる成果を提供']
+};
+
+/**
+ * Pick a stable element of a list for a text
+ * @param {Array} list - Candidates
+ * @param {string} text - Text deciding the choice
+ * @returns {*} Chosen element
+ */
+function pick(list, text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return list[hash % list.length];
+}
+
+/**
+ * Get the part of a prompt that follows a marker, without the closing instructions
+ * @param {string} prompt - User prompt
+ * @param {Array<string>} markers - Possible markers
+ * @returns {string|null} Embedded text, or null if no marker is present
+ */
+function extractSection(prompt, markers) {
+  const marker = markers.find(m => prompt.includes(m));
+  if (!marker) {
+    return null;
+  }
+  return prompt.slice(prompt.indexOf(marker) + marker.length).split(PROMPT_FOOTER)[0].trim();
+}
+
+/**
+ * Split a text into sentences, keeping each sentence verbatim
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Sentences
+ */
+function splitSentences(text) {
+  return (text.match(/[^.!?。！？\n]+[.!?。！？]?/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length >= (/[\u3040-\u9FFF]/.test(sentence) ? 8 : 20));
+}
+
+/**
+ * Phrase a sentence as the action of a user story
+ * "We need to X" becomes "X", "We need a Y" becomes "have a Y", and statements of a problem
+ * become "address the issue that ..."
+ * @param {string} sentence - Sentence from the source text
+ * @returns {string} Action of at most twelve words
+ */
+function createAction(sentence) {
+  let text = sentence.replace(/[.!?]$/, '');
+  if (SENTENCE_START_PATTERN.test(text)) {
+    text = text.charAt(0).toLowerCase() + text.slice(1);
+  }
+
+  const need = text.match(LEADING_NEED_PATTERN);
+  if (need) {
+    text = `${need[1] ? '' : 'have '}${text.slice(need[0].length)}`;
+  } else {
+    text = `address the issue that ${text}`;
+  }
+  return text.split(/\s+/).slice(0, 12).join(' ');
+}
+
+/**
+ * Build scenarios from the text embedded in a scenario extraction prompt
+ * Sentences expressing a need become scenarios and are quoted verbatim as evidence
+ * @param {string} text - Text to analyze
+ * @param {boolean} japanese - Whether the Japanese prompt was used
+ * @returns {Object} Scenario extraction payload
+ */
+function createScenarioResponse(text, japanese) {
+  const sentences = splitSentences(text);
+  const selected = [
+    ...sentences.filter(sentence => NEED_PATTERN.test(sentence)),
+    ...sentences.filter(sentence => !NEED_PATTERN.test(sentence))
+  ].slice(0, 3);
+
+  const personaMatch = text.match(PERSONA_PATTERN);
+  const persona = personaMatch ? personaMatch[1].toLowerCase().replace(/s$/, '') : (japanese ? 'ユーザー' : 'user');
+  const companyMatch = text.match(COMPANY_PATTERN);
+
+  const scenarios = selected.map(sentence => {
+    const value = pick(japanese ? VALUES.ja : VALUES.en, sentence);
+    if (japanese) {
+      const action = sentence.replace(/[。！？]$/, '');
+      return {
+        statement: `${persona}として、私は${action}したい、それによって${value}できる`,
+        persona,
+        action,
+        value,
+        quotes: [sentence]
+      };
+    }
+
+    const action = createAction(sentence);
+    return {
+      statement: `As a ${persona}, I want to ${action}, so that I can ${value}`,
+      persona,
+      action,
+      value,
+      quotes: [sentence]
+    };
+  });
+
+  return { scenarios, customer: companyMatch ? companyMatch[1] : null };
+}
+
+/**
+ * Build a JTBD from the scenarios listed in a JTBD generation prompt
+ * @param {string} list - Numbered scenario statements
+ * @param {boolean} japanese - Whether the Japanese prompt was used
+ * @returns {Object} JTBD payload
+ */
+function createJTBDResponse(list, japanese) {
+  const statements = list.split('\n').map(line => line.replace(/^\d+\.\s*/, '').trim()).filter(Boolean);
+  const first = statements[0] || '';
+  const priority = Math.min(10, 4 + statements.length);
+
+  if (japanese) {
+    const match = first.match(/^(.+?)として、私は(.+?)したい、それによって(.+?)できる/);
+    const [, persona, action, value] = match || [null, 'ユーザー', first, '目標を達成'];
+    const situation = `${persona}として業務を進める`;
+    return {
+      statement: `${situation}とき、${action}したい、そうすれば${value}できる`,
+      situation,
+      motivation: action,
+      outcome: value,
+      priority
+    };
+  }
+
+  const match = first.match(/^As an? (.+?), I want to (.+?), so that I can (.+)$/i);
+  const [, persona, action, value] = match || [null, 'user', first, 'reach my goals'];
+  const situation = `I am working as a ${persona}`;
+  return {
+    statement: `When ${situation}, I want to ${action}, so I can ${value}`,
+    situation,
+    motivation: action,
+    outcome: value,
+    priority
+  };
+}
+
+/**
+ * Build an abstract JTBD from the JTBDs listed in an abstraction prompt
+ * @param {string} list - Numbered JTBDs with situation, motivation and outcome lines
+ * @param {boolean} japanese - Whether the Japanese prompt was used
+ * @returns {Object} JTBD payload
+ */
+function createAbstractJTBDResponse(list, japanese) {
+  const field = name => (list.match(new RegExp(`${name}: (.+)`)) || [])[1] || '';
+  const situation = field('Situation');
+  const motivation = field('Motivation');
+  const outcome = field('Outcome');
+  const count = (list.match(/^\d+\./gm) || []).length;
+
+  if (japanese) {
+    return {
+      statement: `${situation}とき、${motivation}などを実現したい、そうすれば${outcome}できる`,
+      situation,
+      motivation: `${motivation}などを実現`,
+      outcome,
+      priority: Math.min(10, 5 + count)
+    };
+  }
+
+  return {
+    statement: `When ${situation}, I want to ${motivation} and handle related needs, so I can ${outcome}`,
+    situation,
+    motivation: `${motivation} and handle related needs`,
+    outcome,
+    priority: Math.min(10, 5 + count)
+  };
+}
+
+/**
+ * Answer a chat completion request with content derived from the prompt
+ * Repair requests are answered like the original prompt, which already produces a valid response
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {Object} JSON payload for the assistant message
+ */
+function createChatResponse(messages) {
+  const prompt = (messages.find(message => message.role === 'user') || {}).content || '';
+  // The Japanese prompts open with Japanese instructions
+  const japanese = /[\u3040-\u30FF]/.test(prompt.split('\n').slice(0, 4).join(''));
+
+  const text = extractSection(prompt, SCENARIO_TEXT_MARKERS);
+  if (text !== null) {
+    return createScenarioResponse(text, japanese);
+  }
+  const scenarioList = extractSection(prompt, SCENARIO_LIST_MARKERS);
+  if (scenarioList !== null) {
+    return createJTBDResponse(scenarioList, japanese);
+  }
+  const jtbdList = extractSection(prompt, [JTBD_LIST_MARKER]);
+  if (jtbdList !== null) {
+    return createAbstractJTBDResponse(jtbdList, japanese);
+  }
+  return { message: 'Unrecognized prompt' };
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Handle a request to the stub API
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @returns {Promise<void>}
+ */
+async function handleRequest(req, res) {
+  const pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+  const isChat = pathname.endsWith('/chat/completions');
+  const isEmbeddings = pathname.endsWith('/embeddings');
+
+  if (req.method !== 'POST' || (!isChat && !isEmbeddings)) {
+    sendJson(res, 404, { error: { message: `Unknown endpoint ${req.method} ${pathname}` } });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: { message: `Invalid JSON body: ${error.message}` } });
+    return;
+  }
+
+  if (isChat) {
+    if (!Array.isArray(body.messages)) {
+      sendJson(res, 400, { error: { message: "'messages' must be an array" } });
+      return;
+    }
+    const content = JSON.stringify(createChatResponse(body.messages));
+    const promptTokens = body.messages.reduce((sum, message) => sum + estimateTokens(message.content || ''), 0);
+    const completionTokens = estimateTokens(content);
+    sendJson(res, 200, {
+      id: 'chatcmpl-stub',
+      object: 'chat.completion',
+      model: body.model || 'stub-model',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    });
+    return;
+  }
+
+  const inputs = Array.isArray(body.input) ? body.input : [body.input];
+  if (inputs.some(input => typeof input !== 'string')) {
+    sendJson(res, 400, { error: { message: "'input' must be a string or an array of strings" } });
+    return;
+  }
+  // Each text is embedded on its own so its vector does not depend on the rest of the batch
+  const dimensions = body.dimensions || DEFAULT_EMBEDDING_DIMENSIONS;
+  const promptTokens = inputs.reduce((sum, input) => sum + estimateTokens(input), 0);
+  sendJson(res, 200, {
+    object: 'list',
+    model: body.model || 'stub-embedding',
+    data: inputs.map((input, index) => ({
+      object: 'embedding',
+      index,
+      embedding: getLocalEmbeddings([input], { dimensions })[0]
+    })),
+    usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+  });
+}
+
+/**
+ * Create a local server implementing the OpenAI chat completions and embeddings endpoints
+ * Responses are derived deterministically from the request, so runs are reproducible offline
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createStubServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => sendJson(res, 500, { error: { message: error.message } }));
+  });
+}
+
+/**
+ * Start the stub server
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port to listen on (default: a free port)
+ * @param {string} [options.host] - Host to bind (default: 127.0.0.1)
+ * @returns {Promise<Object>} { server, baseUrl } where baseUrl ends in /v1
+ */
+function startStubServer({ port = 0, host = '127.0.0.1' } = {}) {
+  const server = createStubServer();
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({ server, baseUrl: `http://${host}:${server.address().port}/v1` });
+    });
+  });
+}
+
+export { createStubServer, startStubServer, createChatResponse };
@@ -0,0 +1,337 @@
+// src/utils/llm/usage-tracker.js
+import fs from 'fs-extra';
+import config from '../config.js';
+import logger from '../logger.js';
+
+// USD per million tokens. Prices change; override or extend them with a PRICE_TABLE file.
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'o1': { input: 15, output: 60 },
+  'o3': { input: 2, output: 8 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-3-small': { input: 0.02, output: 0 }
+};
+
+let priceTable = null;
+let priceTableFile = null;
+const warnedModels = new Set();
+
+/**
+ * Get the price table, merging the PRICE_TABLE file over the built-in prices
+ * @returns {Object} Prices per million tokens keyed by model name
+ */
+function getPriceTable() {
+  const file = config.pricing?.file || '';
+  if (priceTable && priceTableFile === file) {
+    return priceTable;
+  }
+
+  priceTable = { ...DEFAULT_PRICES };
+  priceTableFile = file;
+  if (file) {
+    try {
+      Object.entries(fs.readJsonSync(file)).forEach(([model, price]) => {
+        priceTable[model.toLowerCase()] = price;
+      });
+    } catch (error) {
+      logger.warn(`Could not read price table ${file}: ${error.message}`);
+    }
+  }
+  return priceTable;
+}
+
+/**
+ * Find the price of a model
+ * Dated or suffixed model names (e.g. gpt-4o-2024-08-06) use the longest matching table entry
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } in USD per million tokens, or null if the model is not priced
+ */
+function getModelPrice(model) {
+  const table = getPriceTable();
+  const name = (model || '').toLowerCase();
+  if (table[name]) {
+    return table[name];
+  }
+  const prefix = Object.keys(table)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Estimate the cost of a number of tokens
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number|null} Cost in USD, or null if the model is not in the price table
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+  const price = getModelPrice(model);
+  if (!price) {
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      logger.warn(`No price known for model ${model}; its usage is counted without cost. Add it to a PRICE_TABLE file.`);
+    }
+    return null;
+  }
+  return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+}
+
+/**
+ * Create an empty usage summary
+ * @returns {Object} { requests, promptTokens, completionTokens, totalTokens, cost }
+ */
+function createUsage() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+/**
+ * Add the usage of one request to a summary, in total and per model
+ * @param {Object} summary - Usage summary to update (from createUsage)
+ * @param {string} model - Model that served the request
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {Object} The updated summary
+ */
+function addUsage(summary, model, usage) {
+  const promptTokens = usage?.promptTokens || 0;
+  const completionTokens = usage?.completionTokens || 0;
+  const cost = estimateCost(model, promptTokens, completionTokens);
+
+  summary.byModel = summary.byModel || {};
+  const modelUsage = summary.byModel[model] || (summary.byModel[model] = { ...createUsage(), cost: cost === null ? null : 0 });
+
+  [summary, modelUsage].forEach(target => {
+    target.requests += 1;
+    target.promptTokens += promptTokens;
+    target.completionTokens += completionTokens;
+    target.totalTokens += promptTokens + completionTokens;
+    if (cost !== null && target.cost !== null) {
+      target.cost += cost;
+    }
+  });
+  return summary;
+}
+
+/**
+ * Add one usage summary into another
+ * @param {Object} target - Summary to update
+ * @param {Object} [source] - Summary to add
+ * @returns {Object} The updated target
+ */
+function mergeUsage(target, source) {
+  if (!source) {
+    return target;
+  }
+  ['requests', 'promptTokens', 'completionTokens', 'totalTokens', 'cost'].forEach(field => {
+    target[field] += source[field] || 0;
+  });
+  Object.entries(source.byModel || {}).forEach(([model, usage]) => {
+    target.byModel = target.byModel || {};
+    const existing = target.byModel[model];
+    if (!existing) {
+      target.byModel[model] = { ...usage };
+      return;
+    }
+    ['requests', 'promptTokens', 'completionTokens', 'totalTokens'].forEach(field => {
+      existing[field] += usage[field];
+    });
+    existing.cost = existing.cost === null || usage.cost === null ? null : existing.cost + usage.cost;
+  });
+  return target;
+}
+
+/**
+ * Format a cost for display
+ * @param {number} cost - Cost in USD
+ * @returns {string} Formatted cost
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Log a usage summary
+ * @param {string} label - What the usage belongs to
+ * @param {Object} usage - Usage summary
+ */
+function logUsage(label, usage) {
+  logger.info(`${label}: ${usage.requests} request(s), ${usage.promptTokens} prompt + ${usage.completionTokens} completion tokens, estimated cost ${formatCost(usage.cost)}`);
+}
+
+/**
+ * Create an empty dry-run estimate
+ * @returns {Object} { requests, promptTokens, maxCompletionTokens, minCost, maxCost }
+ */
+function createEstimate() {
+  return { requests: 0, promptTokens: 0, maxCompletionTokens: 0, minCost: 0, maxCost: 0 };
+}
+
+/**
+ * Add a planned request to a dry-run estimate
+ * The cost range spans an empty completion up to a completion that uses the whole token limit
+ * @param {Object} estimate - Estimate to update (from createEstimate)
+ * @param {string} model - Model that would serve the request
+ * @param {number} promptTokens - Estimated prompt tokens
+ * @param {number} maxCompletionTokens - Completion token limit
+ * @param {number} [requests=1] - Number of requests the tokens are spread over
+ * @returns {Object} The updated estimate
+ */
+function addEstimate(estimate, model, promptTokens, maxCompletionTokens, requests = 1) {
+  estimate.requests += requests;
+  estimate.promptTokens += promptTokens;
+  estimate.maxCompletionTokens += maxCompletionTokens;
+  estimate.minCost += estimateCost(model, promptTokens, 0) || 0;
+  estimate.maxCost += estimateCost(model, promptTokens, maxCompletionTokens) || 0;
+  return estimate;
+}
+
+/**
+ * Add one dry-run estimate into another
+ * @param {Object} target - Estimate to update
+ * @param {Object} [source] - Estimate to add
+ * @returns {Object} The updated target
+ */
+function mergeEstimate(target, source) {
+  if (source) {
+    ['requests', 'promptTokens', 'maxCompletionTokens', 'minCost', 'maxCost'].forEach(field => {
+      target[field] += source[field] || 0;
+    });
+  }
+  return target;
+}
+
+/**
+ * Log a dry-run estimate
+ * @param {string} label - What the estimate belongs to
+ * @param {Object} estimate - Dry-run estimate
+ */
+function logEstimate(label, estimate) {
+  logger.info(`${label}: up to ${estimate.requests} request(s), ~${estimate.promptTokens} prompt tokens, ` +
+    `at most ${estimate.maxCompletionTokens} completion tokens, estimated cost ${formatCost(estimate.minCost)} - ${formatCost(estimate.maxCost)}`);
+}
+
+/**
+ * Create the error raised when the budget would be exceeded
+ * @param {string} message - Error message
+ * @returns {Error} Error with code 'BUDGET_EXCEEDED'
+ */
+function createBudgetError(message) {
+  const error = new Error(message);
+  error.code = 'BUDGET_EXCEEDED';
+  return error;
+}
+
+/**
+ * Check whether an error was raised because the budget would be exceeded
+ * Like replay misses, these are never replaced by fallback data
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for budget errors
+ */
+function isBudgetExceeded(error) {
+  return error?.code === 'BUDGET_EXCEEDED';
+}
+
+/**
+ * Spending guard shared by all API calls of a process
+ * Each request reserves its worst-case cost (prompt plus the full completion limit) when it is sent,
+ * so parallel requests cannot overshoot the budget together
+ */
+class BudgetGuard {
+  constructor() {
+    this.spent = 0;
+    this.reserved = 0;
+  }
+
+  /**
+   * Get the spend limit
+   * @returns {number|null} LLM_BUDGET or --budget in USD, or null for no limit
+   */
+  get budget() {
+    return config.pricing?.budget ?? null;
+  }
+
+  /**
+   * Apply the --budget command option
+   * Setting a budget starts a new spending count
+   * @param {Object} options - Command options
+   */
+  applyOptions(options) {
+    if (options.budget === undefined || options.budget === null) {
+      return;
+    }
+    config.getConfig().pricing.budget = options.budget;
+    this.spent = 0;
+    this.reserved = 0;
+    logger.info(`Stopping before API spending exceeds ${formatCost(options.budget)}`);
+  }
+
+  /**
+   * Reserve the worst-case cost of a request
+   * @param {string} model - Model name
+   * @param {number} promptTokens - Estimated prompt tokens
+   * @param {number} maxCompletionTokens - Completion token limit of the request
+   * @returns {number} Reserved amount, to be passed to settle()
+   * @throws {Error} With code 'BUDGET_EXCEEDED' when the request could exceed the budget
+   */
+  reserve(model, promptTokens, maxCompletionTokens) {
+    const budget = this.budget;
+    if (budget === null) {
+      return 0;
+    }
+    const cost = estimateCost(model, promptTokens, maxCompletionTokens) || 0;
+    if (this.spent + this.reserved + cost > budget) {
+      throw createBudgetError(
+        `Budget of ${formatCost(budget)} would be exceeded (spent ${formatCost(this.spent)}, ` +
+        `next ${model} request up to ${formatCost(cost)}); no further API calls are made`
+      );
+    }
+    this.reserved += cost;
+    return cost;
+  }
+
+  /**
+   * Replace a reservation with the actual cost of the request
+   * @param {number} reservation - Amount returned by reserve()
+   * @param {string} model - Model name
+   * @param {Object} [usage] - Actual usage ({ promptTokens, completionTokens }); omitted for failed requests
+   */
+  settle(reservation, model, usage) {
+    this.reserved = Math.max(0, this.reserved - reservation);
+    if (usage) {
+      this.spent += estimateCost(model, usage.promptTokens || 0, usage.completionTokens || 0) || 0;
+    }
+  }
+}
+
+const budgetGuard = new BudgetGuard();
+
+export {
+  budgetGuard,
+  createUsage,
+  addUsage,
+  mergeUsage,
+  createEstimate,
+  addEstimate,
+  mergeEstimate,
+  estimateCost,
+  getModelPrice,
+  formatCost,
+  logUsage,
+  logEstimate,
+  createBudgetError,
+  isBudgetExceeded
+};
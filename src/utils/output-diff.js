@@ -0,0 +1,306 @@
+/**
+ * Output diff utility for PDM-AI
+ * Compares two JTBD or scenario output files: which JTBDs were added, removed, merged or reworded,
+ * which scenarios moved between clusters and how the evidence behind every JTBD changed
+ */
+import { assignStableIds } from './jtbd/jtbd-identity.js';
+
+// A removed JTBD counts as merged into the JTBD that now holds at least this share of its scenarios
+const MERGE_SHARE = 0.5;
+
+/**
+ * Tell which kind of output a file holds
+ * @param {Object} data - Parsed output file
+ * @returns {string|null} 'jtbd', 'scenario', or null if the file holds neither
+ */
+function getOutputType(data) {
+  if (Array.isArray(data?.jtbds)) {
+    return 'jtbd';
+  }
+  if (Array.isArray(data?.scenarios)) {
+    return 'scenario';
+  }
+  return null;
+}
+
+/**
+ * Pair the JTBDs of two outputs
+ * JTBDs with the same ID are paired first, as regenerations keep IDs. The rest are paired like a
+ * regeneration would, by shared scenarios and statement similarity within the same layer.
+ * @param {Array<Object>} oldJTBDs - JTBDs of the old output
+ * @param {Array<Object>} newJTBDs - JTBDs of the new output
+ * @returns {Map<string, string>} New JTBD ID to the ID of the old JTBD it continues
+ */
+function pairJTBDs(oldJTBDs, newJTBDs) {
+  const pairs = new Map();
+  const oldById = new Map(oldJTBDs.map(jtbd => [jtbd.id, jtbd]));
+  newJTBDs.forEach(jtbd => {
+    const old = oldById.get(jtbd.id);
+    if (old && (old.level || 1) === (jtbd.level || 1)) {
+      pairs.set(jtbd.id, jtbd.id);
+    }
+  });
+
+  const pairedOld = new Set(pairs.values());
+  const unpairedOld = oldJTBDs.filter(jtbd => !pairedOld.has(jtbd.id));
+  const unpairedNew = newJTBDs.filter(jtbd => !pairs.has(jtbd.id));
+
+  // assignStableIds renames the JTBDs it matches, so it works on copies
+  const copies = unpairedNew.map(jtbd => ({ ...jtbd }));
+  const { idMap } = assignStableIds(copies, unpairedOld);
+  unpairedNew.forEach(jtbd => {
+    if (idMap[jtbd.id] !== jtbd.id) {
+      pairs.set(jtbd.id, idMap[jtbd.id]);
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * Summarize a JTBD for the diff
+ * @param {Object} jtbd - JTBD
+ * @returns {Object} { id, level, statement, scenarioCount, customerCount }
+ */
+function describeJTBD(jtbd) {
+  return {
+    id: jtbd.id,
+    level: jtbd.level || 1,
+    statement: jtbd.statement || jtbd.title || '',
+    scenarioCount: (jtbd.scenarioIds || []).length,
+    customerCount: (jtbd.customers || []).length
+  };
+}
+
+/**
+ * Find the new JTBD a removed JTBD was merged into
+ * @param {Object} removed - JTBD of the old output that no new JTBD continues
+ * @param {Array<Object>} newJTBDs - JTBDs of the new output
+ * @returns {Object|null} New JTBD holding most of its scenarios, or null
+ */
+function findMergeTarget(removed, newJTBDs) {
+  const scenarioIds = removed.scenarioIds || [];
+  if (scenarioIds.length === 0) {
+    return null;
+  }
+
+  let best = null;
+  let bestShared = 0;
+  newJTBDs
+    .filter(jtbd => (jtbd.level || 1) === (removed.level || 1))
+    .forEach(jtbd => {
+      const ids = new Set(jtbd.scenarioIds || []);
+      const shared = scenarioIds.filter(id => ids.has(id)).length;
+      if (shared > bestShared) {
+        best = jtbd;
+        bestShared = shared;
+      }
+    });
+
+  return bestShared >= scenarioIds.length * MERGE_SHARE ? best : null;
+}
+
+/**
+ * Compare the JTBDs of two outputs
+ * @param {Array<Object>} oldJTBDs - JTBDs of the old output
+ * @param {Array<Object>} newJTBDs - JTBDs of the new output
+ * @returns {Object} { changes, continues } with the added, removed, merged, reworded and recounted JTBDs
+ *   and a map from old JTBD IDs to the new JTBD that continues or absorbed them
+ */
+function diffJTBDs(oldJTBDs, newJTBDs) {
+  const pairs = pairJTBDs(oldJTBDs, newJTBDs);
+  const oldById = new Map(oldJTBDs.map(jtbd => [jtbd.id, jtbd]));
+  const continues = new Map([...pairs].map(([newId, oldId]) => [oldId, newId]));
+
+  // Old JTBDs nothing continues were merged when another JTBD now holds most of their scenarios
+  const absorbed = new Map();
+  oldJTBDs.filter(jtbd => !continues.has(jtbd.id)).forEach(jtbd => {
+    const target = findMergeTarget(jtbd, newJTBDs);
+    if (target) {
+      absorbed.set(target.id, [...(absorbed.get(target.id) || []), jtbd.id]);
+    }
+  });
+
+  // ...into a JTBD that combines at least two old ones; otherwise they were removed
+  const mergedFrom = new Map();
+  absorbed.forEach((oldIds, newId) => {
+    const sources = pairs.has(newId) ? [pairs.get(newId), ...oldIds] : oldIds;
+    if (sources.length > 1) {
+      mergedFrom.set(newId, sources);
+      oldIds.forEach(oldId => continues.set(oldId, newId));
+    }
+  });
+
+  const changes = {
+    added: [],
+    removed: oldJTBDs.filter(jtbd => !continues.has(jtbd.id)).map(describeJTBD),
+    merged: [],
+    reworded: [],
+    recounted: [],
+    unchanged: 0
+  };
+  newJTBDs.forEach(jtbd => {
+    const current = describeJTBD(jtbd);
+    if (mergedFrom.has(jtbd.id)) {
+      changes.merged.push({ ...current, mergedFrom: mergedFrom.get(jtbd.id) });
+    }
+    if (!pairs.has(jtbd.id)) {
+      if (!mergedFrom.has(jtbd.id)) {
+        changes.added.push(current);
+      }
+      return;
+    }
+
+    const previous = describeJTBD(oldById.get(pairs.get(jtbd.id)));
+    const previousId = previous.id !== current.id ? { previousId: previous.id } : {};
+    let changed = mergedFrom.has(jtbd.id);
+    if (previous.statement !== current.statement) {
+      changes.reworded.push({ id: current.id, ...previousId, level: current.level, before: previous.statement, after: current.statement });
+      changed = true;
+    }
+    if (previous.scenarioCount !== current.scenarioCount || previous.customerCount !== current.customerCount) {
+      changes.recounted.push({
+        id: current.id,
+        ...previousId,
+        statement: current.statement,
+        scenarios: { before: previous.scenarioCount, after: current.scenarioCount },
+        customers: { before: previous.customerCount, after: current.customerCount }
+      });
+      changed = true;
+    }
+    if (!changed) {
+      changes.unchanged++;
+    }
+  });
+
+  return { changes, continues };
+}
+
+/**
+ * Compare the scenarios of two outputs by their stable IDs
+ * @param {Array<Object>} oldScenarios - Scenarios of the old output
+ * @param {Array<Object>} newScenarios - Scenarios of the new output
+ * @returns {Object} { added, removed, reworded } scenario lists
+ */
+function diffScenarios(oldScenarios, newScenarios) {
+  const describe = scenario => ({ id: scenario.id, statement: scenario.statement || '' });
+  const oldById = new Map(oldScenarios.map(scenario => [scenario.id, scenario]));
+  const newIds = new Set(newScenarios.map(scenario => scenario.id));
+
+  const changes = { added: [], removed: [], reworded: [] };
+  newScenarios.forEach(scenario => {
+    const old = oldById.get(scenario.id);
+    if (!old) {
+      changes.added.push(describe(scenario));
+    } else if ((old.statement || '') !== (scenario.statement || '')) {
+      changes.reworded.push({ id: scenario.id, before: old.statement || '', after: scenario.statement || '' });
+    }
+  });
+  oldScenarios.filter(scenario => !newIds.has(scenario.id)).forEach(scenario => changes.removed.push(describe(scenario)));
+
+  return changes;
+}
+
+/**
+ * Find the scenarios whose first-layer JTBD changed
+ * A scenario whose JTBD was merged into another one has not moved; the merge is reported instead.
+ * @param {Object} oldData - Old JTBD output
+ * @param {Object} newData - New JTBD output
+ * @param {Map<string, string>} continues - Old JTBD IDs to the new JTBD continuing them
+ * @returns {Array<Object>} { id, statement, from, to } with the old and new JTBD IDs
+ */
+function findMovedScenarios(oldData, newData, continues) {
+  const clustersOf = jtbds => {
+    const clusters = new Map();
+    jtbds.filter(jtbd => (jtbd.level || 1) === 1).forEach(jtbd => {
+      (jtbd.scenarioIds || []).forEach(id => clusters.set(id, [...(clusters.get(id) || []), jtbd.id]));
+    });
+    return clusters;
+  };
+  const oldClusters = clustersOf(oldData.jtbds);
+  const newClusters = clustersOf(newData.jtbds);
+  const statements = new Map((newData.scenarios || []).map(scenario => [scenario.id, scenario.statement || '']));
+
+  const moved = [];
+  newClusters.forEach((to, id) => {
+    const from = oldClusters.get(id);
+    if (!from) {
+      return;
+    }
+    const expected = new Set(from.map(oldId => continues.get(oldId)));
+    if (expected.size !== to.length || !to.every(newId => expected.has(newId))) {
+      moved.push({ id, statement: statements.get(id) || '', from, to });
+    }
+  });
+  return moved;
+}
+
+/**
+ * Compare two JTBD or scenario outputs
+ * @param {Object} oldData - Old output file contents
+ * @param {Object} newData - New output file contents
+ * @returns {Object} { type, summary, jtbds, scenarios } where jtbds is null for scenario outputs
+ * @throws {Error} If the files are not outputs of the same kind
+ */
+function diffOutputs(oldData, newData) {
+  const oldType = getOutputType(oldData);
+  const newType = getOutputType(newData);
+  if (!oldType || !newType) {
+    throw new Error('Both files must be JTBD or scenario outputs');
+  }
+  if (oldType !== newType) {
+    throw new Error(`Cannot compare a ${oldType} output with a ${newType} output`);
+  }
+
+  const scenarios = diffScenarios(oldData.scenarios || [], newData.scenarios || []);
+  let jtbds = null;
+  if (newType === 'jtbd') {
+    const { changes, continues } = diffJTBDs(oldData.jtbds, newData.jtbds);
+    jtbds = changes;
+    scenarios.moved = findMovedScenarios(oldData, newData, continues);
+  }
+
+  const summary = {
+    scenarios: Object.fromEntries(Object.entries(scenarios).map(([key, list]) => [key, list.length]))
+  };
+  if (jtbds) {
+    summary.jtbds = Object.fromEntries(Object.entries(jtbds).map(([key, value]) => [key, Array.isArray(value) ? value.length : value]));
+  }
+
+  return { type: newType, summary, jtbds, scenarios };
+}
+
+/**
+ * Give every JTBD of a JTBD diff its change status
+ * JTBDs of the new output that are not in the map are unchanged.
+ * @param {Object} diff - Result of diffOutputs for JTBD outputs
+ * @returns {Map<string, Object>} JTBD ID to { status, details } where status is 'new', 'changed' or
+ *   'removed' and details lists what changed
+ */
+function getJTBDChanges(diff) {
+  const changes = new Map();
+  const note = (id, status, detail) => {
+    const entry = changes.get(id) || { status, details: [] };
+    if (detail) {
+      entry.details.push(detail);
+    }
+    changes.set(id, entry);
+  };
+
+  diff.jtbds.added.forEach(entry => note(entry.id, 'new'));
+  diff.jtbds.removed.forEach(entry => note(entry.id, 'removed'));
+  diff.jtbds.merged.forEach(entry => note(entry.id, 'changed', `merged from ${entry.mergedFrom.join(', ')}`));
+  diff.jtbds.reworded.forEach(entry => note(entry.id, 'changed', 'reworded'));
+  diff.jtbds.recounted.forEach(entry => {
+    if (entry.scenarios.before !== entry.scenarios.after) {
+      note(entry.id, 'changed', `scenarios ${entry.scenarios.before} → ${entry.scenarios.after}`);
+    }
+    if (entry.customers.before !== entry.customers.after) {
+      note(entry.id, 'changed', `customers ${entry.customers.before} → ${entry.customers.after}`);
+    }
+  });
+
+  return changes;
+}
+
+export { diffOutputs, getJTBDChanges };
@@ -0,0 +1,124 @@
+// src/utils/parsers/chunker.js
+
+// Kana, CJK ideographs and full-width forms are roughly one token per character
+const CJK_CHAR = /[\u3000-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+
+// Other text averages about four characters per token
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token cost of a single character
+ * @param {string} char - Character
+ * @returns {number} Estimated tokens
+ */
+function charTokens(char) {
+  return CJK_CHAR.test(char) ? 1 : 1 / CHARS_PER_TOKEN;
+}
+
+/**
+ * Estimate the number of tokens in a text without a model-specific tokenizer
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  let tokens = 0;
+  for (const char of text) {
+    tokens += charTokens(char);
+  }
+  return Math.ceil(tokens);
+}
+
+/**
+ * Find a natural break point before a position
+ * Paragraphs are preferred over sentences, sentences over lines and lines over words;
+ * the break is never moved back more than half the chunk
+ * @param {string} text - Full text
+ * @param {number} start - Chunk start offset
+ * @param {number} end - Maximum chunk end offset
+ * @returns {number} Chunk end offset
+ */
+function findBreak(text, start, end) {
+  const window = text.slice(start, end);
+  const minimum = Math.floor(window.length / 2);
+  const patterns = [/\n\s*\n/g, /[.!?。！？]["')\]」』]?\s/g, /[。！？]/g, /\n/g, /\s/g];
+
+  for (const pattern of patterns) {
+    let best = -1;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+      const position = match.index + match[0].length;
+      if (position >= minimum) {
+        best = position;
+      }
+    }
+    if (best > 0) {
+      return start + best;
+    }
+  }
+  return end;
+}
+
+/**
+ * Split a text into overlapping chunks of at most chunkSize estimated tokens
+ * @param {string} text - Text to split
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkSize - Maximum tokens per chunk
+ * @param {number} [options.overlap] - Tokens repeated at the start of the next chunk
+ * @returns {Array<Object>} Chunks: { index, start, end, text } with character offsets into the text
+ */
+function chunkText(text, { chunkSize, overlap = 0 }) {
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error(`Chunk size must be a positive integer (got ${chunkSize})`);
+  }
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= chunkSize) {
+    throw new Error(`Chunk overlap must be an integer between 0 and the chunk size (got ${overlap})`);
+  }
+
+  if (estimateTokens(text) <= chunkSize) {
+    return [{ index: 0, start: 0, end: text.length, text }];
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    // Advance until the chunk is full
+    let end = start;
+    let tokens = 0;
+    while (end < text.length && tokens + charTokens(text[end]) <= chunkSize) {
+      tokens += charTokens(text[end]);
+      end++;
+    }
+    if (end < text.length) {
+      end = findBreak(text, start, end);
+    }
+
+    chunks.push({ index: chunks.length, start, end, text: text.slice(start, end) });
+    if (end >= text.length) {
+      break;
+    }
+
+    // Step back by the overlap, then forward to the next word so chunks do not start mid-word
+    let next = end;
+    let overlapTokens = 0;
+    while (next > start && overlapTokens + charTokens(text[next - 1]) <= overlap) {
+      overlapTokens += charTokens(text[next - 1]);
+      next--;
+    }
+    if (next > 0 && next < end && /\S/.test(text[next - 1]) && !CJK_CHAR.test(text[next])) {
+      const boundary = text.slice(next, end).search(/\s/);
+      if (boundary >= 0) {
+        next += boundary;
+      }
+    }
+    while (next < end && /\s/.test(text[next])) {
+      next++;
+    }
+
+    start = next > start ? next : end;
+  }
+
+  return chunks;
+}
+
+export { estimateTokens, chunkText };
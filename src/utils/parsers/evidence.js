@@ -0,0 +1,82 @@
+// src/utils/parsers/evidence.js
+
+// Typographic characters models tend to substitute when copying quotes
+const CHARACTER_EQUIVALENTS = {
+  '\u2018': "'", '\u2019': "'", '\u201c': '"', '\u201d': '"',
+  '\u2013': '-', '\u2014': '-', '\u00a0': ' '
+};
+
+/**
+ * Normalize a text for quote matching while keeping a map back to the original offsets
+ * Case, typographic quotes/dashes and whitespace runs are ignored
+ * @param {string} text - Text to normalize
+ * @returns {Object} { text, offsets } where offsets[i] is the original index of normalized character i
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const char = CHARACTER_EQUIVALENTS[text[i]] || text[i];
+    if (/\s/.test(char)) {
+      if (normalized.length === 0 || normalized[normalized.length - 1] === ' ') {
+        continue;
+      }
+      normalized += ' ';
+    } else {
+      normalized += char.toLowerCase();
+    }
+    offsets.push(i);
+  }
+
+  return { text: normalized, offsets };
+}
+
+/**
+ * Find a quote in a text
+ * Exact matches are preferred; otherwise differences in case, whitespace and typographic
+ * punctuation are tolerated, since those do not change what was said
+ * @param {string} text - Text the quote should come from
+ * @param {string} quote - Quote returned by the model
+ * @returns {Object|null} { start, end } character offsets into the text, or null if the quote is not in the text
+ */
+function locateQuote(text, quote) {
+  const trimmed = (quote || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const exact = text.indexOf(trimmed);
+  if (exact >= 0) {
+    return { start: exact, end: exact + trimmed.length };
+  }
+
+  const haystack = normalizeWithOffsets(text);
+  const needle = normalizeWithOffsets(trimmed).text.trim();
+  const index = haystack.text.indexOf(needle);
+  if (index < 0) {
+    return null;
+  }
+  return {
+    start: haystack.offsets[index],
+    end: haystack.offsets[index + needle.length - 1] + 1
+  };
+}
+
+/**
+ * Verify quotes against the text they were extracted from
+ * Quotes that cannot be found are kept but flagged, since they were likely paraphrased or hallucinated
+ * @param {Array<string>} quotes - Quotes returned by the model
+ * @param {string} text - Text the quotes should come from
+ * @returns {Array<Object>} Evidence entries: { quote, start, end, verified }
+ */
+function resolveEvidence(quotes, text) {
+  return (quotes || []).map(quote => {
+    const location = locateQuote(text, quote);
+    return location
+      ? { quote: text.slice(location.start, location.end), start: location.start, end: location.end, verified: true }
+      : { quote, start: null, end: null, verified: false };
+  });
+}
+
+export { locateQuote, resolveEvidence };
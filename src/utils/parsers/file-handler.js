@@ -122,7 +122,9 @@ class FileHandler {
    * @returns {string} - File type (e.g., 'interview', 'feedback', etc.)
    */
   detectFileType(filePath) {
-    const fileName = path.basename(filePath).toLowerCase();
+    // Names follow <type>_<persona>_<topic>, so only the leading segment names the type;
+    // words like "feedback" further on describe the topic
+    const fileName = path.basename(filePath).toLowerCase().split('_')[0];
     
     if (fileName.includes('interview')) return 'interview';
     if (fileName.includes('survey')) return 'survey';
@@ -148,9 +150,13 @@ class FileHandler {
       'tech', 'user', 'customer', 'admin', 'manager'
     ];
     
-    for (const pattern of personaPatterns) {
-      if (fileName.includes(pattern) || dirName.includes(pattern)) {
-        return pattern;
+    // The pattern named first wins, so tech-decision-maker is a tech persona
+    for (const name of [fileName, dirName]) {
+      const matches = personaPatterns
+        .filter(pattern => name.includes(pattern))
+        .sort((a, b) => name.indexOf(a) - name.indexOf(b));
+      if (matches.length > 0) {
+        return matches[0];
       }
     }
     
@@ -3,12 +3,13 @@
  * For testing: Returns predefined scenarios without making API calls
  */
 import { v4 as uuidv4 } from 'uuid';
+import { resolveEvidence } from './evidence.js';
 import logger from '../logger.js';
 
 class MockScenarioParser {
   /**
    * Mock extraction of scenarios - returns predefined data
-   * @param {string} content - Text content to parse (not used in mock)
+   * @param {string} content - Text content to parse (only its first line is quoted)
    * @param {object} sourceInfo - Information about the source file
    * @returns {Promise<Array>} - Array of mock scenarios
    */
@@ -39,6 +40,8 @@ class MockScenarioParser {
     
     const timestamp = new Date().toISOString();
     const mockCustomer = sourceInfo.name.includes('lazuli') ? 'Lazuli Corp' : null;
+    // Quote the first line of the text so evidence offsets can be checked
+    const firstLine = (content || '').split('\n').find(line => line.trim()) || '';
     
     // Transform mock scenarios to match our data structure
     const transformedScenarios = mockScenarios.map(scenario => ({
@@ -49,6 +52,7 @@ class MockScenarioParser {
       action: scenario.action,
       value: scenario.value,
       sources: [sourceInfo.id],
+      evidence: firstLine ? resolveEvidence([firstLine], content) : [],
       customer: mockCustomer,
       version: "1.0",
       timestamp: timestamp
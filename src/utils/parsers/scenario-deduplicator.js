@@ -0,0 +1,111 @@
+// src/utils/parsers/scenario-deduplicator.js
+import { extractFeatures } from '../embedding/local-embedding.js';
+
+// Minimum feature overlap (Jaccard) for two statements to count as the same scenario
+const DUPLICATE_THRESHOLD = 0.8;
+
+/**
+ * Compute the Jaccard similarity of two feature sets
+ * @param {Set<string>} a - First feature set
+ * @param {Set<string>} b - Second feature set
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  a.forEach(feature => {
+    if (b.has(feature)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Compare two scenario statements, ignoring stop words and the statement template
+ * @param {string} a - First statement
+ * @param {string} b - Second statement
+ * @returns {number} Similarity between 0 and 1
+ */
+function statementSimilarity(a, b) {
+  return jaccard(new Set(extractFeatures(a || '')), new Set(extractFeatures(b || '')));
+}
+
+/**
+ * Remove near-identical scenarios extracted from different chunks of the same source
+ * Overlapping chunks see the same passages, so the model often repeats a scenario;
+ * the first occurrence is kept. Scenarios from the same chunk are never merged.
+ * @param {Array<Object>} scenarios - Scenarios with a chunk reference, in chunk order
+ * @param {number} [threshold] - Minimum similarity to treat two scenarios as duplicates
+ * @returns {Array<Object>} Scenarios without cross-chunk duplicates
+ */
+function deduplicateScenarios(scenarios, threshold = DUPLICATE_THRESHOLD) {
+  const kept = [];
+  const keptFeatures = [];
+
+  scenarios.forEach(scenario => {
+    const features = new Set(extractFeatures(scenario.statement || ''));
+    const persona = (scenario.persona || '').toLowerCase();
+
+    const isDuplicate = kept.some((other, i) =>
+      other.chunk?.index !== scenario.chunk?.index &&
+      (other.persona || '').toLowerCase() === persona &&
+      jaccard(keptFeatures[i], features) >= threshold
+    );
+
+    if (!isDuplicate) {
+      kept.push(scenario);
+      keptFeatures.push(features);
+    }
+  });
+
+  return kept;
+}
+
+/**
+ * Give re-extracted scenarios the IDs of the matching scenarios from the previous extraction
+ * A scenario matches a previous one with the same persona and a near-identical statement;
+ * each previous ID is used at most once, and unmatched scenarios keep their new ID
+ * @param {Array<Object>} scenarios - Newly extracted scenarios (updated in place)
+ * @param {Array<Object>} previousScenarios - Scenarios previously extracted from the same source
+ * @param {number} [threshold] - Minimum similarity to treat two scenarios as the same
+ * @returns {number} Number of scenarios that kept a previous ID
+ */
+function carryOverScenarioIds(scenarios, previousScenarios, threshold = DUPLICATE_THRESHOLD) {
+  const available = previousScenarios.map(scenario => ({
+    id: scenario.id,
+    persona: (scenario.persona || '').toLowerCase(),
+    features: new Set(extractFeatures(scenario.statement || ''))
+  }));
+  let carried = 0;
+
+  scenarios.forEach(scenario => {
+    const features = new Set(extractFeatures(scenario.statement || ''));
+    const persona = (scenario.persona || '').toLowerCase();
+    let best = null;
+    let bestSimilarity = threshold;
+
+    available.forEach(candidate => {
+      if (candidate.persona !== persona) {
+        return;
+      }
+      const similarity = jaccard(candidate.features, features);
+      if (similarity >= bestSimilarity) {
+        best = candidate;
+        bestSimilarity = similarity;
+      }
+    });
+
+    if (best) {
+      scenario.id = best.id;
+      available.splice(available.indexOf(best), 1);
+      carried++;
+    }
+  });
+
+  return carried;
+}
+
+export { deduplicateScenarios, statementSimilarity, carryOverScenarioIds };
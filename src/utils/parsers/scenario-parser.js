@@ -2,51 +2,24 @@
  * Scenario Parser
  * Extracts user scenarios from text content using LLM
  */
-import { Configuration, OpenAIApi } from 'openai';
 import config from '../config.js';
 import logger from '../logger.js';
+import { requestStructuredOutput } from '../llm/structured-output.js';
+import { ScenarioResponseSchema } from '../llm/schemas.js';
+import { isReasoningModel as isOpenAIReasoningModel } from '../llm/providers/openai-provider.js';
+import { resolveEvidence } from './evidence.js';
 import { v4 as uuidv4 } from 'uuid';
 import 'dotenv/config';
 
 class ScenarioParser {
-  constructor() {
-    this.openai = null;
-    this.initializeOpenAI();
-  }
-
-  /**
-   * Initialize OpenAI client with API key from config
-   */
-  initializeOpenAI() {
-    try {
-      const apiKey = process.env.LLM_API_KEY || config.getConfig().llm.apiKey;
-      if (!apiKey) {
-        logger.warn('OpenAI API key not found. Set LLM_API_KEY in your .env file.');
-        return;
-      }
-
-      const configuration = new Configuration({ apiKey });
-      this.openai = new OpenAIApi(configuration);
-      logger.debug('OpenAI client initialized');
-    } catch (error) {
-      logger.error(`Failed to initialize OpenAI client: ${error.message}`);
-    }
-  }
-
   /**
    * Extract user scenarios from text content
    * @param {string} content - Text content to parse
    * @param {object} sourceInfo - Information about the source file
+   * @param {object} [stats] - Statistics collector (repairAttempts is incremented for each repair request)
    * @returns {Promise<Array>} - Array of extracted scenarios
    */
-  async extractScenarios(content, sourceInfo) {
-    if (!this.openai) {
-      this.initializeOpenAI();
-      if (!this.openai) {
-        throw new Error('OpenAI client not initialized. Check your API key.');
-      }
-    }
-
+  async extractScenarios(content, sourceInfo, stats = {}) {
     logger.debug(`Extracting scenarios from source: ${sourceInfo.name}`);
     
     // Determine the language based on config
@@ -54,18 +27,49 @@ class ScenarioParser {
     logger.debug(`Using language setting: ${language}`);
 
     try {
-      const llmConfig = config.getConfig().llm;
-      
-      // Get model name from environment variable or config, with proper priority
-      const model = process.env.LLM_MODEL || llmConfig.model || 'gpt-4o';
-      logger.debug(`Using model: ${model} (from env or config)`);
+      const model = config.model || 'gpt-4o';
+      logger.debug(`Using model: ${model}`);
       
-      // List of all OpenAI reasoning models
-      const reasoningModels = ['o4-mini', 'o3', 'o3-mini', 'o1', 'o1-mini', 'o1-pro'];
-      const isReasoningModel = reasoningModels.some(rm => model.includes(rm));
+      // Request the scenarios in JSON mode; responses failing the schema are sent back for repair
+      let parsedResult;
+      try {
+        parsedResult = await requestStructuredOutput({
+          model,
+          messages: this.createMessages(content, model),
+          schema: ScenarioResponseSchema,
+          stats
+        });
+      } catch (error) {
+        if (error.code !== 'INVALID_RESPONSE') {
+          throw error;
+        }
+        parsedResult = this.resolveFallback(content, `${error.message} (model: ${model}, source: ${sourceInfo.name})`);
+      }
+
+      logger.debug(`Successfully extracted scenarios in ${language} language`);
       
-      // Create system message - can be the same for both languages
-      const systemMessage = `You are an expert product manager skilled at extracting user scenarios from customer feedback.
+      // Transform extracted scenarios to our data structure
+      return this.transformScenarios(parsedResult, sourceInfo, content);
+    } catch (error) {
+      logger.error(`Error extracting scenarios: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the chat messages asking for the scenarios in a text
+   * @param {string} content - Text content to parse
+   * @param {string} model - Model the messages are sent to
+   * @returns {Array<Object>} System and user messages
+   */
+  createMessages(content, model) {
+    const language = config.getConfig().language || 'en';
+    
+    // Reasoning models need stronger instructions to return bare JSON
+    const isReasoningModel = isOpenAIReasoningModel(model);
+    
+    // Create system message - can be the same for both languages
+    const systemMessage = `You are an expert product manager skilled at extracting user scenarios from customer feedback.
 Focus exclusively on identifying user scenarios in the "As a [persona], I want to [action], so that I can [value/goal]" format.
 Look for real user needs and pain points in the input text and formulate them as clear user scenarios.
 Try to identify specific personas rather than using generic terms like "user" when possible.
@@ -73,16 +77,18 @@ Ensure each scenario clearly articulates what the user wants to accomplish and w
 ${isReasoningModel ? 'IMPORTANT: Your response MUST be a valid JSON object with no additional text, explanations, or markdown.' : ''}
 Always provide your output as a valid JSON object with the structure specified in the prompt.
 Do not include ANY text outside of the JSON object.`;
-      
-      // Create user message based on language
-      let userMessage;
-      
-      if (language === 'ja') {
-        userMessage = `
+    
+    // Create user message based on language
+    let userMessage;
+    
+    if (language === 'ja') {
+      userMessage = `
 以下のテキストからユーザーシナリオを「〜として、私は〜したい、それによって〜できる」の形式で抽出してください。
 
 また、言及されている顧客や企業名も特定してください。
 
+各シナリオには、根拠となる引用を1つ以上含めてください。引用はテキストから一字一句そのまま抜き出し、言い換え・要約・誤字の修正はしないでください。
+
 以下の構造でJSONフォーマットで回答してください：
 {
   "scenarios": [
@@ -90,7 +96,8 @@ Do not include ANY text outside of the JSON object.`;
       "statement": "[ペルソナ]として、私は[アクション]したい、それによって[価値/目標]できる",
       "persona": "[ペルソナ]",
       "action": "[アクション]",
-      "value": "[価値/目標]"
+      "value": "[価値/目標]",
+      "quotes": ["このシナリオを裏付ける、テキストからそのまま抜き出した原文"]
     }
   ],
   "customer": "[特定された企業名または複数の企業名、特定されない場合はnull]"
@@ -100,13 +107,16 @@ Do not include ANY text outside of the JSON object.`;
 ${content}
 
 重要: JSONオブジェクトのみを返し、JSON以外のテキストを含めないでください。`;
-      } else {
-        userMessage = `
+    } else {
+      userMessage = `
 Extract user scenarios from the following text in the format:
 "As a [persona], I want to [action], so that I can [value/goal]"
 
 Also identify any customer or company names mentioned.
 
+For every scenario, include one or more supporting quotes copied word for word from the text.
+Do not paraphrase, summarize, translate or correct the quotes.
+
 FORMAT YOUR RESPONSE AS JSON with this exact structure:
 {
   "scenarios": [
@@ -114,7 +124,8 @@ FORMAT YOUR RESPONSE AS JSON with this exact structure:
       "statement": "As a [persona], I want to [action], so that I can [value/goal]",
       "persona": "[persona]",
       "action": "[action]",
-      "value": "[value/goal]"
+      "value": "[value/goal]",
+      "quotes": ["exact sentence copied verbatim from the text that supports this scenario"]
     }
   ],
   "customer": "[Company name or names if identified, otherwise null]"
@@ -125,142 +136,12 @@ ${content}
 
 ${isReasoningModel ? 'EXTREMELY IMPORTANT: Your response MUST be valid JSON only, with NO explanations, NO markdown formatting, and NO text outside the JSON structure. Use double quotes for all keys and string values.' : ''}
 IMPORTANT: Respond with ONLY the JSON object. Do not include any text outside the JSON.`;
-      }
-
-      // Prepare API request parameters
-      const requestParams = {
-        model: model,
-        messages: [
-          { role: 'system', content: systemMessage },
-          { role: 'user', content: userMessage }
-        ]
-      };
-      
-      // Handle model-specific parameters (both temperature and token limits)
-      if (isReasoningModel) {
-        // Reasoning models use max_completion_tokens and don't support temperature
-        requestParams.max_completion_tokens = llmConfig.maxTokens || 4000;
-        logger.debug(`Using reasoning model: ${model} with max_completion_tokens: ${requestParams.max_completion_tokens}`);
-        
-        // For some reasoning models that might have issues with JSON output,
-        // use a simpler prompt structure to increase chances of successful parsing
-        if (model === 'o4-mini') {
-          // Add response_format parameter to explicitly request JSON
-          requestParams.response_format = { type: "json_object" };
-          logger.debug("Added response_format: json_object for o4-mini model");
-        }
-      } else if (model.startsWith('o3') || model.startsWith('o4') || model.startsWith('o1')) {
-        // Other o-series models use max_completion_tokens but support temperature
-        requestParams.max_completion_tokens = llmConfig.maxTokens || 4000;
-        requestParams.temperature = llmConfig.temperature || 0.7;
-        logger.debug(`Using model ${model} with max_completion_tokens and temperature: ${requestParams.temperature}`);
-      } else {
-        // Legacy models use max_tokens parameter
-        requestParams.max_tokens = llmConfig.maxTokens || 4000;
-        requestParams.temperature = llmConfig.temperature || 0.7;
-        logger.debug(`Using legacy model ${model} with max_tokens: ${requestParams.max_tokens} and temperature: ${requestParams.temperature}`);
-      }
-
-      const response = await this.openai.createChatCompletion(requestParams);
-
-      const result = response.data.choices[0].message.content.trim();
-      
-      // Log just a snippet of the response for debugging
-      logger.debug(`Response snippet (first 50 chars): ${result.substring(0, 50)}...`);
-      
-      // Check for empty response
-      if (!result || result.length === 0) {
-        logger.error(`Empty response received from ${model}. This may indicate an issue with the model's ability to handle your prompt or content.`);
-        logger.info(`Switching to fallback scenario extraction for ${sourceInfo.name}`);
-        return this.transformScenarios(this.createFallbackResult(content), sourceInfo);
-      }
-      
-      // Parse the JSON result
-      let parsedResult;
-      try {
-        // First try: direct JSON parse
-        parsedResult = JSON.parse(result);
-        logger.debug("Successfully parsed response as JSON directly");
-      } catch (parseError) {
-        logger.debug(`Direct JSON parse failed: ${parseError.message}`);
-        
-        try {
-          // Second try: Look for JSON object pattern
-          const jsonMatch = result.match(/({[\s\S]*})/);
-          if (jsonMatch) {
-            parsedResult = JSON.parse(jsonMatch[0]);
-            logger.debug("Successfully parsed JSON using object pattern match");
-          } else {
-            // Third try: Look for JSON with backticks
-            const codeBlockMatch = result.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-            if (codeBlockMatch) {
-              parsedResult = JSON.parse(codeBlockMatch[1]);
-              logger.debug("Successfully parsed JSON from code block");
-            } else {
-              // Fourth try: Sometimes reasoning models might add explanations - try to clean and parse
-              let cleanedResult = this.extractAndCleanJson(result);
-              if (cleanedResult) {
-                try {
-                  parsedResult = JSON.parse(cleanedResult);
-                  logger.debug("Successfully parsed cleaned JSON");
-                } catch (cleanError) {
-                  logger.debug(`Cleaning and parsing failed: ${cleanError.message}`);
-                  parsedResult = this.createFallbackResult(content);
-                }
-              } else {
-                logger.warn(`Could not parse response as JSON. Using fallback.`);
-                parsedResult = this.createFallbackResult(content);
-              }
-            }
-          }
-        } catch (nestedError) {
-          logger.error(`All JSON parsing attempts failed: ${nestedError.message}`);
-          parsedResult = this.createFallbackResult(content);
-        }
-      }
-
-      logger.debug(`Successfully extracted scenarios in ${language} language`);
-      
-      // Transform extracted scenarios to our data structure
-      return this.transformScenarios(parsedResult, sourceInfo);
-    } catch (error) {
-      logger.error(`Error extracting scenarios: ${error.message}`);
-      throw error;
     }
-  }
 
-  /**
-   * Extract and clean JSON from various formats that might be returned by reasoning models
-   * @param {string} text - Text that might contain JSON
-   * @returns {string|null} - Cleaned JSON string or null if not found
-   */
-  extractAndCleanJson(text) {
-    try {
-      // Look for text that starts with { and ends with }
-      const jsonPattern = /(\{[\s\S]*\})/;
-      const match = text.match(jsonPattern);
-      
-      if (match) {
-        let jsonCandidate = match[0];
-        
-        // Fix common JSON formatting issues
-        // Replace single quotes with double quotes around keys
-        jsonCandidate = jsonCandidate.replace(/(['"])?([a-zA-Z0-9_]+)(['"])?:/g, '"$2":');
-        
-        // Replace single quotes around string values with double quotes
-        jsonCandidate = jsonCandidate.replace(/:\s*'([^']*)'/g, ': "$1"');
-
-        // Fix trailing commas in arrays and objects (common JSON parsing error)
-        jsonCandidate = jsonCandidate.replace(/,\s*}/g, '}').replace(/,\s*\]/g, ']');
-        
-        return jsonCandidate;
-      }
-      
-      return null;
-    } catch (error) {
-      logger.error(`Error cleaning JSON: ${error.message}`);
-      return null;
-    }
+    return [
+      { role: 'system', content: systemMessage },
+      { role: 'user', content: userMessage }
+    ];
   }
 
   /**
@@ -336,6 +217,23 @@ IMPORTANT: Respond with ONLY the JSON object. Do not include any text outside th
     }
   }
 
+  /**
+   * Handle a response that could not be turned into scenarios
+   * Strict mode (the default) raises the failure; the generic fallback is only used when explicitly allowed
+   * @param {string} content - Original content
+   * @param {string} reason - Why the response could not be used
+   * @returns {Object} - Fallback result object
+   * @throws {Error} When fallbacks are not allowed
+   */
+  resolveFallback(content, reason) {
+    if (!config.allowFallback) {
+      throw new Error(reason);
+    }
+    
+    logger.warn(`${reason}. Using fallback scenario.`);
+    return this.createFallbackResult(content);
+  }
+
   /**
    * Create a fallback result when JSON parsing fails
    * @param {string} content - Original content
@@ -352,18 +250,21 @@ IMPORTANT: Respond with ONLY the JSON object. Do not include any text outside th
           value: "improve my experience"
         }
       ],
-      customer: null
+      customer: null,
+      fallback: true
     };
   }
 
   /**
    * Transform extracted scenarios into our data structure
+   * Supporting quotes are verified against the analyzed text; offsets are relative to that text
    * @param {object} extractedData - Raw data from LLM
    * @param {object} sourceInfo - Information about the source file
+   * @param {string} content - Text the scenarios were extracted from
    * @returns {Array} - Transformed scenarios
    */
-  transformScenarios(extractedData, sourceInfo) {
-    const { scenarios = [], customer = null } = extractedData;
+  transformScenarios(extractedData, sourceInfo, content = '') {
+    const { scenarios = [], customer = null, fallback = false } = extractedData;
     const timestamp = new Date().toISOString();
     
     return scenarios.map(scenario => ({
@@ -374,9 +275,11 @@ IMPORTANT: Respond with ONLY the JSON object. Do not include any text outside th
       action: scenario.action,
       value: scenario.value,
       sources: [sourceInfo.id],
+      evidence: resolveEvidence(scenario.quotes, content),
       customer: customer || null,
       version: "1.0",
-      timestamp: timestamp
+      timestamp: timestamp,
+      ...(fallback ? { fallback: true } : {})
     }));
   }
 }
@@ -6,6 +6,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import config from './config.js';
 import logger from './logger.js';
+import { recordVersion } from './version-tracker.js';
 
 class ProjectManager {
   /**
@@ -52,7 +53,7 @@ class ProjectManager {
       }
       
       // Initialize version tracking
-      await this.initializeVersionTracking(projectDir);
+      await this.initializeVersionTracking(projectDir, projectName);
       
       logger.info(`Project "${projectName}" successfully initialized`);
       return true;
@@ -149,27 +150,14 @@ Run \`pdm scenario\` on files in this directory to extract user scenarios.
   
   /**
    * Initialize version tracking system
+   * The initialization is recorded as the first project version; later runs add their own versions.
    * @param {string} projectDir - Project directory
+   * @param {string} projectName - Name of the project
    * @returns {Promise<void>}
    */
-  async initializeVersionTracking(projectDir) {
+  async initializeVersionTracking(projectDir, projectName) {
     logger.debug('Initializing version tracking system');
-    
-    const versionDir = path.join(projectDir, '.pdm', 'versions');
-    const initialVersion = {
-      version: '0.1.0',
-      timestamp: new Date().toISOString(),
-      command: 'init',
-      changeType: 'initial',
-      systemInfo: {
-        os: process.platform,
-        nodeVersion: process.version,
-        applicationVersion: '0.1.0'
-      }
-    };
-    
-    const versionPath = path.join(versionDir, 'version_0.1.0.json');
-    await fs.writeJson(versionPath, initialVersion, { spaces: 2 });
+    await recordVersion({ command: 'init', options: { name: projectName } }, projectDir);
   }
   
   /**
@@ -0,0 +1,149 @@
+/**
+ * Response recorder for PDM-AI
+ * Records LLM and embedding responses as fixtures and replays them offline, so runs are reproducible
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import config from './config.js';
+import logger from './logger.js';
+import projectManager from './project-manager.js';
+import { hashContent } from './hash.js';
+
+const RECORDING_MODES = ['off', 'record', 'replay'];
+
+// Identical requests recorded in parallel (e.g. chunks of one source) each need their own temporary file
+let tempFileCount = 0;
+
+/**
+ * Get the directory holding recorded fixtures
+ * @returns {string} LLM_FIXTURES_DIR if set, otherwise .pdm/fixtures under the project root
+ */
+function getFixturesDir() {
+  if (config.recording?.dir) {
+    return path.resolve(config.recording.dir);
+  }
+  const projectRoot = projectManager.findProjectRoot(process.cwd()) || process.cwd();
+  return path.join(projectRoot, '.pdm', 'fixtures');
+}
+
+/**
+ * Get the current recording mode
+ * @returns {string} 'off', 'record' or 'replay'
+ */
+function getRecordingMode() {
+  const mode = (config.recording?.mode || 'off').toLowerCase();
+  if (!RECORDING_MODES.includes(mode)) {
+    throw new Error(`Unknown recording mode '${mode}'. Supported modes: ${RECORDING_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Apply the --record, --replay and --fixtures command options
+ * @param {Object} options - Command options
+ * @throws {Error} When both --record and --replay are given
+ */
+function applyRecordingOptions(options) {
+  if (options.record && options.replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+
+  const recording = config.getConfig().recording;
+  if (options.record) {
+    recording.mode = 'record';
+  } else if (options.replay) {
+    recording.mode = 'replay';
+  }
+  if (options.fixtures) {
+    recording.dir = options.fixtures;
+  }
+
+  const mode = getRecordingMode();
+  if (mode === 'record') {
+    logger.info(`Recording API responses to ${getFixturesDir()}`);
+  } else if (mode === 'replay') {
+    logger.info(`Replaying API responses from ${getFixturesDir()} (no API calls will be made)`);
+  }
+}
+
+/**
+ * Get the fixture file of a request
+ * The key is a hash of the model and the request payload (chat messages or embedding inputs)
+ * @param {string} kind - Request kind ('chat' or 'embeddings')
+ * @param {string} model - Model name
+ * @param {*} payload - Request payload
+ * @returns {string} Path to the fixture file
+ */
+function getFixtureFile(kind, model, payload) {
+  return path.join(getFixturesDir(), `${kind}-${hashContent(model, payload)}.json`);
+}
+
+/**
+ * Perform a request according to the recording mode
+ * - off: perform the request
+ * - record: perform the request and store the response as a fixture
+ * - replay: return the stored response without performing the request
+ * @param {string} kind - Request kind ('chat' or 'embeddings')
+ * @param {string} model - Model name
+ * @param {*} payload - Request payload identifying the response
+ * @param {Function} perform - Async function performing the live request
+ * @returns {Promise<*>} Live or recorded response
+ * @throws {Error} With code 'FIXTURE_MISSING' when replaying a request that was never recorded
+ */
+async function withRecording(kind, model, payload, perform) {
+  const mode = getRecordingMode();
+  if (mode === 'off') {
+    return perform();
+  }
+
+  const fixtureFile = getFixtureFile(kind, model, payload);
+
+  if (mode === 'replay') {
+    if (!(await fs.pathExists(fixtureFile))) {
+      const error = new Error(
+        `No recorded ${kind} response for model ${model} (${path.basename(fixtureFile)} not found in ${getFixturesDir()}). ` +
+        'The request differs from the recorded run; record it again with --record'
+      );
+      error.code = 'FIXTURE_MISSING';
+      throw error;
+    }
+    logger.debug(`Replaying ${kind} response from ${fixtureFile}`);
+    const fixture = await fs.readJson(fixtureFile);
+    return fixture.response;
+  }
+
+  const response = await perform();
+
+  await fs.ensureDir(path.dirname(fixtureFile));
+  // Write to a temporary file first so parallel or interrupted runs never leave a partial fixture
+  const tempFile = `${fixtureFile}.${process.pid}.${++tempFileCount}.tmp`;
+  await fs.writeJson(tempFile, {
+    kind,
+    model,
+    request: payload,
+    response,
+    recordedAt: new Date().toISOString()
+  }, { spaces: 2 });
+  await fs.move(tempFile, fixtureFile, { overwrite: true });
+  logger.debug(`Recorded ${kind} response to ${fixtureFile}`);
+
+  return response;
+}
+
+/**
+ * Check whether an error is a replay cache miss
+ * Misses are never replaced by fallback data, since that would silently change replayed results
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for missing fixtures
+ */
+function isFixtureMissing(error) {
+  return error?.code === 'FIXTURE_MISSING';
+}
+
+export {
+  applyRecordingOptions,
+  getFixturesDir,
+  getRecordingMode,
+  isFixtureMissing,
+  withRecording
+};
@@ -0,0 +1,153 @@
+// src/utils/report/report-model.js
+import path from 'path';
+import { attributeSources } from '../jtbd/jtbd-attribution.js';
+
+/**
+ * Count how often each value occurs, most frequent first
+ * @param {Array<string>} values - Values, empty ones are skipped
+ * @returns {Array<Object>} { name, count } in descending count, ties by first appearance
+ */
+function countValues(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Pick representative quotes for a job
+ * Verified quotes are taken from as many different sources as possible before a source is used again.
+ * @param {Object} jtbd - JTBD
+ * @param {Array<Object>} scenarios - Scenarios of the JTBD
+ * @param {Function} sourceName - Source name by source ID
+ * @param {number} limit - Maximum number of quotes
+ * @returns {Array<Object>} { quote, source }
+ */
+function pickQuotes(jtbd, scenarios, sourceName, limit) {
+  const candidates = Array.isArray(jtbd.sourceQuotes) && jtbd.sourceQuotes.length > 0
+    ? jtbd.sourceQuotes.map(item => ({ quote: item.quote, sourceId: item.sourceId }))
+    : scenarios.flatMap(scenario => (scenario.evidence || [])
+      .filter(item => item.verified)
+      .map(item => ({ quote: item.quote, sourceId: (scenario.sources || [])[0] || null })));
+
+  const bySource = new Map();
+  const seen = new Set();
+  candidates.forEach(candidate => {
+    const quote = (candidate.quote || '').replace(/\s+/g, ' ').trim();
+    if (quote && !seen.has(quote)) {
+      seen.add(quote);
+      bySource.set(candidate.sourceId, [...(bySource.get(candidate.sourceId) || []), { quote, source: sourceName(candidate.sourceId) }]);
+    }
+  });
+
+  const queues = [...bySource.values()];
+  const picked = [];
+  while (picked.length < limit && queues.some(queue => queue.length > 0)) {
+    queues.filter(queue => queue.length > 0).forEach(queue => {
+      if (picked.length < limit) {
+        picked.push(queue.shift());
+      }
+    });
+  }
+  return picked;
+}
+
+/**
+ * Build the values a report template is rendered with
+ * @param {Object} data - JTBD output with jtbds, scenarios and optionally sources
+ * @param {Object} [options] - Report options
+ * @param {string} [options.title] - Report title
+ * @param {string} [options.inputFile] - Path of the JTBD output
+ * @param {number} [options.topCustomers] - Customers listed per job (default 5)
+ * @param {number} [options.quotes] - Quotes listed per job (default 3)
+ * @returns {Object} { title, generatedAt, inputFile, summary, groups, ungrouped, sources }
+ */
+function buildReportModel(data, options = {}) {
+  const topCustomerLimit = options.topCustomers || 5;
+  const quoteLimit = options.quotes || 3;
+  const jtbds = (data.jtbds || []).filter(jtbd => jtbd && jtbd.id);
+  const jtbdMap = new Map(jtbds.map(jtbd => [jtbd.id, jtbd]));
+  const scenarioMap = new Map((data.scenarios || []).filter(scenario => scenario && scenario.id).map(scenario => [scenario.id, scenario]));
+  const attribution = attributeSources(data);
+  const sourceMap = new Map(attribution.sources.map(source => [source.id, source]));
+  const attributed = new Map(attribution.jtbds.map(entry => [entry.id, entry]));
+  const sourceName = sourceId => sourceMap.get(sourceId)?.name || sourceId || 'Unknown source';
+
+  const describe = jtbd => {
+    const scenarios = (jtbd.scenarioIds || jtbd.relatedScenarios || []).map(id => scenarioMap.get(id)).filter(Boolean);
+    const customers = countValues(scenarios.map(scenario => scenario.customer));
+    (jtbd.customers || []).filter(name => !customers.some(customer => customer.name === name))
+      .forEach(name => customers.push({ name, count: 0 }));
+    const personas = countValues(scenarios.map(scenario => scenario.persona));
+    return {
+      id: jtbd.id,
+      level: jtbd.level || 1,
+      statement: jtbd.statement || jtbd.title || jtbd.id,
+      situation: jtbd.situation || '',
+      motivation: jtbd.motivation || '',
+      outcome: jtbd.outcome || '',
+      scenarioCount: attributed.get(jtbd.id).scenarioCount,
+      customerCount: customers.length,
+      sourceCount: Object.keys(attributed.get(jtbd.id).counts).length,
+      topCustomers: customers.slice(0, topCustomerLimit),
+      personas: personas.map(persona => ({
+        ...persona,
+        share: `${Math.round((persona.count / scenarios.length) * 100)}%`
+      })),
+      quotes: pickQuotes(jtbd, scenarios, sourceName, quoteLimit)
+    };
+  };
+
+  // Layer-1 jobs below each layer-2 job, by child list or by the parent they name
+  const childIds = new Map();
+  const addChild = (parentId, childId) => {
+    if (jtbdMap.has(childId) && !(childIds.get(parentId) || []).includes(childId)) {
+      childIds.set(parentId, [...(childIds.get(parentId) || []), childId]);
+    }
+  };
+  const abstract = jtbds.filter(jtbd => jtbd.level === 2);
+  abstract.forEach(parent => [...(parent.childIds || []), ...(parent.jtbdIds || [])].forEach(childId => addChild(parent.id, childId)));
+  jtbds.filter(jtbd => jtbd.level !== 2 && jtbd.parentId).forEach(child => {
+    const parent = jtbdMap.get(child.parentId) || abstract.find(jtbd => jtbd.clusterId === child.parentId);
+    if (parent && parent.level === 2) {
+      addChild(parent.id, child.id);
+    }
+  });
+  const grouped = new Set([...childIds.values()].flat());
+
+  const bySupport = (a, b) => b.scenarioCount - a.scenarioCount || b.customerCount - a.customerCount;
+  const groups = abstract.map(parent => ({
+    ...describe(parent),
+    jobs: (childIds.get(parent.id) || []).map(childId => describe(jtbdMap.get(childId))).sort(bySupport)
+  })).sort(bySupport);
+  const ungrouped = jtbds.filter(jtbd => jtbd.level !== 2 && !grouped.has(jtbd.id)).map(describe).sort(bySupport);
+  const concrete = [...groups.flatMap(group => group.jobs), ...ungrouped];
+
+  const scenarios = [...scenarioMap.values()];
+  return {
+    title: options.title || 'Research Synthesis',
+    generatedAt: new Date().toISOString().split('T')[0],
+    inputFile: options.inputFile ? path.basename(options.inputFile) : '',
+    summary: {
+      jtbdCount: jtbds.length,
+      topLevelCount: groups.length + ungrouped.length,
+      scenarioCount: scenarios.length,
+      customerCount: new Set(scenarios.map(scenario => scenario.customer).filter(Boolean)).size,
+      personaCount: new Set(scenarios.map(scenario => scenario.persona).filter(Boolean)).size,
+      sourceCount: attribution.sources.length,
+      singleSourceCount: concrete.filter(job => job.sourceCount === 1).length,
+      topJobs: [...groups, ...ungrouped].sort(bySupport).slice(0, 3)
+    },
+    groups,
+    ungrouped,
+    sources: attribution.sources.map(source => ({
+      name: source.name,
+      type: source.type || '',
+      scenarioCount: source.scenarioIds.length,
+      jtbdCount: attribution.jtbds.filter(entry => entry.level !== 2 && entry.counts[source.id]).length
+    }))
+  };
+}
+
+export { buildReportModel };
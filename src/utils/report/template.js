@@ -0,0 +1,119 @@
+// src/utils/report/template.js
+
+// {{name}}, {{#name}}, {{^name}} and {{/name}} tags; names may be dotted paths such as summary.jtbdCount
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+// Section tags alone on their line leave no blank line behind
+const STANDALONE_PATTERN = /^[ \t]*(\{\{\s*[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Parse a template into a tree of text, variables and sections
+ * @param {string} template - Template text
+ * @returns {Array<Object>} Template nodes
+ * @throws {Error} With code INVALID_TEMPLATE for unbalanced sections
+ */
+function parseTemplate(template) {
+  const fail = message => {
+    const error = new Error(`Invalid report template: ${message}`);
+    error.code = 'INVALID_TEMPLATE';
+    throw error;
+  };
+
+  const root = { children: [] };
+  const stack = [root];
+  const source = template.replace(STANDALONE_PATTERN, '$1');
+  let position = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, kind, name] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > position) {
+      current.children.push({ type: 'text', value: source.slice(position, match.index) });
+    }
+    position = match.index + tag.length;
+
+    if (kind === '#' || kind === '^') {
+      const section = { type: 'section', name, inverted: kind === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        fail(`unexpected {{/${name}}}${stack.length > 1 ? ` while {{#${current.name}}} is open` : ''}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`{{#${stack[stack.length - 1].name}}} is never closed`);
+  }
+  if (position < source.length) {
+    root.children.push({ type: 'text', value: source.slice(position) });
+  }
+  return root.children;
+}
+
+/**
+ * Look up a dotted name, starting from the innermost context
+ * @param {Array<Object>} contexts - Context stack, outermost first
+ * @param {string} name - Name or dotted path
+ * @returns {*} Value, or undefined if no context has it
+ */
+function lookup(contexts, name) {
+  const [head, ...rest] = name.split('.');
+  for (let index = contexts.length - 1; index >= 0; index--) {
+    const context = contexts[index];
+    if (context !== null && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Render template nodes against a context stack
+ * @param {Array<Object>} nodes - Template nodes
+ * @param {Array<Object>} contexts - Context stack
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, contexts) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    const value = lookup(contexts, node.name);
+    if (node.type === 'variable') {
+      return value === null || value === undefined ? '' : String(value);
+    }
+
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) {
+      return empty ? renderNodes(node.children, contexts) : '';
+    }
+    if (empty) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => renderNodes(node.children, [...contexts, item])).join('');
+    }
+    return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts);
+  }).join('');
+}
+
+/**
+ * Render a report template
+ * Templates are Markdown with Mustache-style tags: {{name}} inserts a value, {{#name}}…{{/name}} repeats
+ * for every item of a list (or renders once for any other truthy value) and {{^name}}…{{/name}} renders
+ * when the value is empty. Values are inserted as they are.
+ * @param {string} template - Template text
+ * @param {Object} view - Values available to the template
+ * @returns {string} Rendered report
+ * @throws {Error} With code INVALID_TEMPLATE for unbalanced sections
+ */
+function renderTemplate(template, view) {
+  return renderNodes(parseTemplate(template), [view]);
+}
+
+export { renderTemplate };
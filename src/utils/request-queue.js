@@ -0,0 +1,161 @@
+/**
+ * Request queue for PDM-AI
+ * Bounds the number of concurrent API requests across scenario extraction, JTBD generation
+ * and embeddings, and retries rate-limited or failed requests with exponential backoff
+ */
+import config from './config.js';
+import logger from './logger.js';
+
+// Upper bound for computed backoff delays; Retry-After values from the server are used as given
+const MAX_BACKOFF_MS = 60000;
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error raised by the request
+ * @returns {boolean} True for rate limits (429) and server errors (5xx)
+ */
+function isRetryable(error) {
+  const status = error?.status;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Read the delay requested by the server, if any
+ * Supports `retry-after-ms`, and `Retry-After` as seconds or an HTTP date
+ * @param {Object} [headers] - Response headers (lower-cased keys)
+ * @returns {number|null} Delay in milliseconds, or null if the server did not ask for one
+ */
+function parseRetryAfter(headers) {
+  if (!headers) {
+    return null;
+  }
+
+  const milliseconds = parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(milliseconds) && milliseconds >= 0) {
+    return milliseconds;
+  }
+
+  const value = headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute how long to wait before retrying a request
+ * @param {Error} error - Error raised by the request
+ * @param {number} attempt - Number of retries already made (0 for the first retry)
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, baseDelayMs) {
+  const requested = parseRetryAfter(error?.headers);
+  if (requested !== null) {
+    return requested;
+  }
+  return Math.min(MAX_BACKOFF_MS, baseDelayMs * 2 ** attempt);
+}
+
+class RequestQueue {
+  constructor() {
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Maximum number of requests in flight, read from config so per-run overrides apply
+   * @returns {number} Concurrency limit
+   */
+  get concurrency() {
+    return Math.max(1, config.requests?.concurrency || 1);
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function performing one request
+   * @returns {Promise<*>} Result of the task
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Run a task through the queue, retrying rate limits and server errors
+   * While a rate-limited request waits, no other queued request is started
+   * @param {Function} task - Async function performing one request
+   * @param {string} [label] - Description used in log messages
+   * @returns {Promise<*>} Result of the task
+   */
+  async schedule(task, label = 'API request') {
+    const { maxRetries = 5, retryBaseDelayMs = 1000 } = config.requests || {};
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.run(task);
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= maxRetries) {
+          throw error;
+        }
+        const delay = getRetryDelay(error, attempt, retryBaseDelayMs);
+        if (error.status === 429) {
+          this.pause(delay);
+        }
+        logger.warn(`${label} failed with status ${error.status}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Hold back queued requests for a while
+   * @param {number} delayMs - Pause in milliseconds
+   */
+  pause(delayMs) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+  }
+
+  /**
+   * Start waiting tasks while slots are free and the queue is not paused
+   */
+  drain() {
+    if (this.timer) {
+      return;
+    }
+
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0 && this.waiting.length > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+      return;
+    }
+
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const { task, resolve, reject } = this.waiting.shift();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+}
+
+const requestQueue = new RequestQueue();
+export default requestQueue;
+export { RequestQueue, isRetryable, parseRetryAfter, getRetryDelay };
@@ -0,0 +1,119 @@
+/**
+ * Source registry for PDM-AI
+ * Remembers every input file of a project with a stable source ID and the hash of its last extracted content,
+ * so unchanged sources can be skipped and re-extracted sources keep their identity
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import logger from './logger.js';
+import projectManager from './project-manager.js';
+import { hashContent } from './hash.js';
+
+const REGISTRY_FILE = 'sources.json';
+const REGISTRY_VERSION = 1;
+
+/**
+ * Get the project root the registry belongs to
+ * @returns {string|null} Project root, or null outside a project
+ */
+function getProjectRoot() {
+  return projectManager.findProjectRoot(process.cwd());
+}
+
+/**
+ * Get the path of the registry file
+ * Only initialized projects have a registry; elsewhere runs must not create a .pdm directory
+ * @returns {string|null} .pdm/sources.json under the project root, or null outside a project
+ */
+function getRegistryPath() {
+  const root = getProjectRoot();
+  return root ? path.join(root, '.pdm', REGISTRY_FILE) : null;
+}
+
+/**
+ * Get the registry key of a source file
+ * Paths are stored relative to the project root with forward slashes, so the registry can be shared
+ * @param {string} filePath - Source file path
+ * @returns {string} Registry key (the absolute path outside a project)
+ */
+function getSourceKey(filePath) {
+  const root = getProjectRoot();
+  const sourcePath = path.resolve(filePath);
+  return (root ? path.relative(root, sourcePath) : sourcePath).split(path.sep).join('/');
+}
+
+/**
+ * Load the registry
+ * @returns {Promise<Object>} { version, sources } with entries keyed by source path (empty outside a project)
+ */
+async function loadRegistry() {
+  const registryPath = getRegistryPath();
+  try {
+    if (registryPath && await fs.pathExists(registryPath)) {
+      const registry = await fs.readJson(registryPath);
+      return { version: REGISTRY_VERSION, sources: registry.sources || {} };
+    }
+  } catch (error) {
+    logger.warn(`Ignoring unreadable source registry ${registryPath}: ${error.message}`);
+  }
+  return { version: REGISTRY_VERSION, sources: {} };
+}
+
+/**
+ * Save the registry, dropping sources whose files no longer exist
+ * Outside a project nothing is saved; source IDs then carry over through the previous output file only.
+ * @param {Object} registry - Registry to save
+ * @returns {Promise<void>}
+ */
+async function saveRegistry(registry) {
+  const root = getProjectRoot();
+  if (!root) {
+    logger.debug('Not in a PDM project; the source registry is not saved (run pdm init to keep one)');
+    return;
+  }
+  const sources = {};
+  for (const [key, entry] of Object.entries(registry.sources)) {
+    if (await fs.pathExists(path.join(root, key))) {
+      sources[key] = entry;
+    }
+  }
+
+  const registryPath = getRegistryPath();
+  await fs.ensureDir(path.dirname(registryPath));
+  await fs.writeJson(registryPath, { version: REGISTRY_VERSION, sources }, { spaces: 2 });
+}
+
+/**
+ * Look up a source in the registry
+ * @param {Object} registry - Registry
+ * @param {Object} source - Source info with its path and content
+ * @returns {Object} { key, hash, entry } where entry is null for sources never seen before
+ */
+function lookupSource(registry, source) {
+  const key = getSourceKey(source.path);
+  return { key, hash: hashContent(source.content), entry: registry.sources[key] || null };
+}
+
+/**
+ * Record the extracted state of a source
+ * @param {Object} registry - Registry (updated in place)
+ * @param {Object} source - Source info with its stable ID, path and content hash
+ */
+function recordSource(registry, source) {
+  const key = getSourceKey(source.path);
+  registry.sources[key] = {
+    id: source.id,
+    hash: source.contentHash,
+    firstSeen: registry.sources[key]?.firstSeen || new Date().toISOString(),
+    extractedAt: new Date().toISOString()
+  };
+}
+
+export {
+  getRegistryPath,
+  getSourceKey,
+  loadRegistry,
+  saveRegistry,
+  lookupSource,
+  recordSource
+};
@@ -0,0 +1,288 @@
+/**
+ * Version tracker for PDM-AI
+ * Records every run of a project as a numbered version with the command, options, input hashes and
+ * produced artifacts, and keeps a snapshot of those artifacts under .pdm/versions/<version>/ so they can
+ * be inspected and restored later
+ */
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import projectManager from './project-manager.js';
+import { hashFile } from './hash.js';
+
+const VERSION_FILE = 'version.json';
+const SNAPSHOT_DIR = 'files';
+
+/**
+ * Get the root of the project the current directory belongs to
+ * @returns {string|null} Project root, or null outside a PDM project
+ */
+function getProjectRoot() {
+  return projectManager.findProjectRoot(process.cwd());
+}
+
+/**
+ * Get the directory holding the versions of a project
+ * @param {string} projectRoot - Project root
+ * @returns {string} .pdm/versions under the project root
+ */
+function getVersionsDir(projectRoot) {
+  return path.join(projectRoot, '.pdm', 'versions');
+}
+
+/**
+ * Get the application version recorded with every entry
+ * @returns {string} Version from package.json
+ */
+function getApplicationVersion() {
+  return fs.readJsonSync(fileURLToPath(new URL('../../package.json', import.meta.url))).version;
+}
+
+/**
+ * Store a file path relative to the project root with forward slashes, or absolute if it lies outside
+ * @param {string} projectRoot - Project root
+ * @param {string} filePath - File path
+ * @returns {string} Path as recorded in the version entry
+ */
+function toRecordedPath(projectRoot, filePath) {
+  const absolutePath = path.resolve(filePath);
+  const relativePath = path.relative(projectRoot, absolutePath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return absolutePath;
+  }
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Resolve a recorded path against the project root
+ * @param {string} projectRoot - Project root
+ * @param {string} recordedPath - Path as recorded in the version entry
+ * @returns {string} Absolute path
+ */
+function fromRecordedPath(projectRoot, recordedPath) {
+  return path.resolve(projectRoot, recordedPath);
+}
+
+/**
+ * Keep only the JSON-serializable command options
+ * @param {Object} options - Command options
+ * @returns {Object} Options as recorded in the version entry
+ */
+function serializeOptions(options = {}) {
+  return JSON.parse(JSON.stringify(options));
+}
+
+/**
+ * Find the highest version number recorded for a project
+ * @param {string} versionsDir - Versions directory
+ * @returns {Promise<number>} Latest version number, or 0 if none was recorded
+ */
+async function getLatestVersion(versionsDir) {
+  if (!(await fs.pathExists(versionsDir))) {
+    return 0;
+  }
+  const entries = await fs.readdir(versionsDir);
+  return entries
+    .filter(entry => /^\d+$/.test(entry))
+    .reduce((latest, entry) => Math.max(latest, Number(entry)), 0);
+}
+
+/**
+ * Claim the directory of the next version
+ * The directory is created exclusively, so concurrent runs never record the same version number.
+ * @param {string} versionsDir - Versions directory
+ * @returns {Promise<number>} Claimed version number
+ */
+async function claimNextVersion(versionsDir) {
+  await fs.ensureDir(versionsDir);
+  let version = (await getLatestVersion(versionsDir)) + 1;
+  for (;;) {
+    try {
+      await fs.mkdir(path.join(versionsDir, String(version)));
+      return version;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      version++;
+    }
+  }
+}
+
+/**
+ * Record a run as a new project version and snapshot the files it produced
+ * Runs outside a PDM project are not recorded. Recording never fails the run: problems are logged
+ * and null is returned.
+ * @param {Object} run - Run to record
+ * @param {string} run.command - Command name (init, scenario, jtbd, visualize, restore)
+ * @param {Object} [run.options] - Command options
+ * @param {Array<string>} [run.inputs] - Input files, hashed to record what the run was based on
+ * @param {Array<string>} [run.outputs] - Files the run produced, copied into the snapshot
+ * @param {string} [run.model] - LLM model used by the run
+ * @param {Object} [run.summary] - Counts describing the produced artifacts
+ * @param {string} [projectRoot] - Project root, defaults to the project of the current directory
+ * @returns {Promise<Object|null>} Recorded version entry, or null if nothing was recorded
+ */
+async function recordVersion(run, projectRoot = getProjectRoot()) {
+  if (!projectRoot) {
+    logger.debug(`Not inside a PDM project; ${run.command} run is not recorded as a version`);
+    return null;
+  }
+
+  try {
+    const versionsDir = getVersionsDir(projectRoot);
+    const version = await claimNextVersion(versionsDir);
+    const versionDir = path.join(versionsDir, String(version));
+
+    const inputs = [];
+    for (const file of run.inputs || []) {
+      inputs.push({ path: toRecordedPath(projectRoot, file), hash: await hashFile(file) });
+    }
+
+    // Snapshots are named after the output file; clashing names get the output's position as a prefix
+    const outputs = [];
+    const snapshotNames = new Set();
+    for (const [index, file] of (run.outputs || []).entries()) {
+      let snapshot = path.basename(file);
+      if (snapshotNames.has(snapshot)) {
+        snapshot = `${index}-${snapshot}`;
+      }
+      snapshotNames.add(snapshot);
+      await fs.copy(file, path.join(versionDir, SNAPSHOT_DIR, snapshot));
+      outputs.push({
+        path: toRecordedPath(projectRoot, file),
+        hash: await hashFile(file),
+        snapshot: `${SNAPSHOT_DIR}/${snapshot}`
+      });
+    }
+
+    const entry = {
+      version,
+      parent: version > 1 ? version - 1 : null,
+      timestamp: new Date().toISOString(),
+      command: run.command,
+      options: serializeOptions(run.options),
+      model: run.model || null,
+      inputs,
+      outputs,
+      ...(run.summary && { summary: run.summary }),
+      systemInfo: {
+        os: process.platform,
+        nodeVersion: process.version,
+        applicationVersion: getApplicationVersion()
+      }
+    };
+
+    await fs.writeJson(path.join(versionDir, VERSION_FILE), entry, { spaces: 2 });
+    logger.info(`Recorded project version ${version} (${run.command}, ${outputs.length} file(s) snapshotted)`);
+    return entry;
+  } catch (error) {
+    logger.warn(`Could not record a project version for the ${run.command} run: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve the project the versions commands work on
+ * @returns {string} Project root
+ * @throws {Error} With code NOT_A_PROJECT outside a PDM project
+ */
+function requireProjectRoot() {
+  const projectRoot = getProjectRoot();
+  if (!projectRoot) {
+    const error = new Error('Not inside a PDM project; run pdm init first');
+    error.code = 'NOT_A_PROJECT';
+    throw error;
+  }
+  return projectRoot;
+}
+
+/**
+ * List the recorded versions of the current project
+ * @returns {Promise<Array<Object>>} Version entries, oldest first
+ */
+async function listVersions() {
+  const versionsDir = getVersionsDir(requireProjectRoot());
+  if (!(await fs.pathExists(versionsDir))) {
+    return [];
+  }
+
+  const entries = [];
+  const names = (await fs.readdir(versionsDir)).filter(name => /^\d+$/.test(name));
+  for (const name of names.sort((a, b) => Number(a) - Number(b))) {
+    const versionPath = path.join(versionsDir, name, VERSION_FILE);
+    try {
+      entries.push(await fs.readJson(versionPath));
+    } catch (error) {
+      // A version directory without an entry belongs to a run that is still recording or was interrupted
+      logger.debug(`Skipping version ${name}: ${error.message}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Load one recorded version of the current project
+ * @param {number|string} version - Version number
+ * @returns {Promise<Object>} Version entry
+ * @throws {Error} With code VERSION_NOT_FOUND if the version was never recorded
+ */
+async function getVersion(version) {
+  const versionPath = path.join(getVersionsDir(requireProjectRoot()), String(version), VERSION_FILE);
+  if (!(await fs.pathExists(versionPath))) {
+    const error = new Error(`Version ${version} does not exist`);
+    error.code = 'VERSION_NOT_FOUND';
+    throw error;
+  }
+  return fs.readJson(versionPath);
+}
+
+/**
+ * Restore the artifacts of a recorded version to their original paths
+ * The restore is itself recorded as a new version, so it can be undone by restoring the version before it.
+ * @param {number|string} version - Version to restore
+ * @returns {Promise<Object>} { restored, files, recorded } with the restored entry, the written paths
+ *   and the version entry recording the restore
+ * @throws {Error} If the version does not exist, produced no files or its snapshot is incomplete
+ */
+async function restoreVersion(version) {
+  const projectRoot = requireProjectRoot();
+  const restored = await getVersion(version);
+  if (restored.outputs.length === 0) {
+    throw new Error(`Version ${version} (${restored.command}) has no files to restore`);
+  }
+
+  // Check the whole snapshot before touching any file, so a restore never leaves a mix of versions
+  const versionDir = path.join(getVersionsDir(projectRoot), String(version));
+  for (const output of restored.outputs) {
+    if (!(await fs.pathExists(path.join(versionDir, output.snapshot)))) {
+      throw new Error(`Snapshot of ${output.path} is missing from version ${version}`);
+    }
+  }
+
+  const files = [];
+  for (const output of restored.outputs) {
+    const target = fromRecordedPath(projectRoot, output.path);
+    await fs.copy(path.join(versionDir, output.snapshot), target, { overwrite: true });
+    files.push(target);
+  }
+
+  const recorded = await recordVersion({
+    command: 'restore',
+    options: { version: restored.version },
+    outputs: files,
+    model: restored.model,
+    summary: restored.summary
+  }, projectRoot);
+
+  return { restored, files, recorded };
+}
+
+export {
+  getVersionsDir,
+  recordVersion,
+  listVersions,
+  getVersion,
+  restoreVersion
+};
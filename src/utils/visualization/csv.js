@@ -5,6 +5,9 @@
 
 import fs from 'fs-extra';
 import path from 'path';
+import { getJTBDChanges } from '../output-diff.js';
+import { scoreJTBDs } from '../jtbd/jtbd-priority.js';
+import { attributeSources } from '../jtbd/jtbd-attribution.js';
 
 /**
  * Escape text for CSV format
@@ -132,6 +135,10 @@ export async function generateCSVFiles(data, options, outputPath) {
     }
   });
   
+  // With a comparison every file gets a change column: new, changed or unchanged
+  const changes = options.comparison?.diff?.jtbds ? getJTBDChanges(options.comparison.diff) : null;
+  const changeOf = id => changes.get(id)?.status || 'unchanged';
+  
   // File paths to return
   const files = [];
   
@@ -140,10 +147,10 @@ export async function generateCSVFiles(data, options, outputPath) {
     const overviewFileName = path.join(path.dirname(outputPath), `${path.basename(outputPath, '.csv')}_overview.csv`);
     
     // Create content only with JTBD statements, one per row
-    let overviewContent = 'jtbd\n';
+    let overviewContent = changes ? 'jtbd,change\n' : 'jtbd\n';
     
     layer2Jtbds.forEach(jtbd => {
-      overviewContent += `${escapeCSV(jtbd.statement || '')}\n`;
+      overviewContent += `${escapeCSV(jtbd.statement || '')}${changes ? `,${changeOf(jtbd.id)}` : ''}\n`;
       stats.jtbdCount++;
     });
     
@@ -209,7 +216,7 @@ export async function generateCSVFiles(data, options, outputPath) {
     const personas = Object.keys(personaGroups);
     
     // Create the header row with "jtbd" and all persona names
-    let fileContent = `jtbd${personas.length > 0 ? ',' : ''}${personas.join(',')}\n`;
+    let fileContent = `jtbd${changes ? ',change' : ''}${personas.length > 0 ? ',' : ''}${personas.join(',')}\n`;
     
     // Fixed: Create a structured tabular format with proper row alignment
     // Find the maximum number of scenarios across all personas
@@ -226,6 +233,9 @@ export async function generateCSVFiles(data, options, outputPath) {
     
     // First row contains the JTBD statement and the first scenario for each persona
     let firstRow = [escapeCSV(jtbd.statement || '')];
+    if (changes) {
+      firstRow.push(changeOf(jtbd.id));
+    }
     
     // Add the first scenario for each persona (or empty if none exists)
     personas.forEach(persona => {
@@ -241,7 +251,7 @@ export async function generateCSVFiles(data, options, outputPath) {
     
     // Create subsequent rows with empty first cell (for JTBD) and scenarios aligned by persona column
     for (let i = 1; i < maxScenarios; i++) {
-      let row = [''];  // Empty cell for JTBD column
+      let row = changes ? ['', ''] : [''];  // Empty cells for the JTBD and change columns
       
       personas.forEach(persona => {
         const scenariosForPersona = personaGroups[persona];
@@ -268,6 +278,23 @@ export async function generateCSVFiles(data, options, outputPath) {
     });
   }
   
+  // JTBDs that no longer exist get a file of their own, as they have no scenarios left to list
+  if (changes && options.comparison.diff.jtbds.removed.length > 0) {
+    const removedFileName = path.join(path.dirname(outputPath), `${path.basename(outputPath, '.csv')}_removed.csv`);
+    let removedContent = 'jtbd,change,level,scenarios\n';
+    options.comparison.diff.jtbds.removed.forEach(jtbd => {
+      removedContent += `${escapeCSV(jtbd.statement)},removed,${jtbd.level},${jtbd.scenarioCount}\n`;
+    });
+    
+    await fs.writeFile(removedFileName, removedContent);
+    stats.fileCount++;
+    files.push({
+      path: removedFileName,
+      type: 'removed',
+      jtbdCount: options.comparison.diff.jtbds.removed.length
+    });
+  }
+  
   // Create a result object
   const result = {
     files,
@@ -275,4 +302,85 @@ export async function generateCSVFiles(data, options, outputPath) {
   };
   
   return result;
-}
\ No newline at end of file
+}
+
+/**
+ * Generate a CSV of the JTBDs ranked by priority score
+ * One row per JTBD with its rank within the layer, score, evidence counts and the score components,
+ * so the ranking can be checked and re-sorted in a spreadsheet.
+ * @param {Object} data - Input data with JTBDs and scenarios
+ * @param {Object} options - Visualization options with the priority weights
+ * @param {string} outputPath - Output path of the CSV file
+ * @returns {Object} Result object with file paths and stats
+ */
+export async function generatePriorityCSV(data, options, outputPath) {
+  if (!data.jtbds || !Array.isArray(data.jtbds) || data.jtbds.length === 0) {
+    throw new Error('No valid JTBDs found in input data');
+  }
+
+  const ranked = scoreJTBDs(data, options.weights);
+  const header = [
+    'rank', 'level', 'id', 'jtbd', 'score', 'scenarios', 'customers', 'sources', 'latest_evidence',
+    'scenario_score', 'customer_score', 'source_score', 'recency_score'
+  ];
+  const rows = ranked.map(entry => [
+    entry.rank,
+    entry.level,
+    escapeCSV(entry.id),
+    escapeCSV(entry.statement),
+    entry.score,
+    entry.evidence.scenarios,
+    entry.evidence.customers,
+    entry.evidence.sources,
+    entry.evidence.latest || '',
+    ...['scenarios', 'customers', 'sources', 'recency'].map(name => entry.components[name].toFixed(3))
+  ].join(','));
+
+  await fs.writeFile(outputPath, [header.join(','), ...rows].join('\n') + '\n');
+
+  return {
+    files: [{ path: outputPath, type: 'priority', jtbdCount: ranked.length }],
+    stats: {
+      fileCount: 1,
+      jtbdCount: ranked.length,
+      scenarioCount: (data.scenarios || []).length
+    }
+  };
+}
+
+/**
+ * Generate a CSV of JTBDs by source
+ * One row per JTBD and one column per input file with the number of the JTBD's scenarios that came
+ * from it, so jobs that rest on few sources are easy to spot and sort.
+ * @param {Object} data - Input data with JTBDs, scenarios and optionally sources
+ * @param {Object} options - Visualization options
+ * @param {string} outputPath - Output path of the CSV file
+ * @returns {Object} Result object with file paths and stats
+ */
+export async function generateSourceCSV(data, options, outputPath) {
+  if (!data.jtbds || !Array.isArray(data.jtbds) || data.jtbds.length === 0) {
+    throw new Error('No valid JTBDs found in input data');
+  }
+
+  const { sources, jtbds } = attributeSources(data);
+  const header = ['level', 'id', 'jtbd', 'scenarios', 'source_count', ...sources.map(source => escapeCSV(source.name))];
+  const rows = jtbds.map(entry => [
+    entry.level,
+    escapeCSV(entry.id),
+    escapeCSV(entry.statement),
+    entry.scenarioCount,
+    Object.keys(entry.counts).length,
+    ...sources.map(source => entry.counts[source.id] || 0)
+  ].join(','));
+
+  await fs.writeFile(outputPath, [header.join(','), ...rows].join('\n') + '\n');
+
+  return {
+    files: [{ path: outputPath, type: 'source', jtbdCount: jtbds.length }],
+    stats: {
+      fileCount: 1,
+      jtbdCount: jtbds.length,
+      scenarioCount: (data.scenarios || []).length
+    }
+  };
+}
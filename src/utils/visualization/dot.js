@@ -0,0 +1,79 @@
+/**
+ * Graphviz DOT generator for PDM-AI
+ * Writes the JTBD graph as a DOT digraph that can be rendered with `dot` or imported into Gephi
+ */
+
+import { buildGraph } from './graph.js';
+
+// Fill colors by node type, matching the Mermaid views
+const NODE_STYLES = {
+  jtbd: { shape: 'box', fillcolor: '#BADFFF' },
+  scenario: { shape: 'box', fillcolor: '#BAFFC9' },
+  source: { shape: 'note', fillcolor: '#E8DAEF' },
+  persona: { shape: 'ellipse', fillcolor: '#FFE5CC' }
+};
+const ABSTRACT_JTBD_STYLE = { shape: 'box', fillcolor: '#FFF5BA' };
+
+/**
+ * Quote a value as a DOT string
+ * @param {string|number} value - Value to quote
+ * @returns {string} Quoted value
+ */
+function quote(value) {
+  return `"${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * Format an attribute list
+ * @param {Object} attributes - Attribute values by name
+ * @returns {string} DOT attribute list
+ */
+function formatAttributes(attributes) {
+  const pairs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${name}=${typeof value === 'number' ? value : quote(value)}`);
+  return `[${pairs.join(', ')}]`;
+}
+
+/**
+ * Generate a DOT graph of JTBDs, scenarios, sources and personas
+ * Node attributes such as level and counts are kept as custom DOT attributes; Graphviz ignores them
+ * when rendering while Gephi imports them as node columns.
+ * @param {Object} data - Input data with JTBDs, scenarios and optionally sources
+ * @param {Object} options - Visualization options
+ * @returns {Object} Result object with DOT content and statistics
+ */
+function generateDOT(data, options = {}) {
+  const { nodes, edges } = buildGraph(data, options);
+
+  let content = 'digraph pdm {\n';
+  content += '  // Generated by PDM-AI tool\n';
+  content += '  graph [rankdir=LR, overlap=false, splines=true];\n';
+  content += '  node [style="rounded,filled", fontname="Arial", fontsize=11];\n';
+  content += '  edge [color="#888888"];\n\n';
+
+  nodes.forEach(node => {
+    const style = node.attributes.type === 'jtbd' && node.attributes.level === 2
+      ? ABSTRACT_JTBD_STYLE
+      : NODE_STYLES[node.attributes.type];
+    content += `  ${quote(node.id)} ${formatAttributes({ ...style, ...node.attributes })};\n`;
+  });
+  content += '\n';
+  edges.forEach(edge => {
+    content += `  ${quote(edge.source)} -> ${quote(edge.target)} ${formatAttributes(edge.attributes)};\n`;
+  });
+  content += '}\n';
+
+  return {
+    content,
+    stats: {
+      nodeCount: nodes.length,
+      edgeCount: edges.length
+    }
+  };
+}
+
+export { generateDOT };
@@ -0,0 +1,149 @@
+/**
+ * Graph model for PDM-AI
+ * Turns JTBD outputs into plain nodes and edges for the graph exchange formats (DOT, GraphML)
+ */
+
+import { UNATTRIBUTED_ID, attributeSources } from '../jtbd/jtbd-attribution.js';
+
+/**
+ * Attributes every node can carry, with their value types
+ * Nodes only set the attributes that apply to their type.
+ */
+const NODE_ATTRIBUTES = {
+  type: 'string',
+  label: 'string',
+  level: 'int',
+  scenario_count: 'int',
+  customer_count: 'int',
+  source_count: 'int',
+  customers: 'string',
+  persona: 'string',
+  customer: 'string',
+  source_type: 'string'
+};
+
+// Attributes of every edge
+const EDGE_ATTRIBUTES = {
+  relation: 'string'
+};
+
+/**
+ * Build the JTBD → scenario → source / persona graph of an output
+ * Abstract JTBDs contain their JTBDs, JTBDs are supported by scenarios, and scenarios were extracted
+ * from sources and voiced by personas. The filter keeps matching JTBDs and everything below them.
+ * @param {Object} data - Input data with JTBDs, scenarios and optionally sources
+ * @param {Object} options - Visualization options
+ * @returns {Object} { nodes, edges } with nodes { id, attributes } and edges { source, target, attributes }
+ */
+function buildGraph(data, options = {}) {
+  const filter = (options.filter || '').toLowerCase();
+  const jtbds = (data.jtbds || []).filter(jtbd => jtbd && jtbd.id);
+  const jtbdMap = new Map(jtbds.map(jtbd => [jtbd.id, jtbd]));
+  const scenarioMap = new Map((data.scenarios || []).filter(scenario => scenario && scenario.id).map(scenario => [scenario.id, scenario]));
+  const attribution = attributeSources(data);
+  const sourceMap = new Map(attribution.sources.map(source => [source.id, source]));
+  const counts = new Map(attribution.jtbds.map(entry => [entry.id, entry]));
+  const personaCounts = new Map();
+  scenarioMap.forEach(scenario => {
+    if (scenario.persona) {
+      personaCounts.set(scenario.persona, (personaCounts.get(scenario.persona) || 0) + 1);
+    }
+  });
+
+  const nodes = new Map();
+  const edges = [];
+  const addNode = (id, attributes) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, attributes });
+    }
+    return id;
+  };
+  const addEdge = (source, target, relation) => edges.push({ source, target, attributes: { relation } });
+
+  // Children of abstract JTBDs, by ID or by the cluster their parentId names
+  const children = new Map();
+  const addChild = (parentId, childId) => children.set(parentId, [...new Set([...(children.get(parentId) || []), childId])]);
+  jtbds.filter(jtbd => jtbd.level === 2).forEach(parent => {
+    [...(parent.childIds || []), ...(parent.jtbdIds || [])].forEach(childId => addChild(parent.id, childId));
+  });
+  jtbds.filter(jtbd => jtbd.level !== 2 && jtbd.parentId).forEach(child => {
+    const parent = jtbdMap.get(child.parentId) ||
+      jtbds.find(jtbd => jtbd.level === 2 && jtbd.clusterId === child.parentId);
+    if (parent) {
+      addChild(parent.id, child.id);
+    }
+  });
+
+  const matches = jtbd => !filter ||
+    [jtbd.statement, jtbd.situation, jtbd.motivation, jtbd.outcome].some(text => typeof text === 'string' && text.toLowerCase().includes(filter));
+  const included = new Set();
+  const include = jtbd => {
+    if (included.has(jtbd.id)) {
+      return;
+    }
+    included.add(jtbd.id);
+    (children.get(jtbd.id) || []).map(childId => jtbdMap.get(childId)).filter(Boolean).forEach(include);
+  };
+  jtbds.filter(matches).forEach(include);
+
+  jtbds.filter(jtbd => included.has(jtbd.id)).forEach(jtbd => {
+    const scenarios = (jtbd.scenarioIds || jtbd.relatedScenarios || []).map(id => scenarioMap.get(id)).filter(Boolean);
+    const customers = [...new Set([...(jtbd.customers || []), ...scenarios.map(scenario => scenario.customer).filter(Boolean)])];
+    const entry = counts.get(jtbd.id);
+    addNode(`jtbd:${jtbd.id}`, {
+      type: 'jtbd',
+      label: jtbd.statement || jtbd.title || jtbd.id,
+      level: jtbd.level || 1,
+      scenario_count: entry.scenarioCount,
+      customer_count: customers.length,
+      source_count: Object.keys(entry.counts).length,
+      customers: customers.join('; ')
+    });
+  });
+
+  jtbds.filter(jtbd => included.has(jtbd.id)).forEach(jtbd => {
+    const childIds = (children.get(jtbd.id) || []).filter(childId => included.has(childId));
+    childIds.forEach(childId => addEdge(`jtbd:${jtbd.id}`, `jtbd:${childId}`, 'contains'));
+    // Abstract JTBDs reach their scenarios through the JTBDs they contain
+    if (childIds.length > 0) {
+      return;
+    }
+
+    (jtbd.scenarioIds || jtbd.relatedScenarios || []).map(id => scenarioMap.get(id)).filter(Boolean).forEach(scenario => {
+      const scenarioId = addNode(`scenario:${scenario.id}`, {
+        type: 'scenario',
+        label: scenario.statement || scenario.id,
+        ...(scenario.persona && { persona: scenario.persona }),
+        ...(scenario.customer && { customer: scenario.customer })
+      });
+      addEdge(`jtbd:${jtbd.id}`, scenarioId, 'supported_by');
+    });
+  });
+
+  [...nodes.values()].filter(node => node.attributes.type === 'scenario').forEach(node => {
+    const scenario = scenarioMap.get(node.id.slice('scenario:'.length));
+    const sourceIds = (scenario.sources || []).length > 0 ? [...new Set(scenario.sources)] : [UNATTRIBUTED_ID];
+    sourceIds.forEach(sourceId => {
+      const source = sourceMap.get(sourceId);
+      const nodeId = addNode(`source:${sourceId}`, {
+        type: 'source',
+        label: source.name,
+        scenario_count: source.scenarioIds.length,
+        ...(source.type && { source_type: source.type })
+      });
+      addEdge(node.id, nodeId, 'extracted_from');
+    });
+    if (scenario.persona) {
+      const nodeId = addNode(`persona:${scenario.persona}`, {
+        type: 'persona',
+        label: scenario.persona,
+        scenario_count: personaCounts.get(scenario.persona)
+      });
+      addEdge(node.id, nodeId, 'voiced_by');
+    }
+  });
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+export { NODE_ATTRIBUTES, EDGE_ATTRIBUTES, buildGraph };
@@ -0,0 +1,78 @@
+/**
+ * GraphML generator for PDM-AI
+ * Writes the JTBD graph as GraphML with typed node and edge attributes for Gephi, yEd or Cytoscape
+ */
+
+import { NODE_ATTRIBUTES, EDGE_ATTRIBUTES, buildGraph } from './graph.js';
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {string|number} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and line breaks are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Format the data elements of a node or edge
+ * @param {Object} attributes - Attribute values by name
+ * @param {string} prefix - Key prefix of the element kind
+ * @returns {string} GraphML data elements
+ */
+function formatData(attributes, prefix) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `      <data key="${prefix}_${name}">${escapeXml(value)}</data>\n`)
+    .join('');
+}
+
+/**
+ * Generate a GraphML document of JTBDs, scenarios, sources and personas
+ * Every attribute is declared with its type, so tools import counts and levels as numbers.
+ * @param {Object} data - Input data with JTBDs, scenarios and optionally sources
+ * @param {Object} options - Visualization options
+ * @returns {Object} Result object with GraphML content and statistics
+ */
+function generateGraphML(data, options = {}) {
+  const { nodes, edges } = buildGraph(data, options);
+  const declare = (attributes, kind, prefix) => Object.entries(attributes)
+    .map(([name, type]) => `  <key id="${prefix}_${name}" for="${kind}" attr.name="${name}" attr.type="${type}"/>\n`)
+    .join('');
+
+  let content = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  content += '<!-- Generated by PDM-AI tool -->\n';
+  content += '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+    'xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">\n';
+  content += declare(NODE_ATTRIBUTES, 'node', 'n');
+  content += declare(EDGE_ATTRIBUTES, 'edge', 'e');
+  content += '  <graph id="pdm" edgedefault="directed">\n';
+
+  nodes.forEach(node => {
+    content += `    <node id="${escapeXml(node.id)}">\n${formatData(node.attributes, 'n')}    </node>\n`;
+  });
+  edges.forEach((edge, index) => {
+    content += `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">\n` +
+      `${formatData(edge.attributes, 'e')}    </edge>\n`;
+  });
+
+  content += '  </graph>\n';
+  content += '</graphml>\n';
+
+  return {
+    content,
+    stats: {
+      nodeCount: nodes.length,
+      edgeCount: edges.length
+    }
+  };
+}
+
+export { generateGraphML };
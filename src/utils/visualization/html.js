@@ -0,0 +1,348 @@
+/**
+ * HTML report generator for PDM-AI
+ * Builds a single self-contained HTML file with the JTBD hierarchy, scenarios and evidence quotes.
+ * Styles, script and data are inlined so the report works offline and can be shared as one file.
+ */
+
+/**
+ * Escape text for use in HTML markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize data for an inline script element
+ * `<` is escaped so no value can close the script element early; the line separators are not
+ * valid in older JavaScript string literals.
+ * @param {Object} value - Value to serialize
+ * @returns {string} JSON text safe to embed
+ */
+function serializeForScript(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Arrange JTBDs into a hierarchy
+ * Abstract JTBDs list their children in childIds or jtbdIds; concrete JTBDs may name their parent by
+ * ID or by cluster ID. JTBDs without a parent are roots.
+ * @param {Array<Object>} jtbds - JTBDs of the output
+ * @returns {Object} { roots, children } with root JTBD IDs and child IDs by parent ID
+ */
+function buildHierarchy(jtbds) {
+  const ids = new Set(jtbds.map(jtbd => jtbd.id));
+  const parents = new Map();
+  jtbds.filter(jtbd => jtbd.level === 2).forEach(parent => {
+    [...(parent.childIds || []), ...(parent.jtbdIds || [])]
+      .filter(childId => ids.has(childId) && childId !== parent.id)
+      .forEach(childId => parents.set(childId, parent.id));
+  });
+  jtbds.filter(jtbd => jtbd.level !== 2 && jtbd.parentId && !parents.has(jtbd.id)).forEach(child => {
+    const parent = jtbds.find(jtbd => jtbd.id === child.parentId) ||
+      jtbds.find(jtbd => jtbd.level === 2 && jtbd.clusterId === child.parentId);
+    if (parent && parent.id !== child.id) {
+      parents.set(child.id, parent.id);
+    }
+  });
+
+  const children = {};
+  parents.forEach((parentId, childId) => {
+    children[parentId] = [...(children[parentId] || []), childId];
+  });
+  return {
+    roots: jtbds.filter(jtbd => !parents.has(jtbd.id)).map(jtbd => jtbd.id),
+    children
+  };
+}
+
+/**
+ * Collect the values the report can be filtered by
+ * @param {Object} data - Input data with scenarios and optionally sources
+ * @returns {Object} { personas, customers, sources } where sources are { id, name }
+ */
+function collectFacets(data) {
+  const scenarios = data.scenarios || [];
+  const sorted = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  const names = new Map((data.sources || []).filter(source => source && source.id).map(source => [source.id, source.name || source.id]));
+  return {
+    personas: sorted(scenarios.map(scenario => scenario.persona)),
+    customers: sorted(scenarios.map(scenario => scenario.customer)),
+    sources: sorted(scenarios.flatMap(scenario => scenario.sources || []))
+      .map(id => ({ id, name: names.get(id) || id }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #1f2328; background: #f6f8fa; }
+  header { padding: 24px 32px 16px; background: #ffffff; border-bottom: 1px solid #d0d7de; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header p { margin: 0; color: #57606a; font-size: 14px; }
+  .toolbar { position: sticky; top: 0; z-index: 1; display: flex; flex-wrap: wrap; gap: 8px; align-items: center; padding: 12px 32px; background: #ffffff; border-bottom: 1px solid #d0d7de; }
+  .toolbar input, .toolbar select, .toolbar button { font: inherit; font-size: 14px; padding: 6px 8px; border: 1px solid #d0d7de; border-radius: 6px; background: #ffffff; }
+  .toolbar input { flex: 1 1 240px; }
+  .toolbar button { cursor: pointer; }
+  .toolbar .count { color: #57606a; font-size: 13px; margin-left: auto; }
+  main { padding: 16px 32px 48px; }
+  details { margin: 6px 0; border: 1px solid #d0d7de; border-radius: 8px; background: #ffffff; }
+  details > summary { cursor: pointer; padding: 10px 12px; list-style-position: inside; }
+  details > .body { padding: 0 12px 10px 28px; }
+  .jtbd.level-2 > summary { background: #fff5ba; border-radius: 8px; font-weight: 600; }
+  .jtbd.level-1 > summary { background: #badfff; border-radius: 8px; }
+  .scenario > summary { background: #eafff0; border-radius: 8px; }
+  .badge { display: inline-block; margin-left: 8px; padding: 0 8px; border-radius: 10px; background: rgba(0, 0, 0, 0.08); font-size: 12px; font-weight: normal; }
+  .meta { color: #57606a; font-size: 13px; margin: 6px 0; }
+  .parts { margin: 6px 0; font-size: 14px; }
+  .parts dt { font-weight: 600; }
+  .parts dd { margin: 0 0 4px; }
+  blockquote { margin: 6px 0; padding: 4px 12px; border-left: 3px solid #2da44e; color: #24292f; font-size: 14px; }
+  blockquote.unverified { border-left-color: #d4a72c; }
+  blockquote cite { display: block; color: #57606a; font-size: 12px; font-style: normal; }
+  .empty { color: #57606a; font-style: italic; }
+`;
+
+// Renders the embedded data in the browser; all text is inserted with textContent
+const SCRIPT = `
+(function () {
+  var payload = JSON.parse(document.getElementById('pdm-data').textContent);
+  var data = payload.data;
+  var byId = function (items) {
+    var map = {};
+    (items || []).forEach(function (item) { if (item && item.id) { map[item.id] = item; } });
+    return map;
+  };
+  var jtbds = byId(data.jtbds);
+  var scenarios = byId(data.scenarios);
+  var sourceNames = {};
+  payload.facets.sources.forEach(function (source) { sourceNames[source.id] = source.name; });
+  var opened = {};
+  var state = { query: (payload.filter || '').toLowerCase(), persona: '', customer: '', source: '' };
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) { node.className = className; }
+    if (text !== undefined) { node.textContent = text; }
+    return node;
+  }
+
+  function textMatches(texts) {
+    if (!state.query) { return true; }
+    return texts.join(' ').toLowerCase().indexOf(state.query) !== -1;
+  }
+
+  function facetsActive() {
+    return Boolean(state.persona || state.customer || state.source);
+  }
+
+  function facetsMatch(scenario) {
+    return (!state.persona || scenario.persona === state.persona) &&
+      (!state.customer || scenario.customer === state.customer) &&
+      (!state.source || (scenario.sources || []).indexOf(state.source) !== -1);
+  }
+
+  function jtbdTexts(jtbd) {
+    return [jtbd.statement, jtbd.situation, jtbd.motivation, jtbd.outcome].filter(Boolean);
+  }
+
+  function scenarioTexts(scenario) {
+    var quotes = (scenario.evidence || []).map(function (item) { return item.quote; });
+    return [scenario.statement, scenario.persona, scenario.customer, scenario.action, scenario.value]
+      .concat(quotes).filter(Boolean);
+  }
+
+  function visibleScenarios(jtbd, jtbdMatches) {
+    return (jtbd.scenarioIds || jtbd.relatedScenarios || [])
+      .map(function (id) { return scenarios[id]; })
+      .filter(function (scenario) {
+        return scenario && facetsMatch(scenario) && (jtbdMatches || textMatches(scenarioTexts(scenario)));
+      });
+  }
+
+  function trackOpen(details, key) {
+    details.open = Boolean(opened[key]) || Boolean(state.query) || facetsActive();
+    details.addEventListener('toggle', function () { opened[key] = details.open; });
+  }
+
+  function renderScenario(scenario, jtbdId) {
+    var details = el('details', 'scenario');
+    details.appendChild(el('summary', null, scenario.statement || scenario.id));
+    var body = el('div', 'body');
+    var meta = [scenario.persona, scenario.customer]
+      .concat((scenario.sources || []).map(function (id) { return sourceNames[id] || id; }))
+      .filter(Boolean);
+    if (meta.length > 0) { body.appendChild(el('div', 'meta', meta.join(' · '))); }
+    var evidence = scenario.evidence || [];
+    if (evidence.length === 0) { body.appendChild(el('div', 'empty', 'No evidence quotes')); }
+    evidence.forEach(function (item) {
+      var quote = el('blockquote', item.verified ? 'verified' : 'unverified', item.quote);
+      quote.appendChild(el('cite', null, item.verified ? 'Verified in the source' : 'Not found in the source text'));
+      body.appendChild(quote);
+    });
+    details.appendChild(body);
+    trackOpen(details, jtbdId + '/' + scenario.id);
+    return details;
+  }
+
+  // A job that matches the search shows everything below it
+  function renderJTBD(id, parentMatches) {
+    var jtbd = jtbds[id];
+    var jtbdMatches = Boolean(parentMatches) || textMatches(jtbdTexts(jtbd));
+    var childIds = payload.hierarchy.children[id] || [];
+    var children = childIds.map(function (childId) { return renderJTBD(childId, jtbdMatches); }).filter(Boolean);
+    var shown = childIds.length > 0 ? [] : visibleScenarios(jtbd, jtbdMatches);
+    if (children.length === 0 && shown.length === 0 && (facetsActive() || !jtbdMatches)) { return null; }
+
+    var details = el('details', 'jtbd level-' + (jtbd.level || 1));
+    var summary = el('summary', null, jtbd.statement || jtbd.id);
+    var count = childIds.length > 0 ? children.length + ' jobs' : shown.length + ' scenarios';
+    summary.appendChild(el('span', 'badge', count));
+    details.appendChild(summary);
+
+    var body = el('div', 'body');
+    var parts = el('dl', 'parts');
+    [['Situation', jtbd.situation], ['Motivation', jtbd.motivation], ['Outcome', jtbd.outcome]].forEach(function (part) {
+      if (part[1]) {
+        parts.appendChild(el('dt', null, part[0]));
+        parts.appendChild(el('dd', null, part[1]));
+      }
+    });
+    if (parts.childNodes.length > 0) { body.appendChild(parts); }
+    children.forEach(function (child) { body.appendChild(child); });
+    shown.forEach(function (scenario) { body.appendChild(renderScenario(scenario, id)); });
+    details.appendChild(body);
+    trackOpen(details, id);
+    return details;
+  }
+
+  function render() {
+    var tree = document.getElementById('tree');
+    tree.textContent = '';
+    var nodes = payload.hierarchy.roots.map(function (id) { return renderJTBD(id, false); }).filter(Boolean);
+    nodes.forEach(function (node) { tree.appendChild(node); });
+    if (nodes.length === 0) { tree.appendChild(el('p', 'empty', 'No jobs match the current filters.')); }
+    document.getElementById('count').textContent = nodes.length + ' of ' + payload.hierarchy.roots.length + ' top-level jobs';
+  }
+
+  function fillSelect(id, values, label) {
+    var select = document.getElementById(id);
+    select.appendChild(el('option', null, 'All ' + label));
+    select.firstChild.value = '';
+    values.forEach(function (value) {
+      var option = el('option', null, value.name || value);
+      option.value = value.id || value;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', function () {
+      state[select.getAttribute('data-facet')] = select.value;
+      render();
+    });
+  }
+
+  fillSelect('persona', payload.facets.personas, 'personas');
+  fillSelect('customer', payload.facets.customers, 'customers');
+  fillSelect('source', payload.facets.sources, 'sources');
+
+  var search = document.getElementById('search');
+  search.value = payload.filter || '';
+  search.addEventListener('input', function () {
+    state.query = search.value.trim().toLowerCase();
+    render();
+  });
+
+  function setAll(open) {
+    Array.prototype.forEach.call(document.querySelectorAll('#tree details'), function (details) { details.open = open; });
+  }
+  document.getElementById('expand').addEventListener('click', function () { setAll(true); });
+  document.getElementById('collapse').addEventListener('click', function () { setAll(false); });
+
+  document.getElementById('download').addEventListener('click', function () {
+    var blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    var link = el('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = payload.fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  });
+
+  render();
+})();
+`;
+
+/**
+ * Generate a self-contained HTML report
+ * @param {Object} data - Input data with JTBDs, scenarios and optionally sources
+ * @param {Object} options - Visualization options (filter pre-fills the search box; title and fileName
+ *   name the report and its data download)
+ * @returns {Object} Result object with the HTML content and statistics
+ */
+function generateHTMLReport(data, options = {}) {
+  const jtbds = (data.jtbds || []).filter(jtbd => jtbd && jtbd.id);
+  if (jtbds.length === 0) {
+    throw new Error('No valid JTBDs found in input data');
+  }
+
+  const hierarchy = buildHierarchy(jtbds);
+  const facets = collectFacets(data);
+  const title = options.title || 'PDM-AI Report';
+  const scenarioCount = (data.scenarios || []).length;
+  const payload = {
+    data,
+    hierarchy,
+    facets,
+    filter: options.filter || '',
+    fileName: options.fileName || 'pdm-data.json'
+  };
+
+  const content = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${jtbds.length} jobs to be done from ${scenarioCount} scenarios · generated ${escapeHtml(new Date().toISOString())} by PDM-AI</p>
+</header>
+<div class="toolbar">
+  <input id="search" type="search" placeholder="Search jobs, scenarios and quotes" aria-label="Search">
+  <select id="persona" data-facet="persona" aria-label="Persona"></select>
+  <select id="customer" data-facet="customer" aria-label="Customer"></select>
+  <select id="source" data-facet="source" aria-label="Source"></select>
+  <button id="expand" type="button">Expand all</button>
+  <button id="collapse" type="button">Collapse all</button>
+  <button id="download" type="button">Download data</button>
+  <span id="count" class="count"></span>
+</div>
+<main id="tree"></main>
+<script type="application/json" id="pdm-data">${serializeForScript(payload)}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+
+  return {
+    content,
+    stats: {
+      jtbdCount: jtbds.length,
+      scenarioCount,
+      rootCount: hierarchy.roots.length
+    }
+  };
+}
+
+export { buildHierarchy, generateHTMLReport };
@@ -5,6 +5,9 @@
 
 import mermaidGenerator from './mermaid.js';
 import * as csvGenerator from './csv.js';
+import { generateHTMLReport } from './html.js';
+import { generateDOT } from './dot.js';
+import { generateGraphML } from './graphml.js';
 import path from 'path';
 import fs from 'fs-extra';
 
@@ -19,6 +22,17 @@ export async function generateVisualization(data, options) {
   if (options.format === 'mermaid' || !options.format) {
     return mermaidGenerator.generateMermaidDiagram(data, options);
   } 
+  // Generate a self-contained HTML report
+  else if (options.format === 'html') {
+    return generateHTMLReport(data, options);
+  }
+  // Generate graph exchange formats for Graphviz and Gephi
+  else if (options.format === 'dot') {
+    return generateDOT(data, options);
+  }
+  else if (options.format === 'graphml') {
+    return generateGraphML(data, options);
+  }
   // Generate CSV files for Figma/Miro
   else if (options.format === 'csv') {
     // For CSV we need an output path to create multiple files
@@ -29,6 +43,16 @@ export async function generateVisualization(data, options) {
     // Ensure the output directory exists
     await fs.ensureDir(path.dirname(options.outputPath));
     
+    // The priority view is a single ranked table
+    if (options.view === 'priority') {
+      return await csvGenerator.generatePriorityCSV(data, options, options.outputPath);
+    }
+    
+    // The source view is a single JTBD × source matrix
+    if (options.view === 'source') {
+      return await csvGenerator.generateSourceCSV(data, options, options.outputPath);
+    }
+    
     // Generate CSV files and return the result
     return await csvGenerator.generateCSVFiles(data, options, options.outputPath);
   }
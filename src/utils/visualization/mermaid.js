@@ -2,6 +2,9 @@
  * Mermaid diagram generator for PDM-AI
  * Handles the generation of Mermaid diagrams for JTBDs and scenarios
  */
+import { getJTBDChanges } from '../output-diff.js';
+import { scoreJTBDs } from '../jtbd/jtbd-priority.js';
+import { UNATTRIBUTED_ID, attributeSources } from '../jtbd/jtbd-attribution.js';
 
 /**
  * Escape special characters in text for Mermaid diagram
@@ -25,6 +28,18 @@ function makeIdSafe(id) {
   return id.replace(/[^a-zA-Z0-9]/g, '_');
 }
 
+/**
+ * Check whether any of the given texts match a filter query (case-insensitive substring)
+ * @param {string} filter - Filter query (no filtering when empty)
+ * @param {...string} texts - Texts to match against
+ * @returns {boolean} True if the filter is empty or any text matches
+ */
+function matchesFilter(filter, ...texts) {
+  if (!filter) return true;
+  const query = filter.toLowerCase();
+  return texts.some(text => typeof text === 'string' && text.toLowerCase().includes(query));
+}
+
 /**
  * Format a scenario label with persona and statement
  * @param {Object} scenario - Scenario object
@@ -67,7 +82,8 @@ function generateJtbdCentricView(data, options, stats) {
 
   // Filter JTBDs based on options and remove empty entries
   let filteredJtbds = (jtbds || [])
-    .filter(jtbd => jtbd && jtbd.id && typeof jtbd.id === 'string' && jtbd.statement);
+    .filter(jtbd => jtbd && jtbd.id && typeof jtbd.id === 'string' && jtbd.statement)
+    .filter(jtbd => matchesFilter(options.filter, jtbd.statement, jtbd.situation, jtbd.motivation, jtbd.outcome));
   
   // Create maps for different entities
   const jtbdMap = {};
@@ -188,12 +204,9 @@ function generateJtbdCentricView(data, options, stats) {
   // If we have valid scenarios data, proceed with scenario visualization
   if (hasValidScenarios) {
     // Filter out scenarios without valid IDs and statements
-    let relevantScenarios = scenarios.filter(scenario => 
+    const relevantScenarios = scenarios.filter(scenario => 
       scenario && scenario.id && typeof scenario.id === 'string' && scenario.statement);
     
-    // Track which scenarios are connected to JTBDs for visualization purposes
-    const connectedScenarios = new Set();
-    
     // Build a relationship map from JTBDs to scenarios
     const jtbdToScenarioMap = new Map();
     
@@ -209,7 +222,6 @@ function generateJtbdCentricView(data, options, stats) {
         
         scenarioIds.forEach(scenarioId => {
           jtbdToScenarioMap.get(jtbd.id).add(scenarioId);
-          connectedScenarios.add(scenarioId);
         });
       }
     });
@@ -224,7 +236,6 @@ function generateJtbdCentricView(data, options, stats) {
               jtbdToScenarioMap.set(jtbdId, new Set());
             }
             jtbdToScenarioMap.get(jtbdId).add(scenario.id);
-            connectedScenarios.add(scenario.id);
           }
         });
       }
@@ -236,25 +247,6 @@ function generateJtbdCentricView(data, options, stats) {
       scenarioMap[scenario.id] = scenario;
     });
     
-    // Filter to include only connected scenarios if we have too many
-    if (relevantScenarios.length > options.maxNodes - stats.nodeCount) {
-      // Prioritize connected scenarios only, remove sorting by priority
-      const prioritizedScenarios = [...relevantScenarios].sort((a, b) => {
-        // Prioritize connected scenarios
-        const aConnected = connectedScenarios.has(a.id);
-        const bConnected = connectedScenarios.has(b.id);
-        
-        if (aConnected !== bConnected) {
-          return aConnected ? -1 : 1;
-        }
-        
-        return 0; // No priority-based sorting
-      });
-      
-      // Limit to remaining node slots
-      relevantScenarios = prioritizedScenarios.slice(0, options.maxNodes - stats.nodeCount);
-    }
-    
     // Add nodes for scenarios
     diagram += '  %% Scenario nodes\n';
     relevantScenarios.forEach(scenario => {
@@ -336,7 +328,9 @@ function generatePersonaCentricView(data, options, stats) {
     return generatePlaceholderDiagram('No scenarios found in the input data');
   }
   
-  const validScenarios = scenarios.filter(s => s && s.id && s.statement && s.persona);
+  const validScenarios = scenarios
+    .filter(s => s && s.id && s.statement && s.persona)
+    .filter(s => matchesFilter(options.filter, s.statement, s.persona));
   
   if (validScenarios.length === 0) {
     return generatePlaceholderDiagram('No valid scenarios with persona information found');
@@ -398,6 +392,282 @@ function generatePersonaCentricView(data, options, stats) {
   return diagram;
 }
 
+/**
+ * Generate a priority heat map of the JTBDs
+ * JTBDs are ranked within their layer by the weighted evidence behind them and colored by score.
+ * @param {Object} data - Input data with JTBDs and scenarios
+ * @param {Object} options - Visualization options with the priority weights
+ * @param {Object} stats - Statistics object to update
+ * @returns {string} Mermaid diagram content
+ */
+function generatePriorityView(data, options, stats) {
+  const ranked = scoreJTBDs(data, options.weights)
+    .filter(entry => matchesFilter(options.filter, entry.statement))
+    .slice(0, options.maxNodes);
+  if (ranked.length === 0) {
+    return generatePlaceholderDiagram('No JTBDs found to prioritize');
+  }
+
+  let diagram = 'graph TD\n';
+  diagram += '  %% Priority heat map: JTBDs ranked by the evidence behind them\n';
+  diagram += '  %% Generated by PDM-AI tool\n\n';
+
+  // From dark red for the best-supported JTBDs (score 80-100) to grey for the weakest (below 20)
+  diagram += '  %% Heat styles\n';
+  diagram += '  classDef heat5 fill:#B2182B,stroke:#8E1322,stroke-width:1px,color:#FFFFFF;\n';
+  diagram += '  classDef heat4 fill:#EF8A62,stroke:#C96F4D,stroke-width:1px;\n';
+  diagram += '  classDef heat3 fill:#FDDBC7,stroke:#E0BFAD,stroke-width:1px;\n';
+  diagram += '  classDef heat2 fill:#E0ECF4,stroke:#BFD0DC,stroke-width:1px;\n';
+  diagram += '  classDef heat1 fill:#F7F7F7,stroke:#CCCCCC,stroke-width:1px;\n\n';
+
+  const levels = [...new Set(ranked.map(entry => entry.level))];
+  levels.forEach(level => {
+    const entries = ranked.filter(entry => entry.level === level);
+    diagram += `  subgraph priority_layer_${level}["Layer ${level} JTBDs by priority"]\n`;
+    diagram += '    direction TB\n';
+    entries.forEach(entry => {
+      const { evidence } = entry;
+      const details = [
+        `${evidence.scenarios} scenarios`,
+        `${evidence.customers} customers`,
+        `${evidence.sources} sources`,
+        ...(evidence.latest ? [`latest ${evidence.latest.split('T')[0]}`] : [])
+      ].join(' · ');
+      diagram += `    ${makeIdSafe(entry.id)}["#${entry.rank} · ${entry.score}<br/>${escapeText(entry.statement)}<br/><i>${details}</i>"]\n`;
+      stats.nodeCount++;
+    });
+    // Invisible links keep the nodes in rank order
+    if (entries.length > 1) {
+      diagram += `    ${entries.map(entry => makeIdSafe(entry.id)).join(' ~~~ ')}\n`;
+    }
+    diagram += '  end\n\n';
+  });
+
+  diagram += '  %% Heat styling\n';
+  ranked.forEach(entry => {
+    const heat = Math.min(5, Math.floor(entry.score / 20) + 1);
+    diagram += `  class ${makeIdSafe(entry.id)} heat${heat};\n`;
+  });
+
+  return diagram;
+}
+
+/**
+ * Map the layer-1 JTBDs of an output to their layer-2 parents
+ * @param {Array<Object>} jtbds - JTBDs of one output
+ * @returns {Map<string, string>} Child JTBD ID to parent JTBD ID
+ */
+function mapJtbdParents(jtbds) {
+  const childToParentMap = new Map();
+  jtbds.filter(jtbd => jtbd.level === 2).forEach(parentJtbd => {
+    [...(parentJtbd.childIds || []), ...(parentJtbd.jtbdIds || [])].forEach(childId => {
+      childToParentMap.set(childId, parentJtbd.id);
+    });
+  });
+  jtbds.filter(jtbd => jtbd.level !== 2 && jtbd.parentId).forEach(childJtbd => {
+    const parentJtbd = jtbds.find(jtbd => jtbd.id === childJtbd.parentId) ||
+      jtbds.find(jtbd => jtbd.level === 2 && jtbd.clusterId === childJtbd.parentId);
+    if (parentJtbd) {
+      childToParentMap.set(childJtbd.id, parentJtbd.id);
+    }
+  });
+  return childToParentMap;
+}
+
+/**
+ * Generate a differential Mermaid diagram of the JTBD hierarchy
+ * New, changed and unchanged JTBDs come from the current output; removed JTBDs from the previous one
+ * are drawn with dashed borders and dashed edges to the JTBDs they were connected to.
+ * @param {Object} data - Input data with JTBDs and scenarios
+ * @param {Object} options - Visualization options with the comparison ({ previous, diff })
+ * @param {Object} stats - Statistics object to update
+ * @returns {string} Mermaid diagram content
+ */
+function generateDiffView(data, options, stats) {
+  const { previous, diff } = options.comparison || {};
+  if (!diff || !diff.jtbds) {
+    return generatePlaceholderDiagram('The diff perspective needs a previous JTBD output to compare with');
+  }
+
+  const changes = getJTBDChanges(diff);
+  const removedIds = new Set(diff.jtbds.removed.map(entry => entry.id));
+  const isShown = jtbd => jtbd && jtbd.id && jtbd.statement &&
+    matchesFilter(options.filter, jtbd.statement, jtbd.situation, jtbd.motivation, jtbd.outcome);
+  const currentJtbds = (data.jtbds || []).filter(isShown);
+  const removedJtbds = (previous.jtbds || []).filter(jtbd => removedIds.has(jtbd.id) && isShown(jtbd));
+  const shownIds = new Set([...currentJtbds, ...removedJtbds].map(jtbd => jtbd.id));
+
+  let diagram = 'graph TD\n';
+  diagram += '  %% Differential JTBD visualization\n';
+  diagram += '  %% Generated by PDM-AI tool\n\n';
+
+  diagram += '  %% Change styles\n';
+  // Green for new JTBDs, amber for changed ones, dashed red for removed ones, grey for the rest
+  diagram += '  classDef newJtbd fill:#C8F7C5,stroke:#3C9A3C,stroke-width:2px;\n';
+  diagram += '  classDef changedJtbd fill:#FFE5A8,stroke:#D99A1E,stroke-width:2px;\n';
+  diagram += '  classDef removedJtbd fill:#FFD1D1,stroke:#C94040,stroke-width:2px,stroke-dasharray: 5 5,color:#777777;\n';
+  diagram += '  classDef unchangedJtbd fill:#F2F2F2,stroke:#BBBBBB,stroke-width:1px;\n';
+  diagram += '  linkStyle default stroke:#888888,stroke-width:1.5px;\n\n';
+
+  const statusClasses = { new: 'newJtbd', changed: 'changedJtbd', removed: 'removedJtbd', unchanged: 'unchangedJtbd' };
+  const addNodes = (title, jtbds) => {
+    if (jtbds.length === 0) {
+      return;
+    }
+    diagram += `  %% ${title}\n`;
+    jtbds.forEach(jtbd => {
+      const change = changes.get(jtbd.id) || { status: 'unchanged', details: [] };
+      const safeId = makeIdSafe(jtbd.id);
+      const note = [change.status, ...change.details].join('; ');
+      diagram += `  ${safeId}["${escapeText(jtbd.statement)}<br/><i>${escapeText(note)}</i>"]\n`;
+      diagram += `  class ${safeId} ${statusClasses[change.status]};\n`;
+      stats.nodeCount++;
+    });
+    diagram += '\n';
+  };
+  addNodes('Layer 2 JTBD nodes', currentJtbds.filter(jtbd => jtbd.level === 2));
+  addNodes('Layer 1 JTBD nodes', currentJtbds.filter(jtbd => jtbd.level !== 2));
+  addNodes('Removed JTBD nodes', removedJtbds);
+
+  diagram += '  %% JTBD hierarchical relationships\n';
+  mapJtbdParents(data.jtbds || []).forEach((parentId, childId) => {
+    if (shownIds.has(parentId) && shownIds.has(childId) && !removedIds.has(parentId) && !removedIds.has(childId)) {
+      diagram += `  ${makeIdSafe(parentId)} --> ${makeIdSafe(childId)}\n`;
+      stats.edgeCount++;
+    }
+  });
+  mapJtbdParents(previous.jtbds || []).forEach((parentId, childId) => {
+    if (shownIds.has(parentId) && shownIds.has(childId) && (removedIds.has(parentId) || removedIds.has(childId))) {
+      diagram += `  ${makeIdSafe(parentId)} -.-> ${makeIdSafe(childId)}\n`;
+      stats.edgeCount++;
+    }
+  });
+
+  return diagram;
+}
+
+/**
+ * Generate a source attribution Mermaid diagram
+ * Each input file leads to the scenarios extracted from it and on to the JTBDs those scenarios support.
+ * JTBDs whose scenarios all come from one source are highlighted. When the node limit leaves no room for
+ * every scenario, the remaining contributions are drawn as dotted edges from the source to the JTBD.
+ * @param {Object} data - Input data with JTBDs, scenarios and optionally sources
+ * @param {Object} options - Visualization options
+ * @param {Object} stats - Statistics object to update
+ * @returns {string} Mermaid diagram content
+ */
+function generateSourceView(data, options, stats) {
+  const attribution = attributeSources(data);
+  const sourceMap = new Map(attribution.sources.map(source => [source.id, source]));
+  const statements = new Map((data.jtbds || []).map(jtbd => [jtbd.id, jtbd]));
+  const jtbds = attribution.jtbds.filter(entry => {
+    const jtbd = statements.get(entry.id);
+    const sourceNames = Object.keys(entry.counts).map(sourceId => sourceMap.get(sourceId)?.name);
+    return entry.statement && matchesFilter(options.filter, entry.statement, jtbd.situation, jtbd.motivation, jtbd.outcome, ...sourceNames);
+  });
+  if (jtbds.length === 0 || attribution.sources.length === 0) {
+    return generatePlaceholderDiagram('No JTBDs with source attribution found');
+  }
+
+  // Scenarios link to the concrete JTBDs; abstract JTBDs are reached through their children
+  const concreteIds = new Set(jtbds.filter(entry => entry.level !== 2).map(entry => entry.id));
+  const scenarioJtbds = new Map();
+  (data.jtbds || []).filter(jtbd => concreteIds.has(jtbd.id)).forEach(jtbd => {
+    (jtbd.scenarioIds || jtbd.relatedScenarios || []).forEach(scenarioId => {
+      scenarioJtbds.set(scenarioId, [...(scenarioJtbds.get(scenarioId) || []), jtbd.id]);
+    });
+  });
+  const shownSourceIds = new Set(jtbds.flatMap(entry => Object.keys(entry.counts)));
+  const sources = attribution.sources.filter(source => shownSourceIds.has(source.id));
+  const scenarios = (data.scenarios || []).filter(scenario => scenarioJtbds.has(scenario.id));
+  const shownScenarios = scenarios.slice(0, Math.max(0, options.maxNodes - sources.length - jtbds.length));
+  const shownScenarioIds = new Set(shownScenarios.map(scenario => scenario.id));
+
+  let diagram = 'graph LR\n';
+  diagram += '  %% Source attribution: input files, their scenarios and the JTBDs they support\n';
+  diagram += '  %% Generated by PDM-AI tool\n\n';
+
+  diagram += '  %% Attribution styles\n';
+  diagram += '  classDef sourceNode fill:#E8DAEF,stroke:#BBA5C8,stroke-width:1px;\n';
+  diagram += '  classDef scenario fill:#BAFFC9,stroke:#AAEAB8,stroke-width:1px;\n';
+  diagram += '  classDef supportedJtbd fill:#BADFFF,stroke:#ADC8E6,stroke-width:1px;\n';
+  // Jobs that rest on a single interview, survey or ticket need more evidence
+  diagram += '  classDef singleSourceJtbd fill:#FFE5A8,stroke:#D9822B,stroke-width:3px;\n';
+  diagram += '  linkStyle default stroke:#888888,stroke-width:1.5px;\n\n';
+
+  diagram += '  %% Source nodes\n';
+  sources.forEach(source => {
+    const safeId = `source_${makeIdSafe(source.id)}`;
+    const details = [source.type, `${source.scenarioIds.length} scenarios`].filter(Boolean).join(' · ');
+    diagram += `  ${safeId}["${escapeText(source.name)}<br/><i>${details}</i>"]\n`;
+    diagram += `  class ${safeId} sourceNode;\n`;
+    stats.nodeCount++;
+  });
+
+  diagram += '\n  %% Scenario nodes\n';
+  shownScenarios.forEach(scenario => {
+    const safeId = `scenario_${makeIdSafe(scenario.id)}`;
+    diagram += `  ${safeId}["${formatScenarioLabel(scenario)}"]\n`;
+    diagram += `  class ${safeId} scenario;\n`;
+    stats.nodeCount++;
+  });
+  if (shownScenarios.length < scenarios.length) {
+    diagram += `  %% ${scenarios.length - shownScenarios.length} scenarios omitted to stay within ${options.maxNodes} nodes\n`;
+  }
+
+  diagram += '\n  %% JTBD nodes\n';
+  jtbds.forEach(entry => {
+    const safeId = makeIdSafe(entry.id);
+    const sourceIds = Object.keys(entry.counts);
+    const note = sourceIds.length === 1
+      ? `single source: ${sourceMap.get(sourceIds[0]).name}`
+      : `${sourceIds.length} sources`;
+    diagram += `  ${safeId}["${escapeText(entry.statement)}<br/><i>${escapeText(note)}</i>"]\n`;
+    diagram += `  class ${safeId} ${sourceIds.length === 1 ? 'singleSourceJtbd' : 'supportedJtbd'};\n`;
+    stats.nodeCount++;
+  });
+
+  diagram += '\n  %% Attribution relationships\n';
+  shownScenarios.forEach(scenario => {
+    const scenarioId = `scenario_${makeIdSafe(scenario.id)}`;
+    const sourceIds = (scenario.sources || []).length > 0 ? [...new Set(scenario.sources)] : [UNATTRIBUTED_ID];
+    sourceIds.filter(sourceId => sourceMap.has(sourceId)).forEach(sourceId => {
+      diagram += `  source_${makeIdSafe(sourceId)} --> ${scenarioId}\n`;
+      stats.edgeCount++;
+    });
+    scenarioJtbds.get(scenario.id).forEach(jtbdId => {
+      diagram += `  ${scenarioId} --> ${makeIdSafe(jtbdId)}\n`;
+      stats.edgeCount++;
+    });
+  });
+
+  // Contributions of the omitted scenarios go straight from the source to the JTBD
+  const omitted = new Map();
+  scenarios.filter(scenario => !shownScenarioIds.has(scenario.id)).forEach(scenario => {
+    const sourceIds = (scenario.sources || []).length > 0 ? [...new Set(scenario.sources)] : [UNATTRIBUTED_ID];
+    sourceIds.forEach(sourceId => {
+      scenarioJtbds.get(scenario.id).forEach(jtbdId => {
+        const key = `${sourceId}\u0000${jtbdId}`;
+        omitted.set(key, { sourceId, jtbdId, count: (omitted.get(key)?.count || 0) + 1 });
+      });
+    });
+  });
+  omitted.forEach(({ sourceId, jtbdId, count }) => {
+    diagram += `  source_${makeIdSafe(sourceId)} -.->|"${count} more"| ${makeIdSafe(jtbdId)}\n`;
+    stats.edgeCount++;
+  });
+
+  const shownJtbdIds = new Set(jtbds.map(entry => entry.id));
+  mapJtbdParents(data.jtbds || []).forEach((parentId, childId) => {
+    if (shownJtbdIds.has(parentId) && shownJtbdIds.has(childId)) {
+      diagram += `  ${makeIdSafe(childId)} --> ${makeIdSafe(parentId)}\n`;
+      stats.edgeCount++;
+    }
+  });
+
+  return diagram;
+}
+
 /**
  * Generate a placeholder diagram for views not yet implemented
  * @param {string} message - Message to display in the diagram
@@ -411,6 +681,217 @@ function generatePlaceholderDiagram(message) {
   `;
 }
 
+/**
+ * Pack JTBDs and their scenarios into pages of at most `budget` nodes
+ * A JTBD that does not fit on the current page starts a new one; a JTBD with more scenarios than a page
+ * holds is continued on as many pages as it needs, each repeating the JTBD.
+ * @param {Array<Object>} jtbds - Layer-1 JTBDs in display order
+ * @param {Map<string, Object>} scenarioMap - Scenarios by ID
+ * @param {number} budget - Nodes per page
+ * @returns {Array<Array<Object>>} Pages of { jtbd, scenarioIds }
+ */
+function paginateJtbds(jtbds, scenarioMap, budget) {
+  const pages = [];
+  let page = [];
+  let size = 0;
+  const startPage = () => {
+    if (page.length > 0) {
+      pages.push(page);
+    }
+    page = [];
+    size = 0;
+  };
+
+  jtbds.forEach(jtbd => {
+    const scenarioIds = [...new Set(jtbd.scenarioIds || jtbd.relatedScenarios || [])].filter(id => scenarioMap.has(id));
+    if (size + 1 + scenarioIds.length > budget) {
+      startPage();
+    }
+    if (1 + scenarioIds.length <= budget) {
+      page.push({ jtbd, scenarioIds });
+      size += 1 + scenarioIds.length;
+      return;
+    }
+    const chunkSize = Math.max(1, budget - 1);
+    for (let start = 0; start < scenarioIds.length; start += chunkSize) {
+      page.push({ jtbd, scenarioIds: scenarioIds.slice(start, start + chunkSize) });
+      startPage();
+    }
+  });
+  startPage();
+  return pages;
+}
+
+/**
+ * Split the JTBD hierarchy into parts of at most maxNodes nodes
+ * Every layer-2 JTBD is a part with its layer-1 JTBDs and their scenarios. Layer-1 JTBDs without a
+ * layer-2 JTBD form one more part, and so do scenarios linked to no JTBD unless a filter is set.
+ * Parts that are too big are paginated.
+ * @param {Object} data - Input data with JTBDs and scenarios
+ * @param {Object} options - Visualization options
+ * @returns {Array<Object>} Parts of { title, kind, summary, pages } where pages are diagram inputs
+ */
+function splitJtbdHierarchy(data, options) {
+  const jtbds = (data.jtbds || [])
+    .filter(jtbd => jtbd && jtbd.id && typeof jtbd.id === 'string' && jtbd.statement)
+    .filter(jtbd => matchesFilter(options.filter, jtbd.statement, jtbd.situation, jtbd.motivation, jtbd.outcome));
+  const scenarioMap = new Map((data.scenarios || [])
+    .filter(scenario => scenario && scenario.id && typeof scenario.id === 'string' && scenario.statement)
+    .map(scenario => [scenario.id, scenario]));
+  const jtbdIds = new Set(jtbds.map(jtbd => jtbd.id));
+  const parents = mapJtbdParents(jtbds);
+
+  // Scenarios may be linked from either side, as in the single diagram
+  const linkedScenarios = new Map(jtbds.map(jtbd => [jtbd.id, new Set(jtbd.scenarioIds || jtbd.relatedScenarios || [])]));
+  scenarioMap.forEach(scenario => {
+    (scenario.relatedJtbds || []).filter(id => linkedScenarios.has(id)).forEach(id => linkedScenarios.get(id).add(scenario.id));
+  });
+  const withScenarios = jtbd => ({ ...jtbd, scenarioIds: [...linkedScenarios.get(jtbd.id)], relatedScenarios: undefined });
+
+  const toPage = (entries, parent) => {
+    const pageJtbds = entries.map(({ jtbd, scenarioIds }) => ({ ...jtbd, scenarioIds }));
+    const scenarioIds = new Set(entries.flatMap(entry => entry.scenarioIds));
+    return {
+      jtbds: parent
+        ? [{ ...parent, childIds: [...new Set(pageJtbds.map(jtbd => jtbd.id))], jtbdIds: undefined }, ...pageJtbds]
+        : pageJtbds,
+      scenarios: [...scenarioIds].map(id => scenarioMap.get(id))
+    };
+  };
+  const describe = children => {
+    const scenarioCount = new Set(children.flatMap(jtbd => jtbd.scenarioIds.filter(id => scenarioMap.has(id)))).size;
+    return `${children.length} jobs · ${scenarioCount} scenarios`;
+  };
+
+  const parts = jtbds.filter(jtbd => jtbd.level === 2).map(parent => {
+    const children = jtbds.filter(jtbd => jtbd.level === 1 && parents.get(jtbd.id) === parent.id).map(withScenarios);
+    const pages = paginateJtbds(children, scenarioMap, Math.max(2, options.maxNodes - 1)).map(entries => toPage(entries, parent));
+    return {
+      title: parent.statement,
+      kind: 'abstractJtbd',
+      summary: describe(children),
+      pages: pages.length > 0 ? pages : [toPage([], parent)]
+    };
+  });
+
+  const ungrouped = jtbds.filter(jtbd => jtbd.level === 1 && !jtbdIds.has(parents.get(jtbd.id))).map(withScenarios);
+  if (ungrouped.length > 0) {
+    parts.push({
+      title: parts.length > 0 ? 'Jobs without a layer-2 JTBD' : 'Jobs to be done',
+      kind: 'concreteJtbd',
+      summary: describe(ungrouped),
+      pages: paginateJtbds(ungrouped, scenarioMap, Math.max(2, options.maxNodes)).map(entries => toPage(entries, null))
+    });
+  }
+
+  const linked = new Set([...linkedScenarios.values()].flatMap(ids => [...ids]));
+  const unlinked = options.filter ? [] : [...scenarioMap.values()].filter(scenario => !linked.has(scenario.id));
+  if (unlinked.length > 0) {
+    const pages = [];
+    for (let start = 0; start < unlinked.length; start += options.maxNodes) {
+      pages.push({ jtbds: [], scenarios: unlinked.slice(start, start + options.maxNodes) });
+    }
+    parts.push({ title: 'Scenarios without a JTBD', kind: 'scenario', summary: `${unlinked.length} scenarios`, pages });
+  }
+  return parts;
+}
+
+/**
+ * Split the scenarios into one part per persona, paginated to at most maxNodes nodes
+ * @param {Object} data - Input data with scenarios
+ * @param {Object} options - Visualization options
+ * @returns {Array<Object>} Parts of { title, kind, summary, pages } where pages are diagram inputs
+ */
+function splitPersonas(data, options) {
+  const scenarios = (data.scenarios || [])
+    .filter(s => s && s.id && s.statement && s.persona)
+    .filter(s => matchesFilter(options.filter, s.statement, s.persona));
+  const personas = [...new Set(scenarios.map(scenario => scenario.persona))];
+  const chunkSize = Math.max(1, options.maxNodes - 1);
+
+  return personas.map(persona => {
+    const personaScenarios = scenarios.filter(scenario => scenario.persona === persona);
+    const pages = [];
+    for (let start = 0; start < personaScenarios.length; start += chunkSize) {
+      pages.push({ scenarios: personaScenarios.slice(start, start + chunkSize) });
+    }
+    return { title: persona, kind: 'persona', summary: `${personaScenarios.length} scenarios`, pages };
+  });
+}
+
+/**
+ * Generate a Markdown document with an index diagram and one diagram per part
+ * Used with --split and whenever a single diagram would have more than maxNodes nodes. Nothing is left
+ * out: the JTBD view is split per layer-2 JTBD and the persona view per persona, and parts with more
+ * than maxNodes nodes continue over several diagrams. The index diagram links to the sections, which
+ * also have a table of contents for renderers that ignore Mermaid click links.
+ * @param {Object} data - Input data with JTBDs and scenarios
+ * @param {Object} options - Visualization options
+ * @returns {Object} Result object with the document content and statistics
+ */
+function generateSplitDocument(data, options) {
+  const stats = { nodeCount: 0, edgeCount: 0, diagramCount: 0 };
+  const persona = options.view === 'persona';
+  const parts = persona ? splitPersonas(data, options) : splitJtbdHierarchy(data, options);
+  const render = persona ? generatePersonaCentricView : generateJtbdCentricView;
+  const pageOptions = { ...options, filter: undefined, maxNodes: Infinity };
+
+  let index = 'graph LR\n';
+  index += `  %% Index of the ${persona ? 'persona' : 'JTBD'} diagrams\n`;
+  index += '  %% Generated by PDM-AI tool\n\n';
+  index += '  classDef indexRoot fill:#FFFFFF,stroke:#888888,stroke-width:1px;\n';
+  index += '  classDef abstractJtbd fill:#FFF5BA,stroke:#E6DCB2,stroke-width:1px;\n';
+  index += '  classDef concreteJtbd fill:#BADFFF,stroke:#ADC8E6,stroke-width:1px;\n';
+  index += '  classDef persona fill:#E6BAFF,stroke:#D1ADDB,stroke-width:1px;\n';
+  index += '  classDef scenario fill:#BAFFC9,stroke:#AAEAB8,stroke-width:1px;\n';
+  index += '  linkStyle default stroke:#888888,stroke-width:1.5px;\n\n';
+  index += `  index_root["${persona ? 'Personas' : 'Jobs to be done'}"]\n`;
+  index += '  class index_root indexRoot;\n';
+
+  const contents = [];
+  const sections = [];
+  parts.forEach((part, partIndex) => {
+    const anchor = `part-${partIndex + 1}`;
+    const nodeId = `part_${partIndex + 1}`;
+    const pageNote = part.pages.length > 1 ? ` · ${part.pages.length} diagrams` : '';
+    index += `  ${nodeId}["${escapeText(part.title)}<br/><i>${part.summary}${pageNote}</i>"]\n`;
+    index += `  class ${nodeId} ${part.kind};\n`;
+    index += `  index_root --> ${nodeId}\n`;
+    index += `  click ${nodeId} "#${anchor}"\n`;
+    contents.push(`- [${part.title.replace(/([\\[\]])/g, '\\$1')}](#${anchor}) (${part.summary}${pageNote})`);
+
+    const diagrams = part.pages.map((page, pageIndex) => {
+      const diagramStats = { nodeCount: 0, edgeCount: 0 };
+      const diagram = render(page, pageOptions, diagramStats);
+      stats.nodeCount += diagramStats.nodeCount;
+      stats.edgeCount += diagramStats.edgeCount;
+      stats.diagramCount++;
+      const heading = part.pages.length > 1 ? `### Diagram ${pageIndex + 1} of ${part.pages.length}\n\n` : '';
+      return `${heading}\`\`\`mermaid\n${diagram}\`\`\``;
+    });
+    sections.push(`<a id="${anchor}"></a>\n\n## ${partIndex + 1}. ${part.title}\n\n_${part.summary}_\n\n${diagrams.join('\n\n')}`);
+  });
+
+  const timestamp = new Date().toISOString();
+  const content = `---
+title: PDM-AI Visualization
+date: ${timestamp}
+---
+# PDM-AI Visualization
+
+## Index
+
+\`\`\`mermaid
+${index}\`\`\`
+
+${contents.join('\n')}
+
+${sections.join('\n\n')}
+`;
+
+  return { content, stats };
+}
+
 /**
  * Generate a Mermaid diagram from input data
  * @param {Object} data - Input data with JTBDs and scenarios
@@ -418,6 +899,11 @@ function generatePlaceholderDiagram(message) {
  * @returns {Object} Result object with diagram content and statistics
  */
 function generateMermaidDiagram(data, options) {
+  const splittable = options.view === 'jtbd' || options.view === 'persona';
+  if (splittable && options.split) {
+    return generateSplitDocument(data, options);
+  }
+
   // Track stats for the generated diagram
   const stats = {
     nodeCount: 0,
@@ -435,17 +921,23 @@ function generateMermaidDiagram(data, options) {
       mermaidContent = generatePersonaCentricView(data, options, stats);
       break;
     case 'priority':
-      // For Phase 2, we'll add a placeholder for future implementations
-      mermaidContent = generatePlaceholderDiagram('Priority heat map will be implemented in Phase 2');
+      mermaidContent = generatePriorityView(data, options, stats);
+      break;
+    case 'diff':
+      mermaidContent = generateDiffView(data, options, stats);
       break;
     case 'source':
-      // For Phase 2, we'll add a placeholder for future implementations
-      mermaidContent = generatePlaceholderDiagram('Source attribution view will be implemented in Phase 2');
+      mermaidContent = generateSourceView(data, options, stats);
       break;
     default:
       mermaidContent = generateJtbdCentricView(data, options, stats);
   }
 
+  // A JTBD or persona diagram over maxNodes is split instead of leaving scenarios out
+  if (splittable && stats.nodeCount > options.maxNodes) {
+    return generateSplitDocument(data, options);
+  }
+
   // Add header comments and timestamp
   const timestamp = new Date().toISOString();
   const finalMermaidContent = `---
@@ -0,0 +1,123 @@
+/**
+ * Tests for the embedding cache and the Cache Command
+ */
+import assert from 'assert';
+import http from 'http';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute } from '../../src/commands/cache.js';
+import config from '../../src/utils/config.js';
+import * as embeddingCache from '../../src/utils/embedding/embedding-cache.js';
+import { getEmbeddings } from '../../src/utils/embedding/embedding-service.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Cache Command', function() {
+  const testProjectDir = path.join(__dirname, '../data-cache');
+  const originalCwd = process.cwd();
+  const originalEmbedding = { ...config.embedding };
+  const originalRecording = { ...config.getConfig().recording };
+  const openaiEndpoint = 'https://api.openai.com/v1';
+
+  before(async function() {
+    await fs.ensureDir(testProjectDir);
+    process.chdir(testProjectDir);
+  });
+
+  after(async function() {
+    process.chdir(originalCwd);
+    Object.assign(config.embedding, originalEmbedding);
+    Object.assign(config.getConfig().recording, originalRecording);
+    await fs.remove(testProjectDir);
+  });
+
+  it('should reuse cached embeddings without calling the API', async function() {
+    const model = 'text-embedding-3-small';
+    const texts = ['When I deploy a model', 'When I review metrics'];
+    const cached = new Map(texts.map((text, i) => [embeddingCache.getCacheKey(text), [i, 1, 0]]));
+    await embeddingCache.saveCache(model, cached, openaiEndpoint);
+
+    Object.assign(config.embedding, { provider: 'openai', model, cache: true, baseUrl: '' });
+    const embeddings = await getEmbeddings([texts[1], texts[0], texts[1]]);
+
+    assert.deepStrictEqual(embeddings, [[1, 1, 0], [0, 1, 0], [1, 1, 0]]);
+  });
+
+  it('should keep the embeddings of each endpoint apart', async function() {
+    const model = 'text-embedding-3-small';
+
+    assert.strictEqual((await embeddingCache.loadCache(model, 'http://localhost:4010/v1')).size, 0);
+    assert.strictEqual((await embeddingCache.loadCache(model, openaiEndpoint)).size, 2);
+  });
+
+  it('should report cached entries per model', async function() {
+    await embeddingCache.saveCache('other/model', new Map([['abc', [0.5, 0.5]]]), openaiEndpoint);
+
+    const result = await execute('stats');
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(
+      result.models.map(m => [m.model, m.endpoint, m.entries, m.dimensions]),
+      [['other/model', openaiEndpoint, 1, 2], ['text-embedding-3-small', openaiEndpoint, 2, 3]]
+    );
+    assert.strictEqual(result.totalEntries, 3);
+  });
+
+  it('should clear a single model or the whole cache', async function() {
+    let result = await execute('clear', { model: 'other/model' });
+    assert.strictEqual(result.removed, 1);
+    assert.deepStrictEqual((await embeddingCache.getCacheStats()).models.map(m => m.model), ['text-embedding-3-small']);
+
+    result = await execute('clear', {});
+    assert.strictEqual(result.removed, 1);
+    assert.strictEqual(fs.existsSync(embeddingCache.getCacheDir()), false);
+  });
+
+  it('should keep the entries of concurrent saves', async function() {
+    await Promise.all([
+      embeddingCache.saveCache('parallel-model', new Map([['a', [1, 0]]]), openaiEndpoint),
+      embeddingCache.saveCache('parallel-model', new Map([['b', [0, 1]]]), openaiEndpoint)
+    ]);
+    await embeddingCache.saveCache('parallel-model', new Map([['c', [1, 1]]]), openaiEndpoint);
+
+    assert.deepStrictEqual([...(await embeddingCache.loadCache('parallel-model', openaiEndpoint)).keys()].sort(), ['a', 'b', 'c']);
+    assert.deepStrictEqual((await fs.readdir(embeddingCache.getCacheDir())).map(file => path.extname(file)), ['.json']);
+  });
+
+  it('should record every embedding batch even when the cache holds some texts', async function() {
+    const model = 'recorded-model';
+    const texts = ['When I deploy a model', 'When I review metrics'];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const { input } = JSON.parse(body);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: input.map((text, index) => ({ index, embedding: [text.length, index] })), usage: { prompt_tokens: 8 } }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const endpoint = `http://127.0.0.1:${server.address().port}/v1`;
+    Object.assign(config.embedding, { provider: 'openai', model, cache: true, baseUrl: endpoint });
+
+    // The recording machine has already embedded one of the texts
+    await embeddingCache.saveCache(model, new Map([[embeddingCache.getCacheKey(texts[0]), [9, 9]]]), endpoint);
+    Object.assign(config.getConfig().recording, { mode: 'record', dir: path.join(testProjectDir, 'fixtures') });
+    const recorded = await getEmbeddings(texts);
+    await new Promise(resolve => server.close(resolve));
+
+    // A clean checkout replays without any cached embeddings
+    await embeddingCache.clearCache();
+    Object.assign(config.getConfig().recording, { mode: 'replay' });
+    const replayed = await getEmbeddings(texts);
+
+    assert.deepStrictEqual(recorded, [[texts[0].length, 0], [texts[1].length, 1]]);
+    assert.deepStrictEqual(replayed, recorded);
+  });
+
+  it('should reject unknown actions', async function() {
+    const result = await execute('purge');
+    assert.strictEqual(result.success, false);
+  });
+});
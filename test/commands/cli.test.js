@@ -0,0 +1,90 @@
+/**
+ * Tests for the pdm command-line entry point
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cliPath = path.join(__dirname, '../../src/index.js');
+
+// The CLI runs inside a temporary project so nothing is written into the repository
+const testProjectDir = path.join(fs.realpathSync(os.tmpdir()), `pdm-cli-test-${process.pid}`);
+
+/**
+ * Run the pdm CLI with the given arguments
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} spawnSync result
+ */
+function runCli(args) {
+  return spawnSync(process.execPath, [cliPath, ...args], { encoding: 'utf-8', cwd: testProjectDir });
+}
+
+describe('CLI', function() {
+  this.timeout(20000);
+
+  const testDataDir = path.join(testProjectDir, 'data');
+  const testOutputDir = path.join(testProjectDir, 'output');
+
+  before(async function() {
+    await fs.outputJson(path.join(testProjectDir, '.pdm', 'config.json'), { name: 'cli-test' });
+    await fs.ensureDir(testDataDir);
+    await fs.writeFile(
+      path.join(testDataDir, 'feedback.txt'),
+      'We need a consistent way to deploy models across clouds.'
+    );
+  });
+
+  after(async function() {
+    await fs.remove(testProjectDir);
+  });
+
+  it('should print per-command help', function() {
+    const result = runCli(['jtbd', '--help']);
+
+    assert.strictEqual(result.status, 0, 'Help should exit with code 0');
+    assert.ok(result.stdout.includes('--layers'), 'Help should list the --layers option');
+    assert.ok(result.stdout.includes('--threshold1'), 'Help should list the --threshold1 option');
+  });
+
+  it('should reject unknown options with a non-zero exit code', function() {
+    const result = runCli(['jtbd', 'scenarios.json', '--bogus']);
+
+    assert.strictEqual(result.status, 1, 'Unknown option should exit with code 1');
+    assert.ok(result.stderr.includes("unknown option '--bogus'"), 'Should report the unknown option');
+  });
+
+  it('should validate typed option values', function() {
+    const layers = runCli(['jtbd', 'scenarios.json', '--layers', '3']);
+    assert.strictEqual(layers.status, 1, 'Invalid layer count should exit with code 1');
+    assert.ok(layers.stderr.includes('Must be 1 or 2'), 'Should explain the valid layer counts');
+
+    const threshold = runCli(['jtbd', 'scenarios.json', '--threshold1', '1.5']);
+    assert.strictEqual(threshold.status, 1, 'Out-of-range threshold should exit with code 1');
+
+    const format = runCli(['visualize', 'jtbds.json', '--format', 'pdf']);
+    assert.strictEqual(format.status, 1, 'Unsupported format should exit with code 1');
+  });
+
+  it('should pass options through to the scenario command', async function() {
+    const outputFile = path.join(testOutputDir, 'cli_scenarios.json');
+    const result = runCli(['scenario', testDataDir, '--output', outputFile, '--mock']);
+
+    assert.strictEqual(result.status, 0, 'Scenario command should succeed');
+    assert.strictEqual(fs.existsSync(outputFile), true, 'Output file should be written to --output path');
+
+    const outputData = await fs.readJSON(outputFile);
+    assert.ok(outputData.scenarios.length > 0, 'Mock parser should produce scenarios');
+
+    await fs.remove(outputFile);
+  });
+
+  it('should exit non-zero when a command fails', function() {
+    const result = runCli(['jtbd', path.join(testDataDir, 'missing.json')]);
+
+    assert.strictEqual(result.status, 1, 'Missing input should exit with code 1');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for comparing JTBD and scenario outputs with pdm diff
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute as diff } from '../../src/commands/diff.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Diff Command', function() {
+  const testDataDir = path.join(__dirname, '../data-diff');
+  const oldFile = path.join(testDataDir, 'old-jtbds.json');
+  const newFile = path.join(testDataDir, 'new-jtbds.json');
+
+  const scenario = (id, statement) => ({ id, statement });
+  const jtbd = (id, statement, scenarioIds, customers = []) => ({ id, level: 1, statement, scenarioIds, customers });
+
+  const oldScenarios = [
+    scenario('s1', 'As a data scientist, I want to compare model runs'),
+    scenario('s2', 'As a data scientist, I want to compare training runs'),
+    scenario('s3', 'As an ML engineer, I want to track experiments'),
+    scenario('s4', 'As an ML engineer, I want to reproduce experiments'),
+    scenario('s5', 'As a release manager, I want to roll back a release'),
+    scenario('s6', 'As a support engineer, I want to search tickets'),
+    scenario('s7', 'As an analyst, I want to export dashboards')
+  ];
+  const oldData = {
+    jtbds: [
+      jtbd('jtbd-compare', 'When I train models, I want to compare runs, so I can pick the best model', ['s1', 's2'], ['Contoso']),
+      jtbd('jtbd-track', 'When I tune models, I want to track experiments, so I can reproduce results', ['s3', 's4']),
+      jtbd('jtbd-release', 'When I ship releases, I want to roll back quickly, so I can limit outages', ['s5', 's6']),
+      jtbd('jtbd-export', 'When I report results, I want to export dashboards, so I can share them', ['s7'])
+    ],
+    scenarios: oldScenarios
+  };
+  const newData = {
+    jtbds: [
+      jtbd('jtbd-compare', 'When I train models, I want to compare runs, so I can pick the best model', ['s1', 's2', 's3', 's4', 's8'], ['Contoso', 'Fabrikam']),
+      jtbd('jtbd-release', 'When I ship releases, I want to undo a bad release, so I can limit outages', ['s5']),
+      jtbd('jtbd-support', 'When customers report errors, I want to search past tickets, so I can resolve issues faster', ['s6'])
+    ],
+    scenarios: [
+      ...oldScenarios.filter(item => item.id !== 's7'),
+      scenario('s8', 'As a data scientist, I want to compare model metrics')
+    ]
+  };
+
+  before(async function() {
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(oldFile, oldData);
+    await fs.writeJson(newFile, newData);
+  });
+
+  after(async function() {
+    await fs.remove(testDataDir);
+  });
+
+  it('should report added, removed, merged and reworded JTBDs and changed counts', async function() {
+    const result = await diff(oldFile, newFile, { output: path.join(testDataDir, 'diff.txt') });
+
+    assert.strictEqual(result.type, 'jtbd');
+    assert.deepStrictEqual(result.jtbds.added.map(entry => entry.id), ['jtbd-support']);
+    assert.deepStrictEqual(result.jtbds.removed.map(entry => entry.id), ['jtbd-export']);
+    assert.deepStrictEqual(result.jtbds.merged.map(entry => [entry.id, entry.mergedFrom]), [['jtbd-compare', ['jtbd-compare', 'jtbd-track']]]);
+    assert.deepStrictEqual(result.jtbds.reworded.map(entry => entry.id), ['jtbd-release']);
+    assert.deepStrictEqual(result.jtbds.recounted.map(entry => [entry.id, entry.scenarios, entry.customers]), [
+      ['jtbd-compare', { before: 2, after: 5 }, { before: 1, after: 2 }],
+      ['jtbd-release', { before: 2, after: 1 }, { before: 0, after: 0 }]
+    ]);
+    assert.strictEqual(result.jtbds.unchanged, 0);
+  });
+
+  it('should report scenarios that moved between JTBDs but not those of merged JTBDs', async function() {
+    const result = await diff(oldFile, newFile, { output: path.join(testDataDir, 'diff.txt') });
+
+    assert.deepStrictEqual(result.scenarios.moved.map(entry => [entry.id, entry.from, entry.to]), [
+      ['s6', ['jtbd-release'], ['jtbd-support']]
+    ]);
+    assert.deepStrictEqual(result.scenarios.added.map(entry => entry.id), ['s8']);
+    assert.deepStrictEqual(result.scenarios.removed.map(entry => entry.id), ['s7']);
+    assert.deepStrictEqual(result.summary.scenarios, { added: 1, removed: 1, reworded: 0, moved: 1 });
+  });
+
+  it('should pair regenerated JTBDs whose IDs changed', async function() {
+    const renamedFile = path.join(testDataDir, 'renamed-jtbds.json');
+    await fs.writeJson(renamedFile, {
+      ...oldData,
+      jtbds: oldData.jtbds.map(item => ({ ...item, id: `${item.id}-regenerated` }))
+    });
+
+    const result = await diff(oldFile, renamedFile, { output: path.join(testDataDir, 'diff.txt') });
+
+    assert.deepStrictEqual(result.summary.jtbds, { added: 0, removed: 0, merged: 0, reworded: 0, recounted: 0, unchanged: 4 });
+    assert.deepStrictEqual(result.scenarios.moved, []);
+  });
+
+  it('should write the report as text, JSON and Markdown', async function() {
+    const textFile = path.join(testDataDir, 'diff.txt');
+    const jsonFile = path.join(testDataDir, 'diff.json');
+    const markdownFile = path.join(testDataDir, 'diff.md');
+
+    await diff(oldFile, newFile, { output: textFile });
+    await diff(oldFile, newFile, { format: 'json', output: jsonFile });
+    await diff(oldFile, newFile, { format: 'markdown', output: markdownFile });
+
+    const text = await fs.readFile(textFile, 'utf8');
+    assert.match(text, /JTBDs: 1 added, 1 removed, 1 merged, 1 reworded, 2 with changed counts, 0 unchanged/);
+    assert.match(text, /\* jtbd-compare ← jtbd-compare, jtbd-track/);
+    assert.match(text, /> s6: jtbd-release → jtbd-support/);
+
+    const json = await fs.readJson(jsonFile);
+    assert.strictEqual(json.old, oldFile);
+    assert.strictEqual(json.jtbds.added[0].id, 'jtbd-support');
+
+    const markdown = await fs.readFile(markdownFile, 'utf8');
+    assert.match(markdown, /^# Changes from/);
+    assert.match(markdown, /## Merged JTBDs/);
+    assert.match(markdown, /\| jtbd-release \| When I ship releases, I want to roll back quickly, so I can limit outages \| When I ship releases, I want to undo a bad release, so I can limit outages \|/);
+  });
+
+  it('should compare scenario outputs and reject mixed outputs', async function() {
+    const oldScenarioFile = path.join(testDataDir, 'old-scenarios.json');
+    const newScenarioFile = path.join(testDataDir, 'new-scenarios.json');
+    await fs.writeJson(oldScenarioFile, { scenarios: oldScenarios });
+    await fs.writeJson(newScenarioFile, {
+      scenarios: [scenario('s1', 'As a data scientist, I want to compare model runs quickly'), ...oldScenarios.slice(1)]
+    });
+
+    const result = await diff(oldScenarioFile, newScenarioFile, { format: 'json', output: path.join(testDataDir, 'scenarios.json') });
+
+    assert.strictEqual(result.type, 'scenario');
+    assert.strictEqual(result.jtbds, null);
+    assert.deepStrictEqual(result.summary, { scenarios: { added: 0, removed: 0, reworded: 1 } });
+
+    await assert.rejects(diff(oldScenarioFile, newFile, { output: path.join(testDataDir, 'unused.txt') }), /Cannot compare a scenario output with a jtbd output/);
+  });
+});
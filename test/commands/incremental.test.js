@@ -0,0 +1,156 @@
+/**
+ * Tests for incremental scenario extraction with the project source registry
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import config from '../../src/utils/config.js';
+import { startStubServer } from '../../src/utils/llm/stub-server.js';
+import { getRegistryPath } from '../../src/utils/source-registry.js';
+import { execute as extractScenarios } from '../../src/commands/scenario.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Incremental Scenario Extraction', function() {
+  const testProjectDir = path.join(__dirname, '../data-incremental');
+  const inputsDir = path.join(testProjectDir, 'inputs');
+  const scenariosFile = path.join(testProjectDir, 'inputs-scenarios.json');
+  const llmConfig = config.getConfig().llm;
+  const originalLlmConfig = { ...llmConfig };
+  const originalCwd = process.cwd();
+  let server;
+  let requests = 0;
+
+  const readOutput = () => fs.readJson(scenariosFile);
+  const scenarioIdsOf = (output, sourceId) =>
+    output.scenarios.filter(scenario => scenario.sources.includes(sourceId)).map(scenario => scenario.id);
+
+  before(async function() {
+    let baseUrl;
+    ({ server, baseUrl } = await startStubServer());
+    server.on('request', () => requests++);
+    Object.assign(llmConfig, { provider: 'openai-compatible', baseUrl, model: 'stub-model', apiKey: '' });
+
+    await fs.ensureDir(inputsDir);
+    await fs.outputJson(path.join(testProjectDir, '.pdm', 'config.json'), { name: 'incremental-test' });
+    await fs.writeFile(path.join(inputsDir, 'interview-a.txt'), 'Interview with a data scientist at Contoso Ltd.\nWe need to compare model runs side by side.\n');
+    await fs.writeFile(path.join(inputsDir, 'interview-b.txt'), 'Interview with a release manager at Fabrikam Inc.\nWe need to roll back a bad release in minutes.\n');
+    process.chdir(testProjectDir);
+
+    await extractScenarios(inputsDir, { output: scenariosFile });
+  });
+
+  after(async function() {
+    process.chdir(originalCwd);
+    Object.assign(llmConfig, originalLlmConfig);
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(testProjectDir);
+  });
+
+  it('should record every extracted source in the project registry', async function() {
+    const output = await readOutput();
+    const registry = await fs.readJson(getRegistryPath());
+
+    assert.strictEqual(getRegistryPath(), path.join(testProjectDir, '.pdm', 'sources.json'));
+    assert.deepStrictEqual(Object.keys(registry.sources).sort(), ['inputs/interview-a.txt', 'inputs/interview-b.txt']);
+    output.sources.forEach(source => {
+      const entry = registry.sources[`inputs/${source.name}`];
+      assert.strictEqual(entry.id, source.id);
+      assert.strictEqual(entry.hash, source.contentHash);
+    });
+    assert.deepStrictEqual(output.metadata.incremental, { extracted: 2, reused: 0, removed: 0 });
+  });
+
+  it('should skip unchanged sources and keep their scenarios', async function() {
+    const before = await readOutput();
+    const requestsBefore = requests;
+
+    await extractScenarios(inputsDir, { output: scenariosFile });
+    const after = await readOutput();
+
+    assert.strictEqual(requests, requestsBefore, 'Unchanged sources must not be sent to the LLM');
+    assert.deepStrictEqual(after.sources, before.sources);
+    assert.deepStrictEqual(after.scenarios, before.scenarios);
+    assert.deepStrictEqual(after.metadata.incremental, { extracted: 0, reused: 2, removed: 0 });
+    assert.strictEqual(after.metadata.usage.requests, 0);
+  });
+
+  it('should extract only a newly added source', async function() {
+    const before = await readOutput();
+    const requestsBefore = requests;
+    await fs.writeFile(path.join(inputsDir, 'interview-c.txt'), 'Interview with a support engineer at Northwind.\nWe need to search past tickets by error code.\n');
+
+    await extractScenarios(inputsDir, { output: scenariosFile });
+    const after = await readOutput();
+
+    assert.strictEqual(requests, requestsBefore + 1);
+    assert.deepStrictEqual(after.sources.map(source => source.name), ['interview-a.txt', 'interview-b.txt', 'interview-c.txt']);
+    assert.deepStrictEqual(after.scenarios.slice(0, before.scenarios.length), before.scenarios);
+    assert.deepStrictEqual(after.metadata.incremental, { extracted: 1, reused: 2, removed: 0 });
+  });
+
+  it('should re-extract a changed source and keep its source and scenario IDs', async function() {
+    const before = await readOutput();
+    const sourceA = before.sources.find(source => source.name === 'interview-a.txt');
+    const previousIds = scenarioIdsOf(before, sourceA.id);
+    const requestsBefore = requests;
+    await fs.appendFile(path.join(inputsDir, 'interview-a.txt'), 'We need to share experiment results with the team.\n');
+
+    await extractScenarios(inputsDir, { output: scenariosFile });
+    const after = await readOutput();
+    const changedSource = after.sources.find(source => source.name === 'interview-a.txt');
+    const currentIds = scenarioIdsOf(after, changedSource.id);
+
+    assert.strictEqual(requests, requestsBefore + 1);
+    assert.strictEqual(changedSource.id, sourceA.id, 'A changed source keeps its source ID');
+    assert.notStrictEqual(changedSource.contentHash, sourceA.contentHash);
+    assert.strictEqual(currentIds.length, previousIds.length + 1);
+    previousIds.forEach(id => assert.ok(currentIds.includes(id), `Scenario ${id} should keep its ID`));
+    assert.deepStrictEqual(after.metadata.incremental, { extracted: 1, reused: 2, removed: 0 });
+  });
+
+  it('should drop the scenarios of deleted sources', async function() {
+    await fs.remove(path.join(inputsDir, 'interview-b.txt'));
+
+    await extractScenarios(inputsDir, { output: scenariosFile });
+    const after = await readOutput();
+    const registry = await fs.readJson(getRegistryPath());
+
+    assert.deepStrictEqual(after.sources.map(source => source.name), ['interview-a.txt', 'interview-c.txt']);
+    assert.ok(after.scenarios.every(scenario => after.sources.some(source => scenario.sources.includes(source.id))));
+    assert.ok(!registry.sources['inputs/interview-b.txt']);
+    assert.deepStrictEqual(after.metadata.incremental, { extracted: 0, reused: 2, removed: 1 });
+  });
+
+  it('should re-extract every source when forced', async function() {
+    const requestsBefore = requests;
+
+    await extractScenarios(inputsDir, { output: scenariosFile, force: true });
+
+    assert.strictEqual(requests, requestsBefore + 2);
+    assert.strictEqual((await readOutput()).metadata.incremental.extracted, 2);
+  });
+
+  it('should keep source IDs without a registry outside a project', async function() {
+    const outsideDir = await fs.mkdtemp(path.join(fs.realpathSync(os.tmpdir()), 'pdm-no-project-'));
+    const outsideOutput = path.join(outsideDir, 'scenarios.json');
+    await fs.copy(path.join(inputsDir, 'interview-a.txt'), path.join(outsideDir, 'interview-a.txt'));
+    process.chdir(outsideDir);
+    try {
+      await extractScenarios(path.join(outsideDir, 'interview-a.txt'), { output: outsideOutput });
+      const first = await fs.readJson(outsideOutput);
+      await extractScenarios(path.join(outsideDir, 'interview-a.txt'), { output: outsideOutput });
+      const second = await fs.readJson(outsideOutput);
+
+      assert.strictEqual(getRegistryPath(), null);
+      assert.strictEqual(fs.existsSync(path.join(outsideDir, '.pdm')), false, 'No .pdm directory should be created');
+      assert.strictEqual(second.sources[0].id, first.sources[0].id);
+      assert.strictEqual(second.metadata.incremental.reused, 1);
+    } finally {
+      process.chdir(testProjectDir);
+      await fs.remove(outsideDir);
+    }
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests for incremental JTBD generation from new scenarios and previous JTBDs
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import config from '../../src/utils/config.js';
+import { startStubServer } from '../../src/utils/llm/stub-server.js';
+import { execute as generateJtbds } from '../../src/commands/jtbd.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Build a scenario as written by the scenario command
+ * @param {string} id - Scenario ID
+ * @param {string} persona - Persona
+ * @param {string} action - Action
+ * @param {string} value - Value
+ * @returns {Object} Scenario
+ */
+function createScenario(id, persona, action, value) {
+  return {
+    id,
+    statement: `As a ${persona}, I want to ${action}, so that I can ${value}`,
+    persona,
+    action,
+    value,
+    sources: [`source-${persona.replace(/ /g, '-')}`]
+  };
+}
+
+describe('Incremental JTBD Generation', function() {
+  const testDataDir = path.join(__dirname, '../data-jtbd-incremental');
+  const initialFile = path.join(testDataDir, 'initial-scenarios.json');
+  const newFile = path.join(testDataDir, 'new-scenarios.json');
+  const previousFile = path.join(testDataDir, 'initial-jtbds.json');
+  const llmConfig = config.getConfig().llm;
+  const embeddingConfig = config.getConfig().embedding;
+  const originalLlmConfig = { ...llmConfig };
+  const originalEmbeddingConfig = { ...embeddingConfig };
+  let server;
+  let requests = 0;
+
+  before(async function() {
+    let baseUrl;
+    ({ server, baseUrl } = await startStubServer());
+    server.on('request', () => requests++);
+    Object.assign(llmConfig, { provider: 'openai-compatible', baseUrl, model: 'stub-model', apiKey: '' });
+    Object.assign(embeddingConfig, { provider: 'local', cache: false });
+
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(initialFile, {
+      scenarios: [
+        createScenario('scenario-1', 'data scientist', 'compare model runs side by side', 'pick the best model'),
+        createScenario('scenario-2', 'data scientist', 'compare training runs side by side', 'pick the best model'),
+        createScenario('scenario-3', 'release manager', 'roll back a bad release in minutes', 'limit outages')
+      ]
+    });
+    await fs.writeJson(newFile, {
+      scenarios: [
+        createScenario('scenario-4', 'data scientist', 'compare model runs side by side', 'choose the best model'),
+        createScenario('scenario-5', 'support engineer', 'search past tickets by error code', 'resolve issues faster')
+      ]
+    });
+    await generateJtbds(initialFile, { output: previousFile, threshold1: 0.5 });
+  });
+
+  after(async function() {
+    Object.assign(llmConfig, originalLlmConfig);
+    Object.assign(embeddingConfig, originalEmbeddingConfig);
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(testDataDir);
+  });
+
+  it('should add new scenarios to preserved clusters and report where they went', async function() {
+    const previous = await fs.readJson(previousFile);
+    const outputFile = path.join(testDataDir, 'preserved-jtbds.json');
+    const requestsBefore = requests;
+
+    const result = await generateJtbds(newFile, {
+      output: outputFile,
+      threshold1: 0.5,
+      incremental: true,
+      previous: previousFile,
+      preserveClusters: true
+    });
+    const report = result.metadata.incremental;
+
+    assert.strictEqual(requests, requestsBefore + 1, 'Only the new cluster needs a JTBD');
+    assert.strictEqual(report.previousFile, previousFile);
+    assert.strictEqual(report.newScenarios, 2);
+    assert.strictEqual(report.preservedClusters, true);
+
+    const modelRunsJTBD = previous.jtbds.find(jtbd => jtbd.scenarioIds.includes('scenario-1'));
+    assert.deepStrictEqual(report.joined, [{
+      jtbdId: modelRunsJTBD.id,
+      statement: modelRunsJTBD.statement,
+      scenarioIds: ['scenario-4']
+    }]);
+    assert.strictEqual(report.formed.length, 1);
+    assert.deepStrictEqual(report.formed[0].scenarioIds, ['scenario-5']);
+    assert.deepStrictEqual(report.unassigned, []);
+
+    // Previous JTBDs keep their IDs and statements; the joined one now cites the new scenario
+    previous.jtbds.forEach(previousJTBD => {
+      const jtbd = result.jtbds.find(item => item.id === previousJTBD.id);
+      assert.ok(jtbd, `JTBD ${previousJTBD.id} should be preserved`);
+      assert.strictEqual(jtbd.statement, previousJTBD.statement);
+    });
+    const joined = result.jtbds.find(jtbd => jtbd.id === modelRunsJTBD.id);
+    assert.ok(joined.scenarioIds.includes('scenario-4'));
+    assert.ok(joined.sources.includes('source-data-scientist'));
+    assert.strictEqual(result.jtbds.length, previous.jtbds.length + 1);
+    assert.strictEqual(new Set(result.jtbds.map(jtbd => jtbd.clusterId)).size, result.jtbds.length);
+
+    // The output carries the previous scenarios, so it can be the previous file of the next run
+    assert.deepStrictEqual(result.scenarios.map(scenario => scenario.id).sort(),
+      ['scenario-1', 'scenario-2', 'scenario-3', 'scenario-4', 'scenario-5']);
+  });
+
+  it('should recluster previous and new scenarios without preserving clusters', async function() {
+    const outputFile = path.join(testDataDir, 'reclustered-jtbds.json');
+
+    const result = await generateJtbds(newFile, {
+      output: outputFile,
+      threshold1: 0.5,
+      incremental: true,
+      previous: previousFile
+    });
+    const report = result.metadata.incremental;
+    const covered = result.jtbds.flatMap(jtbd => jtbd.scenarioIds).sort();
+
+    assert.strictEqual(report.preservedClusters, false);
+    assert.deepStrictEqual(report.joined.flatMap(entry => entry.scenarioIds), ['scenario-4']);
+    assert.deepStrictEqual(report.formed.flatMap(entry => entry.scenarioIds), ['scenario-5']);
+    assert.deepStrictEqual(covered, ['scenario-1', 'scenario-2', 'scenario-3', 'scenario-4', 'scenario-5']);
+  });
+
+  it('should keep previous second-layer JTBDs when preserving clusters', async function() {
+    const layeredFile = path.join(testDataDir, 'layered-jtbds.json');
+    await generateJtbds(initialFile, { output: layeredFile, layers: 2, threshold1: 0.5, threshold2: 0.1 });
+    const previous = await fs.readJson(layeredFile);
+    const previousAbstract = previous.jtbds.filter(jtbd => jtbd.level === 2);
+    assert.ok(previousAbstract.length > 0);
+
+    const result = await generateJtbds(newFile, {
+      output: layeredFile,
+      layers: 2,
+      threshold1: 0.5,
+      threshold2: 0.1,
+      incremental: true,
+      preserveClusters: true
+    });
+
+    assert.strictEqual(result.metadata.incremental.previousFile, layeredFile, 'The output file is the default previous file');
+    previousAbstract.forEach(previousJTBD => {
+      const jtbd = result.jtbds.find(item => item.id === previousJTBD.id);
+      assert.ok(jtbd, `Second-layer JTBD ${previousJTBD.id} should be preserved`);
+      jtbd.childIds.forEach(childId => assert.ok(result.jtbds.some(item => item.id === childId)));
+    });
+    assert.ok(result.jtbds.filter(jtbd => jtbd.level === 1).every(jtbd => jtbd.parentId));
+  });
+
+  it('should keep JTBD IDs when the output file is regenerated', async function() {
+    const regeneratedFile = path.join(testDataDir, 'regenerated-jtbds.json');
+    await fs.copy(previousFile, regeneratedFile);
+    const previous = await fs.readJson(regeneratedFile);
+
+    const result = await generateJtbds(initialFile, { output: regeneratedFile, threshold1: 0.5 });
+
+    assert.deepStrictEqual(result.jtbds.map(jtbd => jtbd.id).sort(), previous.jtbds.map(jtbd => jtbd.id).sort());
+    assert.strictEqual(result.metadata.identity.previousFile, regeneratedFile);
+    assert.strictEqual(result.metadata.identity.reused, previous.jtbds.length);
+    assert.deepStrictEqual(result.metadata.identity.retired, []);
+  });
+
+  it('should reject --preserve-clusters without --incremental', async function() {
+    await assert.rejects(
+      generateJtbds(newFile, { output: path.join(testDataDir, 'unused.json'), preserveClusters: true }),
+      /requires --incremental/
+    );
+  });
+});
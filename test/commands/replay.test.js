@@ -0,0 +1,125 @@
+/**
+ * Tests for recording API responses and replaying them offline
+ */
+import assert from 'assert';
+import http from 'http';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import config from '../../src/utils/config.js';
+import { execute } from '../../src/commands/scenario.js';
+import { withRecording } from '../../src/utils/recorder.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Record and Replay', function() {
+  const testDataDir = path.join(__dirname, '../data-replay');
+  const fixturesDir = path.join(testDataDir, 'fixtures');
+  const sourceFile = path.join(testDataDir, 'feedback.txt');
+  const outputFile = path.join(testDataDir, 'feedback-scenarios.json');
+  const llmConfig = config.getConfig().llm;
+  const originalLlmConfig = { ...llmConfig };
+  const originalRecording = { ...config.getConfig().recording };
+  const originalAllowFallback = config.getConfig().allowFallback;
+  let server;
+  let requests = 0;
+
+  before(async function() {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        requests++;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          choices: [{ message: { content: JSON.stringify({
+            scenarios: [{
+              statement: 'As an ML engineer, I want one deployment process for every cloud, so that I can ship faster',
+              persona: 'ML engineer',
+              action: 'use one deployment process for every cloud',
+              value: 'ship faster',
+              quotes: ['Every cloud needs its own deployment script.']
+            }],
+            customer: null
+          }) } }],
+          usage: { prompt_tokens: 100, completion_tokens: 50 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    Object.assign(llmConfig, {
+      provider: 'openai-compatible',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      model: 'test-model',
+      maxRepairAttempts: 0
+    });
+    await fs.ensureDir(testDataDir);
+    await fs.writeFile(sourceFile, 'Every cloud needs its own deployment script. It slows us down.\n');
+  });
+
+  after(async function() {
+    Object.assign(llmConfig, originalLlmConfig);
+    Object.assign(config.getConfig().recording, originalRecording);
+    config.getConfig().allowFallback = originalAllowFallback;
+    if (server.listening) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    await fs.remove(testDataDir);
+  });
+
+  it('should record responses as fixtures', async function() {
+    await execute(sourceFile, { output: outputFile, record: true, fixtures: fixturesDir });
+
+    const fixtures = await fs.readdir(fixturesDir);
+    assert.strictEqual(requests, 1);
+    assert.strictEqual(fixtures.length, 1);
+    assert.match(fixtures[0], /^chat-[0-9a-f]{64}\.json$/);
+
+    const fixture = await fs.readJson(path.join(fixturesDir, fixtures[0]));
+    assert.strictEqual(fixture.model, 'test-model');
+    assert.ok(Array.isArray(fixture.request), 'The request messages should be stored');
+  });
+
+  it('should replay recorded responses without calling the API', async function() {
+    await new Promise(resolve => server.close(resolve));
+    const recorded = await fs.readJson(outputFile);
+
+    await execute(sourceFile, { output: outputFile, replay: true, fixtures: fixturesDir });
+
+    const replayed = await fs.readJson(outputFile);
+    assert.strictEqual(requests, 1, 'Replay should not send requests');
+    assert.deepStrictEqual(
+      replayed.scenarios.map(s => [s.statement, s.evidence]),
+      recorded.scenarios.map(s => [s.statement, s.evidence])
+    );
+  });
+
+  it('should fail clearly when a request was not recorded', async function() {
+    await fs.writeFile(sourceFile, 'A different interview that was never recorded.\n');
+
+    await assert.rejects(
+      execute(sourceFile, { output: outputFile, replay: true, fixtures: fixturesDir, allowFallback: true }),
+      /No recorded chat response for model test-model/
+    );
+  });
+
+  it('should record identical parallel requests into one intact fixture', async function() {
+    const parallelDir = path.join(testDataDir, 'parallel-fixtures');
+    Object.assign(config.getConfig().recording, { mode: 'record', dir: parallelDir });
+    const payload = [{ role: 'user', content: 'Same chunk' }];
+
+    const responses = await Promise.all([1, 2, 3].map(n => withRecording('chat', 'test-model', payload, async () => ({ content: `answer ${n}` }))));
+
+    const files = await fs.readdir(parallelDir);
+    assert.deepStrictEqual(responses.map(response => response.content), ['answer 1', 'answer 2', 'answer 3']);
+    assert.strictEqual(files.length, 1, `Expected one fixture, got ${files.join(', ')}`);
+    assert.match((await fs.readJson(path.join(parallelDir, files[0]))).response.content, /^answer [123]$/);
+  });
+
+  it('should reject --record together with --replay', async function() {
+    await assert.rejects(
+      execute(sourceFile, { output: outputFile, record: true, replay: true }),
+      /cannot be used together/
+    );
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the report command
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute as report } from '../../src/commands/report.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Report Command', function() {
+  const testDataDir = path.join(__dirname, '../data-report');
+  const inputFile = path.join(testDataDir, 'jtbds.json');
+
+  before(async function() {
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(inputFile, {
+      jtbds: [
+        {
+          id: 'jtbd-compare', level: 1, parentId: 'abstract-ml', scenarioIds: ['s1', 's2', 's3'],
+          statement: 'When I train models, I want to compare runs, so I can pick the best one',
+          situation: 'Training many models',
+          sourceQuotes: [
+            { quote: 'we compare runs\nby hand', sourceId: 'source-interview' },
+            { quote: 'spreadsheets everywhere', sourceId: 'source-interview' },
+            { quote: 'no single view of experiments', sourceId: 'source-survey' }
+          ]
+        },
+        { id: 'jtbd-export', level: 1, parentId: 'abstract-ml', scenarioIds: ['s4'], statement: 'When I report, I want to export dashboards, so I can share them' },
+        { id: 'abstract-ml', level: 2, scenarioIds: ['s1', 's2', 's3', 's4'], statement: 'When I work with models, I want clear results, so I can decide quickly' },
+        { id: 'jtbd-search', level: 1, scenarioIds: ['s5'], statement: 'When customers report errors, I want to search tickets, so I can resolve issues faster' }
+      ],
+      scenarios: [
+        { id: 's1', statement: 'Compare runs', persona: 'data scientist', customer: 'Contoso', sources: ['source-interview'] },
+        { id: 's2', statement: 'Compare metrics', persona: 'data scientist', customer: 'Contoso', sources: ['source-interview'] },
+        { id: 's3', statement: 'Compare experiments', persona: 'ML engineer', customer: 'Fabrikam', sources: ['source-survey'] },
+        { id: 's4', statement: 'Export dashboards', persona: 'analyst', customer: 'Contoso', sources: ['source-interview'] },
+        { id: 's5', statement: 'Search tickets', persona: 'support engineer', sources: ['source-tickets'] }
+      ],
+      sources: [
+        { id: 'source-interview', name: 'interview-01.txt', type: 'text' },
+        { id: 'source-survey', name: 'survey.md', type: 'markdown' },
+        { id: 'source-tickets', name: 'tickets.csv', type: 'csv' }
+      ]
+    });
+  });
+
+  after(async function() {
+    await fs.remove(testDataDir);
+  });
+
+  it('should write the default report with summary, jobs and source appendix', async function() {
+    const outputFile = await report(inputFile, { output: path.join(testDataDir, 'report.md'), quotes: 2 });
+    const content = await fs.readFile(outputFile, 'utf8');
+
+    assert.match(content, /^# Research Synthesis\n/);
+    assert.match(content, /This round covers 5 scenarios from 3 sources, 2 customers and 4 personas\. They form 4 jobs to be done, 2 of them at the top level\./);
+    assert.match(content, /1\. \*\*When I work with models.*\*\* \(4 scenarios, 2 customers\)\n1\. \*\*When customers report errors/);
+    assert.match(content, /2 jobs rest on a single source/);
+
+    const group = content.indexOf('### When I work with models');
+    const compare = content.indexOf('#### When I train models');
+    const exportJob = content.indexOf('#### When I report');
+    const search = content.indexOf('### When customers report errors');
+    assert.ok(group < compare && compare < exportJob && exportJob < search, 'Layer-1 jobs should follow their layer-2 job');
+
+    const compareSection = content.slice(compare, exportJob);
+    assert.match(compareSection, /3 scenarios · 2 customers · 2 sources/);
+    assert.match(compareSection, /- \*\*Situation:\*\* Training many models\n\n/);
+    assert.match(compareSection, /- Contoso \(2 scenarios\)\n- Fabrikam \(1 scenarios\)/);
+    assert.match(compareSection, /- data scientist: 2 scenarios \(67%\)\n- ML engineer: 1 scenarios \(33%\)/);
+    assert.match(compareSection, /> “we compare runs by hand” — _interview-01\.txt_\n\n> “no single view of experiments” — _survey\.md_\n\n/);
+    assert.doesNotMatch(compareSection, /spreadsheets everywhere/);
+
+    assert.match(content.slice(search), /- No customers recorded/);
+    assert.match(content, /## Appendix: Sources\n\n- \*\*interview-01\.txt\*\* \(text\): 3 scenarios supporting 2 jobs\n- \*\*survey\.md\*\* \(markdown\): 1 scenarios supporting 1 jobs\n- \*\*tickets\.csv\*\* \(csv\): 1 scenarios supporting 1 jobs\n$/);
+  });
+
+  it('should render a custom template', async function() {
+    const templateFile = path.join(testDataDir, 'team-template.md');
+    await fs.writeFile(templateFile, [
+      '# {{title}}',
+      '',
+      '## Sources first',
+      '{{#sources}}',
+      '- {{name}}',
+      '{{/sources}}',
+      '',
+      '## Jobs',
+      '{{#ungrouped}}',
+      '- {{statement}}',
+      '{{/ungrouped}}',
+      ''
+    ].join('\n'));
+
+    const outputFile = await report(inputFile, { template: templateFile, title: 'Q3 Interviews', output: path.join(testDataDir, 'team.md') });
+
+    assert.strictEqual(await fs.readFile(outputFile, 'utf8'), [
+      '# Q3 Interviews',
+      '',
+      '## Sources first',
+      '- interview-01.txt',
+      '- survey.md',
+      '- tickets.csv',
+      '',
+      '## Jobs',
+      '- When customers report errors, I want to search tickets, so I can resolve issues faster',
+      ''
+    ].join('\n'));
+  });
+
+  it('should fail for a missing template', async function() {
+    await assert.rejects(
+      report(inputFile, { template: path.join(testDataDir, 'missing.md'), output: path.join(testDataDir, 'missing-report.md') }),
+      /Report template not found/
+    );
+  });
+});
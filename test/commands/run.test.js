@@ -0,0 +1,114 @@
+/**
+ * Tests for the Run Command (scenario → jtbd → visualize pipeline)
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute } from '../../src/commands/run.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Run Command', function() {
+  this.timeout(20000);
+
+  const testProjectDir = path.join(__dirname, '../data-run');
+  const sourceFile = path.join(testProjectDir, 'interview_feedback.txt');
+  const originalCwd = process.cwd();
+
+  before(async function() {
+    await fs.ensureDir(testProjectDir);
+    await fs.writeFile(sourceFile, 'We want one dashboard to monitor model performance across clouds.');
+    process.chdir(testProjectDir);
+  });
+
+  after(async function() {
+    process.chdir(originalCwd);
+    await fs.remove(testProjectDir);
+  });
+
+  it('should run every stage and pass outputs between them', async function() {
+    const result = await execute(sourceFile, { mock: true });
+
+    assert.strictEqual(result.success, true, 'Pipeline should succeed');
+    assert.deepStrictEqual(result.stages.map(s => s.stage), ['scenario', 'jtbd', 'visualize']);
+    result.stages.forEach(stage => {
+      assert.strictEqual(stage.status, 'generated', `${stage.stage} stage should run on first invocation`);
+      assert.strictEqual(fs.existsSync(stage.output), true, `${stage.stage} output should exist`);
+    });
+
+    const jtbdData = await fs.readJSON(result.stages[1].output);
+    assert.deepStrictEqual(
+      jtbdData.metadata.sourceFiles,
+      [result.stages[0].output],
+      'JTBD stage should consume the scenario stage output'
+    );
+    assert.deepStrictEqual(
+      jtbdData.sources.map(source => source.name),
+      [path.basename(sourceFile)],
+      'JTBD output should describe the sources of its scenarios'
+    );
+  });
+
+  it('should skip stages whose inputs have not changed', async function() {
+    const result = await execute(sourceFile, { mock: true });
+
+    result.stages.forEach(stage => {
+      assert.strictEqual(stage.status, 'skipped', `${stage.stage} stage should be skipped`);
+    });
+  });
+
+  it('should rerun stages when a source file changes', async function() {
+    await fs.appendFile(sourceFile, '\nAlso, deployments should be reproducible.');
+
+    const result = await execute(sourceFile, { mock: true });
+
+    assert.strictEqual(result.stages[0].status, 'generated', 'Scenario stage should rerun for changed sources');
+    assert.strictEqual(result.stages[1].status, 'generated', 'JTBD stage should rerun for new scenarios');
+  });
+
+  it('should keep completed stages when a later stage fails', async function() {
+    await fs.appendFile(sourceFile, '\nRollbacks take too long.');
+
+    await assert.rejects(
+      execute(sourceFile, { mock: true, format: 'html', perspective: 'persona' }),
+      /use the jtbd perspective with --format html/
+    );
+    const result = await execute(sourceFile, { mock: true });
+
+    assert.deepStrictEqual(result.stages.map(stage => stage.status), ['skipped', 'skipped', 'generated']);
+  });
+
+  it('should rerun every stage when forced', async function() {
+    const result = await execute(sourceFile, { mock: true, force: true });
+
+    result.stages.forEach(stage => {
+      assert.strictEqual(stage.status, 'generated', `${stage.stage} stage should run when forced`);
+    });
+  });
+
+  it('should track the single CSV of the priority perspective', async function() {
+    await execute(sourceFile, { mock: true, format: 'csv' });
+    let result = await execute(sourceFile, { mock: true, format: 'csv', perspective: 'priority' });
+    const visualizeStage = result.stages[2];
+
+    assert.deepStrictEqual(visualizeStage.artifacts, [visualizeStage.output], 'Per-JTBD CSVs of the jtbd perspective are not priority artifacts');
+    await fs.remove(visualizeStage.output);
+
+    result = await execute(sourceFile, { mock: true, format: 'csv', perspective: 'priority' });
+    assert.strictEqual(result.stages[2].status, 'generated', 'A deleted priority CSV should be written again');
+    assert.strictEqual(fs.existsSync(visualizeStage.output), true);
+  });
+
+  it('should track the single CSV of the source perspective', async function() {
+    let result = await execute(sourceFile, { mock: true, format: 'csv', perspective: 'source' });
+    const visualizeStage = result.stages[2];
+
+    assert.deepStrictEqual(visualizeStage.artifacts, [visualizeStage.output]);
+    assert.match(await fs.readFile(visualizeStage.output, 'utf8'), /^level,id,jtbd,scenarios,source_count,/);
+    await fs.remove(visualizeStage.output);
+
+    result = await execute(sourceFile, { mock: true, format: 'csv', perspective: 'source' });
+    assert.strictEqual(result.stages[2].status, 'generated', 'A deleted source CSV should be written again');
+  });
+});
@@ -1,21 +1,27 @@
 /**
  * Tests for the Scenario Command functionality
  */
-const assert = require('assert');
-const path = require('path');
-const fs = require('fs-extra');
-const { execute } = require('../../src/commands/scenario');
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { execute } from '../../src/commands/scenario.js';
+import { getRegistryPath } from '../../src/utils/source-registry.js';
 
 describe('Scenario Command', function() {
-  // Create temporary directories for testing
-  const testDataDir = path.join(__dirname, '../data');
-  const testOutputDir = path.join(__dirname, '../output');
+  // Run inside a temporary project so nothing is written into the repository
+  const testProjectDir = path.join(fs.realpathSync(os.tmpdir()), `pdm-scenario-test-${process.pid}`);
+  const testDataDir = path.join(testProjectDir, 'data');
+  const testOutputDir = path.join(testProjectDir, 'output');
+  const originalCwd = process.cwd();
   let outputFile;
 
   before(async function() {
     // Create test directories
+    await fs.outputJson(path.join(testProjectDir, '.pdm', 'config.json'), { name: 'scenario-test' });
     await fs.ensureDir(testDataDir);
     await fs.ensureDir(testOutputDir);
+    process.chdir(testProjectDir);
     
     // Create sample test data
     const sampleContent = `
@@ -48,10 +54,8 @@ Enterprise Solutions Inc.
 
   after(async function() {
     // Clean up test directories and files
-    await fs.remove(testDataDir);
-    if (outputFile && fs.existsSync(outputFile)) {
-      await fs.remove(outputFile);
-    }
+    process.chdir(originalCwd);
+    await fs.remove(testProjectDir);
   });
 
   it('should extract scenarios from a text file using mock parser', async function() {
@@ -79,6 +83,8 @@ Enterprise Solutions Inc.
     assert.strictEqual(Array.isArray(outputData.scenarios), true, 'Output should have scenarios array');
     assert.strictEqual(outputData.sources.length, 1, 'Should process one source file');
     assert.ok(outputData.scenarios.length > 0, 'Should extract at least one scenario');
+    assert.strictEqual(getRegistryPath(), path.join(testProjectDir, '.pdm', 'sources.json'), 'Registry should belong to the project');
+    assert.deepStrictEqual(Object.keys((await fs.readJson(getRegistryPath())).sources), ['data/sample_feedback.txt']);
     
     // Verify scenario structure
     const scenario = outputData.scenarios[0];
@@ -90,6 +96,15 @@ Enterprise Solutions Inc.
     assert.ok(scenario.value, 'Scenario should have value');
     assert.ok(Array.isArray(scenario.sources), 'Scenario should have sources array');
     assert.strictEqual(scenario.sources.length, 1, 'Scenario should reference one source');
+    
+    // Verify evidence points into the source file
+    const source = await fs.readFile(testSource, 'utf8');
+    assert.ok(scenario.evidence.length > 0, 'Scenario should have evidence');
+    scenario.evidence.forEach(item => {
+      assert.strictEqual(item.verified, true);
+      assert.strictEqual(source.slice(item.start, item.end), item.quote, 'Offsets should address the source file');
+    });
+    assert.strictEqual(outputData.metadata.unverifiedQuotes, 0);
   });
 
   it('should handle recursive directory processing', async function() {
@@ -131,4 +146,35 @@ We need a platform that allows us to deploy consistent AI models across our hybr
     // Clean up subdirectory
     await fs.remove(subDir);
   });
+
+  it('should extract long sources chunk by chunk and drop cross-chunk duplicates', async function() {
+    const longSource = path.join(testDataDir, 'long_interview.txt');
+    const paragraph = 'We deploy models on three clouds and every team monitors them differently. ';
+    await fs.writeFile(longSource, Array.from({ length: 20 }, () => paragraph.repeat(4)).join('\n\n'));
+
+    const testOutput = path.join(testOutputDir, 'chunked_scenarios.json');
+    outputFile = await execute(longSource, {
+      output: testOutput,
+      mock: true,
+      chunkSize: 200,
+      chunkOverlap: 20
+    });
+
+    const outputData = await fs.readJSON(outputFile);
+    const chunkCount = outputData.sources[0].chunkCount;
+    assert.ok(chunkCount > 1, 'Long source should be split into chunks');
+    assert.deepStrictEqual(outputData.metadata.chunking, { size: 200, overlap: 20 });
+
+    // The mock parser returns the same scenarios for every chunk
+    assert.strictEqual(outputData.scenarios.length, 3, 'Repeated scenarios should be de-duplicated');
+    outputData.scenarios.forEach(scenario => {
+      assert.strictEqual(scenario.chunk.index, 0);
+      assert.strictEqual(scenario.chunk.count, chunkCount);
+      assert.strictEqual(scenario.chunk.start, 0);
+      assert.ok(scenario.chunk.end > 0);
+      scenario.evidence.forEach(item => {
+        assert.ok(item.start >= scenario.chunk.start && item.end <= scenario.chunk.end, 'Evidence should lie within its chunk');
+      });
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * Tests for strict mode and the --allow-fallback switch
+ */
+import assert from 'assert';
+import http from 'http';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import config from '../../src/utils/config.js';
+import { execute } from '../../src/commands/scenario.js';
+import * as jtbdGenerator from '../../src/utils/jtbd/jtbd-generator.js';
+import * as jtbdProvider from '../../src/utils/jtbd/jtbd-provider.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Strict Mode', function() {
+  const testDataDir = path.join(__dirname, '../data-strict');
+  const sourceFile = path.join(testDataDir, 'feedback.txt');
+  const outputFile = path.join(testDataDir, 'feedback-scenarios.json');
+  const llmConfig = config.getConfig().llm;
+  const originalLlmConfig = { ...llmConfig };
+  let server;
+
+  before(async function() {
+    // Local OpenAI-compatible server that never returns JSON
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: 'Sorry, I cannot help with that.' } }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    Object.assign(llmConfig, {
+      provider: 'openai-compatible',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      model: 'test-model'
+    });
+    await fs.ensureDir(testDataDir);
+    await fs.writeFile(sourceFile, 'We need one dashboard for every cloud.');
+  });
+
+  afterEach(function() {
+    config.getConfig().allowFallback = false;
+  });
+
+  after(async function() {
+    Object.assign(llmConfig, originalLlmConfig);
+    server.close();
+    await fs.remove(testDataDir);
+  });
+
+  it('should record failed sources and fail the scenario command', async function() {
+    await assert.rejects(
+      execute(sourceFile, { output: outputFile }),
+      /Scenario extraction failed for 1 of 1 source/
+    );
+
+    const outputData = await fs.readJSON(outputFile);
+    assert.strictEqual(outputData.scenarios.length, 0, 'No placeholder scenarios should be written');
+    assert.strictEqual(outputData.metadata.errors.length, 1);
+    assert.strictEqual(outputData.metadata.errors[0].stage, 'scenario');
+    assert.strictEqual(outputData.metadata.errors[0].source, sourceFile);
+    assert.match(outputData.metadata.errors[0].message, /Invalid LLM response after 2 repair attempt/);
+  });
+
+  it('should write flagged placeholder scenarios with --allow-fallback', async function() {
+    const result = await execute(sourceFile, { output: outputFile, allowFallback: true });
+
+    const outputData = await fs.readJSON(result);
+    assert.strictEqual(outputData.metadata.errors.length, 0);
+    assert.strictEqual(outputData.scenarios.length, 1);
+    assert.strictEqual(outputData.scenarios[0].fallback, true, 'Placeholder scenarios should be flagged');
+  });
+
+  it('should raise JTBD generation failures unless fallbacks are allowed', async function() {
+    const scenarios = [{ id: 'scenario-1', statement: 'As a PM, I want one dashboard, so that I can compare clouds' }];
+
+    await assert.rejects(jtbdProvider.generateJTBD(scenarios), /Invalid LLM response/);
+
+    config.getConfig().allowFallback = true;
+    const jtbd = await jtbdProvider.generateJTBD(scenarios);
+    assert.strictEqual(jtbd.fallback, true, 'Placeholder JTBDs should be flagged');
+  });
+
+  it('should record failed clusters in the generator result', async function() {
+    const embeddingConfig = config.getConfig().embedding;
+    const originalProvider = embeddingConfig.provider;
+    embeddingConfig.provider = 'local';
+
+    try {
+      const result = await jtbdGenerator.generateJTBDs([
+        { id: 'scenario-1', statement: 'As a PM, I want one dashboard, so that I can compare clouds' },
+        { id: 'scenario-2', statement: 'As an SRE, I want alerts on drift, so that I can react quickly' }
+      ], { layer1Threshold: 0.99 });
+
+      assert.strictEqual(result.jtbds.length, 0, 'No placeholder JTBDs should be generated');
+      assert.strictEqual(result.metadata.errors.length, 2, 'Each failed cluster should be recorded');
+      result.metadata.errors.forEach(error => {
+        assert.strictEqual(error.stage, 'jtbd');
+        assert.strictEqual(error.level, 1);
+        assert.strictEqual(error.scenarioIds.length, 1);
+      });
+    } finally {
+      embeddingConfig.provider = originalProvider;
+    }
+  });
+});
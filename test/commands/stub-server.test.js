@@ -0,0 +1,85 @@
+/**
+ * End-to-end tests against the bundled OpenAI-compatible stub server
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import config from '../../src/utils/config.js';
+import { startStubServer } from '../../src/utils/llm/stub-server.js';
+import { execute as extractScenarios } from '../../src/commands/scenario.js';
+import { execute as generateJtbds } from '../../src/commands/jtbd.js';
+import { postJson } from '../../src/utils/llm/http-client.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Stub Server', function() {
+  const testDataDir = path.join(__dirname, '../data-stub');
+  const sourceFile = path.join(testDataDir, 'interview.txt');
+  const scenariosFile = path.join(testDataDir, 'interview-scenarios.json');
+  const jtbdsFile = path.join(testDataDir, 'interview-jtbds.json');
+  const llmConfig = config.getConfig().llm;
+  const embeddingConfig = config.getConfig().embedding;
+  const originalLlmConfig = { ...llmConfig };
+  const originalEmbeddingConfig = { ...embeddingConfig };
+  let server;
+  let baseUrl;
+
+  before(async function() {
+    ({ server, baseUrl } = await startStubServer());
+    Object.assign(llmConfig, { provider: 'openai-compatible', baseUrl, model: 'stub-model', apiKey: '' });
+    Object.assign(embeddingConfig, { provider: 'openai', baseUrl, model: 'stub-embedding', cache: false });
+
+    await fs.ensureDir(testDataDir);
+    await fs.writeFile(sourceFile, [
+      'Interview with a platform engineer at Contoso Ltd.',
+      'We need to deploy models the same way on every cloud.',
+      'Our developers are frustrated with manual approval steps for each release.',
+      'We need a single dashboard for monitoring model drift across clouds.'
+    ].join('\n'));
+  });
+
+  after(async function() {
+    Object.assign(llmConfig, originalLlmConfig);
+    Object.assign(embeddingConfig, originalEmbeddingConfig);
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(testDataDir);
+  });
+
+  it('should return stable, input-derived embeddings', async function() {
+    const request = { body: { model: 'stub-embedding', input: ['monitor model drift', 'deploy on every cloud'] } };
+    const first = await postJson(`${baseUrl}/embeddings`, request);
+    const second = await postJson(`${baseUrl}/embeddings`, { body: { model: 'stub-embedding', input: 'monitor model drift' } });
+
+    assert.strictEqual(first.data.length, 2);
+    assert.deepStrictEqual(first.data[0].embedding, second.data[0].embedding, 'Embeddings should not depend on the batch');
+    assert.notDeepStrictEqual(first.data[0].embedding, first.data[1].embedding);
+  });
+
+  it('should reject unknown endpoints', async function() {
+    await assert.rejects(postJson(`${baseUrl}/completions`, { body: {} }), error => error.status === 404);
+  });
+
+  it('should run scenario extraction and JTBD generation end to end', async function() {
+    await extractScenarios(sourceFile, { output: scenariosFile });
+    const scenarioData = await fs.readJson(scenariosFile);
+
+    assert.strictEqual(scenarioData.metadata.errors.length, 0);
+    assert.ok(scenarioData.scenarios.length > 0);
+    scenarioData.scenarios.forEach(scenario => {
+      assert.strictEqual(scenario.persona, 'platform engineer');
+      assert.strictEqual(scenario.customer, 'Contoso Ltd.');
+      assert.ok(scenario.evidence.every(item => item.verified), 'Stub quotes should be verbatim');
+    });
+
+    await generateJtbds(scenariosFile, { output: jtbdsFile, layers: 2 });
+    const jtbdData = await fs.readJson(jtbdsFile);
+
+    assert.deepStrictEqual(jtbdData.metadata.errors, []);
+    assert.ok(jtbdData.jtbds.some(jtbd => jtbd.level === 1));
+    jtbdData.jtbds.forEach(jtbd => {
+      assert.match(jtbd.statement, /^When .+, I want to .+, so I can .+/);
+      assert.ok(jtbd.sourceQuotes.length > 0, 'JTBDs should cite the scenario evidence');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for token usage accounting, cost estimates and the spending budget
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import config from '../../src/utils/config.js';
+import { startStubServer } from '../../src/utils/llm/stub-server.js';
+import { estimateCost, getModelPrice } from '../../src/utils/llm/usage-tracker.js';
+import { execute as extractScenarios } from '../../src/commands/scenario.js';
+import { execute as generateJtbds } from '../../src/commands/jtbd.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Usage and Cost Accounting', function() {
+  const testDataDir = path.join(__dirname, '../data-usage');
+  const priceFile = path.join(testDataDir, 'prices.json');
+  const sourceFiles = [path.join(testDataDir, 'interview-a.txt'), path.join(testDataDir, 'interview-b.txt')];
+  const scenariosFile = path.join(testDataDir, 'interviews-scenarios.json');
+  const jtbdsFile = path.join(testDataDir, 'interviews-jtbds.json');
+  const budgetScenariosFile = path.join(testDataDir, 'budget-scenarios.json');
+  const llmConfig = config.getConfig().llm;
+  const embeddingConfig = config.getConfig().embedding;
+  const pricingConfig = config.getConfig().pricing;
+  const originalLlmConfig = { ...llmConfig };
+  const originalEmbeddingConfig = { ...embeddingConfig };
+  const originalPricingConfig = { ...pricingConfig };
+  const originalAllowFallback = config.getConfig().allowFallback;
+  let server;
+  let requests = 0;
+
+  before(async function() {
+    let baseUrl;
+    ({ server, baseUrl } = await startStubServer());
+    server.on('request', () => requests++);
+    Object.assign(llmConfig, { provider: 'openai-compatible', baseUrl, model: 'stub-model', apiKey: '' });
+    Object.assign(embeddingConfig, { provider: 'openai', baseUrl, model: 'stub-embedding', cache: false });
+
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(priceFile, {
+      'stub-model': { input: 1000, output: 2000 },
+      'stub-embedding': { input: 100, output: 0 }
+    });
+    Object.assign(pricingConfig, { file: priceFile, budget: null });
+
+    await fs.writeFile(sourceFiles[0], 'Interview with a data scientist at Contoso Ltd.\nWe need to compare model runs side by side.\n');
+    await fs.writeFile(sourceFiles[1], 'Interview with a release manager at Fabrikam Inc.\nWe need to roll back a bad release in minutes.\n');
+  });
+
+  after(async function() {
+    Object.assign(llmConfig, originalLlmConfig);
+    Object.assign(embeddingConfig, originalEmbeddingConfig);
+    Object.assign(pricingConfig, originalPricingConfig);
+    config.getConfig().allowFallback = originalAllowFallback;
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(testDataDir);
+  });
+
+  it('should price dated model names and custom price tables', function() {
+    assert.deepStrictEqual(getModelPrice('gpt-4o-2024-08-06'), getModelPrice('gpt-4o'));
+    assert.deepStrictEqual(getModelPrice('gpt-4o-mini-2024-07-18'), getModelPrice('gpt-4o-mini'));
+    assert.strictEqual(estimateCost('stub-model', 1000, 500), 2);
+    assert.strictEqual(estimateCost('unknown-model', 1000, 500), null);
+  });
+
+  it('should record usage per stage, model and source', async function() {
+    await extractScenarios(sourceFiles, { output: scenariosFile });
+    const scenarioUsage = (await fs.readJson(scenariosFile)).metadata.usage;
+
+    assert.strictEqual(scenarioUsage.requests, 2);
+    assert.ok(scenarioUsage.promptTokens > 0 && scenarioUsage.completionTokens > 0);
+    assert.deepStrictEqual(Object.keys(scenarioUsage.byStage), ['scenario']);
+    assert.strictEqual(scenarioUsage.byModel['stub-model'].requests, 2);
+    const bySource = Object.values(scenarioUsage.bySource);
+    assert.deepStrictEqual(bySource.map(usage => usage.name).sort(), ['interview-a.txt', 'interview-b.txt']);
+    assert.strictEqual(bySource.reduce((sum, usage) => sum + usage.totalTokens, 0), scenarioUsage.totalTokens);
+    const expectedCost = estimateCost('stub-model', scenarioUsage.promptTokens, scenarioUsage.completionTokens);
+    assert.ok(Math.abs(scenarioUsage.cost - expectedCost) < 1e-9);
+
+    await generateJtbds(scenariosFile, { output: jtbdsFile });
+    const jtbdUsage = (await fs.readJson(jtbdsFile)).metadata.usage;
+
+    assert.deepStrictEqual(Object.keys(jtbdUsage.byModel).sort(), ['stub-embedding', 'stub-model']);
+    assert.strictEqual(jtbdUsage.byModel['stub-embedding'].completionTokens, 0);
+    assert.strictEqual(jtbdUsage.byStage.jtbd.totalTokens, jtbdUsage.totalTokens);
+  });
+
+  it('should estimate a run without calling any API', async function() {
+    const before = requests;
+    const result = await extractScenarios(sourceFiles, { output: scenariosFile, dryRun: true, force: true });
+
+    assert.strictEqual(requests, before, 'A dry run must not send requests');
+    assert.strictEqual(result.dryRun, true);
+    assert.strictEqual(result.estimate.requests, 2);
+    assert.strictEqual(result.estimate.chunks, 2);
+    assert.ok(result.estimate.minCost > 0 && result.estimate.minCost < result.estimate.maxCost);
+
+    const jtbdResult = await generateJtbds(scenariosFile, { output: jtbdsFile, layers: 2, dryRun: true });
+    assert.strictEqual(requests, before);
+    assert.ok(jtbdResult.estimate.embedding.promptTokens > 0);
+    assert.strictEqual(jtbdResult.estimate.requests, jtbdResult.estimate.jtbd.requests + jtbdResult.estimate.embedding.requests);
+  });
+
+  it('should stop before exceeding the budget and keep partial results', async function() {
+    const before = requests;
+
+    // Each request may cost up to ~$8 at the test prices, so only one of the two fits
+    await assert.rejects(
+      extractScenarios(sourceFiles, { output: budgetScenariosFile, budget: 10, allowFallback: true }),
+      error => error.code === 'BUDGET_EXCEEDED' && /1 chunk\(s\) were not processed/.test(error.message)
+    );
+
+    assert.strictEqual(requests, before + 1, 'No request may be sent once it could exceed the budget');
+    const output = await fs.readJson(budgetScenariosFile);
+    assert.strictEqual(output.sources.length, 1);
+    assert.ok(output.scenarios.length > 0);
+    assert.strictEqual(output.metadata.errors.length, 1);
+    assert.strictEqual(output.metadata.errors[0].code, 'BUDGET_EXCEEDED');
+    assert.ok(output.metadata.usage.cost <= 10);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for project version tracking, snapshots and restores
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute as extractScenarios } from '../../src/commands/scenario.js';
+import { execute as generateJtbds } from '../../src/commands/jtbd.js';
+import { execute as visualize } from '../../src/commands/visualize.js';
+import { execute as versions } from '../../src/commands/versions.js';
+import { getVersionsDir } from '../../src/utils/version-tracker.js';
+import { hashFile } from '../../src/utils/hash.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Versions Command', function() {
+  const testProjectDir = path.join(__dirname, '../data-versions');
+  const inputFile = path.join(testProjectDir, 'interview.txt');
+  const scenariosFile = path.join(testProjectDir, 'scenarios.json');
+  const jtbdsFile = path.join(testProjectDir, 'jtbds.json');
+  const diagramFile = path.join(testProjectDir, 'jtbds.md');
+  const originalCwd = process.cwd();
+
+  const versionDir = version => path.join(getVersionsDir(testProjectDir), String(version));
+
+  before(async function() {
+    await fs.outputJson(path.join(testProjectDir, '.pdm', 'config.json'), { name: 'versions-test' });
+    await fs.writeFile(inputFile, 'Interview with a data scientist.\nWe need to compare model runs side by side.\n');
+    process.chdir(testProjectDir);
+
+    await extractScenarios(inputFile, { output: scenariosFile, mock: true });
+    await generateJtbds(scenariosFile, { output: jtbdsFile, mock: true });
+    await visualize(jtbdsFile, { output: diagramFile });
+  });
+
+  after(async function() {
+    process.chdir(originalCwd);
+    await fs.remove(testProjectDir);
+  });
+
+  it('should record every run with its inputs and snapshotted outputs', async function() {
+    const { versions: entries } = await versions('list');
+
+    assert.deepStrictEqual(entries.map(entry => [entry.version, entry.parent, entry.command]), [
+      [1, null, 'scenario'],
+      [2, 1, 'jtbd'],
+      [3, 2, 'visualize']
+    ]);
+
+    const [scenarioRun, jtbdRun] = entries;
+    assert.strictEqual(scenarioRun.model, 'mock');
+    assert.strictEqual(scenarioRun.options.mock, true);
+    assert.deepStrictEqual(scenarioRun.inputs, [{ path: 'interview.txt', hash: await hashFile(inputFile) }]);
+    assert.deepStrictEqual(scenarioRun.summary, { sourceCount: 1, scenarioCount: scenarioRun.summary.scenarioCount });
+    assert.deepStrictEqual(jtbdRun.inputs.map(input => input.path), ['scenarios.json']);
+    assert.strictEqual(jtbdRun.summary.jtbdLayers, 1);
+
+    for (const entry of entries) {
+      assert.strictEqual(entry.outputs.length, 1);
+      const [output] = entry.outputs;
+      assert.strictEqual(await hashFile(path.join(versionDir(entry.version), output.snapshot)), output.hash);
+    }
+    assert.strictEqual(entries[2].outputs[0].path, 'jtbds.md');
+  });
+
+  it('should show a recorded version and reject unknown ones', async function() {
+    const shown = await versions('show', 2);
+    assert.strictEqual(shown.success, true);
+    assert.strictEqual(shown.version.command, 'jtbd');
+
+    const missing = await versions('show', 99);
+    assert.strictEqual(missing.success, false);
+    assert.match(missing.message, /Version 99 does not exist/);
+  });
+
+  it('should restore the outputs of an earlier version and record the restore', async function() {
+    const original = await fs.readFile(scenariosFile, 'utf8');
+    await fs.appendFile(inputFile, 'We need to share experiment results with the team.\n');
+    await extractScenarios(inputFile, { output: scenariosFile, mock: true });
+    const changed = await versions('show', 4);
+    assert.notStrictEqual(changed.version.inputs[0].hash, (await versions('show', 1)).version.inputs[0].hash);
+    assert.notStrictEqual(await fs.readFile(scenariosFile, 'utf8'), original);
+
+    const result = await versions('restore', 1);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.files, [scenariosFile]);
+    assert.strictEqual(await fs.readFile(scenariosFile, 'utf8'), original);
+    assert.strictEqual(result.version.version, 5);
+    assert.strictEqual(result.version.command, 'restore');
+    assert.deepStrictEqual(result.version.options, { version: 1 });
+    assert.strictEqual(result.version.outputs[0].hash, (await versions('show', 1)).version.outputs[0].hash);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for the differential visualization of two JTBD outputs
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute as visualize } from '../../src/commands/visualize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Differential Visualization', function() {
+  const testDataDir = path.join(__dirname, '../data-visualize-diff');
+  const previousFile = path.join(testDataDir, 'previous-jtbds.json');
+  const currentFile = path.join(testDataDir, 'current-jtbds.json');
+
+  const scenario = (id, persona, statement) => ({ id, persona, statement });
+  const jtbd = (id, statement, scenarioIds, extra = {}) => ({ id, level: 1, statement, scenarioIds, ...extra });
+  const scenarios = [
+    scenario('s1', 'data scientist', 'As a data scientist, I want to compare model runs'),
+    scenario('s2', 'data scientist', 'As a data scientist, I want to compare training runs'),
+    scenario('s3', 'release manager', 'As a release manager, I want to roll back a release'),
+    scenario('s4', 'analyst', 'As an analyst, I want to export dashboards'),
+    scenario('s5', 'support engineer', 'As a support engineer, I want to search tickets')
+  ];
+
+  before(async function() {
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(previousFile, {
+      jtbds: [
+        jtbd('jtbd-compare', 'When I train models, I want to compare runs, so I can pick the best model', ['s1']),
+        jtbd('jtbd-release', 'When I ship releases, I want to roll back quickly, so I can limit outages', ['s3']),
+        jtbd('jtbd-export', 'When I report results, I want to export dashboards, so I can share them', ['s4'], { parentId: 'abstract-ops' }),
+        jtbd('abstract-ops', 'When I run the platform, I want to keep it healthy, so I can serve users', ['s4'], { level: 2, childIds: ['jtbd-export'] })
+      ],
+      scenarios: scenarios.slice(0, 4)
+    });
+    await fs.writeJson(currentFile, {
+      jtbds: [
+        jtbd('jtbd-compare', 'When I train models, I want to compare runs, so I can pick the best model', ['s1', 's2']),
+        jtbd('jtbd-release', 'When I ship releases, I want to roll back quickly, so I can limit outages', ['s3']),
+        jtbd('jtbd-support', 'When customers report errors, I want to search past tickets, so I can resolve issues faster', ['s5'])
+      ],
+      scenarios: [...scenarios.slice(0, 3), scenarios[4]]
+    });
+  });
+
+  after(async function() {
+    await fs.remove(testDataDir);
+  });
+
+  it('should style new, changed, unchanged and removed JTBDs in Mermaid', async function() {
+    const outputFile = path.join(testDataDir, 'diff.md');
+
+    await visualize(currentFile, { compare: previousFile, output: outputFile });
+    const content = await fs.readFile(outputFile, 'utf8');
+
+    assert.match(content, /class jtbd_support newJtbd;/);
+    assert.match(content, /jtbd_compare\["When I train models.*<br\/><i>changed; scenarios 1 → 2<\/i>"\]/);
+    assert.match(content, /class jtbd_compare changedJtbd;/);
+    assert.match(content, /class jtbd_release unchangedJtbd;/);
+    assert.match(content, /class jtbd_export removedJtbd;/);
+    assert.match(content, /class abstract_ops removedJtbd;/);
+    assert.match(content, /abstract_ops -.-> jtbd_export/);
+    assert.match(content, /classDef removedJtbd [^\n]*stroke-dasharray/);
+  });
+
+  it('should add a change column to the CSV export and list removed JTBDs', async function() {
+    const outputFile = path.join(testDataDir, 'diff.csv');
+
+    const result = await visualize(currentFile, { format: 'csv', perspective: 'diff', compare: previousFile, output: outputFile });
+    assert.strictEqual(result, outputFile);
+
+    const compareCsv = await fs.readFile(path.join(testDataDir, 'diff_jtbd-compare.csv'), 'utf8');
+    const [header, firstRow, secondRow] = compareCsv.split('\n');
+    assert.strictEqual(header, 'jtbd,change,data scientist');
+    assert.strictEqual(firstRow, '"When I train models, I want to compare runs, so I can pick the best model",changed,"As a data scientist, I want to compare model runs"');
+    assert.strictEqual(secondRow, ',,"As a data scientist, I want to compare training runs"');
+
+    const supportCsv = await fs.readFile(path.join(testDataDir, 'diff_jtbd-support.csv'), 'utf8');
+    assert.match(supportCsv.split('\n')[1], /,new,/);
+
+    const removedCsv = await fs.readFile(path.join(testDataDir, 'diff_removed.csv'), 'utf8');
+    assert.strictEqual(removedCsv, [
+      'jtbd,change,level,scenarios',
+      '"When I report results, I want to export dashboards, so I can share them",removed,1,1',
+      '"When I run the platform, I want to keep it healthy, so I can serve users",removed,2,1',
+      ''
+    ].join('\n'));
+  });
+
+  it('should reject invalid option combinations without exiting the process', async function() {
+    await assert.rejects(
+      visualize(currentFile, { compare: previousFile, perspective: 'persona', output: path.join(testDataDir, 'persona.md') }),
+      /--compare can only be used with the diff perspective/
+    );
+    await assert.rejects(
+      visualize(currentFile, { perspective: 'diff', output: path.join(testDataDir, 'missing.md') }),
+      /needs a previous JTBD file/
+    );
+  });
+});
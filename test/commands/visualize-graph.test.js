@@ -0,0 +1,73 @@
+/**
+ * Tests for the DOT and GraphML exports of the visualize command
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute as visualize } from '../../src/commands/visualize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Graph Exports', function() {
+  const testDataDir = path.join(__dirname, '../data-visualize-graph');
+  const inputFile = path.join(testDataDir, 'jtbds.json');
+
+  before(async function() {
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(inputFile, {
+      jtbds: [
+        { id: 'jtbd-compare', level: 1, statement: 'When I train "models", I want to compare runs', scenarioIds: ['s1', 's2'], parentId: 'abstract-ml' },
+        { id: 'jtbd-export', level: 1, statement: 'When I report, I want to export dashboards & share them', scenarioIds: ['s3'] },
+        { id: 'abstract-ml', level: 2, statement: 'When I work with models, I want clear results', scenarioIds: ['s1', 's2'], childIds: ['jtbd-compare'] }
+      ],
+      scenarios: [
+        { id: 's1', statement: 'As a data scientist, I want to compare runs', persona: 'data scientist', customer: 'Contoso', sources: ['source-interview'] },
+        { id: 's2', statement: 'As a data scientist, I want to compare metrics', persona: 'data scientist', customer: 'Fabrikam', sources: ['source-survey'] },
+        { id: 's3', statement: 'As an analyst, I want to export dashboards', persona: 'analyst', customer: 'Contoso' }
+      ],
+      sources: [
+        { id: 'source-interview', name: 'interview-01.txt', type: 'text' },
+        { id: 'source-survey', name: 'survey.md', type: 'markdown' }
+      ]
+    });
+  });
+
+  after(async function() {
+    await fs.remove(testDataDir);
+  });
+
+  it('should write a DOT digraph with node attributes', async function() {
+    const outputFile = path.join(testDataDir, 'graph.dot');
+
+    await visualize(inputFile, { format: 'dot', output: outputFile });
+    const content = await fs.readFile(outputFile, 'utf8');
+
+    assert.match(content, /^digraph pdm \{\n/);
+    assert.match(content, /"jtbd:jtbd-compare" \[shape="box", fillcolor="#BADFFF", type="jtbd", label="When I train \\"models\\", I want to compare runs", level=1, scenario_count=2, customer_count=2, source_count=2, customers="Contoso; Fabrikam"\];/);
+    assert.match(content, /"jtbd:abstract-ml" \[shape="box", fillcolor="#FFF5BA", type="jtbd", [^\n]*level=2/);
+    assert.match(content, /"source:unattributed" \[[^\n]*label="Unknown source", scenario_count=1\];/);
+    assert.match(content, /"persona:data scientist" \[[^\n]*scenario_count=2\];/);
+    assert.match(content, /"jtbd:abstract-ml" -> "jtbd:jtbd-compare" \[relation="contains"\];/);
+    assert.doesNotMatch(content, /"jtbd:abstract-ml" -> "scenario:/);
+    assert.match(content, /"jtbd:jtbd-compare" -> "scenario:s1" \[relation="supported_by"\];/);
+    assert.match(content, /"scenario:s1" -> "source:source-interview" \[relation="extracted_from"\];/);
+    assert.match(content, /"scenario:s1" -> "persona:data scientist" \[relation="voiced_by"\];/);
+  });
+
+  it('should write GraphML with typed attributes', async function() {
+    const outputFile = path.join(testDataDir, 'graph.graphml');
+
+    await visualize(inputFile, { format: 'graphml', filter: 'export', output: outputFile });
+    const content = await fs.readFile(outputFile, 'utf8');
+
+    assert.match(content, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    assert.match(content, /<key id="n_scenario_count" for="node" attr.name="scenario_count" attr.type="int"\/>/);
+    assert.match(content, /<key id="e_relation" for="edge" attr.name="relation" attr.type="string"\/>/);
+    assert.match(content, /<node id="jtbd:jtbd-export">\n {6}<data key="n_type">jtbd<\/data>\n {6}<data key="n_label">When I report, I want to export dashboards &amp; share them<\/data>\n {6}<data key="n_level">1<\/data>/);
+    assert.match(content, /<edge id="e0" source="jtbd:jtbd-export" target="scenario:s3">\n {6}<data key="e_relation">supported_by<\/data>/);
+    assert.doesNotMatch(content, /jtbd-compare|abstract-ml/);
+    assert.strictEqual((content.match(/<node /g) || []).length, 4);
+    assert.strictEqual((content.match(/<edge /g) || []).length, 3);
+  });
+});
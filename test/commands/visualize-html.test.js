@@ -0,0 +1,73 @@
+/**
+ * Tests for the self-contained HTML report of the visualize command
+ */
+import assert from 'assert';
+import path from 'path';
+import vm from 'vm';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute as visualize } from '../../src/commands/visualize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('HTML Report', function() {
+  const testDataDir = path.join(__dirname, '../data-visualize-html');
+  const inputFile = path.join(testDataDir, 'jtbds.json');
+  const inputData = {
+    jtbds: [
+      { id: 'jtbd-compare', level: 1, statement: 'When I train models, I want to compare runs, so I can pick the best one', scenarioIds: ['s1', 's2'], parentId: 'cluster-ml' },
+      { id: 'jtbd-export', level: 1, statement: 'When I report, I want to export dashboards </script><script>alert(1)</script>', scenarioIds: ['s3'] },
+      { id: 'abstract-ml', level: 2, clusterId: 'cluster-ml', statement: 'When I work with models, I want clear results, so I can decide quickly', scenarioIds: ['s1', 's2'] }
+    ],
+    scenarios: [
+      { id: 's1', statement: 'As a data scientist, I want to compare runs', persona: 'data scientist', customer: 'Contoso', sources: ['source-interview'], evidence: [{ quote: 'we compare runs by hand', verified: true }] },
+      { id: 's2', statement: 'As an ML engineer, I want to compare experiments', persona: 'ML engineer', customer: 'Fabrikam', sources: ['source-survey'] },
+      { id: 's3', statement: 'As an analyst, I want to export dashboards', persona: 'analyst', customer: 'Contoso', sources: ['source-interview'] }
+    ],
+    sources: [
+      { id: 'source-interview', name: 'interview-01.txt' },
+      { id: 'source-survey', name: 'survey.md' }
+    ]
+  };
+  let content;
+
+  before(async function() {
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(inputFile, inputData);
+
+    const outputFile = await visualize(inputFile, { format: 'html', filter: 'compare', output: path.join(testDataDir, 'report.html') });
+    content = await fs.readFile(outputFile, 'utf8');
+  });
+
+  after(async function() {
+    await fs.remove(testDataDir);
+  });
+
+  it('should write a single file without external resources', function() {
+    assert.match(content, /^<!DOCTYPE html>/);
+    assert.match(content, /<title>PDM-AI Report: jtbds<\/title>/);
+    assert.doesNotMatch(content, /<link|<script[^>]+src=|https?:\/\//);
+
+    const script = content.match(/<script>([\s\S]*)<\/script>/)[1];
+    assert.doesNotThrow(() => new vm.Script(script));
+  });
+
+  it('should embed the data, hierarchy and filter values', function() {
+    const scripts = content.match(/<script[^>]*>[\s\S]*?<\/script>/g);
+    assert.strictEqual(scripts.length, 2, 'Statements must not be able to close the data element');
+
+    const payload = JSON.parse(content.match(/<script type="application\/json" id="pdm-data">([\s\S]*?)<\/script>/)[1]);
+    assert.deepStrictEqual(payload.data, inputData);
+    assert.deepStrictEqual(payload.hierarchy, {
+      roots: ['jtbd-export', 'abstract-ml'],
+      children: { 'abstract-ml': ['jtbd-compare'] }
+    });
+    assert.deepStrictEqual(payload.facets, {
+      personas: ['analyst', 'data scientist', 'ML engineer'],
+      customers: ['Contoso', 'Fabrikam'],
+      sources: [{ id: 'source-interview', name: 'interview-01.txt' }, { id: 'source-survey', name: 'survey.md' }]
+    });
+    assert.strictEqual(payload.filter, 'compare');
+    assert.strictEqual(payload.fileName, 'jtbds.json');
+  });
+});
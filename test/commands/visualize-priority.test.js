@@ -0,0 +1,61 @@
+/**
+ * Tests for the priority heat map and scored CSV of the visualize command
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute as visualize } from '../../src/commands/visualize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Priority Visualization', function() {
+  const testDataDir = path.join(__dirname, '../data-visualize-priority');
+  const inputFile = path.join(testDataDir, 'jtbds.json');
+
+  before(async function() {
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(inputFile, {
+      jtbds: [
+        { id: 'jtbd-export', level: 1, statement: 'When I report, I want to export dashboards, so I can share them', scenarioIds: ['s1'] },
+        { id: 'jtbd-compare', level: 1, statement: 'When I train models, I want to compare runs, so I can pick the best one', scenarioIds: ['s2', 's3', 's4'] }
+      ],
+      scenarios: [
+        { id: 's1', statement: 'As an analyst, I want to export dashboards', customer: 'Contoso', sources: ['source-a'], timestamp: '2026-01-01T00:00:00.000Z' },
+        { id: 's2', statement: 'As a data scientist, I want to compare runs', customer: 'Contoso', sources: ['source-a'], timestamp: '2026-02-01T00:00:00.000Z' },
+        { id: 's3', statement: 'As a data scientist, I want to compare metrics', customer: 'Fabrikam', sources: ['source-b'], timestamp: '2026-02-01T00:00:00.000Z' },
+        { id: 's4', statement: 'As an ML engineer, I want to compare experiments', customer: 'Fabrikam', sources: ['source-b'], timestamp: '2026-02-01T00:00:00.000Z' }
+      ]
+    });
+  });
+
+  after(async function() {
+    await fs.remove(testDataDir);
+  });
+
+  it('should render a ranked heat map in Mermaid', async function() {
+    const outputFile = path.join(testDataDir, 'priority.md');
+
+    await visualize(inputFile, { perspective: 'priority', output: outputFile });
+    const content = await fs.readFile(outputFile, 'utf8');
+
+    assert.doesNotMatch(content, /will be implemented in Phase 2/);
+    assert.match(content, /subgraph priority_layer_1\["Layer 1 JTBDs by priority"\]/);
+    assert.match(content, /jtbd_compare\["#1 · 100<br\/>When I train models.*<i>3 scenarios · 2 customers · 2 sources · latest 2026-02-01<\/i>"\]/);
+    assert.match(content, /jtbd_export\["#2 · 38\.3<br\/>/);
+    assert.match(content, /jtbd_compare ~~~ jtbd_export/);
+    assert.match(content, /class jtbd_compare heat5;/);
+    assert.match(content, /class jtbd_export heat2;/);
+  });
+
+  it('should write a scored CSV using the configured weights', async function() {
+    const outputFile = path.join(testDataDir, 'priority.csv');
+
+    const result = await visualize(inputFile, { perspective: 'priority', format: 'csv', weights: 'scenarios=1,customers=0,sources=0,recency=0', output: outputFile });
+    const [header, first, second] = (await fs.readFile(result, 'utf8')).split('\n');
+
+    assert.strictEqual(header, 'rank,level,id,jtbd,score,scenarios,customers,sources,latest_evidence,scenario_score,customer_score,source_score,recency_score');
+    assert.strictEqual(first, '1,1,jtbd-compare,"When I train models, I want to compare runs, so I can pick the best one",100,3,2,2,2026-02-01T00:00:00.000Z,1.000,1.000,1.000,1.000');
+    assert.strictEqual(second, '2,1,jtbd-export,"When I report, I want to export dashboards, so I can share them",33.3,1,1,1,2026-01-01T00:00:00.000Z,0.333,0.500,0.500,0.000');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the source attribution view and CSV of the visualize command
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute as visualize } from '../../src/commands/visualize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Source Attribution Visualization', function() {
+  const testDataDir = path.join(__dirname, '../data-visualize-source');
+  const inputFile = path.join(testDataDir, 'jtbds.json');
+
+  before(async function() {
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(inputFile, {
+      jtbds: [
+        { id: 'jtbd-compare', level: 1, statement: 'When I train models, I want to compare runs, so I can pick the best one', scenarioIds: ['s1', 's2', 's3'], parentId: 'abstract-ml' },
+        { id: 'jtbd-export', level: 1, statement: 'When I report, I want to export dashboards, so I can share them', scenarioIds: ['s4'], parentId: 'abstract-ml' },
+        { id: 'abstract-ml', level: 2, statement: 'When I work with models, I want clear results, so I can decide quickly', scenarioIds: ['s1', 's2', 's3', 's4'], childIds: ['jtbd-compare', 'jtbd-export'] }
+      ],
+      scenarios: [
+        { id: 's1', statement: 'As a data scientist, I want to compare runs', sources: ['source-interview'] },
+        { id: 's2', statement: 'As a data scientist, I want to compare metrics', sources: ['source-interview'] },
+        { id: 's3', statement: 'As an ML engineer, I want to compare experiments', sources: ['source-survey'] },
+        { id: 's4', statement: 'As an analyst, I want to export dashboards', sources: ['source-ticket'] }
+      ],
+      sources: [
+        { id: 'source-interview', name: 'interview-01.txt', type: 'text' },
+        { id: 'source-survey', name: 'survey.md', type: 'markdown' },
+        { id: 'source-unused', name: 'notes.txt', type: 'text' }
+      ]
+    });
+  });
+
+  after(async function() {
+    await fs.remove(testDataDir);
+  });
+
+  it('should lead from each source through its scenarios to the JTBDs', async function() {
+    const outputFile = path.join(testDataDir, 'source.md');
+
+    await visualize(inputFile, { perspective: 'source', output: outputFile });
+    const content = await fs.readFile(outputFile, 'utf8');
+
+    assert.doesNotMatch(content, /will be implemented in Phase 2/);
+    assert.match(content, /source_source_interview\["interview-01\.txt<br\/><i>text · 2 scenarios<\/i>"\]/);
+    assert.match(content, /source_source_ticket\["source-ticket<br\/><i>1 scenarios<\/i>"\]/);
+    assert.doesNotMatch(content, /notes\.txt/);
+    assert.match(content, /source_source_interview --> scenario_s1\n/);
+    assert.match(content, /scenario_s1 --> jtbd_compare\n/);
+    assert.doesNotMatch(content, /scenario_s1 --> abstract_ml/);
+    assert.match(content, /jtbd_compare --> abstract_ml\n/);
+    assert.match(content, /jtbd_compare\[".*<i>2 sources<\/i>"\]\n  class jtbd_compare supportedJtbd;/);
+    assert.match(content, /jtbd_export\[".*<i>single source: source-ticket<\/i>"\]\n  class jtbd_export singleSourceJtbd;/);
+  });
+
+  it('should summarize omitted scenarios as direct edges when nodes run out', async function() {
+    const outputFile = path.join(testDataDir, 'source-limited.md');
+
+    await visualize(inputFile, { perspective: 'source', maxNodes: 7, output: outputFile });
+    const content = await fs.readFile(outputFile, 'utf8');
+
+    assert.match(content, /scenario_s1\[/);
+    assert.doesNotMatch(content, /scenario_s2\[/);
+    assert.match(content, /source_source_interview -.->\|"1 more"\| jtbd_compare/);
+    assert.match(content, /source_source_ticket -.->\|"1 more"\| jtbd_export/);
+  });
+
+  it('should write a JTBD by source CSV', async function() {
+    const outputFile = path.join(testDataDir, 'source.csv');
+
+    const result = await visualize(inputFile, { perspective: 'source', format: 'csv', output: outputFile });
+    assert.strictEqual(await fs.readFile(result, 'utf8'), [
+      'level,id,jtbd,scenarios,source_count,interview-01.txt,survey.md,source-ticket',
+      '1,jtbd-compare,"When I train models, I want to compare runs, so I can pick the best one",3,2,2,1,0',
+      '1,jtbd-export,"When I report, I want to export dashboards, so I can share them",1,1,0,0,1',
+      '2,abstract-ml,"When I work with models, I want clear results, so I can decide quickly",4,3,2,1,1',
+      ''
+    ].join('\n'));
+  });
+});
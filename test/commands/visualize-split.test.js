@@ -0,0 +1,117 @@
+/**
+ * Tests for splitting large Mermaid diagrams in the visualize command
+ */
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { execute as visualize } from '../../src/commands/visualize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Split Mermaid Diagrams', function() {
+  const testDataDir = path.join(__dirname, '../data-visualize-split');
+  const inputFile = path.join(testDataDir, 'jtbds.json');
+  const scenarioIds = count => Array.from({ length: count }, (_, index) => `s${index + 1}`);
+
+  before(async function() {
+    await fs.ensureDir(testDataDir);
+    await fs.writeJson(inputFile, {
+      jtbds: [
+        { id: 'jtbd-compare', level: 1, parentId: 'abstract-ml', scenarioIds: scenarioIds(6), statement: 'When I train models, I want to compare runs' },
+        { id: 'jtbd-export', level: 1, parentId: 'abstract-ml', scenarioIds: ['s7'], statement: 'When I report, I want to export dashboards' },
+        { id: 'abstract-ml', level: 2, childIds: ['jtbd-compare', 'jtbd-export'], statement: 'When I work with models, I want clear results' },
+        { id: 'jtbd-search', level: 1, scenarioIds: ['s8'], statement: 'When customers report errors, I want to search tickets' }
+      ],
+      scenarios: [
+        ...scenarioIds(6).map(id => ({ id, statement: `Compare runs ${id}`, persona: 'data scientist' })),
+        { id: 's7', statement: 'Export dashboards', persona: 'analyst' },
+        { id: 's8', statement: 'Search tickets', persona: 'support engineer' },
+        { id: 's9', statement: 'Tag experiments', persona: 'data scientist' }
+      ]
+    });
+  });
+
+  after(async function() {
+    await fs.remove(testDataDir);
+  });
+
+  it('should keep a diagram within --max-nodes in one piece', async function() {
+    const outputFile = path.join(testDataDir, 'single.md');
+
+    await visualize(inputFile, { output: outputFile });
+    const content = await fs.readFile(outputFile, 'utf8');
+
+    assert.strictEqual((content.match(/```mermaid/g) || []).length, 1);
+    assert.doesNotMatch(content, /## Index/);
+  });
+
+  it('should split an oversized hierarchy with the default options and keep every scenario', async function() {
+    const largeFile = path.join(testDataDir, 'large.json');
+    const groups = ['deploy', 'monitor', 'report'];
+    const jtbds = groups.flatMap(group => [
+      { id: `abstract-${group}`, level: 2, childIds: [`jtbd-${group}-1`, `jtbd-${group}-2`], statement: `When I ${group}, I want to stay in control` },
+      ...[1, 2].map(child => ({
+        id: `jtbd-${group}-${child}`,
+        level: 1,
+        parentId: `abstract-${group}`,
+        scenarioIds: Array.from({ length: 20 }, (_, index) => `${group}-${child}-${index}`),
+        statement: `When I ${group} step ${child}, I want it to work`
+      }))
+    ]);
+    const scenarios = jtbds.flatMap(jtbd => (jtbd.scenarioIds || []).map(id => ({ id, statement: `Scenario ${id}`, persona: jtbd.id.split('-')[1] })));
+    await fs.writeJson(largeFile, { jtbds, scenarios });
+
+    for (const perspective of ['jtbd', 'persona']) {
+      const outputFile = path.join(testDataDir, `large-${perspective}.md`);
+      await visualize(largeFile, { output: outputFile, perspective });
+      const content = await fs.readFile(outputFile, 'utf8');
+
+      assert.match(content, /## Index\n/, perspective);
+      assert.strictEqual((content.match(/```mermaid/g) || []).length, groups.length + 1, perspective);
+      scenarios.forEach(scenario => {
+        assert.match(content, new RegExp(`^  ${scenario.id.replace(/-/g, '_')}\\["`, 'm'), `${perspective}: ${scenario.id}`);
+      });
+    }
+  });
+
+  it('should write one diagram per layer-2 JTBD and page with an index', async function() {
+    const outputFile = path.join(testDataDir, 'split.md');
+
+    await visualize(inputFile, { output: outputFile, maxNodes: 5, split: true });
+    const content = await fs.readFile(outputFile, 'utf8');
+    const diagrams = content.split('```mermaid\n').slice(1).map(block => block.slice(0, block.indexOf('```')));
+
+    assert.match(content, /^---\ntitle: PDM-AI Visualization\n/);
+    assert.match(diagrams[0], /part_1\["When I work with models, I want clear results<br\/><i>2 jobs · 7 scenarios · 3 diagrams<\/i>"\]/);
+    assert.match(diagrams[0], /click part_1 "#part-1"/);
+    assert.match(diagrams[0], /part_2\["Jobs without a layer-2 JTBD<br\/><i>1 jobs · 1 scenarios<\/i>"\]\n  class part_2 concreteJtbd;/);
+    assert.match(diagrams[0], /part_3\["Scenarios without a JTBD<br\/><i>1 scenarios<\/i>"\]/);
+    assert.match(content, /- \[When I work with models, I want clear results\]\(#part-1\) \(2 jobs · 7 scenarios · 3 diagrams\)/);
+    assert.match(content, /<a id="part-1"><\/a>\n\n## 1\. When I work with models, I want clear results\n\n_2 jobs · 7 scenarios_\n\n### Diagram 1 of 3\n/);
+
+    // Every scenario is drawn once and no page is bigger than --max-nodes
+    assert.strictEqual(diagrams.length, 6);
+    diagrams.slice(1).forEach(diagram => {
+      assert.ok((diagram.match(/^ {2}\w+\["/gm) || []).length <= 5, diagram);
+    });
+    scenarioIds(9).forEach(id => {
+      assert.strictEqual(diagrams.slice(1).filter(diagram => new RegExp(`^  ${id}\\["`, 'm').test(diagram)).length, 1, id);
+    });
+    assert.match(diagrams[1], /abstract_ml --> jtbd_compare\n/);
+    assert.match(diagrams[2], /abstract_ml --> jtbd_compare\n/);
+    assert.match(diagrams[3], /abstract_ml --> jtbd_export\n[\s\S]*jtbd_export --> s7\n/);
+    assert.doesNotMatch(content, /omitted to stay within/);
+  });
+
+  it('should write one diagram per persona', async function() {
+    const outputFile = path.join(testDataDir, 'personas.md');
+
+    await visualize(inputFile, { output: outputFile, perspective: 'persona', maxNodes: 100, split: true });
+    const content = await fs.readFile(outputFile, 'utf8');
+
+    assert.match(content, /- \[data scientist\]\(#part-1\) \(7 scenarios\)\n- \[analyst\]\(#part-2\) \(1 scenarios\)\n- \[support engineer\]\(#part-3\) \(1 scenarios\)/);
+    assert.match(content, /class part_1 persona;/);
+    assert.strictEqual((content.match(/```mermaid/g) || []).length, 4);
+  });
+});
@@ -10,6 +10,10 @@ PDM_CMD="node ${ROOT_DIR}/src/index.js"
 # Force mock mode for integration tests
 FORCE_MOCK=true
 
+# Run against the bundled stub LLM server instead, exercising the real LLM code paths offline
+USE_STUB=${USE_STUB:-true}
+STUB_PORT=${STUB_PORT:-18787}
+
 # If an OpenAI API key exists in .env, set it directly in the environment
 if [ -f "${ROOT_DIR}/.env" ]; then
   echo "Loading environment variables from .env file..."
@@ -45,6 +49,24 @@ if [ -f "${ROOT_DIR}/.env" ]; then
   fi
 fi
 
+if [ "$USE_STUB" = true ]; then
+  echo "Starting stub LLM server on port ${STUB_PORT}..."
+  $PDM_CMD stub-server --port "${STUB_PORT}" > /dev/null 2>&1 &
+  STUB_PID=$!
+  trap 'kill ${STUB_PID} 2>/dev/null' EXIT
+  sleep 1
+
+  # Exported settings take precedence over any .env file
+  export LLM_PROVIDER=openai-compatible
+  export LLM_BASE_URL="http://127.0.0.1:${STUB_PORT}/v1"
+  export LLM_MODEL=stub-model
+  export LLM_API_KEY=stub-key
+  export EMBEDDING_PROVIDER=openai
+  export EMBEDDING_BASE_URL="${LLM_BASE_URL}"
+  export EMBEDDING_MODEL=stub-embedding
+  FORCE_MOCK=false
+fi
+
 echo "Creating test output directory..."
 mkdir -p ./test/output/english-test
 mkdir -p ./test/output/japanese-test
@@ -65,7 +87,7 @@ else
   if [ -n "$LLM_API_KEY" ] || [ -n "$OPENAI_API_KEY" ]; then
     echo "LLM_API_KEY=${LLM_API_KEY}" > ./.env
     echo "OPENAI_API_KEY=${OPENAI_API_KEY}" >> ./.env
-    echo "Using real OpenAI API for tests"
+    echo "Using the configured LLM API for tests"
     $PDM_CMD scenario ../../inputs/aiplat/ --output=./scenarios.json --recursive
     $PDM_CMD jtbd ./scenarios.json --output=./jtbds.json --layers=2
   else
@@ -91,7 +113,7 @@ else
   if [ -n "$LLM_API_KEY" ] || [ -n "$OPENAI_API_KEY" ]; then
     echo "LLM_API_KEY=${LLM_API_KEY}" > ./.env
     echo "OPENAI_API_KEY=${OPENAI_API_KEY}" >> ./.env
-    echo "Using real OpenAI API for tests"
+    echo "Using the configured LLM API for tests"
     $PDM_CMD scenario ../../inputs/japanese.txt --output=./scenarios.json
     $PDM_CMD jtbd ./scenarios.json --output=./jtbds.json --layers=2
   else
@@ -118,7 +140,7 @@ else
   if [ -n "$LLM_API_KEY" ] || [ -n "$OPENAI_API_KEY" ]; then
     echo "LLM_API_KEY=${LLM_API_KEY}" > ./.env
     echo "OPENAI_API_KEY=${OPENAI_API_KEY}" >> ./.env
-    echo "Using real OpenAI API for tests"
+    echo "Using the configured LLM API for tests"
     $PDM_CMD scenario ../../inputs/aiplat/ --output=./scenarios_initial.json --recursive
     $PDM_CMD jtbd ./scenarios_initial.json --output=./jtbds_initial.json --layers=2
     $PDM_CMD scenario ../../inputs/aiplat2/ --output=./scenarios_new.json --recursive
@@ -145,7 +167,7 @@ else
   if [ -n "$LLM_API_KEY" ] || [ -n "$OPENAI_API_KEY" ]; then
     echo "LLM_API_KEY=${LLM_API_KEY}" > ./.env
     echo "OPENAI_API_KEY=${OPENAI_API_KEY}" >> ./.env
-    echo "Using real OpenAI API for tests"
+    echo "Using the configured LLM API for tests"
     $PDM_CMD scenario ../../inputs/aiplat/governance_tech-decision-maker_compliance-framework.txt ../../inputs/japanese.txt --output=./scenarios.json
     $PDM_CMD jtbd ./scenarios.json --output=./jtbds.json --layers=2
   else
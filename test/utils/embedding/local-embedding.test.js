@@ -0,0 +1,75 @@
+/**
+ * Tests for the local (offline) embedding backend
+ */
+import assert from 'assert';
+import config from '../../../src/utils/config.js';
+import { getEmbeddings } from '../../../src/utils/embedding/embedding-service.js';
+import { getLocalEmbeddings, extractFeatures } from '../../../src/utils/embedding/local-embedding.js';
+import { cosineSimilarity } from '../../../src/utils/clustering/clustering-service.js';
+
+describe('Local Embedding', function() {
+  const statements = [
+    'As a data scientist, I want to deploy models across clouds, so that I can reduce cost',
+    'As an ML engineer, I want to deploy models to multiple clouds, so that I can avoid lock-in',
+    'As a CFO, I want to see ROI reports, so that I can justify the budget'
+  ];
+
+  describe('extractFeatures', function() {
+    it('should drop English stop words and statement template words', function() {
+      const features = extractFeatures('As a user, I want to deploy models');
+
+      assert.deepStrictEqual(features, ['w:deploy', 'w:model', 'b:deploy_model']);
+    });
+
+    it('should drop Japanese particles and keep content words', function() {
+      const features = extractFeatures('開発者として、私は顧客の声を分析したい');
+
+      assert.ok(features.includes('j:開発者'), 'Should keep kanji content words');
+      assert.ok(features.includes('j:分析'), 'Should keep kanji content words');
+      assert.ok(!features.some(f => f.includes('として') || f.includes('したい')), 'Should drop template words');
+    });
+  });
+
+  describe('getLocalEmbeddings', function() {
+    it('should produce normalized vectors of the configured size', function() {
+      const embeddings = getLocalEmbeddings(statements, { dimensions: 64 });
+
+      assert.strictEqual(embeddings.length, statements.length);
+      embeddings.forEach(vector => {
+        assert.strictEqual(vector.length, 64);
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        assert.ok(Math.abs(norm - 1) < 1e-9, 'Vector should be L2-normalized');
+      });
+    });
+
+    it('should be deterministic', function() {
+      assert.deepStrictEqual(getLocalEmbeddings(statements), getLocalEmbeddings(statements));
+    });
+
+    it('should rank related statements as more similar than unrelated ones', function() {
+      const [deployA, deployB, roi] = getLocalEmbeddings(statements);
+
+      assert.ok(
+        cosineSimilarity(deployA, deployB) > cosineSimilarity(deployA, roi),
+        'Statements about deploying models should be closer to each other than to ROI reporting'
+      );
+    });
+  });
+
+  describe('getEmbeddings', function() {
+    const embeddingConfig = config.getConfig().embedding;
+    const originalProvider = embeddingConfig.provider;
+
+    afterEach(function() {
+      embeddingConfig.provider = originalProvider;
+    });
+
+    it('should use the local backend without network access when configured', async function() {
+      embeddingConfig.provider = 'local';
+
+      const embeddings = await getEmbeddings(statements);
+
+      assert.deepStrictEqual(embeddings, getLocalEmbeddings(statements, { dimensions: embeddingConfig.dimensions }));
+    });
+  });
+});
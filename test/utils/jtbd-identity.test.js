@@ -0,0 +1,112 @@
+/**
+ * Tests for stable JTBD identities and lineage across regenerations
+ */
+import assert from 'assert';
+import { assignStableIds } from '../../src/utils/jtbd/jtbd-identity.js';
+
+describe('JTBD Identity', function() {
+  const jtbd = (id, statement, scenarioIds, extra = {}) => ({ id, statement, scenarioIds, level: 1, ...extra });
+
+  it('should keep the ID of a JTBD whose cluster persists', function() {
+    const previous = [jtbd('jtbd-a', 'When I train models, I want to compare runs, so I can pick the best model', ['s1', 's2', 's3'])];
+    const current = [jtbd('jtbd-new', 'When I train models, I want to compare experiments, so I can pick a model', ['s1', 's2', 's3', 's4'])];
+
+    const { summary, idMap } = assignStableIds(current, previous);
+
+    assert.strictEqual(current[0].id, 'jtbd-a');
+    assert.strictEqual(current[0].lineage, undefined);
+    assert.deepStrictEqual(idMap, { 'jtbd-new': 'jtbd-a' });
+    assert.deepStrictEqual({ ...summary, retired: summary.retired.length }, {
+      reused: 1, created: 0, retired: 0, merged: 0, split: 0, superseded: 0
+    });
+  });
+
+  it('should match by statement when scenario IDs changed', function() {
+    const statement = 'When I ship releases, I want to roll back a bad release, so I can limit outages';
+    const previous = [jtbd('jtbd-a', statement, ['old-1'])];
+    const current = [jtbd('jtbd-new', statement, ['new-1'])];
+
+    assignStableIds(current, previous);
+
+    assert.strictEqual(current[0].id, 'jtbd-a');
+  });
+
+  it('should record merged clusters and keep the closest previous ID', function() {
+    const previous = [
+      jtbd('jtbd-a', 'When I train models, I want to compare runs, so I can pick the best model', ['s1', 's2', 's3']),
+      jtbd('jtbd-b', 'When I tune models, I want to track experiments, so I can reproduce results', ['s4'])
+    ];
+    const current = [
+      jtbd('jtbd-new', 'When I train models, I want to compare runs, so I can pick the best model', ['s1', 's2', 's3', 's4'])
+    ];
+
+    const { summary } = assignStableIds(current, previous);
+
+    assert.strictEqual(current[0].id, 'jtbd-a');
+    assert.deepStrictEqual(current[0].lineage, { mergedFrom: ['jtbd-a', 'jtbd-b'] });
+    assert.deepStrictEqual(summary.retired, ['jtbd-b']);
+    assert.strictEqual(summary.merged, 1);
+  });
+
+  it('should record split clusters on the part that did not keep the ID', function() {
+    const previous = [
+      jtbd('jtbd-a', 'When I operate services, I want to monitor deployments, so I can react to incidents', ['s1', 's2', 's3', 's4'])
+    ];
+    const current = [
+      jtbd('jtbd-x', 'When I operate services, I want to monitor deployments, so I can react to incidents', ['s1', 's2', 's3']),
+      jtbd('jtbd-y', 'When I am on call, I want to page the owner of a failing check, so I can escalate quickly', ['s4'])
+    ];
+
+    const { summary } = assignStableIds(current, previous);
+
+    assert.strictEqual(current[0].id, 'jtbd-a');
+    assert.strictEqual(current[0].lineage, undefined);
+    assert.strictEqual(current[1].id, 'jtbd-y');
+    assert.deepStrictEqual(current[1].lineage, { splitFrom: 'jtbd-a' });
+    assert.strictEqual(summary.split, 1);
+    assert.strictEqual(summary.created, 1);
+  });
+
+  it('should record a replacement that differs too much to keep the ID', function() {
+    const previous = [
+      jtbd('jtbd-a', 'When I plan a roadmap, I want to rank feature requests, so I can focus the team', ['s1', 's2', 's3', 's4'])
+    ];
+    const current = [
+      jtbd('jtbd-new', 'When customers report problems, I want to see affected accounts, so I can prioritize fixes', ['s1', 's2', 's5', 's6', 's7'])
+    ];
+
+    const { summary } = assignStableIds(current, previous);
+
+    assert.strictEqual(current[0].id, 'jtbd-new');
+    assert.deepStrictEqual(current[0].lineage, { supersedes: 'jtbd-a' });
+    assert.deepStrictEqual(summary.retired, ['jtbd-a']);
+  });
+
+  it('should update second-layer references to the kept first-layer IDs', function() {
+    const statement = 'When I train models, I want to compare runs, so I can pick the best model';
+    const abstract = 'When I build ML products, I want to manage experiments, so I can ship better models';
+    const previous = [
+      jtbd('jtbd-a', statement, ['s1', 's2']),
+      jtbd('abstract-a', abstract, ['s1', 's2'], { level: 2, childIds: ['jtbd-a'], jtbdIds: ['jtbd-a'] })
+    ];
+    const current = [
+      jtbd('jtbd-new', statement, ['s1', 's2']),
+      jtbd('abstract-new', abstract, ['s1', 's2'], { level: 2, childIds: ['jtbd-new'], jtbdIds: ['jtbd-new'] })
+    ];
+
+    assignStableIds(current, previous);
+
+    assert.strictEqual(current[1].id, 'abstract-a');
+    assert.deepStrictEqual(current[1].childIds, ['jtbd-a']);
+    assert.deepStrictEqual(current[1].jtbdIds, ['jtbd-a']);
+  });
+
+  it('should not match JTBDs without statements or shared scenarios', function() {
+    const previous = [{ id: 'mock-a', title: 'Mock JTBD 1', level: 1 }];
+    const current = [{ id: 'mock-b', title: 'Mock JTBD 1', level: 1 }];
+
+    assignStableIds(current, previous);
+
+    assert.strictEqual(current[0].id, 'mock-b');
+  });
+});
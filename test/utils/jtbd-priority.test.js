@@ -0,0 +1,59 @@
+/**
+ * Tests for evidence-based JTBD priority scores
+ */
+import assert from 'assert';
+import { DEFAULT_WEIGHTS, parseWeights, scoreJTBDs } from '../../src/utils/jtbd/jtbd-priority.js';
+
+describe('JTBD Priority', function() {
+  const scenario = (id, customer, source, timestamp) => ({ id, customer, sources: [source], timestamp });
+  const data = {
+    jtbds: [
+      { id: 'jtbd-small', level: 1, statement: 'Small', scenarioIds: ['s1'] },
+      { id: 'jtbd-broad', level: 1, statement: 'Broad', scenarioIds: ['s2', 's3', 's4', 's5'] },
+      { id: 'jtbd-recent', level: 1, statement: 'Recent', scenarioIds: ['s6', 's7'] },
+      { id: 'abstract', level: 2, statement: 'Abstract', scenarioIds: ['s1', 's2'] }
+    ],
+    scenarios: [
+      scenario('s1', 'Contoso', 'source-a', '2026-01-01T00:00:00.000Z'),
+      scenario('s2', 'Contoso', 'source-a', '2026-01-01T00:00:00.000Z'),
+      scenario('s3', 'Fabrikam', 'source-b', '2026-02-01T00:00:00.000Z'),
+      scenario('s4', 'Northwind', 'source-c', '2026-02-01T00:00:00.000Z'),
+      scenario('s5', 'Northwind', 'source-c', '2026-02-01T00:00:00.000Z'),
+      scenario('s6', null, 'source-d', '2026-03-01T00:00:00.000Z'),
+      scenario('s7', null, 'source-d', '2026-03-01T00:00:00.000Z')
+    ]
+  };
+
+  it('should parse weights and keep defaults for criteria that are not mentioned', function() {
+    assert.deepStrictEqual(parseWeights(''), DEFAULT_WEIGHTS);
+    assert.deepStrictEqual(parseWeights('scenarios=2, recency=0'), { ...DEFAULT_WEIGHTS, scenarios: 2, recency: 0 });
+  });
+
+  it('should reject unknown criteria, invalid numbers and all-zero weights', function() {
+    assert.throws(() => parseWeights('votes=1'), /unknown criterion 'votes'/);
+    assert.throws(() => parseWeights('scenarios=-1'), /needs a non-negative number/);
+    assert.throws(() => parseWeights('scenarios'), /needs a non-negative number/);
+    assert.throws(() => parseWeights('scenarios=0,customers=0,sources=0,recency=0'), error => error.code === 'INVALID_WEIGHTS');
+  });
+
+  it('should rank JTBDs within their layer by the weighted evidence', function() {
+    const ranked = scoreJTBDs(data);
+    const broad = ranked.find(entry => entry.id === 'jtbd-broad');
+
+    assert.deepStrictEqual(ranked.map(entry => [entry.id, entry.rank]), [
+      ['jtbd-broad', 1], ['jtbd-recent', 2], ['jtbd-small', 3], ['abstract', 1]
+    ]);
+    assert.deepStrictEqual(broad.evidence, { scenarios: 4, customers: 3, sources: 3, latest: '2026-02-01T00:00:00.000Z' });
+    assert.deepStrictEqual(broad.components, { scenarios: 1, customers: 1, sources: 1, recency: 31 / 59 });
+    assert.strictEqual(broad.score, Math.round((0.9 + 0.1 * 31 / 59) * 1000) / 10);
+    assert.strictEqual(ranked.find(entry => entry.id === 'abstract').score, 100);
+  });
+
+  it('should follow the weights', function() {
+    const ranked = scoreJTBDs(data, parseWeights('scenarios=0,customers=0,sources=0,recency=1'));
+
+    assert.deepStrictEqual(ranked.filter(entry => entry.level === 1).map(entry => [entry.id, entry.score]), [
+      ['jtbd-recent', 100], ['jtbd-broad', 52.5], ['jtbd-small', 0]
+    ]);
+  });
+});
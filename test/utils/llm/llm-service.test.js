@@ -0,0 +1,125 @@
+/**
+ * Tests for the LLM provider layer
+ */
+import assert from 'assert';
+import http from 'http';
+import config from '../../../src/utils/config.js';
+import * as llmService from '../../../src/utils/llm/llm-service.js';
+
+describe('LLM Service', function() {
+  const llmConfig = config.getConfig().llm;
+  const originalConfig = { ...llmConfig };
+  let server;
+  let baseUrl;
+  let lastRequest;
+
+  before(async function() {
+    // Local server answering in each provider's wire format
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+        let response;
+        if (req.url.endsWith('/chat/completions')) {
+          response = {
+            model: lastRequest.body.model,
+            choices: [{ message: { content: '{"ok":true}' } }],
+            usage: { prompt_tokens: 11, completion_tokens: 5, total_tokens: 16 }
+          };
+        } else if (req.url.endsWith('/messages')) {
+          response = {
+            content: [{ type: 'text', text: '"ok":true}' }],
+            usage: { input_tokens: 12, output_tokens: 6 }
+          };
+        } else {
+          response = {
+            candidates: [{ content: { parts: [{ text: '{"ok":true}' }] } }],
+            usageMetadata: { promptTokenCount: 13, candidatesTokenCount: 7, totalTokenCount: 20 }
+          };
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  after(function() {
+    Object.assign(llmConfig, originalConfig);
+    server.close();
+  });
+
+  beforeEach(function() {
+    Object.assign(llmConfig, originalConfig, { apiKey: 'test-key', provider: '', baseUrl: '' });
+  });
+
+  const messages = [
+    { role: 'system', content: 'Respond in JSON.' },
+    { role: 'user', content: 'Say ok.' }
+  ];
+
+  describe('resolveProviderName', function() {
+    it('should infer the provider from the model name', function() {
+      assert.strictEqual(llmService.resolveProviderName('gpt-4o'), 'openai');
+      assert.strictEqual(llmService.resolveProviderName('claude-3-5-sonnet-latest'), 'anthropic');
+      assert.strictEqual(llmService.resolveProviderName('gemini-1.5-pro'), 'gemini');
+    });
+
+    it('should use the OpenAI-compatible provider when a base URL is configured', function() {
+      llmConfig.baseUrl = baseUrl;
+      assert.strictEqual(llmService.resolveProviderName('llama3'), 'openai-compatible');
+    });
+
+    it('should prefer an explicitly configured provider', function() {
+      llmConfig.provider = 'anthropic';
+      assert.strictEqual(llmService.resolveProviderName('gpt-4o'), 'anthropic');
+    });
+
+    it('should reject unknown providers', function() {
+      llmConfig.provider = 'unknown';
+      assert.throws(() => llmService.resolveProviderName('gpt-4o'), /Unknown LLM provider/);
+    });
+  });
+
+  describe('chatCompletion', function() {
+    it('should call an OpenAI-compatible server in JSON mode and report token usage', async function() {
+      Object.assign(llmConfig, { baseUrl, apiKey: '' });
+
+      const completion = await llmService.chatCompletion({ model: 'llama3', messages, json: true });
+
+      assert.strictEqual(lastRequest.url, '/v1/chat/completions');
+      assert.deepStrictEqual(lastRequest.body.response_format, { type: 'json_object' });
+      assert.strictEqual(lastRequest.headers.authorization, undefined, 'No API key should be sent');
+      assert.strictEqual(completion.provider, 'openai-compatible');
+      assert.strictEqual(completion.content, '{"ok":true}');
+      assert.deepStrictEqual(completion.usage, { promptTokens: 11, completionTokens: 5, totalTokens: 16 });
+    });
+
+    it('should translate requests for the Anthropic Messages API', async function() {
+      Object.assign(llmConfig, { baseUrl, provider: 'anthropic' });
+
+      const completion = await llmService.chatCompletion({ model: 'claude-3-5-haiku-latest', messages, json: true });
+
+      assert.strictEqual(lastRequest.url, '/v1/messages');
+      assert.strictEqual(lastRequest.headers['x-api-key'], 'test-key');
+      assert.strictEqual(lastRequest.body.system, 'Respond in JSON.');
+      assert.deepStrictEqual(lastRequest.body.messages.at(-1), { role: 'assistant', content: '{' });
+      assert.strictEqual(completion.content, '{"ok":true}', 'Prefilled brace should be restored');
+      assert.deepStrictEqual(completion.usage, { promptTokens: 12, completionTokens: 6, totalTokens: 18 });
+    });
+
+    it('should translate requests for the Gemini generateContent API', async function() {
+      Object.assign(llmConfig, { baseUrl, provider: 'gemini' });
+
+      const completion = await llmService.chatCompletion({ model: 'gemini-1.5-flash', messages, json: true });
+
+      assert.strictEqual(lastRequest.url, '/v1/models/gemini-1.5-flash:generateContent');
+      assert.strictEqual(lastRequest.body.generationConfig.responseMimeType, 'application/json');
+      assert.strictEqual(lastRequest.body.systemInstruction.parts[0].text, 'Respond in JSON.');
+      assert.strictEqual(completion.content, '{"ok":true}');
+      assert.deepStrictEqual(completion.usage, { promptTokens: 13, completionTokens: 7, totalTokens: 20 });
+    });
+  });
+});
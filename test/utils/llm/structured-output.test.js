@@ -0,0 +1,99 @@
+/**
+ * Tests for schema-validated LLM responses
+ */
+import assert from 'assert';
+import http from 'http';
+import config from '../../../src/utils/config.js';
+import { requestStructuredOutput, parseJsonContent } from '../../../src/utils/llm/structured-output.js';
+import { JTBDResponseSchema, ScenarioResponseSchema } from '../../../src/utils/llm/schemas.js';
+
+describe('Structured Output', function() {
+  const llmConfig = config.getConfig().llm;
+  const originalConfig = { ...llmConfig };
+  let server;
+  let responses;
+  let requests;
+
+  before(async function() {
+    // Local OpenAI-compatible server replaying queued responses
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: responses.shift() } }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    Object.assign(llmConfig, {
+      provider: 'openai-compatible',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      model: 'test-model'
+    });
+  });
+
+  after(function() {
+    Object.assign(llmConfig, originalConfig);
+    server.close();
+  });
+
+  beforeEach(function() {
+    requests = [];
+  });
+
+  const messages = [{ role: 'user', content: 'Return a JTBD.' }];
+  const validJTBD = {
+    statement: 'When I deploy, I want to monitor drift, so I can react quickly',
+    situation: 'I deploy',
+    motivation: 'monitor drift',
+    outcome: 'react quickly',
+    priority: 8
+  };
+
+  it('should accept a valid response without repairs', async function() {
+    responses = ['```json\n' + JSON.stringify(validJTBD) + '\n```'];
+    const stats = {};
+
+    const result = await requestStructuredOutput({ messages, schema: JTBDResponseSchema, stats });
+
+    assert.strictEqual(result.statement, validJTBD.statement);
+    assert.strictEqual(result.priority, 8, 'Extra fields should be kept');
+    assert.strictEqual(stats.repairAttempts, undefined);
+  });
+
+  it('should send validation errors back to the model and count the repair', async function() {
+    responses = [JSON.stringify({ statement: validJTBD.statement }), JSON.stringify(validJTBD)];
+    const stats = { repairAttempts: 0 };
+
+    const result = await requestStructuredOutput({ messages, schema: JTBDResponseSchema, stats });
+
+    assert.strictEqual(result.outcome, 'react quickly');
+    assert.strictEqual(stats.repairAttempts, 1);
+    assert.strictEqual(requests.length, 2);
+
+    const repairMessages = requests[1].messages;
+    assert.strictEqual(repairMessages[repairMessages.length - 2].role, 'assistant');
+    assert.match(repairMessages[repairMessages.length - 1].content, /- situation: Required/);
+  });
+
+  it('should give up after the configured number of repairs', async function() {
+    responses = ['not json', 'still not json'];
+    const stats = { repairAttempts: 0 };
+
+    await assert.rejects(
+      requestStructuredOutput({ messages, schema: ScenarioResponseSchema, maxRepairAttempts: 1, stats }),
+      error => error.code === 'INVALID_RESPONSE' && /after 1 repair attempt/.test(error.message)
+    );
+    assert.strictEqual(stats.repairAttempts, 1);
+    assert.strictEqual(requests.length, 2);
+  });
+
+  it('should normalize customer lists in scenario payloads', function() {
+    const parsed = ScenarioResponseSchema.parse(parseJsonContent(JSON.stringify({
+      scenarios: [],
+      customer: ['Acme Inc.', 'Globex']
+    })));
+    assert.strictEqual(parsed.customer, 'Acme Inc., Globex');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for source chunking and cross-chunk scenario de-duplication
+ */
+import assert from 'assert';
+import { chunkText, estimateTokens } from '../../../src/utils/parsers/chunker.js';
+import { deduplicateScenarios } from '../../../src/utils/parsers/scenario-deduplicator.js';
+
+describe('Chunker', function() {
+  const paragraph = 'We need one dashboard for every cloud. Deployments should be reproducible across teams. ';
+  const transcript = Array.from({ length: 30 }, (_, i) => `Speaker ${i}: ${paragraph.repeat(3)}`).join('\n\n');
+
+  it('should estimate tokens for Latin and CJK text', function() {
+    assert.strictEqual(estimateTokens('abcdefgh'), 2);
+    assert.strictEqual(estimateTokens('監視したい'), 5);
+  });
+
+  it('should return short texts as a single chunk', function() {
+    const chunks = chunkText('Short feedback.', { chunkSize: 100, overlap: 10 });
+    assert.deepStrictEqual(chunks, [{ index: 0, start: 0, end: 15, text: 'Short feedback.' }]);
+  });
+
+  it('should split long texts into overlapping chunks within the size limit', function() {
+    const chunks = chunkText(transcript, { chunkSize: 300, overlap: 50 });
+
+    assert.ok(chunks.length > 1, 'Transcript should be split');
+    assert.strictEqual(chunks[0].start, 0);
+    assert.strictEqual(chunks[chunks.length - 1].end, transcript.length);
+    chunks.forEach((chunk, i) => {
+      assert.strictEqual(chunk.index, i);
+      assert.strictEqual(chunk.text, transcript.slice(chunk.start, chunk.end), 'Offsets should address the original text');
+      assert.ok(estimateTokens(chunk.text) <= 300, `Chunk ${i} should respect the size limit`);
+      if (i > 0) {
+        assert.ok(chunk.start < chunks[i - 1].end, `Chunk ${i} should overlap the previous chunk`);
+        assert.ok(chunk.start > chunks[i - 1].start, `Chunk ${i} should make progress`);
+      }
+    });
+  });
+
+  it('should split text without whitespace', function() {
+    const japanese = 'お客様は複数のクラウドで同じ監視を使いたいと言っています。'.repeat(30);
+    const chunks = chunkText(japanese, { chunkSize: 200, overlap: 20 });
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(estimateTokens(chunk.text) <= 200));
+    assert.strictEqual(chunks[chunks.length - 1].end, japanese.length);
+  });
+
+  it('should reject an overlap that is not smaller than the chunk size', function() {
+    assert.throws(() => chunkText(transcript, { chunkSize: 100, overlap: 100 }), /Chunk overlap/);
+  });
+
+  it('should drop near-identical scenarios from different chunks only', function() {
+    const scenario = (statement, chunk, persona = 'platform engineer') => ({ statement, persona, chunk: { index: chunk } });
+    const result = deduplicateScenarios([
+      scenario('As a platform engineer, I want to monitor models across clouds, so that I can catch drift early', 0),
+      scenario('As a platform engineer, I want to deploy the same way on every cloud, so that I can reduce toil', 0),
+      scenario('As a platform engineer, I want to monitor models across all clouds, so that I can catch drift early', 1),
+      scenario('As a data scientist, I want to monitor models across clouds, so that I can catch drift early', 1, 'data scientist')
+    ]);
+
+    assert.deepStrictEqual(
+      result.map(s => [s.persona, s.chunk.index]),
+      [['platform engineer', 0], ['platform engineer', 0], ['data scientist', 1]]
+    );
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Tests for verbatim evidence quote verification
+ */
+import assert from 'assert';
+import { locateQuote, resolveEvidence } from '../../../src/utils/parsers/evidence.js';
+
+describe('Evidence', function() {
+  const text = 'Interviewer: How do you deploy?\nCustomer: Every team uses a  different pipeline on each cloud.\n“It’s a mess,” she said.';
+
+  it('should locate exact quotes', function() {
+    const location = locateQuote(text, 'Every team uses a  different pipeline');
+    assert.strictEqual(text.slice(location.start, location.end), 'Every team uses a  different pipeline');
+  });
+
+  it('should tolerate case, whitespace and typographic differences', function() {
+    const location = locateQuote(text, 'every team uses a different pipeline on each cloud.');
+    assert.strictEqual(text.slice(location.start, location.end), 'Every team uses a  different pipeline on each cloud.');
+
+    const quoted = locateQuote(text, '"It\'s a mess,"');
+    assert.strictEqual(text.slice(quoted.start, quoted.end), '“It’s a mess,”');
+  });
+
+  it('should flag quotes that are not in the text', function() {
+    const evidence = resolveEvidence(['Each team uses its own pipeline', 'different pipeline'], text);
+
+    assert.deepStrictEqual(evidence[0], { quote: 'Each team uses its own pipeline', start: null, end: null, verified: false });
+    assert.strictEqual(evidence[1].verified, true);
+    assert.strictEqual(text.slice(evidence[1].start, evidence[1].end), 'different pipeline');
+  });
+});
@@ -1,10 +1,13 @@
 /**
  * Tests for the File Handler utility
  */
-const assert = require('assert');
-const path = require('path');
-const fs = require('fs-extra');
-const fileHandler = require('../../../src/utils/parsers/file-handler');
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import fileHandler from '../../../src/utils/parsers/file-handler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 describe('File Handler', function() {
   // Create temporary directories for testing
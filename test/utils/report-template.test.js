@@ -0,0 +1,48 @@
+/**
+ * Tests for the report template renderer
+ */
+import assert from 'assert';
+import { renderTemplate } from '../../src/utils/report/template.js';
+
+describe('Report Template', function() {
+  it('should insert values and dotted paths', function() {
+    assert.strictEqual(
+      renderTemplate('# {{title}}\n{{ summary.count }} jobs{{missing}}\n', { title: 'Round 3', summary: { count: 4 } }),
+      '# Round 3\n4 jobs\n'
+    );
+  });
+
+  it('should repeat sections for lists and look up names in outer contexts', function() {
+    const template = [
+      '{{#groups}}',
+      '## {{name}}',
+      '{{#jobs}}',
+      '- {{name}} ({{unit}})',
+      '{{/jobs}}',
+      '{{^jobs}}',
+      '- none',
+      '{{/jobs}}',
+      '{{/groups}}',
+      ''
+    ].join('\n');
+    const view = {
+      unit: 'scenarios',
+      groups: [{ name: 'A', jobs: [{ name: 'a1' }, { name: 'a2' }] }, { name: 'B', jobs: [] }]
+    };
+
+    assert.strictEqual(renderTemplate(template, view), '## A\n- a1 (scenarios)\n- a2 (scenarios)\n## B\n- none\n');
+  });
+
+  it('should render inline sections for other truthy values', function() {
+    const template = '{{#type}}({{type}}){{/type}}{{^type}}untyped{{/type}}';
+
+    assert.strictEqual(renderTemplate(template, { type: 'text' }), '(text)');
+    assert.strictEqual(renderTemplate(template, { type: '' }), 'untyped');
+  });
+
+  it('should reject unbalanced sections', function() {
+    assert.throws(() => renderTemplate('{{#jobs}}', {}), /\{\{#jobs\}\} is never closed/);
+    assert.throws(() => renderTemplate('{{#jobs}}{{/groups}}', {}), error => error.code === 'INVALID_TEMPLATE');
+    assert.throws(() => renderTemplate('{{/jobs}}', {}), /unexpected \{\{\/jobs\}\}/);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for the shared request queue: bounded concurrency, backoff and Retry-After
+ */
+import assert from 'assert';
+import http from 'http';
+import config from '../../src/utils/config.js';
+import { RequestQueue, parseRetryAfter, getRetryDelay } from '../../src/utils/request-queue.js';
+import { chatCompletion } from '../../src/utils/llm/llm-service.js';
+
+describe('Request Queue', function() {
+  const requestConfig = config.getConfig().requests;
+  const originalRequestConfig = { ...requestConfig };
+
+  beforeEach(function() {
+    Object.assign(requestConfig, { concurrency: 2, maxRetries: 3, retryBaseDelayMs: 10 });
+  });
+
+  afterEach(function() {
+    Object.assign(requestConfig, originalRequestConfig);
+  });
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const httpError = (status, headers = {}) => Object.assign(new Error(`status ${status}`), { status, headers });
+
+  it('should never run more tasks than the concurrency limit', async function() {
+    const queue = new RequestQueue();
+    let active = 0;
+    let maxActive = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => queue.schedule(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await sleep(10);
+      active--;
+      return n * 2;
+    })));
+
+    assert.deepStrictEqual(results, [2, 4, 6, 8, 10]);
+    assert.strictEqual(maxActive, 2);
+  });
+
+  it('should retry rate limits and server errors with backoff', async function() {
+    const queue = new RequestQueue();
+    const failures = [httpError(429), httpError(503)];
+    let calls = 0;
+
+    const result = await queue.schedule(async () => {
+      calls++;
+      if (failures.length > 0) {
+        throw failures.shift();
+      }
+      return 'ok';
+    });
+
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(calls, 3);
+  });
+
+  it('should not retry client errors and give up after the retry limit', async function() {
+    const queue = new RequestQueue();
+    let calls = 0;
+    await assert.rejects(queue.schedule(async () => {
+      calls++;
+      throw httpError(400);
+    }), /status 400/);
+    assert.strictEqual(calls, 1);
+
+    calls = 0;
+    await assert.rejects(queue.schedule(async () => {
+      calls++;
+      throw httpError(500);
+    }), /status 500/);
+    assert.strictEqual(calls, 4, 'One attempt plus three retries');
+  });
+
+  it('should honor Retry-After and hold back other requests meanwhile', async function() {
+    const queue = new RequestQueue();
+    const started = Date.now();
+    let limited = true;
+    let otherStartedAt = null;
+
+    await Promise.all([
+      queue.schedule(async () => {
+        if (limited) {
+          limited = false;
+          throw httpError(429, { 'retry-after-ms': '150' });
+        }
+      }),
+      sleep(20).then(() => queue.schedule(async () => {
+        otherStartedAt = Date.now();
+      }))
+    ]);
+
+    assert.ok(otherStartedAt - started >= 140, 'Queued requests should wait for the rate limit to pass');
+  });
+
+  it('should parse Retry-After headers', function() {
+    assert.strictEqual(parseRetryAfter({ 'retry-after': '2' }), 2000);
+    assert.strictEqual(parseRetryAfter({ 'retry-after-ms': '250', 'retry-after': '2' }), 250);
+    const date = parseRetryAfter({ 'retry-after': new Date(Date.now() + 5000).toUTCString() });
+    assert.ok(date > 3000 && date <= 5000);
+    assert.strictEqual(parseRetryAfter({}), null);
+    assert.strictEqual(getRetryDelay(httpError(503), 3, 100), 800);
+  });
+
+  it('should retry rate-limited chat completions', async function() {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        requests++;
+        if (requests === 1) {
+          res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+          res.end(JSON.stringify({ error: { message: 'Rate limit reached' } }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 1, completion_tokens: 1 } }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const llmConfig = config.getConfig().llm;
+    const originalLlmConfig = { ...llmConfig };
+    Object.assign(llmConfig, { provider: 'openai-compatible', baseUrl: `http://127.0.0.1:${server.address().port}/v1`, apiKey: 'test-key' });
+    try {
+      const completion = await chatCompletion({ messages: [{ role: 'user', content: 'Hi' }] });
+      assert.strictEqual(completion.content, '{}');
+      assert.strictEqual(requests, 2);
+    } finally {
+      Object.assign(llmConfig, originalLlmConfig);
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});